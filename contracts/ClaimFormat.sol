@@ -0,0 +1,360 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ClaimFormat
+ * @notice Builds the plain-text claim asserted to the oracle, so UMA voters can read it as-is
+ * @dev The tweet text comes last so it needs no escaping. The frontend decoder in claimFormat.js parses this format.
+ * encode is public, so the library is deployed on its own and linked into TwitterVerification, which keeps the
+ * string building out of the main contract's size limit. Statements carry their ClaimType as a uint8, since the ABI
+ * of a library's public functions names enums by type, which ethers cannot parse.
+ */
+library ClaimFormat {
+    // Format of schema version 3, lines separated by "\n", optional lines omitted when unset:
+    //
+    //   Schema: twitter-verification/v3
+    //   Type: posted | posted-between | not-posted-before
+    //   Claim: <sentence stating the claim, depends on Type>
+    //   Handle: @<handle>
+    //   Status ID: <status id>                             (optional)
+    //   Tweet URL: https://x.com/<handle>/status/<id>      (optional, present with Status ID)
+    //   Content hash: 0x<keccak256 of the captured tweet JSON or screenshot>    (optional)
+    //   Evidence: <ipfs://<CID> or https:// URL of an archived copy>          (optional)
+    //   Window start: <unix seconds> (<YYYY-MM-DDTHH:MM:SSZ>)    (posted-between)
+    //   Window end: <unix seconds> (<YYYY-MM-DDTHH:MM:SSZ>)      (posted-between and not-posted-before)
+    //   Asserted at: <unix seconds> (<YYYY-MM-DDTHH:MM:SSZ>)
+    //   Text:
+    //   <tweet text, verbatim to the end of the claim>
+    //
+    // Version 1 had no Type or Window lines and only posted claims, version 2 no Content hash or Evidence lines.
+    uint8 internal constant SCHEMA_VERSION = 3;
+
+    // Longest evidence URI accepted, in bytes
+    uint256 internal constant MAX_EVIDENCE_URI_LENGTH = 256;
+
+    // Twitter's limits: handles of up to 15 characters, tweets of up to 280 weighted characters (see tweetLength)
+    uint256 internal constant MAX_HANDLE_LENGTH = 15;
+    uint256 internal constant MAX_TWEET_LENGTH = 280;
+    uint256 internal constant URL_LENGTH = 23;
+
+    // What a claim asserts about the tweet text
+    enum ClaimType {
+        Posted, // posted at or before the assertion time
+        PostedBetween, // posted within [windowStart, windowEnd]
+        NotPostedBefore // not posted before windowEnd
+    }
+
+    // The inputs a claim is built from
+    struct Statement {
+        uint8 claimType; // a ClaimType
+        string twitterHandle;
+        string tweetText;
+        uint64 statusId; // 0 if unknown
+        uint64 windowStart; // only used by PostedBetween
+        uint64 windowEnd; // unused by Posted
+        bytes32 contentHash; // keccak256 of a captured copy of the tweet, 0 if none
+        string evidenceUri; // ipfs:// or https:// location of the evidence, empty if none
+    }
+
+    /**
+     * @notice Build the asserted claim
+     * @param statement The claim type, tweet and time window
+     * @param timestamp Unix time at which the claim is asserted
+     */
+    function encode(Statement memory statement, uint256 timestamp) public pure returns (bytes memory) {
+        bytes memory header = abi.encodePacked(
+            "Schema: twitter-verification/v", toString(SCHEMA_VERSION), "\n",
+            "Type: ", typeName(ClaimType(statement.claimType)), "\n",
+            "Claim: ", _sentence(statement), "\n",
+            "Handle: @", statement.twitterHandle, "\n"
+        );
+        if (statement.statusId != 0) {
+            string memory id = toString(statement.statusId);
+            header = abi.encodePacked(
+                header,
+                "Status ID: ", id, "\n",
+                "Tweet URL: https://x.com/", statement.twitterHandle, "/status/", id, "\n"
+            );
+        }
+        if (statement.contentHash != bytes32(0)) {
+            header = abi.encodePacked(header, "Content hash: ", toHexString(statement.contentHash), "\n");
+        }
+        if (bytes(statement.evidenceUri).length > 0) {
+            header = abi.encodePacked(header, "Evidence: ", statement.evidenceUri, "\n");
+        }
+        if (statement.claimType == uint8(ClaimType.PostedBetween)) {
+            header = abi.encodePacked(header, _timeLine("Window start", statement.windowStart));
+        }
+        if (statement.claimType != uint8(ClaimType.Posted)) {
+            header = abi.encodePacked(header, _timeLine("Window end", statement.windowEnd));
+        }
+
+        return abi.encodePacked(
+            header,
+            _timeLine("Asserted at", timestamp),
+            "Text:\n",
+            statement.tweetText
+        );
+    }
+
+    /**
+     * @notice Canonical registry key of a tweet: the normalized handle and the exact text
+     * @param twitterHandle The Twitter username, with or without the @ symbol, in any case
+     * @param tweetText The exact text of the tweet
+     */
+    function tweetKey(string memory twitterHandle, string memory tweetText) public pure returns (bytes32) {
+        return keccak256(abi.encode(normalizeHandle(twitterHandle), tweetText));
+    }
+
+    /**
+     * @notice Twitter handles are case-insensitive: drop a leading @ and lowercase ASCII letters
+     * @param twitterHandle The Twitter username
+     */
+    function normalizeHandle(string memory twitterHandle) public pure returns (string memory) {
+        bytes memory handle = bytes(twitterHandle);
+        uint256 start = handle.length > 0 && handle[0] == "@" ? 1 : 0;
+
+        bytes memory normalized = new bytes(handle.length - start);
+        for (uint256 i = 0; i < normalized.length; i++) {
+            bytes1 char = handle[i + start];
+            normalized[i] = char >= "A" && char <= "Z" ? bytes1(uint8(char) + 32) : char;
+        }
+        return string(normalized);
+    }
+
+    /**
+     * @notice Revert unless the statement's claim type is known, its handle and text are valid (see validateTweet),
+     * its time window fits its claim type and its evidence URI is valid
+     * @param statement The statement to check, with its handle normalized by normalizeHandle
+     * @param timestamp Current Unix time, windows must not end after it
+     */
+    function validate(Statement memory statement, uint256 timestamp) public pure {
+        require(statement.claimType <= uint8(ClaimType.NotPostedBefore), "Unknown claim type");
+        validateTweet(statement.twitterHandle, statement.tweetText);
+        if (statement.claimType == uint8(ClaimType.PostedBetween)) {
+            require(statement.windowStart < statement.windowEnd, "Window start must be before end");
+            require(statement.windowEnd <= timestamp, "Window must end in the past");
+        } else if (statement.claimType == uint8(ClaimType.NotPostedBefore)) {
+            require(statement.windowEnd != 0, "Cutoff is required");
+            require(statement.windowEnd <= timestamp, "Cutoff must not be in the future");
+            require(statement.windowStart == 0 && statement.statusId == 0, "Negative claims take a cutoff only");
+        } else {
+            require(statement.windowStart == 0 && statement.windowEnd == 0, "Posted claims take no window");
+        }
+        require(isValidEvidenceUri(statement.evidenceUri), "Invalid evidence URI");
+    }
+
+    /**
+     * @notice Revert unless the handle is a normalized Twitter handle and the text is normalized tweet text within
+     * Twitter's length limit. Mirrors validateTweet in the SDK's normalize.js, which also applies Unicode NFC; that
+     * is left to clients, as is collapsing whitespace other than ASCII spaces.
+     * @param twitterHandle 1 to 15 lowercase letters, digits or underscores, without the @
+     * @param tweetText Text without tabs or carriage returns, leading or trailing whitespace, repeated spaces or
+     * spaces around line breaks, of at most MAX_TWEET_LENGTH weighted characters
+     */
+    function validateTweet(string memory twitterHandle, string memory tweetText) public pure {
+        bytes memory handle = bytes(twitterHandle);
+        bytes memory text = bytes(tweetText);
+        require(handle.length > 0 && text.length > 0, "Handle and text are required");
+
+        require(handle.length <= MAX_HANDLE_LENGTH, "Twitter handle too long");
+        for (uint256 i = 0; i < handle.length; i++) {
+            bytes1 char = handle[i];
+            require(
+                (char >= "a" && char <= "z") || (char >= "0" && char <= "9") || char == "_",
+                "Invalid character in Twitter handle"
+            );
+        }
+
+        for (uint256 i = 0; i < text.length; i++) {
+            bytes1 char = text[i];
+            if (char != " " && char != "\n" && char != "\t" && char != "\r") continue;
+            require(
+                char != "\t" && char != "\r" && i != 0 && i != text.length - 1 &&
+                    !(char == " " && (text[i - 1] == " " || text[i - 1] == "\n")) &&
+                    !(char == "\n" && text[i - 1] == " "),
+                "Tweet text whitespace not normalized"
+            );
+        }
+        require(tweetLength(tweetText) <= MAX_TWEET_LENGTH, "Tweet text too long");
+    }
+
+    /**
+     * @notice Length of a tweet as Twitter counts it: code points in Twitter's single-weight ranges (Latin, Greek,
+     * Cyrillic, Hebrew, Arabic, ... and general punctuation) count 1, others 2; an emoji sequence joined by ZWJ or
+     * a flag's pair of regional indicators counts 2, modifiers 0; a URL starting with http:// or https:// counts 23
+     * @param tweetText UTF-8 text, invalid sequences count as one 2-weight character
+     */
+    function tweetLength(string memory tweetText) public pure returns (uint256 length) {
+        bytes memory text = bytes(tweetText);
+        bool joined; // the previous code point was a ZWJ, or the first regional indicator of a flag
+        uint256 i = 0;
+        while (i < text.length) {
+            if (_matchesAt(text, i, "http://") || _matchesAt(text, i, "https://")) {
+                while (i < text.length && text[i] != " " && text[i] != "\n") i++;
+                length += URL_LENGTH;
+                joined = false;
+                continue;
+            }
+
+            (uint256 cp, uint256 size) = _decodeUtf8(text, i);
+            i += size;
+            if (cp == 0x200D) {
+                joined = true;
+            } else if (_isEmojiModifier(cp)) {
+                // Part of the emoji before it
+            } else if (joined) {
+                joined = false;
+            } else if (cp >= 0x1F1E6 && cp <= 0x1F1FF) {
+                length += 2;
+                if (i < text.length) {
+                    (uint256 next, ) = _decodeUtf8(text, i);
+                    joined = next >= 0x1F1E6 && next <= 0x1F1FF;
+                }
+            } else {
+                bool single = cp <= 0x10FF || (cp >= 0x2000 && cp <= 0x200D) || (cp >= 0x2010 && cp <= 0x201F) ||
+                    (cp >= 0x2032 && cp <= 0x2037);
+                length += single ? 1 : 2;
+            }
+        }
+    }
+
+    /**
+     * @notice Whether an evidence URI can go into a claim: empty, or an ipfs:// or https:// URI of at most
+     * MAX_EVIDENCE_URI_LENGTH bytes without whitespace or control characters, which would break the line format
+     * @param evidenceUri The URI to check
+     */
+    function isValidEvidenceUri(string memory evidenceUri) public pure returns (bool) {
+        bytes memory uri = bytes(evidenceUri);
+        if (uri.length == 0) return true;
+        if (uri.length > MAX_EVIDENCE_URI_LENGTH) return false;
+        uint256 scheme = _matchesAt(uri, 0, "ipfs://") ? 7 : _matchesAt(uri, 0, "https://") ? 8 : 0;
+        if (scheme == 0 || uri.length == scheme) return false;
+        for (uint256 i = 0; i < uri.length; i++) {
+            if (uri[i] <= 0x20 || uri[i] == 0x7f) return false;
+        }
+        return true;
+    }
+
+    /**
+     * @notice Format a Unix timestamp as an ISO 8601 UTC date, e.g. 2024-01-31T09:05:00Z
+     */
+    function isoDate(uint256 timestamp) internal pure returns (string memory) {
+        (uint256 year, uint256 month, uint256 day) = _civilFromDays(timestamp / 1 days);
+        uint256 secondsOfDay = timestamp % 1 days;
+
+        string memory date = string(abi.encodePacked(toString(year), "-", _pad2(month), "-", _pad2(day)));
+        return string(abi.encodePacked(
+            date, "T", _pad2(secondsOfDay / 1 hours), ":", _pad2((secondsOfDay % 1 hours) / 1 minutes),
+            ":", _pad2(secondsOfDay % 1 minutes), "Z"
+        ));
+    }
+
+    /**
+     * @notice Name of a claim type as on the Type line, e.g. posted-between
+     */
+    function typeName(ClaimType claimType) internal pure returns (string memory) {
+        if (claimType == ClaimType.PostedBetween) return "posted-between";
+        if (claimType == ClaimType.NotPostedBefore) return "not-posted-before";
+        return "posted";
+    }
+
+    /**
+     * @notice Format a number in decimal
+     */
+    function toString(uint256 value) internal pure returns (string memory) {
+        if (value == 0) return "0";
+        uint256 digits;
+        for (uint256 temp = value; temp != 0; temp /= 10) digits++;
+
+        bytes memory buffer = new bytes(digits);
+        for (; value != 0; value /= 10) {
+            buffer[--digits] = bytes1(uint8(48 + (value % 10)));
+        }
+        return string(buffer);
+    }
+
+    /**
+     * @notice Format 32 bytes as 0x-prefixed lowercase hex
+     */
+    function toHexString(bytes32 value) internal pure returns (string memory) {
+        bytes memory digits = "0123456789abcdef";
+        bytes memory buffer = new bytes(66);
+        buffer[0] = "0";
+        buffer[1] = "x";
+        for (uint256 i = 0; i < 32; i++) {
+            buffer[2 + i * 2] = digits[uint8(value[i]) >> 4];
+            buffer[3 + i * 2] = digits[uint8(value[i]) & 0x0f];
+        }
+        return string(buffer);
+    }
+
+    /**
+     * @dev Gregorian date of a day count since 1970-01-01 (Howard Hinnant's civil_from_days)
+     */
+    function _civilFromDays(uint256 daysSinceEpoch) private pure returns (uint256 year, uint256 month, uint256 day) {
+        uint256 z = daysSinceEpoch + 719468;
+        uint256 era = z / 146097;
+        uint256 dayOfEra = z - era * 146097;
+        uint256 yearOfEra = (dayOfEra - dayOfEra / 1460 + dayOfEra / 36524 - dayOfEra / 146096) / 365;
+        uint256 dayOfYear = dayOfEra - (365 * yearOfEra + yearOfEra / 4 - yearOfEra / 100);
+        uint256 shiftedMonth = (5 * dayOfYear + 2) / 153; // March-based month, 0 to 11
+
+        day = dayOfYear - (153 * shiftedMonth + 2) / 5 + 1;
+        month = shiftedMonth < 10 ? shiftedMonth + 3 : shiftedMonth - 9;
+        year = yearOfEra + era * 400 + (month <= 2 ? 1 : 0);
+    }
+
+    function _sentence(Statement memory statement) private pure returns (bytes memory) {
+        bytes memory user = abi.encodePacked("Twitter user @", statement.twitterHandle);
+        if (statement.claimType == uint8(ClaimType.PostedBetween)) {
+            return abi.encodePacked(
+                user, " posted a tweet with the exact text below between ", isoDate(statement.windowStart),
+                " and ", isoDate(statement.windowEnd), "."
+            );
+        }
+        if (statement.claimType == uint8(ClaimType.NotPostedBefore)) {
+            return abi.encodePacked(
+                user, " had not posted any tweet with the exact text below before ", isoDate(statement.windowEnd), "."
+            );
+        }
+        return abi.encodePacked(user, " posted a tweet with the exact text below.");
+    }
+
+    // "<label>: <unix seconds> (<ISO date>)\n"
+    function _timeLine(string memory label, uint256 timestamp) private pure returns (bytes memory) {
+        return abi.encodePacked(label, ": ", toString(timestamp), " (", isoDate(timestamp), ")\n");
+    }
+
+    // Whether value contains part at offset
+    function _matchesAt(bytes memory value, uint256 offset, bytes memory part) private pure returns (bool) {
+        if (value.length < offset + part.length) return false;
+        for (uint256 i = 0; i < part.length; i++) {
+            if (value[offset + i] != part[i]) return false;
+        }
+        return true;
+    }
+
+    // Code point of the UTF-8 sequence at offset and its length in bytes; a truncated sequence decodes as U+FFFD
+    function _decodeUtf8(bytes memory text, uint256 offset) private pure returns (uint256 cp, uint256 size) {
+        uint8 lead = uint8(text[offset]);
+        if (lead < 0x80) return (lead, 1);
+        size = lead >= 0xF0 ? 4 : lead >= 0xE0 ? 3 : 2;
+        if (offset + size > text.length) return (0xFFFD, text.length - offset);
+
+        cp = lead & (size == 2 ? 0x1F : size == 3 ? 0x0F : 0x07);
+        for (uint256 i = 1; i < size; i++) {
+            cp = (cp << 6) | (uint8(text[offset + i]) & 0x3F);
+        }
+    }
+
+    // Variation selectors, the combining keycap, skin tones and the tag characters of subdivision flags
+    function _isEmojiModifier(uint256 cp) private pure returns (bool) {
+        return (cp >= 0xFE00 && cp <= 0xFE0F) || cp == 0x20E3 || (cp >= 0x1F3FB && cp <= 0x1F3FF) ||
+            (cp >= 0xE0020 && cp <= 0xE007F);
+    }
+
+    function _pad2(uint256 value) private pure returns (string memory) {
+        return value < 10 ? string(abi.encodePacked("0", toString(value))) : toString(value);
+    }
+}
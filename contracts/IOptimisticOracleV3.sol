@@ -49,6 +49,20 @@ interface IOptimisticOracleV3 {
      */
     function defaultIdentifier() external view returns (bytes32);
 
+    /**
+     * @notice Returns the default bond currency used by assertTruthWithDefaults.
+     * @dev Public state variable on the deployed Optimistic Oracle V3, not part of UMA's published interface.
+     * @return The default currency.
+     */
+    function defaultCurrency() external view returns (IERC20);
+
+    /**
+     * @notice Returns the default liveness used by assertTruthWithDefaults.
+     * @dev Public state variable on the deployed Optimistic Oracle V3, not part of UMA's published interface.
+     * @return The default liveness in seconds.
+     */
+    function defaultLiveness() external view returns (uint64);
+
     /**
      * @notice Fetches information about a specific assertion and returns it.
      * @param assertionId unique identifier for the assertion to fetch information for.
@@ -104,6 +118,15 @@ interface IOptimisticOracleV3 {
         bytes32 domainId
     ) external returns (bytes32);
 
+    /**
+     * @notice Disputes an assertion. Depending on how the assertion was configured, this may either escalate to the UMA
+     * DVM or the configured escalation manager for arbitration.
+     * @dev The caller must approve this contract to spend at least bond amount of currency for the associated assertion.
+     * @param assertionId unique identifier for the assertion to dispute.
+     * @param disputer receives bonds back at settlement.
+     */
+    function disputeAssertion(bytes32 assertionId, address disputer) external;
+
     /**
      * @notice Fetches information about a specific identifier & currency from the UMA contracts and stores a local copy
      * of the information within this contract. This is used to save gas when making assertions as we can avoid an
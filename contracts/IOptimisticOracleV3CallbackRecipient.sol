@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ Copy-pasted from https://github.com/UMAprotocol/protocol/blob/7a93650a7494eaee83756382a18ecf11314499cf/packages/core/contracts/optimistic-oracle-v3/interfaces/OptimisticOracleV3CallbackRecipientInterface.sol
+ */
+
+/**
+ * @title Optimistic Oracle V3 Callback Recipient Interface
+ * @notice Interface for contracts implementing callbacks to be received from the Optimistic Oracle V3.
+ */
+interface IOptimisticOracleV3CallbackRecipient {
+    /**
+     * @notice Callback function that is called by Optimistic Oracle V3 when an assertion is resolved.
+     * @param assertionId The identifier of the assertion that was resolved.
+     * @param assertedTruthfully Whether the assertion was resolved as truthful or not.
+     */
+    function assertionResolvedCallback(bytes32 assertionId, bool assertedTruthfully) external;
+
+    /**
+     * @notice Callback function that is called by Optimistic Oracle V3 when an assertion is disputed.
+     * @param assertionId The identifier of the assertion that was disputed.
+     */
+    function assertionDisputedCallback(bytes32 assertionId) external;
+}
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title Verification Badge Interface
+ * @notice What TwitterVerification needs of its badge contract, see VerificationBadge
+ */
+interface IVerificationBadge {
+    /**
+     * @notice Mint the badge of a claim that resolved true to its claimer
+     * @param assertionId The claim's assertion ID, which is also the token ID
+     * @return tokenId The minted token
+     */
+    function mint(bytes32 assertionId) external returns (uint256 tokenId);
+}
@@ -1,20 +1,64 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./ClaimFormat.sol";
 import "./IOptimisticOracleV3.sol";
+import "./IOptimisticOracleV3CallbackRecipient.sol";
+import "./IVerificationBadge.sol";
 
 /**
  * @title TwitterVerification
  * @notice Contract for verifying Twitter posts using UMA's Optimistic Oracle V3
  * @dev Based directly on UMA's minimal OOV3 integration example
  */
-contract TwitterVerification {
-    // Create an Optimistic Oracle V3 instance at the deployed address on Sepolia
-    IOptimisticOracleV3 oov3 =
-        IOptimisticOracleV3(0xFd9e2642a170aDD10F53Ee14a93FcF2F31924944);
+contract TwitterVerification is Ownable, Pausable, IOptimisticOracleV3CallbackRecipient {
+    using SafeERC20 for IERC20;
+
+    // Version of the asserted claim format built by ClaimFormat
+    uint8 public constant CLAIM_SCHEMA_VERSION = ClaimFormat.SCHEMA_VERSION;
+    
+    // Optimistic Oracle V3 instance, injected at deploy time
+    // (Sepolia: 0xFd9e2642a170aDD10F53Ee14a93FcF2F31924944)
+    IOptimisticOracleV3 public immutable oov3;
+    
+    // Owner-configurable reward for successful claims, in rewardToken (address(0) for ETH)
+    uint256 public rewardAmount = 0.01 ether;
+    address public rewardToken;
+    
+    // Funds owed to accounts, by account and token (address(0) for ETH), withdrawn with withdraw()
+    mapping(address => mapping(address => uint256)) public pendingWithdrawals;
+    
+    // Per token, funds that are not available for rewards or owner withdrawal:
+    // escrowed bounties plus pendingWithdrawals
+    mapping(address => uint256) public reservedFunds;
     
-    // Reward amount for successful claims
-    uint256 public constant REWARD_AMOUNT = 0.01 ether;
+    // Owner-configurable assertion defaults, used by submitClaim and for unset per-claim overrides.
+    // A defaultBond below the oracle minimum for defaultCurrency is raised to that minimum.
+    uint64 public defaultLiveness;
+    IERC20 public defaultCurrency;
+    uint256 public defaultBond;
+    bytes32 public defaultIdentifier;
+    
+    // Optional per-claim overrides; zero values fall back to the defaults above
+    struct AssertionOptions {
+        uint64 liveness;
+        IERC20 currency;
+        uint256 bond;
+        bytes32 identifier;
+    }
+    
+    // Lifecycle of a claim as seen through the oracle callbacks
+    enum ClaimStatus {
+        None,
+        Pending,
+        Disputed,
+        Verified,
+        Rejected
+    }
     
     // Store claim details
     struct Claim {
@@ -23,83 +67,716 @@ contract TwitterVerification {
         string twitterHandle;
         string tweetText;
         bytes32 assertionId;
+        uint64 statusId; // tweet status ID, 0 if not given
+        uint8 claimType; // a ClaimFormat.ClaimType, as in ClaimFormat.Statement
+        uint64 windowStart; // only set for PostedBetween claims
+        uint64 windowEnd; // unset for Posted claims
         bool isResolved;
         bool isRewarded;
+        bool isDisputed;
+        bool isTruthful;
+        uint256 bountyId; // 0 if the claim is not for a bounty
+        bytes32 tweetKey; // registry key, unset for NotPostedBefore claims
+        bytes32 contentHash; // keccak256 of a captured copy of the tweet, 0 if not given
+        string evidenceUri; // ipfs:// or https:// location of the evidence, empty if not given
     }
     
-    // Keep track of claims by ID
-    mapping(bytes32 => Claim) public claims;
+    // Keep track of claims by ID, read with getClaim
+    mapping(bytes32 => Claim) internal claims;
+    
+    // Assertion IDs of all claims, oldest first, by claimer and by normalized handle hash
+    mapping(address => bytes32[]) internal claimsByClaimer;
+    mapping(bytes32 => bytes32[]) internal claimsByHandle;
+    
+    // Registry of tweets by ClaimFormat.tweetKey. Posted and PostedBetween claims take part, as either proves the
+    // tweet: while one is pending or after one verified the tweet, further claims for the same handle and text
+    // are rejected, so a verified tweet cannot be claimed again with another window.
+    mapping(bytes32 => bytes32) public pendingTweetClaims; // tweet key => pending assertion ID
+    mapping(bytes32 => bytes32) public verifiedTweets; // tweet key => assertion ID that verified it
+    mapping(bytes32 => bytes32[]) internal verificationsByHandle; // normalized handle hash => assertion IDs
+    
+    // Reward escrowed by a requester for proving a specific tweet
+    struct Bounty {
+        address requester;
+        string twitterHandle;
+        string tweetText;
+        address token; // address(0) for ETH
+        uint256 amount;
+        uint64 deadline; // last timestamp at which claims can be submitted
+        uint32 pendingClaims; // submitted claims not yet resolved
+        address winner; // claimer of the claim that verified the tweet
+        bytes32 winningAssertionId;
+        bool isRefunded;
+    }
+    
+    // Bounties by ID, starting at 1
+    mapping(uint256 => Bounty) public bounties;
+    uint256 public bountyCount;
+    
+    // Bounties by the ClaimFormat.tweetKey of their handle and text. The claim that verifies a tweet wins all of
+    // its open bounties, so their number is capped to keep the oracle callback within gas.
+    uint256 public constant MAX_BOUNTIES_PER_TWEET = 20;
+    mapping(bytes32 => uint256[]) internal bountiesByTweet;
+    
+    // Soulbound badge minted to claimers of claims that resolve true, none if unset
+    IVerificationBadge public badge;
     
     // Events
     event ClaimSubmitted(bytes32 indexed assertionId, address indexed claimer, string twitterHandle, string tweetText);
+    event ClaimEvidence(bytes32 indexed assertionId, uint64 statusId, bytes32 contentHash, string evidenceUri);
     event ClaimResolved(bytes32 indexed assertionId, bool indexed truthful);
-    event RewardPaid(bytes32 indexed assertionId, address indexed claimer, uint256 amount);
+    event ClaimDisputed(bytes32 indexed assertionId, address indexed disputer);
+    event TweetVerified(bytes32 indexed tweetKey, bytes32 indexed assertionId, string twitterHandle, string tweetText);
+    event RewardPaid(bytes32 indexed assertionId, address indexed claimer, address token, uint256 amount);
+    event RewardPaymentFailed(bytes32 indexed assertionId, address indexed claimer, address token, uint256 amount);
+    event BountyCreated(
+        uint256 indexed bountyId,
+        address indexed requester,
+        string twitterHandle,
+        string tweetText,
+        address token,
+        uint256 amount,
+        uint64 deadline
+    );
+    event BountyClaimSubmitted(uint256 indexed bountyId, bytes32 indexed assertionId, address indexed claimer);
+    event BountyAwarded(uint256 indexed bountyId, bytes32 indexed assertionId, address indexed winner);
+    event BountyRefunded(uint256 indexed bountyId, address indexed requester, address token, uint256 amount);
+    event DefaultAssertionSettingsUpdated(uint64 liveness, address indexed currency, uint256 bond, bytes32 identifier);
+    event RewardUpdated(address indexed token, uint256 amount);
+    event Withdrawal(address indexed account, address indexed token, uint256 amount);
+    event SurplusWithdrawn(address indexed to, address indexed token, uint256 amount);
+    event BadgeUpdated(address indexed badge);
+    event BadgeMintFailed(bytes32 indexed assertionId, address indexed badge);
+    
+    /**
+     * @param _oov3 Address of the Optimistic Oracle V3 deployment to assert against
+     * @dev Assertion defaults start out as the oracle's own defaults
+     */
+    constructor(address _oov3) Ownable(msg.sender) {
+        require(_oov3 != address(0), "Oracle address cannot be zero");
+        oov3 = IOptimisticOracleV3(_oov3);
+        
+        defaultLiveness = oov3.defaultLiveness();
+        defaultCurrency = oov3.defaultCurrency();
+        defaultIdentifier = oov3.defaultIdentifier();
+    }
+    
+    /**
+     * @notice Update the assertion settings used when a claim does not override them
+     * @param liveness Challenge window in seconds
+     * @param currency ERC-20 bond currency, must be whitelisted by UMA
+     * @param bond Bond amount, 0 to always use the oracle minimum
+     * @param identifier UMA DVM identifier used if the assertion is disputed
+     */
+    function setDefaultAssertionSettings(
+        uint64 liveness,
+        IERC20 currency,
+        uint256 bond,
+        bytes32 identifier
+    ) external onlyOwner {
+        require(liveness > 0, "Liveness must be positive");
+        require(address(currency) != address(0), "Currency cannot be zero");
+        require(identifier != bytes32(0), "Identifier cannot be empty");
+        
+        defaultLiveness = liveness;
+        defaultCurrency = currency;
+        defaultBond = bond;
+        defaultIdentifier = identifier;
+        
+        emit DefaultAssertionSettingsUpdated(liveness, address(currency), bond, identifier);
+    }
+    
+    /**
+     * @notice Set the reward credited to claimers whose claims resolve true
+     * @dev Applies to claims resolved after the change. Negative claims earn no reward, see _payReward
+     * @param token ERC-20 reward token, or address(0) for ETH
+     * @param amount Reward amount, 0 to disable rewards
+     */
+    function setReward(address token, uint256 amount) external onlyOwner {
+        rewardToken = token;
+        rewardAmount = amount;
+        
+        emit RewardUpdated(token, amount);
+    }
+    
+    /**
+     * @notice Set the badge contract that mints to claimers of claims that resolve true
+     * @dev Applies to claims resolved after the change
+     * @param _badge A VerificationBadge for this contract, or address(0) to stop minting badges
+     */
+    function setBadge(IVerificationBadge _badge) external onlyOwner {
+        badge = _badge;
+        
+        emit BadgeUpdated(address(_badge));
+    }
+    
+    /**
+     * @notice Withdraw funds that are not reserved for bounties or owed to accounts
+     * @param token ERC-20 token, or address(0) for ETH
+     * @param amount Amount to withdraw
+     * @param to Recipient of the funds
+     */
+    function withdrawSurplus(address token, uint256 amount, address payable to) external onlyOwner {
+        require(amount <= surplus(token), "Amount exceeds surplus");
+        
+        _send(token, to, amount);
+        
+        emit SurplusWithdrawn(to, token, amount);
+    }
+    
+    /**
+     * @notice Stop accepting new claims; pending claims still resolve and pay out
+     */
+    function pause() external onlyOwner {
+        _pause();
+    }
+    
+    /**
+     * @notice Accept new claims again
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+    
+    /**
+     * @notice Withdraw rewards, bounties and refunds owed to the caller
+     * @param token ERC-20 token, or address(0) for ETH
+     */
+    function withdraw(address token) external {
+        uint256 amount = pendingWithdrawals[msg.sender][token];
+        require(amount > 0, "Nothing to withdraw");
+        
+        pendingWithdrawals[msg.sender][token] = 0;
+        reservedFunds[token] -= amount;
+        _send(token, payable(msg.sender), amount);
+        
+        emit Withdrawal(msg.sender, token, amount);
+    }
+    
+    /**
+     * @notice Return the balance of a token held by the contract beyond what is reserved
+     * @param token ERC-20 token, or address(0) for ETH
+     */
+    function surplus(address token) public view returns (uint256) {
+        uint256 balance = token == address(0) ? address(this).balance : IERC20(token).balanceOf(address(this));
+        uint256 reserved = reservedFunds[token];
+        return balance > reserved ? balance - reserved : 0;
+    }
     
     /**
      * @notice Submit a claim that a Twitter user has posted a specific tweet
      * @param twitterHandle The Twitter username without the @ symbol
      * @param tweetText The exact text of the tweet
      */
-    function submitClaim(string calldata twitterHandle, string calldata tweetText) external returns (bytes32) {
-        // Create the assertion claim as bytes
-        bytes memory assertedClaim = bytes(string(abi.encodePacked(
-            "Twitter user @",
-            twitterHandle,
-            " posted a tweet with the exact text: '",
-            tweetText,
-            "' as of timestamp ",
-            block.timestamp
-        )));
-        
-        // Assert the truth using UMA's OOV3 exactly as in their example
-        // This includes default values for challenge window, etc.
-        bytes32 assertionId = oov3.assertTruthWithDefaults(assertedClaim, address(this));
+    function submitClaim(
+        string calldata twitterHandle,
+        string calldata tweetText
+    ) external whenNotPaused returns (bytes32) {
+        AssertionOptions memory options;
+        return _submitClaim(_postedStatement(twitterHandle, tweetText, 0), options, 0);
+    }
+    
+    /**
+     * @notice Submit a claim with custom liveness, bond currency, bond amount or identifier
+     * @param twitterHandle The Twitter username without the @ symbol
+     * @param tweetText The exact text of the tweet
+     * @param options Per-claim overrides, zero fields use the contract defaults
+     */
+    function submitClaimWithOptions(
+        string calldata twitterHandle,
+        string calldata tweetText,
+        AssertionOptions calldata options
+    ) external whenNotPaused returns (bytes32) {
+        return _submitClaim(_postedStatement(twitterHandle, tweetText, 0), options, 0);
+    }
+    
+    /**
+     * @notice Submit a claim that names the tweet's status ID, which is included in the asserted claim with its URL
+     * @param twitterHandle The Twitter username without the @ symbol
+     * @param tweetText The exact text of the tweet
+     * @param statusId The tweet's status ID, the number at the end of its URL
+     * @param options Per-claim overrides, zero fields use the contract defaults
+     */
+    function submitClaimWithTweet(
+        string calldata twitterHandle,
+        string calldata tweetText,
+        uint64 statusId,
+        AssertionOptions calldata options
+    ) external whenNotPaused returns (bytes32) {
+        require(statusId != 0, "Status ID cannot be zero");
+        return _submitClaim(_postedStatement(twitterHandle, tweetText, statusId), options, 0);
+    }
+    
+    /**
+     * @notice Submit a claim that a Twitter user posted a specific tweet within a past time window
+     * @param twitterHandle The Twitter username without the @ symbol
+     * @param tweetText The exact text of the tweet
+     * @param statusId The tweet's status ID, or 0 to leave it out
+     * @param windowStart First timestamp of the window
+     * @param windowEnd Last timestamp of the window, not after the current block
+     * @param options Per-claim overrides, zero fields use the contract defaults
+     */
+    function submitWindowClaim(
+        string calldata twitterHandle,
+        string calldata tweetText,
+        uint64 statusId,
+        uint64 windowStart,
+        uint64 windowEnd,
+        AssertionOptions calldata options
+    ) external whenNotPaused returns (bytes32) {
+        ClaimFormat.Statement memory statement = _postedStatement(twitterHandle, tweetText, statusId);
+        statement.claimType = uint8(ClaimFormat.ClaimType.PostedBetween);
+        statement.windowStart = windowStart;
+        statement.windowEnd = windowEnd;
+        return _submitClaim(statement, options, 0);
+    }
+    
+    /**
+     * @notice Submit a claim that a Twitter user had not posted a specific tweet before a past time
+     * @param twitterHandle The Twitter username without the @ symbol
+     * @param tweetText The exact text of the tweet
+     * @param before The cutoff timestamp, not after the current block
+     * @param options Per-claim overrides, zero fields use the contract defaults
+     */
+    function submitNegativeClaim(
+        string calldata twitterHandle,
+        string calldata tweetText,
+        uint64 before,
+        AssertionOptions calldata options
+    ) external whenNotPaused returns (bytes32) {
+        ClaimFormat.Statement memory statement = _postedStatement(twitterHandle, tweetText, 0);
+        statement.claimType = uint8(ClaimFormat.ClaimType.NotPostedBefore);
+        statement.windowEnd = before;
+        return _submitClaim(statement, options, 0);
+    }
+    
+    /**
+     * @notice Submit a claim of any type with evidence for voters: the tweet's status ID, the hash of a captured
+     * copy of the tweet (its JSON or a screenshot) and where that copy is kept (IPFS or an archive URL)
+     * @dev The evidence is stored with the claim, emitted in ClaimEvidence and included in the asserted claim
+     * @param statement The claim type, handle, text, time window and evidence; unset evidence fields are left out
+     * @param options Per-claim overrides, zero fields use the contract defaults
+     */
+    function submitClaimWithEvidence(
+        ClaimFormat.Statement calldata statement,
+        AssertionOptions calldata options
+    ) external whenNotPaused returns (bytes32) {
+        return _submitClaim(statement, options, 0);
+    }
+    
+    /**
+     * @notice Submit several claims in one transaction, each validated and bonded like submitClaimWithEvidence
+     * @dev All or nothing: one invalid statement reverts the batch. Approve the bonds of all claims first.
+     * @param statements The claims, of any type and with optional evidence
+     * @param options Overrides for every claim in the batch, zero fields use the contract defaults
+     * @return assertionIds The assertion ID of each claim, in the order of the statements
+     */
+    function submitClaims(
+        ClaimFormat.Statement[] calldata statements,
+        AssertionOptions calldata options
+    ) external whenNotPaused returns (bytes32[] memory assertionIds) {
+        assertionIds = new bytes32[](statements.length);
+        for (uint256 i = 0; i < statements.length; i++) {
+            assertionIds[i] = _submitClaim(statements[i], options, 0);
+        }
+    }
+    
+    /**
+     * @notice Return the claim that would be asserted for a statement at the given time
+     * @dev Lets clients preview the exact bytes; submitted claims use the block timestamp
+     * @param statement The claim type, handle, text, optional status ID and time window
+     * @param timestamp Unix time at which the claim is asserted
+     */
+    function buildAssertedClaim(
+        ClaimFormat.Statement calldata statement,
+        uint256 timestamp
+    ) external pure returns (bytes memory) {
+        return ClaimFormat.encode(statement, timestamp);
+    }
+    
+    function _postedStatement(
+        string memory twitterHandle,
+        string memory tweetText,
+        uint64 statusId
+    ) internal pure returns (ClaimFormat.Statement memory statement) {
+        statement.twitterHandle = twitterHandle;
+        statement.tweetText = tweetText;
+        statement.statusId = statusId;
+    }
+    
+    function _submitClaim(
+        ClaimFormat.Statement memory statement,
+        AssertionOptions memory options,
+        uint256 bountyId
+    ) internal returns (bytes32) {
+        // Handles are stored normalized, so "@Drextron" and "drextron" make the same claim
+        statement.twitterHandle = ClaimFormat.normalizeHandle(statement.twitterHandle);
+        ClaimFormat.validate(statement, block.timestamp);
+        
+        // Reject duplicates of a tweet that is pending or verified, whatever their window
+        bytes32 key;
+        if (statement.claimType != uint8(ClaimFormat.ClaimType.NotPostedBefore)) {
+            key = ClaimFormat.tweetKey(statement.twitterHandle, statement.tweetText);
+            require(verifiedTweets[key] == bytes32(0), "Tweet already verified");
+            require(pendingTweetClaims[key] == bytes32(0), "Tweet claim already pending");
+        }
+        
+        // Create the human-readable assertion claim
+        bytes memory assertedClaim = ClaimFormat.encode(statement, block.timestamp);
+        
+        _resolveOptions(options);
+        
+        // The claimer funds the bond, which the contract forwards to the oracle. The claimer is the
+        // asserter, so the oracle returns the bond (plus the disputer's, if a dispute fails) to them.
+        if (options.bond > 0) {
+            options.currency.safeTransferFrom(msg.sender, address(this), options.bond);
+            options.currency.forceApprove(address(oov3), options.bond);
+        }
+        bytes32 assertionId = oov3.assertTruth(
+            assertedClaim,
+            msg.sender,
+            address(this),
+            address(0),
+            options.liveness,
+            options.currency,
+            options.bond,
+            options.identifier,
+            bytes32(0)
+        );
         
         // Store claim details
         claims[assertionId] = Claim({
             assertedClaim: assertedClaim,
             claimer: msg.sender,
-            twitterHandle: twitterHandle,
-            tweetText: tweetText,
+            twitterHandle: statement.twitterHandle,
+            tweetText: statement.tweetText,
             assertionId: assertionId,
+            statusId: statement.statusId,
+            claimType: statement.claimType,
+            windowStart: statement.windowStart,
+            windowEnd: statement.windowEnd,
             isResolved: false,
-            isRewarded: false
+            isRewarded: false,
+            isDisputed: false,
+            isTruthful: false,
+            bountyId: bountyId,
+            tweetKey: key,
+            contentHash: statement.contentHash,
+            evidenceUri: statement.evidenceUri
         });
+        if (key != bytes32(0)) pendingTweetClaims[key] = assertionId;
+        claimsByClaimer[msg.sender].push(assertionId);
+        claimsByHandle[_handleHash(statement.twitterHandle)].push(assertionId);
+        
+        emit ClaimSubmitted(assertionId, msg.sender, statement.twitterHandle, statement.tweetText);
+        if (statement.statusId != 0 || statement.contentHash != bytes32(0) || bytes(statement.evidenceUri).length > 0) {
+            emit ClaimEvidence(assertionId, statement.statusId, statement.contentHash, statement.evidenceUri);
+        }
+        
+        return assertionId;
+    }
+
+    
+    /**
+     * @notice Escrow ETH or an ERC-20 reward for proving that a Twitter user posted a specific text
+     * @dev For ETH pass token = address(0) and send amount as msg.value, for ERC-20 approve this contract first
+     * @param twitterHandle The Twitter username, stored normalized (see ClaimFormat.normalizeHandle)
+     * @param tweetText The exact text of the tweet
+     * @param token ERC-20 reward token, or address(0) for ETH
+     * @param amount Reward amount
+     * @param deadline Last timestamp at which claims for this bounty can be submitted
+     */
+    function createBounty(
+        string calldata twitterHandle,
+        string calldata tweetText,
+        address token,
+        uint256 amount,
+        uint64 deadline
+    ) external payable returns (uint256 bountyId) {
+        // Validated like claims, so a bounty can always be claimed
+        string memory handle = ClaimFormat.normalizeHandle(twitterHandle);
+        ClaimFormat.validateTweet(handle, tweetText);
+        require(amount > 0, "Bounty amount must be positive");
+        require(deadline > block.timestamp, "Deadline must be in the future");
+        bytes32 key = ClaimFormat.tweetKey(handle, tweetText);
+        require(verifiedTweets[key] == bytes32(0), "Tweet already verified");
+        require(bountiesByTweet[key].length < MAX_BOUNTIES_PER_TWEET, "Too many bounties for this tweet");
+        
+        if (token == address(0)) {
+            require(msg.value == amount, "ETH sent does not match amount");
+        } else {
+            require(msg.value == 0, "ETH sent with token bounty");
+            IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        }
+        reservedFunds[token] += amount;
+        
+        bountyId = ++bountyCount;
+        Bounty storage bounty = bounties[bountyId];
+        bounty.requester = msg.sender;
+        bounty.twitterHandle = handle;
+        bounty.tweetText = tweetText;
+        bounty.token = token;
+        bounty.amount = amount;
+        bounty.deadline = deadline;
+        bountiesByTweet[key].push(bountyId);
+        
+        emit BountyCreated(bountyId, msg.sender, handle, tweetText, token, amount, deadline);
+    }
+    
+    /**
+     * @notice Submit a claim for a bounty's handle and text, to win it if the claim verifies the tweet
+     * @dev Any claim that verifies the tweet wins the bounty, see _awardBounties; this one is also counted
+     * as the bounty's pending claim and linked to it in getClaim
+     * @param bountyId The bounty to claim
+     * @param options Per-claim assertion overrides, zero fields use the contract defaults
+     */
+    function submitBountyClaim(
+        uint256 bountyId,
+        AssertionOptions calldata options
+    ) external whenNotPaused returns (bytes32) {
+        Bounty storage bounty = bounties[bountyId];
+        require(bounty.requester != address(0), "Bounty does not exist");
+        require(bounty.winner == address(0), "Bounty already awarded");
+        require(!bounty.isRefunded, "Bounty refunded");
+        require(block.timestamp <= bounty.deadline, "Bounty expired");
+        
+        bounty.pendingClaims++;
+        bytes32 assertionId = _submitClaim(
+            _postedStatement(bounty.twitterHandle, bounty.tweetText, 0),
+            options,
+            bountyId
+        );
         
-        emit ClaimSubmitted(assertionId, msg.sender, twitterHandle, tweetText);
+        emit BountyClaimSubmitted(bountyId, assertionId, msg.sender);
         
         return assertionId;
     }
     
     /**
-     * @notice Settle the assertion and get the result using UMA 
+     * @notice Return an unclaimed bounty to its requester after the deadline
+     * @dev Not possible while a claim for the tweet submitted by the deadline is still pending, bounty claim or not.
+     * The refund is credited to the requester's pending withdrawals.
+     * @param bountyId The bounty to refund
+     */
+    function refundBounty(uint256 bountyId) external {
+        Bounty storage bounty = bounties[bountyId];
+        require(bounty.requester == msg.sender, "Only the requester can refund");
+        require(!bounty.isRefunded, "Bounty already refunded");
+        require(bounty.winner == address(0), "Bounty already awarded");
+        require(block.timestamp > bounty.deadline, "Bounty not expired");
+        require(bounty.pendingClaims == 0, "Bounty has pending claims");
+        bytes32 pending = pendingTweetClaims[ClaimFormat.tweetKey(bounty.twitterHandle, bounty.tweetText)];
+        require(
+            pending == bytes32(0) || getAssertion(pending).assertionTime > bounty.deadline,
+            "Bounty has pending claims"
+        );
+        
+        bounty.isRefunded = true;
+        pendingWithdrawals[bounty.requester][bounty.token] += bounty.amount;
+        
+        emit BountyRefunded(bountyId, bounty.requester, bounty.token, bounty.amount);
+    }
+    
+    /**
+     * @notice Return the bond currency and amount a claim with these options will pull from the claimer
+     * @dev The claimer must approve this contract for at least the returned bond before submitting
+     * @param options Per-claim overrides, zero fields use the contract defaults
+     */
+    function getClaimBond(AssertionOptions memory options) external view returns (IERC20 currency, uint256 bond) {
+        _resolveOptions(options);
+        return (options.currency, options.bond);
+    }
+    
+    /**
+     * @dev Fill unset fields of options with the defaults and validate the bond against the oracle minimum
+     */
+    function _resolveOptions(AssertionOptions memory options) internal view {
+        if (options.liveness == 0) options.liveness = defaultLiveness;
+        if (options.identifier == bytes32(0)) options.identifier = defaultIdentifier;
+        
+        bool customCurrency = address(options.currency) != address(0);
+        if (!customCurrency) options.currency = defaultCurrency;
+        
+        uint256 minimumBond = getMinimumBond(address(options.currency));
+        if (options.bond == 0) {
+            // A custom currency cannot use defaultBond, which is denominated in defaultCurrency
+            uint256 fallbackBond = customCurrency ? 0 : defaultBond;
+            options.bond = fallbackBond > minimumBond ? fallbackBond : minimumBond;
+        } else {
+            require(options.bond >= minimumBond, "Bond below oracle minimum");
+        }
+    }
+    
+    /**
+     * @notice Settle the assertion and get the result using UMA
+     * @dev Claim state and the reward are handled in assertionResolvedCallback, which the oracle calls during
+     * settlement. Calling this again for a claim that resolved true retries an unpaid reward.
      * @param assertionId The ID of the assertion to settle
      */
     function settleAndGetAssertionResult(bytes32 assertionId) public returns (bool) {
         // Make sure the claim exists
         require(claims[assertionId].claimer != address(0), "Claim does not exist");
         
-        // Call UMA to settle the assertion
+        // Call UMA to settle the assertion, which calls back into this contract on first settlement
+        bool wasResolved = claims[assertionId].isResolved;
         bool result = oov3.settleAndGetAssertionResult(assertionId);
         
-        // Update claim status
-        claims[assertionId].isResolved = true;
+        // The callback already tried to pay the reward of a claim resolved by this call, only retry earlier ones
+        if (result && wasResolved && !claims[assertionId].isRewarded) {
+            _payReward(assertionId);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * @notice Settle several claims in one transaction, see settleAndGetAssertionResult
+     * @dev All or nothing: a claim that cannot be settled yet reverts the batch, check canBeSettled first
+     * @param assertionIds The claims to settle
+     * @return results The resolution of each claim, in the order of the IDs
+     */
+    function settleClaims(bytes32[] calldata assertionIds) external returns (bool[] memory results) {
+        results = new bool[](assertionIds.length);
+        for (uint256 i = 0; i < assertionIds.length; i++) {
+            results[i] = settleAndGetAssertionResult(assertionIds[i]);
+        }
+    }
+    
+    /**
+     * @notice Called by the oracle when an assertion made by this contract is settled
+     * @dev Must not revert, or settlement on the oracle is blocked
+     * @param assertionId The ID of the resolved assertion
+     * @param assertedTruthfully Whether the claim resolved as true
+     */
+    function assertionResolvedCallback(bytes32 assertionId, bool assertedTruthfully) external {
+        require(msg.sender == address(oov3), "Caller is not the oracle");
+        
+        Claim storage claim = claims[assertionId];
+        if (claim.claimer == address(0) || claim.isResolved) return;
+        
+        claim.isResolved = true;
+        claim.isTruthful = assertedTruthfully;
         
-        emit ClaimResolved(assertionId, result);
+        emit ClaimResolved(assertionId, assertedTruthfully);
         
-        // If the assertion was true, send the reward
-        if (result && !claims[assertionId].isRewarded) {
-            // Make sure we have enough ETH
-            require(address(this).balance >= REWARD_AMOUNT, "Insufficient contract balance");
+        if (claim.tweetKey != bytes32(0)) {
+            _registerTweet(claim, assertedTruthfully);
+        }
+        
+        // A bounty claim that verified its tweet was awarded the bounty by _registerTweet
+        if (claim.bountyId != 0) {
+            bounties[claim.bountyId].pendingClaims--;
+        }
+        
+        if (assertedTruthfully) {
+            _payReward(assertionId);
+            _mintBadge(assertionId);
+        }
+    }
+    
+    /**
+     * @notice Called by the oracle when an assertion made by this contract is disputed
+     * @param assertionId The ID of the disputed assertion
+     */
+    function assertionDisputedCallback(bytes32 assertionId) external {
+        require(msg.sender == address(oov3), "Caller is not the oracle");
+        
+        Claim storage claim = claims[assertionId];
+        if (claim.claimer == address(0)) return;
+        
+        claim.isDisputed = true;
+        
+        emit ClaimDisputed(assertionId, getAssertion(assertionId).disputer);
+    }
+    
+    /**
+     * @dev Release the tweet's pending lock and record it as verified if the claim resolved true.
+     * Only bookkeeping, so it cannot block oracle settlement.
+     */
+    function _registerTweet(Claim storage claim, bool assertedTruthfully) internal {
+        delete pendingTweetClaims[claim.tweetKey];
+        if (!assertedTruthfully) return;
+        
+        verifiedTweets[claim.tweetKey] = claim.assertionId;
+        verificationsByHandle[_handleHash(claim.twitterHandle)].push(claim.assertionId);
+        
+        emit TweetVerified(claim.tweetKey, claim.assertionId, claim.twitterHandle, claim.tweetText);
+        
+        _awardBounties(claim.tweetKey, claim.assertionId);
+    }
+    
+    /**
+     * @dev Credit the open bounties of a tweet to the claimer of the claim that verified it, whether it was
+     * submitted through submitBountyClaim or not, if it was asserted by the bounty's deadline. Plain claims win
+     * too, so asserting a bounty's tweet outside submitBountyClaim cannot lock the bounty away from its claimers.
+     * Only bookkeeping, so it cannot block oracle settlement.
+     */
+    function _awardBounties(bytes32 key, bytes32 assertionId) internal {
+        uint256[] storage ids = bountiesByTweet[key];
+        if (ids.length == 0) return;
+        
+        address winner = claims[assertionId].claimer;
+        uint64 assertionTime = getAssertion(assertionId).assertionTime;
+        for (uint256 i = 0; i < ids.length; i++) {
+            Bounty storage bounty = bounties[ids[i]];
+            if (bounty.winner != address(0) || bounty.isRefunded || assertionTime > bounty.deadline) continue;
             
-            // Update reward status and send the reward
-            claims[assertionId].isRewarded = true;
-            payable(claims[assertionId].claimer).transfer(REWARD_AMOUNT);
+            bounty.winner = winner;
+            bounty.winningAssertionId = assertionId;
+            pendingWithdrawals[winner][bounty.token] += bounty.amount;
             
-            emit RewardPaid(assertionId, claims[assertionId].claimer, REWARD_AMOUNT);
+            emit BountyAwarded(ids[i], assertionId, winner);
+        }
+    }
+    
+    function _handleHash(string memory twitterHandle) internal pure returns (bytes32) {
+        return keccak256(bytes(ClaimFormat.normalizeHandle(twitterHandle)));
+    }
+    
+    /**
+     * @dev Credit the reward to the claimer's pending withdrawals without reverting, so a short balance never
+     * blocks oracle settlement. An unpaid reward can be retried through settleAndGetAssertionResult.
+     * Negative claims, the only ones without a tweet key, are not paid: an early cutoff or made-up text makes one
+     * trivially true.
+     */
+    function _payReward(bytes32 assertionId) internal {
+        Claim storage claim = claims[assertionId];
+        if (claim.tweetKey == bytes32(0)) return;
+        address token = rewardToken;
+        uint256 amount = rewardAmount;
+        
+        // Make sure we have enough funds outside of bounty escrow and pending withdrawals
+        if (surplus(token) < amount) {
+            emit RewardPaymentFailed(assertionId, claim.claimer, token, amount);
+            return;
         }
         
-        return result;
+        claim.isRewarded = true;
+        pendingWithdrawals[claim.claimer][token] += amount;
+        reservedFunds[token] += amount;
+        
+        emit RewardPaid(assertionId, claim.claimer, token, amount);
+    }
+    
+    /**
+     * @dev Mint the claimer's badge if a badge contract is set. A low-level call, so a failing mint cannot block
+     * oracle settlement; anyone can mint the badge later with VerificationBadge.mint.
+     */
+    function _mintBadge(bytes32 assertionId) internal {
+        if (address(badge) == address(0)) return;
+        (bool minted, ) = address(badge).call(abi.encodeCall(IVerificationBadge.mint, (assertionId)));
+        if (!minted) emit BadgeMintFailed(assertionId, address(badge));
+    }
+    
+    /**
+     * @dev Send ETH with a full-gas call so smart-contract wallets can receive it, or transfer an ERC-20 token
+     */
+    function _send(address token, address payable to, uint256 amount) internal {
+        if (token == address(0)) {
+            Address.sendValue(to, amount);
+        } else {
+            IERC20(token).safeTransfer(to, amount);
+        }
     }
     
     /**
@@ -122,6 +799,14 @@ contract TwitterVerification {
         return oov3.getAssertion(assertionId);
     }
     
+    /**
+     * @notice Return the oracle's minimum bond for a currency
+     * @param currency The ERC-20 bond currency
+     */
+    function getMinimumBond(address currency) public view returns (uint256) {
+        return oov3.getMinimumBond(currency);
+    }
+    
     /**
      * @notice Get claim details by assertion ID
      * @param assertionId The ID of the assertion to query
@@ -133,7 +818,7 @@ contract TwitterVerification {
         bool isResolved,
         bool isRewarded
     ) {
-        Claim memory claim = claims[assertionId];
+        Claim storage claim = claims[assertionId];
         return (
             claim.claimer,
             claim.twitterHandle,
@@ -144,11 +829,122 @@ contract TwitterVerification {
     }
     
     /**
-     * @notice Check if a claim has been verified
+     * @notice Get all stored fields of a claim
+     * @param assertionId The ID of the assertion to query
+     */
+    function getClaim(bytes32 assertionId) external view returns (Claim memory) {
+        return claims[assertionId];
+    }
+    
+    /**
+     * @notice Get the exact claim asserted to the oracle, as built by ClaimFormat
+     * @param assertionId The ID of the assertion to query
+     */
+    function getAssertedClaim(bytes32 assertionId) external view returns (bytes memory) {
+        return claims[assertionId].assertedClaim;
+    }
+    
+    /**
+     * @notice Get the lifecycle status of a claim
+     * @param assertionId The ID of the assertion to query
+     */
+    function getClaimStatus(bytes32 assertionId) external view returns (ClaimStatus) {
+        Claim storage claim = claims[assertionId];
+        if (claim.claimer == address(0)) return ClaimStatus.None;
+        if (claim.isResolved) return claim.isTruthful ? ClaimStatus.Verified : ClaimStatus.Rejected;
+        if (claim.isDisputed) return ClaimStatus.Disputed;
+        return ClaimStatus.Pending;
+    }
+    
+    /**
+     * @notice Return the registry key of a tweet, see ClaimFormat.tweetKey
+     * @param twitterHandle The Twitter username, in any case
+     * @param tweetText The exact text of the tweet
+     */
+    function tweetKey(string calldata twitterHandle, string calldata tweetText) external pure returns (bytes32) {
+        return ClaimFormat.tweetKey(twitterHandle, tweetText);
+    }
+    
+    /**
+     * @notice Check if a Posted or PostedBetween claim for this handle and text has resolved true
+     * @param twitterHandle The Twitter username, in any case
+     * @param tweetText The exact text of the tweet
+     */
+    function isTweetVerified(string calldata twitterHandle, string calldata tweetText) public view returns (bool) {
+        return verifiedTweets[ClaimFormat.tweetKey(twitterHandle, tweetText)] != bytes32(0);
+    }
+    
+    /**
+     * @notice Get the assertion IDs of the verified tweets of a handle, oldest first
+     * @param twitterHandle The Twitter username, in any case
+     */
+    function getVerificationsFor(string calldata twitterHandle) external view returns (bytes32[] memory) {
+        return verificationsByHandle[_handleHash(twitterHandle)];
+    }
+    
+    /**
+     * @notice Get the number of claims submitted by an account
+     * @param claimer The account that submitted the claims
+     */
+    function claimCountByClaimer(address claimer) external view returns (uint256) {
+        return claimsByClaimer[claimer].length;
+    }
+    
+    /**
+     * @notice Get a page of the assertion IDs of an account's claims, oldest first
+     * @param claimer The account that submitted the claims
+     * @param offset Index of the first claim to return
+     * @param limit Maximum number of claims to return
+     */
+    function getClaimsByClaimer(
+        address claimer,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (bytes32[] memory) {
+        return _page(claimsByClaimer[claimer], offset, limit);
+    }
+    
+    /**
+     * @notice Get the number of claims about a handle
+     * @param twitterHandle The Twitter username, in any case
+     */
+    function claimCountByHandle(string calldata twitterHandle) external view returns (uint256) {
+        return claimsByHandle[_handleHash(twitterHandle)].length;
+    }
+    
+    /**
+     * @notice Get a page of the assertion IDs of the claims about a handle, oldest first
+     * @param twitterHandle The Twitter username, in any case
+     * @param offset Index of the first claim to return
+     * @param limit Maximum number of claims to return
+     */
+    function getClaimsByHandle(
+        string calldata twitterHandle,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (bytes32[] memory) {
+        return _page(claimsByHandle[_handleHash(twitterHandle)], offset, limit);
+    }
+    
+    /**
+     * @dev Copy up to limit entries starting at offset, empty if offset is past the end
+     */
+    function _page(bytes32[] storage ids, uint256 offset, uint256 limit) internal view returns (bytes32[] memory page) {
+        if (offset >= ids.length) return page;
+        uint256 end = ids.length - offset < limit ? ids.length : offset + limit;
+        
+        page = new bytes32[](end - offset);
+        for (uint256 i = 0; i < page.length; i++) {
+            page[i] = ids[offset + i];
+        }
+    }
+    
+    /**
+     * @notice Check if a claim has been verified, whether or not its reward was paid
      * @param assertionId The ID of the assertion to check
      */
     function isClaimVerified(bytes32 assertionId) external view returns (bool) {
-        return claims[assertionId].isResolved && claims[assertionId].isRewarded;
+        return claims[assertionId].isResolved && claims[assertionId].isTruthful;
     }
     
     /**
@@ -163,7 +959,7 @@ contract TwitterVerification {
         if (claims[assertionId].isResolved) return false;
         
         // Otherwise, we use UMA's assertion data to determine if it can be settled
-        IOptimisticOracleV3.Assertion memory assertion = oov3.getAssertion(assertionId);
+        IOptimisticOracleV3.Assertion memory assertion = getAssertion(assertionId);
         
         // An assertion can be settled if:
         // 1. It's not already settled
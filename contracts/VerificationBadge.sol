@@ -0,0 +1,268 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC721/extensions/IERC721Metadata.sol";
+import "@openzeppelin/contracts/utils/introspection/IERC165.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "./ClaimFormat.sol";
+import "./IOptimisticOracleV3.sol";
+import "./IVerificationBadge.sol";
+import "./TwitterVerification.sol";
+
+/**
+ * @title VerificationBadge
+ * @notice Soulbound ERC-721 attestation of a claim that resolved true, held by its claimer. The token ID is the
+ * claim's assertion ID. Metadata and image are rendered on-chain from the claim stored in TwitterVerification.
+ * @dev A separate contract because TwitterVerification is close to the contract size limit. Tokens cannot be
+ * transferred or approved (ERC-5192: always locked).
+ */
+contract VerificationBadge is IERC721Metadata, IVerificationBadge {
+    // ERC-5192 minimal soulbound interface: locked(uint256) and the Locked/Unlocked events
+    bytes4 private constant ERC5192_INTERFACE_ID = 0xb45a3c0e;
+
+    // Tweet text layout in the image: up to TEXT_LINES lines of about LINE_WIDTH monospace characters
+    uint256 private constant LINE_WIDTH = 36;
+    uint256 private constant TEXT_LINES = 9;
+    uint256 private constant TEXT_TOP = 180;
+    uint256 private constant LINE_HEIGHT = 26;
+
+    // Contract whose verified claims earn badges
+    TwitterVerification public immutable verifier;
+
+    mapping(uint256 => address) private owners;
+    mapping(address => uint256) private balances;
+
+    // ERC-5192: emitted when a token is minted, as badges are locked from the start
+    event Locked(uint256 tokenId);
+
+    /**
+     * @param _verifier The TwitterVerification contract, which mints badges as claims resolve true
+     */
+    constructor(address _verifier) {
+        require(_verifier != address(0), "Verifier address cannot be zero");
+        verifier = TwitterVerification(payable(_verifier));
+    }
+
+    /**
+     * @notice Mint the badge of a claim that resolved true to its claimer. TwitterVerification calls this when the
+     * claim resolves; anyone can call it for claims that resolved before the badge contract was set.
+     * @param assertionId The claim's assertion ID, which is also the token ID
+     * @return tokenId The minted token
+     */
+    function mint(bytes32 assertionId) external returns (uint256 tokenId) {
+        TwitterVerification.Claim memory claim = verifier.getClaim(assertionId);
+        require(claim.isResolved && claim.isTruthful, "Claim not verified");
+
+        tokenId = uint256(assertionId);
+        require(owners[tokenId] == address(0), "Badge already minted");
+        owners[tokenId] = claim.claimer;
+        balances[claim.claimer]++;
+
+        emit Transfer(address(0), claim.claimer, tokenId);
+        emit Locked(tokenId);
+    }
+
+    function name() external pure returns (string memory) {
+        return "Verified Tweet";
+    }
+
+    function symbol() external pure returns (string memory) {
+        return "TWEET";
+    }
+
+    /**
+     * @notice Metadata of a badge as a data: URI of JSON, with the image as a data: URI of SVG
+     * @param tokenId The token, i.e. the claim's assertion ID as a number
+     */
+    function tokenURI(uint256 tokenId) external view returns (string memory) {
+        require(owners[tokenId] != address(0), "Badge does not exist");
+        bytes32 assertionId = bytes32(tokenId);
+        TwitterVerification.Claim memory claim = verifier.getClaim(assertionId);
+        uint256 assertedAt = verifier.oov3().getAssertion(assertionId).assertionTime;
+
+        string memory summary = _summary(claim);
+        bytes memory json = abi.encodePacked(
+            '{"name":"Verified tweet by @', claim.twitterHandle,
+            '","description":"@', claim.twitterHandle, " ", summary, ": ", _escapeJson(bytes(claim.tweetText)),
+            "\\n\\nAsserted to UMA's Optimistic Oracle V3 and resolved true.",
+            '","image":"data:image/svg+xml;base64,', Base64.encode(_image(claim, summary, assertionId, assertedAt)),
+            '","attributes":', _attributes(claim, assertionId, assertedAt), "}"
+        );
+        return string(abi.encodePacked("data:application/json;base64,", Base64.encode(json)));
+    }
+
+    function balanceOf(address owner) external view returns (uint256) {
+        require(owner != address(0), "Zero address has no badges");
+        return balances[owner];
+    }
+
+    function ownerOf(uint256 tokenId) external view returns (address owner) {
+        owner = owners[tokenId];
+        require(owner != address(0), "Badge does not exist");
+    }
+
+    /**
+     * @notice ERC-5192: whether a token is soulbound, which badges always are
+     */
+    function locked(uint256 tokenId) external view returns (bool) {
+        require(owners[tokenId] != address(0), "Badge does not exist");
+        return true;
+    }
+
+    function getApproved(uint256 tokenId) external view returns (address) {
+        require(owners[tokenId] != address(0), "Badge does not exist");
+        return address(0);
+    }
+
+    function isApprovedForAll(address, address) external pure returns (bool) {
+        return false;
+    }
+
+    function approve(address, uint256) external pure {
+        revert("Badges are non-transferable");
+    }
+
+    function setApprovalForAll(address, bool) external pure {
+        revert("Badges are non-transferable");
+    }
+
+    function transferFrom(address, address, uint256) external pure {
+        revert("Badges are non-transferable");
+    }
+
+    function safeTransferFrom(address, address, uint256) external pure {
+        revert("Badges are non-transferable");
+    }
+
+    function safeTransferFrom(address, address, uint256, bytes calldata) external pure {
+        revert("Badges are non-transferable");
+    }
+
+    function supportsInterface(bytes4 interfaceId) external pure returns (bool) {
+        return interfaceId == type(IERC165).interfaceId || interfaceId == type(IERC721).interfaceId ||
+            interfaceId == type(IERC721Metadata).interfaceId || interfaceId == ERC5192_INTERFACE_ID;
+    }
+
+    function _attributes(
+        TwitterVerification.Claim memory claim,
+        bytes32 assertionId,
+        uint256 assertedAt
+    ) private pure returns (bytes memory) {
+        return abi.encodePacked(
+            '[{"trait_type":"Handle","value":"', claim.twitterHandle,
+            '"},{"trait_type":"Claim type","value":"', ClaimFormat.typeName(ClaimFormat.ClaimType(claim.claimType)),
+            '"},{"display_type":"date","trait_type":"Asserted","value":', ClaimFormat.toString(assertedAt),
+            '},{"trait_type":"Assertion ID","value":"', ClaimFormat.toHexString(assertionId), '"}]'
+        );
+    }
+
+    // What the claim proved, after the handle: "posted", "posted between <day> and <day>", "had not posted before <day>"
+    function _summary(TwitterVerification.Claim memory claim) private pure returns (string memory) {
+        if (claim.claimType == uint8(ClaimFormat.ClaimType.PostedBetween)) {
+            return string(abi.encodePacked("posted between ", _day(claim.windowStart), " and ", _day(claim.windowEnd)));
+        }
+        if (claim.claimType == uint8(ClaimFormat.ClaimType.NotPostedBefore)) {
+            return string(abi.encodePacked("had not posted before ", _day(claim.windowEnd)));
+        }
+        return "posted";
+    }
+
+    function _image(
+        TwitterVerification.Claim memory claim,
+        string memory summary,
+        bytes32 assertionId,
+        uint256 assertedAt
+    ) private pure returns (bytes memory) {
+        return abi.encodePacked(
+            '<svg xmlns="http://www.w3.org/2000/svg" width="500" height="500" viewBox="0 0 500 500">',
+            "<style>text{font-family:monospace;fill:#e7e9ea}.h{font-size:28px;font-weight:bold;fill:#1d9bf0}",
+            ".s{font-size:14px;fill:#8b98a5}.i{font-size:9.5px;fill:#8b98a5}.t{font-size:18px}</style>",
+            '<rect width="500" height="500" rx="24" fill="#15202b"/>',
+            '<text x="40" y="60" class="s">VERIFIED TWEET / UMA OPTIMISTIC ORACLE</text>',
+            '<text x="40" y="105" class="h">@', claim.twitterHandle, "</text>",
+            '<text x="40" y="135" class="s">', summary, "</text>",
+            _textLines(bytes(claim.tweetText)),
+            _footer(assertionId, assertedAt)
+        );
+    }
+
+    function _footer(bytes32 assertionId, uint256 assertedAt) private pure returns (bytes memory) {
+        return abi.encodePacked(
+            '<text x="40" y="440" class="s">Asserted ', ClaimFormat.isoDate(assertedAt), "</text>",
+            '<text x="40" y="465" class="i">', ClaimFormat.toHexString(assertionId), "</text></svg>"
+        );
+    }
+
+    // The tweet text as <text> elements, wrapped at spaces and line breaks. Characters of three or more UTF-8
+    // bytes (CJK, emoji) count as two columns. Text beyond the last line is cut off with an ellipsis.
+    function _textLines(bytes memory text) private pure returns (bytes memory lines) {
+        uint256 start = 0;
+        for (uint256 line = 0; line < TEXT_LINES && start < text.length; line++) {
+            uint256 end = start;
+            uint256 columns = 0;
+            uint256 lastSpace = start;
+            while (end < text.length && text[end] != "\n" && columns < LINE_WIDTH) {
+                if (text[end] == " ") lastSpace = end;
+                columns += uint8(text[end]) >= 0xE0 ? 2 : 1;
+                end++;
+                while (end < text.length && uint8(text[end]) & 0xC0 == 0x80) end++;
+            }
+
+            uint256 next = end;
+            if (end < text.length && text[end] == "\n") {
+                next = end + 1;
+            } else if (end < text.length && lastSpace > start) {
+                end = lastSpace;
+                next = lastSpace + 1;
+            }
+            bool cut = line == TEXT_LINES - 1 && next < text.length;
+
+            lines = abi.encodePacked(
+                lines,
+                '<text x="40" y="', ClaimFormat.toString(TEXT_TOP + line * LINE_HEIGHT), '" class="t">',
+                _escapeXml(_slice(text, start, end)), cut ? unicode"…" : "", "</text>"
+            );
+            start = next;
+        }
+    }
+
+    // YYYY-MM-DD of a Unix timestamp
+    function _day(uint256 timestamp) private pure returns (bytes memory) {
+        return _slice(bytes(ClaimFormat.isoDate(timestamp)), 0, 10);
+    }
+
+    function _slice(bytes memory value, uint256 start, uint256 end) private pure returns (bytes memory part) {
+        part = new bytes(end - start);
+        for (uint256 i = 0; i < part.length; i++) {
+            part[i] = value[start + i];
+        }
+    }
+
+    // Text as SVG character data
+    function _escapeXml(bytes memory value) private pure returns (bytes memory escaped) {
+        for (uint256 i = 0; i < value.length; i++) {
+            bytes1 char = value[i];
+            if (char == "&") escaped = abi.encodePacked(escaped, "&amp;");
+            else if (char == "<") escaped = abi.encodePacked(escaped, "&lt;");
+            else if (char == ">") escaped = abi.encodePacked(escaped, "&gt;");
+            else escaped = abi.encodePacked(escaped, char);
+        }
+    }
+
+    // Text as the inside of a JSON string
+    function _escapeJson(bytes memory value) private pure returns (bytes memory escaped) {
+        bytes memory digits = "0123456789abcdef";
+        for (uint256 i = 0; i < value.length; i++) {
+            bytes1 char = value[i];
+            if (char == '"' || char == "\\") {
+                escaped = abi.encodePacked(escaped, "\\", char);
+            } else if (char == "\n") {
+                escaped = abi.encodePacked(escaped, "\\n");
+            } else if (uint8(char) < 0x20) {
+                escaped = abi.encodePacked(escaped, "\\u00", digits[uint8(char) >> 4], digits[uint8(char) & 0x0f]);
+            } else {
+                escaped = abi.encodePacked(escaped, char);
+            }
+        }
+    }
+}
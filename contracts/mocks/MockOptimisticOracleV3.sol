@@ -0,0 +1,204 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "../IOptimisticOracleV3.sol";
+import "../IOptimisticOracleV3CallbackRecipient.sol";
+
+/**
+ * @title MockOptimisticOracleV3
+ * @notice Minimal local stand-in for UMA's Optimistic Oracle V3, for tests and local Hardhat nodes
+ * @dev Mirrors the OOV3 assertion lifecycle (assert, dispute, settle), its callbacks and revert reasons. Disputes are
+ * resolved by calling resolveDispute, which plays the role of the UMA DVM. The winner of a disputed
+ * assertion receives both bonds; no oracle fee is burned.
+ */
+contract MockOptimisticOracleV3 is IOptimisticOracleV3 {
+    using SafeERC20 for IERC20;
+
+    bytes32 public constant override defaultIdentifier = "ASSERT_TRUTH";
+
+    IERC20 public defaultCurrency;
+    uint64 public defaultLiveness;
+    uint256 public minimumBond;
+
+    mapping(bytes32 => Assertion) internal assertions;
+
+    // Mock DVM results for disputed assertions
+    mapping(bytes32 => bool) public disputeResolved;
+    mapping(bytes32 => bool) public disputeResult;
+
+    /**
+     * @param _defaultCurrency Bond currency used by assertTruthWithDefaults
+     * @param _defaultLiveness Challenge window in seconds used by assertTruthWithDefaults
+     * @param _minimumBond Minimum bond returned by getMinimumBond for every currency
+     */
+    constructor(IERC20 _defaultCurrency, uint64 _defaultLiveness, uint256 _minimumBond) {
+        defaultCurrency = _defaultCurrency;
+        defaultLiveness = _defaultLiveness;
+        minimumBond = _minimumBond;
+        emit AdminPropertiesSet(_defaultCurrency, _defaultLiveness, 0.5e18);
+    }
+
+    /**
+     * @notice Change the minimum bond required for new assertions
+     * @param _minimumBond The new minimum bond
+     */
+    function setMinimumBond(uint256 _minimumBond) external {
+        minimumBond = _minimumBond;
+    }
+
+    function getAssertion(bytes32 assertionId) external view override returns (Assertion memory) {
+        return assertions[assertionId];
+    }
+
+    function assertTruthWithDefaults(bytes memory claim, address asserter) external override returns (bytes32) {
+        return assertTruth(
+            claim,
+            asserter,
+            address(0),
+            address(0),
+            defaultLiveness,
+            defaultCurrency,
+            getMinimumBond(address(defaultCurrency)),
+            defaultIdentifier,
+            bytes32(0)
+        );
+    }
+
+    function assertTruth(
+        bytes memory claim,
+        address asserter,
+        address callbackRecipient,
+        address escalationManager,
+        uint64 liveness,
+        IERC20 currency,
+        uint256 bond,
+        bytes32 identifier,
+        bytes32 domainId
+    ) public override returns (bytes32 assertionId) {
+        require(asserter != address(0), "Asserter cant be 0");
+        require(bond >= getMinimumBond(address(currency)), "Bond amount too low");
+
+        uint64 time = uint64(block.timestamp);
+        assertionId = keccak256(
+            abi.encode(claim, bond, time, liveness, currency, callbackRecipient, escalationManager, identifier, msg.sender)
+        );
+        require(assertions[assertionId].asserter == address(0), "Assertion already exists");
+
+        Assertion storage assertion = assertions[assertionId];
+        assertion.escalationManagerSettings.assertingCaller = msg.sender;
+        assertion.escalationManagerSettings.escalationManager = escalationManager;
+        assertion.asserter = asserter;
+        assertion.assertionTime = time;
+        assertion.currency = currency;
+        assertion.expirationTime = time + liveness;
+        assertion.domainId = domainId;
+        assertion.identifier = identifier;
+        assertion.bond = bond;
+        assertion.callbackRecipient = callbackRecipient;
+
+        if (bond > 0) currency.safeTransferFrom(msg.sender, address(this), bond);
+
+        _emitAssertionMade(assertionId, claim);
+    }
+
+    /**
+     * @notice Dispute an assertion before its expiration time, pulling a matching bond from the caller
+     * @param assertionId The assertion to dispute
+     * @param disputer Receives the bonds back if the dispute succeeds
+     */
+    function disputeAssertion(bytes32 assertionId, address disputer) external override {
+        require(disputer != address(0), "Disputer can't be 0");
+        Assertion storage assertion = assertions[assertionId];
+        require(assertion.asserter != address(0), "Assertion does not exist");
+        require(assertion.disputer == address(0), "Assertion already disputed");
+        require(assertion.expirationTime > block.timestamp, "Assertion is expired");
+
+        assertion.disputer = disputer;
+        if (assertion.bond > 0) assertion.currency.safeTransferFrom(msg.sender, address(this), assertion.bond);
+
+        if (assertion.callbackRecipient != address(0)) {
+            IOptimisticOracleV3CallbackRecipient(assertion.callbackRecipient).assertionDisputedCallback(assertionId);
+        }
+
+        emit AssertionDisputed(assertionId, msg.sender, disputer);
+    }
+
+    /**
+     * @notice Stand-in for the DVM vote on a disputed assertion
+     * @param assertionId The disputed assertion
+     * @param truthful Whether the assertion is resolved as true
+     */
+    function resolveDispute(bytes32 assertionId, bool truthful) external {
+        require(assertions[assertionId].disputer != address(0), "Assertion not disputed");
+        disputeResolved[assertionId] = true;
+        disputeResult[assertionId] = truthful;
+    }
+
+    function syncUmaParams(bytes32, address) external override {}
+
+    function settleAssertion(bytes32 assertionId) public override {
+        Assertion storage assertion = assertions[assertionId];
+        require(assertion.asserter != address(0), "Assertion does not exist");
+        require(!assertion.settled, "Assertion already settled");
+
+        address bondRecipient;
+        uint256 payout;
+        bool disputed = assertion.disputer != address(0);
+        if (!disputed) {
+            require(assertion.expirationTime <= block.timestamp, "Assertion not expired");
+            assertion.settlementResolution = true;
+            bondRecipient = assertion.asserter;
+            payout = assertion.bond;
+        } else {
+            require(disputeResolved[assertionId], "Dispute not resolved");
+            assertion.settlementResolution = disputeResult[assertionId];
+            bondRecipient = assertion.settlementResolution ? assertion.asserter : assertion.disputer;
+            payout = assertion.bond * 2;
+        }
+        assertion.settled = true;
+
+        if (payout > 0) assertion.currency.safeTransfer(bondRecipient, payout);
+
+        if (assertion.callbackRecipient != address(0)) {
+            IOptimisticOracleV3CallbackRecipient(assertion.callbackRecipient).assertionResolvedCallback(
+                assertionId,
+                assertion.settlementResolution
+            );
+        }
+
+        emit AssertionSettled(assertionId, bondRecipient, disputed, assertion.settlementResolution, msg.sender);
+    }
+
+    function settleAndGetAssertionResult(bytes32 assertionId) external override returns (bool) {
+        if (!assertions[assertionId].settled) settleAssertion(assertionId);
+        return getAssertionResult(assertionId);
+    }
+
+    function getAssertionResult(bytes32 assertionId) public view override returns (bool) {
+        require(assertions[assertionId].settled, "Assertion not settled");
+        return assertions[assertionId].settlementResolution;
+    }
+
+    function getMinimumBond(address) public view override returns (uint256) {
+        return minimumBond;
+    }
+
+    // Split out of assertTruth to keep its stack shallow
+    function _emitAssertionMade(bytes32 assertionId, bytes memory claim) internal {
+        Assertion storage assertion = assertions[assertionId];
+        emit AssertionMade(
+            assertionId,
+            assertion.domainId,
+            claim,
+            assertion.asserter,
+            assertion.callbackRecipient,
+            assertion.escalationManagerSettings.escalationManager,
+            assertion.escalationManagerSettings.assertingCaller,
+            assertion.expirationTime,
+            assertion.currency,
+            assertion.bond,
+            assertion.identifier
+        );
+    }
+}
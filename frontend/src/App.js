@@ -1,79 +1,360 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { ethers } from 'ethers';
 import './App.css';
+import {
+  GAS_MARGIN_PERCENT,
+  TwitterVerificationClient,
+  decodeError,
+  evidenceLink,
+  hashEvidence,
+  MAX_TWEET_LENGTH,
+  transactionRecord,
+  validateTweet,
+  verificationAbi
+} from 'twitter-verification-sdk';
+import { exportBatchResults, parseBatchFile, validateBatchRows } from './batchImport';
+import { awaitsSettlement, describeChallengeWindow, hasNewlySettleable, timeLeft } from './challengeWindow';
+import { CLAIM_TYPES, buildStatement, decodeAssertedClaim, parseAssertedClaim } from './claimFormat';
+import { defaultDeployment, getDeployment, listDeployments, txUrl } from './deployments';
+import { fetchHandleClaims, indexerUrl, indexesDeployment } from './indexer';
+import {
+  addPendingTransaction,
+  loadPendingTransactions,
+  pendingFor,
+  removePendingTransactions
+} from './pendingTransactions';
+import { makeRoute, parseLocation, pushRoute, routePath, routeUrl, shareOnXUrl, watchRoutes } from './routes';
+import { errorMessage } from './txErrors';
+import { discoverWallets, readOnlyProvider, switchChain } from './wallet';
 
-// Contract ABI (functions needed for frontend)
-const contractABI = [
-  "function submitClaim(string memory twitterHandle, string memory tweetText) external returns (bytes32)",
-  "function getClaimDetails(bytes32 assertionId) external view returns (address claimer, string memory twitterHandle, string memory tweetText, bool isResolved, bool isRewarded)",
-  "function settleAndGetAssertionResult(bytes32 assertionId) public returns (bool)",
-  "function isClaimVerified(bytes32 assertionId) external view returns (bool)",
-  "function canBeSettled(bytes32 assertionId) external view returns (bool)",
-  "function getAssertionResult(bytes32 assertionId) external view returns (bool)",
-  "function getAssertion(bytes32 assertionId) external view returns (tuple(bool validated, bool resolved, bool settlementResolution, address asserter, address challenger, uint64 settlementTimestamp))",
-  "event ClaimSubmitted(bytes32 indexed assertionId, address indexed claimer, string twitterHandle, string tweetText)"
+// Contract events shown in a claim's activity list, all indexed by assertion ID
+const CLAIM_ACTIVITY_EVENTS = ['ClaimSubmitted', 'ClaimDisputed', 'ClaimResolved', 'RewardPaid', 'RewardPaymentFailed'];
+
+// Rows per page of the "My Claims" table
+const MY_CLAIMS_PAGE_SIZE = 10;
+
+// Minimal ERC-20 ABI for displaying token amounts, the SDK client sends the approvals
+const erc20ABI = [
+  "function symbol() external view returns (string)",
+  "function decimals() external view returns (uint8)"
 ];
 
-// Deployed TwitterVerification contract on Sepolia
-const CONTRACT_ADDRESS = "0x5Afe91b48A76C2633e90Ce95d10DCc30269B7585";
+// Symbol and decimals by token address, address zero is ETH
+const tokenInfoCache = { [ethers.ZeroAddress]: { symbol: 'ETH', decimals: 18 } };
+
+async function getTokenInfo(provider, address) {
+  if (!tokenInfoCache[address]) {
+    const token = new ethers.Contract(address, erc20ABI, provider);
+    const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+    tokenInfoCache[address] = { symbol, decimals };
+  }
+  return tokenInfoCache[address];
+}
+
+function formatTokenAmount(amount, info) {
+  return `${ethers.formatUnits(amount, info.decimals)} ${info.symbol}`;
+}
+
+// Send a contract call with its gas estimate plus the SDK's margin as the limit, like the SDK sends its own
+async function sendWithGasMargin(contract, method, args, overrides = {}) {
+  const gas = await contract[method].estimateGas(...args, overrides);
+  return contract[method](...args, { ...overrides, gasLimit: (gas * ethers.getBigInt(100 + GAS_MARGIN_PERCENT)) / 100n });
+}
+
+// Inline feedback on a handle input: its error, or the handle it will be submitted as once normalized
+function HandleFeedback({ input, checked }) {
+  if (!input) return null;
+  if (checked.errors.twitterHandle) return <p className="field-hint field-error">{checked.errors.twitterHandle}</p>;
+  if (checked.twitterHandle !== input) return <p className="field-hint">Submitted as @{checked.twitterHandle}</p>;
+  return null;
+}
+
+// Inline feedback on tweet text: its length as Twitter counts it, and whether it will be normalized
+function TweetTextFeedback({ input, checked }) {
+  if (!input) return null;
+  const tooLong = checked.length > MAX_TWEET_LENGTH;
+  return (
+    <p className={tooLong ? 'field-hint field-error' : 'field-hint'}>
+      {checked.length}/{MAX_TWEET_LENGTH} characters
+      {checked.tweetText !== input && ' \u00b7 Spacing and Unicode will be normalized, as the contract requires'}
+      {checked.errors.tweetText && !tooLong && ` \u00b7 ${checked.errors.tweetText}`}
+    </p>
+  );
+}
+
+// Copy-link and share-on-X buttons for a view
+function ShareLinks({ url, text }) {
+  const [copied, setCopied] = useState(false);
+  
+  async function copyLink() {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      // Clipboard access needs a secure context and may be denied, let the user copy by hand
+      window.prompt('Copy this link:', url);
+    }
+  }
+  
+  return (
+    <div className="share-links">
+      <button type="button" className="link-button" onClick={copyLink}>{copied ? 'Link copied' : 'Copy link'}</button>
+      <a href={shareOnXUrl(text, url)} target="_blank" rel="noopener noreferrer">Share on X</a>
+    </div>
+  );
+}
+
+// Tweet text quoted in a post, shortened to leave room for the rest
+function quoteTweet(text) {
+  return text.length > 100 ? `"${text.slice(0, 99)}\u2026"` : `"${text}"`;
+}
+
+// Look up a tweet in the contract's registry, returning the pending and verifying assertion IDs (or null)
+async function lookupTweet(contract, twitterHandle, tweetText) {
+  const key = await contract.tweetKey(twitterHandle, tweetText);
+  const [pending, verified] = await Promise.all([contract.pendingTweetClaims(key), contract.verifiedTweets(key)]);
+  return {
+    pendingAssertionId: pending === ethers.ZeroHash ? null : pending,
+    verifiedAssertionId: verified === ethers.ZeroHash ? null : verified
+  };
+}
 
 function App() {
   const [twitterHandle, setTwitterHandle] = useState('');
   const [tweetText, setTweetText] = useState('');
+  const [tweetLink, setTweetLink] = useState('');
+  const [contentHash, setContentHash] = useState('');
+  const [evidenceFileName, setEvidenceFileName] = useState('');
+  const [evidenceUri, setEvidenceUri] = useState('');
+  const [claimType, setClaimType] = useState(CLAIM_TYPES.posted);
+  const [windowStart, setWindowStart] = useState('');
+  const [windowEnd, setWindowEnd] = useState('');
+  const [claimPreview, setClaimPreview] = useState('');
+  const [batchFileName, setBatchFileName] = useState('');
+  const [batchRows, setBatchRows] = useState(null);
+  const [tweetRegistry, setTweetRegistry] = useState(null);
+  const [lookupHandle, setLookupHandle] = useState('');
+  const [handleVerifications, setHandleVerifications] = useState(null);
+  const [myClaims, setMyClaims] = useState(null);
+  const [myClaimsPage, setMyClaimsPage] = useState(0);
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState(null);
   const [error, setError] = useState('');
-  const [walletConnected, setWalletConnected] = useState(false);
+  // Transactions left pending when the page was last closed, and those pending now, see pendingTransactions.js
+  const [storedTxs] = useState(loadPendingTransactions);
+  const [pendingTxs, setPendingTxs] = useState(storedTxs);
+  // The view and network in the address bar when the page was loaded, see routes.js
+  const [linked] = useState(() => parseLocation(window.location));
+  const [route, setRoute] = useState(linked.route);
+  const [deployment, setDeployment] = useState(() => getDeployment(linked.chainId) || defaultDeployment());
+  const [wallets, setWallets] = useState([]);
+  const [walletProvider, setWalletProvider] = useState(null);
+  const [walletChainId, setWalletChainId] = useState(null);
   const [contractBalance, setContractBalance] = useState(null);
   const [assertionId, setAssertionId] = useState('');
   const [claimStatus, setClaimStatus] = useState(null);
   const [assertionDetails, setAssertionDetails] = useState(null);
   const [canSettle, setCanSettle] = useState(false);
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
   const [txHash, setTxHash] = useState('');
-
-  // Connect wallet and check network
-  async function connectWallet() {
-    if (window.ethereum) {
+  const [showAdvanced, setShowAdvanced] = useState(false);
+  const [liveness, setLiveness] = useState('');
+  const [bondCurrency, setBondCurrency] = useState('');
+  const [bondAmount, setBondAmount] = useState('');
+  const [identifier, setIdentifier] = useState('');
+  const [bondInfo, setBondInfo] = useState(null);
+  const [account, setAccount] = useState('');
+  const [bounties, setBounties] = useState([]);
+  const [bountyHandle, setBountyHandle] = useState('');
+  const [bountyText, setBountyText] = useState('');
+  const [bountyToken, setBountyToken] = useState('');
+  const [bountyAmount, setBountyAmount] = useState('');
+  const [bountyDeadline, setBountyDeadline] = useState('');
+  const [treasury, setTreasury] = useState(null);
+  const [rewardTokenInput, setRewardTokenInput] = useState('');
+  const [rewardAmountInput, setRewardAmountInput] = useState('');
+  const [surplusToken, setSurplusToken] = useState('');
+  const [surplusAmount, setSurplusAmount] = useState('');
+  const [surplusRecipient, setSurplusRecipient] = useState('');
+  const walletProviderRef = useRef(null);
+  
+  // The selected network drives every read; writes need the wallet on the same network
+  const contractAddress = deployment ? deployment.address : null;
+  const chainId = deployment ? deployment.chainId : null;
+  const walletConnected = Boolean(account) && Boolean(deployment) && walletChainId === deployment.chainId;
+  
+  // Reads go through the wallet when it is on the selected network, otherwise over the network's public RPC
+  const readProvider = useMemo(() => {
+    if (!deployment) return null;
+    return walletConnected ? new ethers.BrowserProvider(walletProvider) : readOnlyProvider(deployment);
+  }, [deployment, walletConnected, walletProvider]);
+  
+  // Handles and text as the contract will take them, with inline errors for the forms
+  const checkedClaim = useMemo(() => validateTweet(twitterHandle, tweetText), [twitterHandle, tweetText]);
+  const checkedBounty = useMemo(() => validateTweet(bountyHandle, bountyText), [bountyHandle, bountyText]);
+  
+  // SDK client for reads, over the same connection as readProvider
+  const readClient = useMemo(() => {
+    if (!deployment) return null;
+    return walletConnected
+      ? TwitterVerificationClient.fromEip1193(deployment.address, walletProvider)
+      : TwitterVerificationClient.fromRpcUrl(deployment.address, deployment.rpcUrl, deployment.chainId);
+  }, [deployment, walletConnected, walletProvider]);
+  
+  // Signer of the connected wallet, read from the ref so it is current right after connectWallet
+  function walletSigner() {
+    return new ethers.BrowserProvider(walletProviderRef.current).getSigner();
+  }
+  
+  // SDK client sending transactions from the connected wallet, see walletSigner
+  function walletClient() {
+    return TwitterVerificationClient.fromEip1193(contractAddress, walletProviderRef.current);
+  }
+  
+  // Views loaded on this page by routePath, so following the address bar does not load one twice
+  const shownRouteRef = useRef(null);
+  
+  // Put a view the user opened in the address bar, ignoring malformed values
+  function showRoute(view, value) {
+    const next = makeRoute(view, value);
+    if (!next) return;
+    shownRouteRef.current = routePath(next, chainId);
+    setRoute(next);
+    pushRoute(next, chainId);
+  }
+  
+  // Message for a failed call or transaction, by the error code the SDK decodes it to, see txErrors.js
+  function describeError(err) {
+    return errorMessage(readClient ? readClient.decodeError(err) : decodeError(err));
+  }
+  
+  // Keep the transactions sent by fn in localStorage until it returns or throws, so a reload before then resumes
+  // waiting for them. fn gets track(tx, kind, label, assertionId) to call as each is sent, which returns the
+  // transaction's record for waitForTransaction; replacements are searched from a block read before any is sent.
+  async function withPendingTransactions(fn) {
+    const startBlock = await readProvider.getBlockNumber();
+    const hashes = [];
+    const track = (tx, kind, label, claimId = null) => {
+      const record = transactionRecord(tx, startBlock);
+      hashes.push(tx.hash);
+      setPendingTxs(addPendingTransaction({
+        ...record,
+        chainId,
+        contract: contractAddress,
+        kind,
+        label,
+        assertionId: claimId,
+        sentAt: Date.now()
+      }));
+      return record;
+    };
+    
+    try {
+      return await fn(track);
+    } finally {
+      if (hashes.length) setPendingTxs(removePendingTransactions(hashes));
+    }
+  }
+  
+  // Stop listing a pending transaction, e.g. one the wallet dropped without replacing it
+  function forgetTransaction(hash) {
+    setPendingTxs(removePendingTransactions([hash]));
+  }
+  
+  // Remember the wallet the user picked, along with its account and network
+  function adoptWallet(provider, accounts, chainId) {
+    walletProviderRef.current = provider;
+    setWalletProvider(provider);
+    setWalletChainId(chainId);
+    setAccount(accounts.length ? ethers.getAddress(accounts[0]) : '');
+  }
+  
+  // Connect a wallet, one announced through EIP-6963 or the injected window.ethereum, and switch it to the
+  // selected network
+  async function connectWallet(wallet = null) {
+    const provider = wallet ? wallet.provider : walletProviderRef.current || (wallets[0] && wallets[0].provider) || window.ethereum;
+    if (!provider) {
+      setError('No wallet detected. Please install a browser wallet such as MetaMask; claims can be looked up without one.');
+      return false;
+    }
+    if (!deployment) {
+      setError('The contract is not deployed on any network yet.');
+      return false;
+    }
+    
+    try {
+      const accounts = await provider.request({ method: 'eth_requestAccounts' });
+      let chainId = parseInt(await provider.request({ method: 'eth_chainId' }), 16);
+      
+      if (chainId !== deployment.chainId) {
+        await switchChain(provider, deployment);
+        chainId = deployment.chainId;
+      }
+      
+      adoptWallet(provider, accounts, chainId);
+      setError('');
+      return true;
+    } catch (err) {
+      setError('Failed to connect wallet: ' + err.message);
+      return false;
+    }
+  }
+  
+  // Switch the page to another network, and the wallet with it when one is connected
+  async function selectNetwork(chainId) {
+    const selected = getDeployment(chainId);
+    if (!selected) return;
+    
+    if (account && walletProviderRef.current) {
       try {
-        await window.ethereum.request({ method: 'eth_requestAccounts' });
-        
-        // Check if we're on Sepolia
-        const provider = new ethers.providers.Web3Provider(window.ethereum);
-        const network = await provider.getNetwork();
-        
-        if (network.chainId !== 11155111) { // Sepolia chain ID
-          setError('Please connect to Sepolia testnet');
-          return false;
-        }
-        
-        setWalletConnected(true);
-        setError('');
-        
-        // Get contract balance
-        const balance = await provider.getBalance(CONTRACT_ADDRESS);
-        setContractBalance(ethers.utils.formatEther(balance));
-        
-        return true;
+        await switchChain(walletProviderRef.current, selected);
       } catch (err) {
-        setError('Failed to connect wallet: ' + err.message);
-        return false;
+        setError('Failed to switch network: ' + err.message);
+        return;
       }
-    } else {
-      setError('MetaMask not detected. Please install MetaMask.');
-      return false;
+    }
+    setDeployment(selected);
+  }
+  
+  // Ask the connected wallet to move to the selected network
+  async function switchWalletNetwork() {
+    try {
+      await switchChain(walletProviderRef.current, deployment);
+      setError('');
+    } catch (err) {
+      setError('Failed to switch network: ' + err.message);
     }
   }
+  
+  // Load the contract's native balance on the selected network
+  const loadContractBalance = useCallback(async () => {
+    try {
+      const balance = await readProvider.getBalance(contractAddress);
+      setContractBalance(ethers.formatEther(balance));
+    } catch (err) {
+      console.error("Error loading contract balance:", err);
+      setContractBalance(null);
+    }
+  }, [readProvider, contractAddress]);
 
   // Submit claim to the contract
   async function submitClaim() {
     setError('');
     setResult(null);
     
-    if (!twitterHandle || !tweetText) {
-      setError('Please enter both Twitter handle and tweet text');
+    const { statement, error: statementError } = buildStatement(
+      { claimType, twitterHandle, tweetText, tweetLink, windowStart, windowEnd, contentHash, evidenceUri },
+      Math.floor(Date.now() / 1000)
+    );
+    if (statementError) {
+      setError(statementError);
       return;
     }
     
+    const options = buildAssertionOptions();
+    if (!options) return;
+    
     if (!walletConnected) {
       const connected = await connectWallet();
       if (!connected) return;
@@ -82,131 +363,319 @@ function App() {
     try {
       setLoading(true);
       
-      const provider = new ethers.providers.Web3Provider(window.ethereum);
-      const signer = provider.getSigner();
-      const contract = new ethers.Contract(CONTRACT_ADDRESS, contractABI, signer);
-      
-      // Remove @ if user included it
-      const cleanHandle = twitterHandle.startsWith('@') 
-        ? twitterHandle.substring(1) 
-        : twitterHandle;
-      
-      console.log("Submitting claim with params:", cleanHandle, tweetText);
-      
-      // Submit the claim to the contract
-      const tx = await contract.submitClaim(cleanHandle, tweetText, {
-        gasLimit: 1000000
-      });
-      
-      console.log("Transaction sent:", tx.hash);
-      setTxHash(tx.hash); // Store the transaction hash for later use
+      // Posted and time-bounded claims are rejected for tweets that are already pending or verified
+      if (claimType !== CLAIM_TYPES.notPostedBefore) {
+        const contract = new ethers.Contract(contractAddress, verificationAbi, readProvider);
+        const registry = await lookupTweet(contract, statement.twitterHandle, statement.tweetText);
+        setTweetRegistry(registry);
+        if (registry.verifiedAssertionId || registry.pendingAssertionId) {
+          setError(registry.verifiedAssertionId
+            ? 'This tweet has already been verified'
+            : 'A claim for this tweet is already pending');
+          return;
+        }
+      }
       
-      setResult({
-        status: 'Claim submitted',
-        message: 'Transaction submitted. Waiting for confirmation...',
-        txHash: tx.hash
-      });
+      console.log("Submitting claim with params:", statement, options);
       
-      // Wait for transaction to be mined
-      const receipt = await tx.wait();
-      console.log("Transaction confirmed:", receipt);
+      // The client approves the bond if needed and picks the entry point for the claim's type, only passing the
+      // overrides if set
+      const { assertionId: id, txHash: hash } = await withPendingTransactions((track) => walletClient().submitClaim(statement, {
+        ...(options.overridden ? options.values : {}),
+        onTransaction: (stage, tx) => {
+          if (stage === 'approve') {
+            showApproval(track, tx, 'claim bond');
+            return;
+          }
+          track(tx, 'submit', 'Claim submission');
+          console.log("Transaction sent:", tx.hash);
+          setTxHash(tx.hash); // Store the transaction hash for later use
+          setResult({
+            status: 'Claim submitted',
+            message: 'Transaction submitted. Waiting for confirmation...',
+            txHash: tx.hash
+          });
+        }
+      }));
       
-      // Try to find the assertion ID from the receipt logs
-      const id = await findAssertionIdFromReceipt(receipt, contract);
+      await loadMyClaims();
       
       if (id) {
         setAssertionId(id);
         
         setResult({
           status: 'Claim processed',
-          message: 'Your claim has been submitted. The verification will be completed once the UMA challenge period ends (typically 2 minutes on Sepolia for testing).',
-          txHash: tx.hash,
+          message: 'Your claim has been submitted. The verification will be completed once the UMA challenge period ends.',
+          txHash: hash,
           assertionId: id
         });
       } else {
         setResult({
           status: 'Claim processed',
           message: 'Your claim has been submitted, but we could not automatically extract the assertion ID. Use the "Find Assertion ID" button below or check transaction details on Etherscan.',
-          txHash: tx.hash
+          txHash: hash
         });
       }
       
     } catch (err) {
       console.error("Transaction error:", err);
-      let errorMessage = "transaction failed";
-      if (err.reason) {
-        errorMessage = err.reason;
-      } else if (err.error && err.error.message) {
-        errorMessage = err.error.message;
-      } else if (err.data && err.data.message) {
-        errorMessage = err.data.message;
-      } else if (err.message) {
-        errorMessage = err.message;
-      }
-      
-      setError('Error submitting claim: ' + errorMessage);
+      setError('Error submitting claim: ' + describeError(err));
     } finally {
       setLoading(false);
     }
   }
 
-  // Helper function to extract assertion ID from transaction receipt
-  async function findAssertionIdFromReceipt(receipt, contract) {
+  // Read a CSV or JSON file of claims, validate each row and look its tweet up in the registry for the preview
+  async function loadBatchFile(file) {
+    setBatchRows(null);
+    setBatchFileName('');
+    if (!file) return;
+    
+    setError('');
+    const { rows, error: fileError } = parseBatchFile(await file.text(), file.name);
+    if (fileError) {
+      setError(`Could not read ${file.name}: ${fileError}`);
+      return;
+    }
+    
+    const checked = validateBatchRows(rows, Math.floor(Date.now() / 1000));
     try {
-      // First try our contract's ClaimSubmitted event
-      for (const log of receipt.logs) {
-        try {
-          const parsedLog = contract.interface.parseLog(log);
-          if (parsedLog.name === 'ClaimSubmitted') {
-            return parsedLog.args.assertionId;
-          }
-        } catch (e) {
-          // Not an event we can parse, continue to next log
+      setLoading(true);
+      const contract = new ethers.Contract(contractAddress, verificationAbi, readProvider);
+      const registered = await Promise.all(checked.map(async (row) => {
+        if (!row.key) return row;
+        const [pending, verified] = await Promise.all([contract.pendingTweetClaims(row.key), contract.verifiedTweets(row.key)]);
+        if (verified !== ethers.ZeroHash) return { ...row, error: `Already verified by ${verified.substring(0, 10)}...` };
+        if (pending !== ethers.ZeroHash) return { ...row, error: `Already claimed by pending ${pending.substring(0, 10)}...` };
+        return row;
+      }));
+      setBatchRows(registered);
+      setBatchFileName(file.name);
+    } catch (err) {
+      console.error("Error checking batch claims:", err);
+      setError('Could not check the claims against the registry: ' + describeError(err));
+    } finally {
+      setLoading(false);
+    }
+  }
+  
+  // Submit the valid rows of the batch that are not submitted yet, in as many transactions as their gas needs.
+  // Rows get their assertion IDs as each transaction confirms, so a failure part way keeps what went through.
+  async function submitBatch() {
+    setError('');
+    setResult(null);
+    
+    const pending = batchRows.filter((row) => !row.error && !row.assertionId);
+    if (pending.length === 0) return;
+    
+    const options = buildAssertionOptions();
+    if (!options) return;
+    
+    if (!walletConnected) {
+      const connected = await connectWallet();
+      if (!connected) return;
+    }
+    
+    try {
+      setLoading(true);
+      await withPendingTransactions((track) => walletClient().submitClaims(pending.map((row) => row.statement), {
+        ...(options.overridden ? options.values : {}),
+        onTransaction: (stage, tx) => {
+          track(tx, stage === 'approve' ? 'approve' : 'submit-batch', stage === 'approve' ? 'Bond approval' : 'Batch claim submission');
+          setResult({
+            status: stage === 'approve' ? 'Approving tokens' : 'Claims submitted',
+            message: stage === 'approve'
+              ? `Approving the contract to transfer the bonds of ${pending.length} claims. Confirm the next transactions once this is mined.`
+              : 'Transaction submitted. Waiting for confirmation...',
+            txHash: tx.hash
+          });
+        },
+        onChunk: ({ from, assertionIds, txHash: hash }) => {
+          const ids = new Map(pending.slice(from, from + assertionIds.length).map((row, i) => [row.line, assertionIds[i]]));
+          setBatchRows((rows) => rows.map((row) => (
+            ids.has(row.line) ? { ...row, assertionId: ids.get(row.line), txHash: hash } : row
+          )));
+          setResult({
+            status: 'Claims processed',
+            message: `${from + assertionIds.length} of ${pending.length} claims submitted.`,
+            txHash: hash
+          });
         }
+      }));
+      await loadMyClaims();
+    } catch (err) {
+      console.error("Batch submission error:", err);
+      setError('Error submitting claims: ' + describeError(err));
+    } finally {
+      setLoading(false);
+    }
+  }
+  
+  // Settle the submitted claims of the batch whose challenge window has passed, in one transaction
+  async function settleBatch() {
+    setError('');
+    
+    if (!walletConnected) {
+      const connected = await connectWallet();
+      if (!connected) return;
+    }
+    
+    try {
+      setLoading(true);
+      const contract = new ethers.Contract(contractAddress, verificationAbi, readProvider);
+      const submitted = batchRows.filter((row) => row.assertionId);
+      const settleable = await Promise.all(submitted.map((row) => contract.canBeSettled(row.assertionId)));
+      const ids = submitted.filter((row, i) => settleable[i]).map((row) => row.assertionId);
+      if (ids.length === 0) {
+        setError('None of these claims can be settled yet, their challenge windows are still open or they are already settled.');
+        return;
       }
-
-      // If that doesn't work, try looking for the UMA contract's AssertionMade event
-      for (const log of receipt.logs) {
-        // The 0th topic is the event signature
-        if (log.topics[0] === ethers.utils.id("AssertionMade(bytes32,bytes32,address,address,address,address,uint64,address,uint256,bytes32,bytes)")) {
-          // The 1st topic is the assertion ID in UMA's event
-          return log.topics[1];
+      
+      const { results, txHash: hash } = await withPendingTransactions((track) => walletClient().settleClaims(ids, {
+        onTransaction: (stage, tx) => {
+          track(tx, 'settle-batch', 'Batch settlement');
+          setResult({
+            status: 'Claim settlement initiated',
+            message: `Settling ${ids.length} claims. Please wait for the transaction to be confirmed...`,
+            txHash: tx.hash
+          });
         }
-      }
+      }));
+      await loadTreasury();
+      await loadMyClaims();
       
-      return null;
-    } catch (e) {
-      console.error("Error extracting assertion ID:", e);
-      return null;
+      setResult({
+        status: 'Claims settled',
+        message: `${results.filter(Boolean).length} of ${ids.length} claims resolved as true.`,
+        txHash: hash
+      });
+    } catch (err) {
+      console.error("Error settling claims:", err);
+      setError('Error settling claims: ' + describeError(err));
+    } finally {
+      setLoading(false);
+    }
+  }
+  
+  // Save the assertion IDs of the submitted rows as a CSV or JSON file
+  function downloadBatchResults(format) {
+    const blob = new Blob([exportBatchResults(batchRows, format)], { type: format === 'json' ? 'application/json' : 'text/csv' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${batchFileName.replace(/\.[^.]*$/, '')}-assertions.${format}`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  // Hash a captured copy of the tweet (its JSON or a screenshot) in the browser; only the hash is submitted
+  async function hashEvidenceFile(file) {
+    if (!file) {
+      setContentHash('');
+      setEvidenceFileName('');
+      return;
+    }
+    try {
+      setContentHash(hashEvidence(new Uint8Array(await file.arrayBuffer())));
+      setEvidenceFileName(file.name);
+    } catch (err) {
+      console.error("Error hashing evidence file:", err);
+      setError('Could not read the evidence file: ' + err.message);
+    }
+  }
+
+  // Show an approval the SDK sends before a transaction that transfers the user's tokens, and keep it pending
+  function showApproval(track, tx, purpose, spenderName = 'the contract') {
+    track(tx, 'approve', `Approval of the ${purpose}`);
+    console.log(`Approving ${purpose}:`, tx.hash);
+    setResult({
+      status: 'Approving tokens',
+      message: `Approving ${spenderName} to transfer your ${purpose}. Confirm the next transaction once this is mined.`,
+      txHash: tx.hash
+    });
+  }
+
+  // Build the per-claim assertion overrides from the advanced settings, zero values use contract defaults
+  function buildAssertionOptions() {
+    const values = {
+      liveness: 0,
+      currency: ethers.ZeroAddress,
+      bond: 0n,
+      identifier: ethers.ZeroHash
+    };
+    
+    if (!showAdvanced) {
+      return { overridden: false, values };
+    }
+    
+    if (liveness) {
+      const seconds = Number(liveness);
+      if (!Number.isInteger(seconds) || seconds <= 0) {
+        setError('Liveness must be a positive whole number of seconds');
+        return null;
+      }
+      values.liveness = seconds;
+    }
+    
+    if (bondCurrency) {
+      if (!ethers.isAddress(bondCurrency)) {
+        setError('Bond currency must be a valid ERC-20 token address');
+        return null;
+      }
+      values.currency = bondCurrency;
+    }
+    
+    if (bondAmount) {
+      try {
+        values.bond = ethers.parseUnits(bondAmount, bondInfo ? bondInfo.decimals : 18);
+      } catch (err) {
+        setError('Invalid bond amount: ' + bondAmount);
+        return null;
+      }
+      if (bondInfo && values.bond < bondInfo.minimumBond) {
+        setError(`Bond must be at least the oracle minimum of ${formatBond(bondInfo.minimumBond)}`);
+        return null;
+      }
+    }
+    
+    if (identifier) {
+      try {
+        values.identifier = ethers.encodeBytes32String(identifier);
+      } catch (err) {
+        setError('Identifier must be at most 31 characters');
+        return null;
+      }
     }
+    
+    const overridden = values.liveness !== 0
+      || values.currency !== ethers.ZeroAddress
+      || values.bond !== 0n
+      || values.identifier !== ethers.ZeroHash;
+    
+    return { overridden, values };
+  }
+
+  // Format a bond amount in the currency shown in the advanced settings
+  function formatBond(amount) {
+    if (!bondInfo) return amount.toString();
+    return `${ethers.formatUnits(amount, bondInfo.decimals)} ${bondInfo.symbol}`;
   }
 
   // Function to find assertion ID from transaction hash
-  async function findAssertionIdFromTxHash() {
-    if (!txHash) {
+  async function findAssertionIdFromTxHash(hashToFind = null) {
+    const hash = hashToFind || txHash;
+    if (!hash) {
       setError("Please enter a transaction hash");
       return;
     }
+    showRoute('tx', hash);
 
     try {
       setLoading(true);
       setError('');
       
-      const provider = new ethers.providers.Web3Provider(window.ethereum);
-      const contract = new ethers.Contract(CONTRACT_ADDRESS, contractABI, provider);
-      
-      console.log("Looking up transaction:", txHash);
-      const receipt = await provider.getTransactionReceipt(txHash);
-      
-      if (!receipt) {
-        setError("Transaction not found or not confirmed yet");
-        return;
-      }
-      
-      console.log("Receipt:", receipt);
-      
-      // Look for the assertion ID in the logs
-      const id = await findAssertionIdFromReceipt(receipt, contract);
+      // Look for the assertion ID in the transaction's logs
+      console.log("Looking up transaction:", hash);
+      const id = await readClient.findAssertionId(hash);
       
       if (id) {
         setAssertionId(id);
@@ -226,14 +695,15 @@ function App() {
       }
     } catch (err) {
       console.error("Error finding assertion ID:", err);
-      setError("Error finding assertion ID: " + err.message);
+      setError("Error finding assertion ID: " + describeError(err));
     } finally {
       setLoading(false);
     }
   }
 
   // Check status of a claim by assertion ID
-  async function checkClaimStatus(idToCheck = null) {
+  // Quiet refreshes (from events) leave the loading state and errors alone
+  async function checkClaimStatus(idToCheck = null, quiet = false) {
     const idToUse = idToCheck || assertionId;
     
     if (!idToUse) {
@@ -242,64 +712,70 @@ function App() {
     }
     
     try {
-      setLoading(true);
-      setError('');
-      
-      const provider = new ethers.providers.Web3Provider(window.ethereum);
-      const contract = new ethers.Contract(CONTRACT_ADDRESS, contractABI, provider);
+      if (!quiet) {
+        setLoading(true);
+        setError('');
+      }
       
-      // Get claim details from our contract
-      const details = await contract.getClaimDetails(idToUse);
-      console.log("Claim details:", details);
+      // The claim, its status and its UMA assertion, read through the SDK
+      const full = await readClient.getFullStatus(idToUse);
+      console.log("Claim status:", full);
+      if (!full) {
+        if (!quiet) setError('No claim found for this assertion ID');
+        return;
+      }
       
-      setClaimStatus({
-        claimer: details.claimer,
-        twitterHandle: details.twitterHandle,
-        tweetText: details.tweetText,
-        resolved: details.isResolved,
-        rewarded: details.isRewarded
-      });
+      const { claim, assertion } = full;
+      const contract = new ethers.Contract(contractAddress, verificationAbi, readProvider);
       
-      // Get assertion details from UMA
-      try {
-        const assertion = await contract.getAssertion(idToUse);
-        console.log("Assertion details:", assertion);
-        
-        setAssertionDetails({
-          validated: assertion.validated,
-          resolved: assertion.resolved,
-          settlementResolution: assertion.settlementResolution,
-          asserter: assertion.asserter,
-          challenger: assertion.challenger,
-          settlementTimestamp: assertion.settlementTimestamp ? 
-            new Date(Number(assertion.settlementTimestamp) * 1000).toLocaleString() : 'N/A'
-        });
-        
-        // Check if the assertion can be settled
+      // Verified claims have a soulbound badge, unless they were verified before the badge contract was set
+      let badge = null;
+      let canMintBadge = false;
+      if (full.status === 'Verified') {
         try {
-          const settleable = await contract.canBeSettled(idToUse);
-          setCanSettle(settleable);
+          badge = await readClient.getBadge(idToUse);
+          canMintBadge = !badge && Boolean(await readClient.badge());
         } catch (err) {
-          console.error("Error checking if can be settled:", err);
-          // Force enable settlement if we can't check - let the contract handle validation
-          setCanSettle(true);
+          console.error("Error loading badge:", err);
         }
-      } catch (err) {
-        console.error("Error getting assertion details:", err);
-        // If we can't get assertion details, we'll still allow settlement attempt
-        setCanSettle(true);
       }
       
+      setClaimStatus({
+        assertionId: idToUse,
+        claimer: claim.claimer,
+        twitterHandle: claim.twitterHandle,
+        tweetText: claim.tweetText,
+        resolved: claim.resolved,
+        rewarded: claim.rewarded,
+        tweetUrl: claim.tweetUrl,
+        contentHash: claim.contentHash,
+        evidenceUri: claim.evidenceUri,
+        status: full.status,
+        assertedClaim: parseAssertedClaim(claim.assertedClaim),
+        activity: await loadClaimActivity(contract, idToUse),
+        badge,
+        canMintBadge
+      });
+      
+      const info = await getTokenInfo(readProvider, assertion.currency);
+      setAssertionDetails({ ...assertion, bondText: formatTokenAmount(assertion.bond, info) });
+      
+      // The Settle button follows the contract's own check; a later block may still make it settleable
+      setCanSettle(full.canBeSettled);
+      
     } catch (err) {
       console.error("Error checking claim:", err);
-      setError('Error checking claim: ' + err.message);
+      if (!quiet) setError('Error checking claim: ' + describeError(err));
     } finally {
-      setLoading(false);
+      if (!quiet) setLoading(false);
     }
   }
-
-  // Settle a claim
-  async function settleClaim() {
+  
+  // Challenge a claim by disputing its assertion on the oracle, posting a bond equal to the asserter's
+  async function disputeClaim() {
+    setError('');
+    setResult(null);
+    
     if (!assertionId) {
       setError('Please enter an assertion ID');
       return;
@@ -312,85 +788,985 @@ function App() {
     
     try {
       setLoading(true);
-      setError('');
-      
-      const provider = new ethers.providers.Web3Provider(window.ethereum);
-      const signer = provider.getSigner();
-      const contract = new ethers.Contract(CONTRACT_ADDRESS, contractABI, signer);
-      
-      console.log("Settling claim for assertion ID:", assertionId);
       
-      // Try to settle directly without checking if it can be settled
-      const tx = await contract.settleAndGetAssertionResult(assertionId, {
-        gasLimit: 500000
-      });
+      // The oracle rejects disputes of unknown, disputed and expired assertions, the client decodes why
+      const { txHash: hash } = await withPendingTransactions((track) => walletClient().dispute(assertionId, {
+        onTransaction: (stage, tx) => {
+          if (stage === 'approve') {
+            showApproval(track, tx, 'dispute bond', 'the UMA oracle');
+            return;
+          }
+          track(tx, 'dispute', 'Dispute', assertionId);
+          setResult({
+            status: 'Dispute submitted',
+            message: 'Transaction submitted. Waiting for confirmation...',
+            txHash: tx.hash
+          });
+        }
+      }));
       
-      console.log("Transaction sent:", tx.hash);
       setResult({
-        status: 'Claim settlement initiated',
-        message: 'Please wait for the transaction to be confirmed...',
-        txHash: tx.hash
+        status: 'Claim disputed',
+        message: 'The claim is now escalated to the UMA DVM for a vote. If the vote finds the claim false, you get your bond back plus the claimer\'s bond, minus the UMA oracle fee, when it settles.',
+        txHash: hash
       });
+      await checkClaimStatus(assertionId);
+      await loadMyClaims();
+    } catch (err) {
+      console.error("Error disputing claim:", err);
+      setError('Error disputing claim: ' + describeError(err));
+    } finally {
+      setLoading(false);
+    }
+  }
+  
+  // Load the contract events for a claim, oldest first. Queries start at the deployment block, public RPC
+  // endpoints reject log queries without a range.
+  async function loadClaimActivity(contract, id) {
+    const fromBlock = deployment.blockNumber || 0;
+    try {
+      const eventLists = await Promise.all(
+        CLAIM_ACTIVITY_EVENTS.map((name) => contract.queryFilter(contract.filters[name](id), fromBlock))
+      );
+      const events = eventLists
+        .flat()
+        .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+      return await Promise.all(events.map(async (event) => ({
+        key: `${event.transactionHash}-${event.logIndex}`,
+        name: event.eventName,
+        description: await describeClaimEvent(readProvider, event),
+        txHash: event.transactionHash
+      })));
+    } catch (err) {
+      // Some RPC endpoints limit log queries, the rest of the status is still useful
+      console.error("Error loading claim activity:", err);
+      return [];
+    }
+  }
+
+  // Human-readable summary of a claim event
+  async function describeClaimEvent(provider, event) {
+    switch (event.eventName) {
+      case 'ClaimSubmitted':
+        return `Claim submitted by ${event.args.claimer}`;
+      case 'ClaimDisputed':
+        return `Claim disputed by ${event.args.disputer}`;
+      case 'ClaimResolved':
+        return event.args.truthful ? 'Claim resolved as true' : 'Claim resolved as false';
+      case 'RewardPaid': {
+        const info = await getTokenInfo(provider, event.args.token);
+        return `Reward of ${formatTokenAmount(event.args.amount, info)} credited to the claimer`;
+      }
+      case 'RewardPaymentFailed': {
+        const info = await getTokenInfo(provider, event.args.token);
+        return `Reward of ${formatTokenAmount(event.args.amount, info)} could not be credited, settle again once the contract is funded`;
+      }
+      default:
+        return event.eventName;
+    }
+  }
+
+  // Load the verified tweets of a handle from the registry, newest first, or all its claims from the indexer if one
+  // follows this deployment
+  async function loadHandleVerifications(handleToLoad = null) {
+    const lookup = handleToLoad || lookupHandle;
+    setError('');
+    showRoute('handle', lookup);
+    
+    try {
+      setLoading(true);
       
-      await tx.wait();
-      console.log("Settlement confirmed");
+      const indexer = indexerUrl();
+      if (indexer && await indexesDeployment(indexer, deployment)) {
+        const { handle, total, claims } = await fetchHandleClaims(indexer, lookup);
+        setHandleVerifications({ handle, total, tweets: claims, indexed: true });
+        return;
+      }
       
-      // Check updated status
-      await checkClaimStatus();
+      const provider = readProvider;
+      const contract = new ethers.Contract(contractAddress, verificationAbi, provider);
       
-      setResult({
-        status: 'Claim settled',
-        message: 'The claim has been settled. Check the claim status for details.',
-        txHash: tx.hash
-      });
+      const ids = await contract.getVerificationsFor(lookup);
+      const loaded = await Promise.all([...ids].reverse().map(async (id) => {
+        const details = await contract.getClaimDetails(id);
+        return { assertionId: id, twitterHandle: details.twitterHandle, tweetText: details.tweetText };
+      }));
       
+      setHandleVerifications({ handle: lookup, tweets: loaded });
     } catch (err) {
-      console.error("Error settling claim:", err);
-      if (err.message && err.message.includes("challenge period")) {
-        setError('This claim cannot be settled yet. The UMA challenge period may not have ended. Please wait a few more minutes and try again.');
-      } else if (err.message && err.message.includes("already resolved")) {
-        setError('This claim has already been resolved. Please refresh the status to see the latest information.');
-        await checkClaimStatus();
-      } else {
-        setError('Error settling claim: ' + err.message);
-      }
+      console.error("Error loading verified tweets:", err);
+      setError('Error loading verified tweets: ' + err.message);
     } finally {
       setLoading(false);
     }
   }
-
-  // Check wallet connection on load
-  useEffect(() => {
-    if (window.ethereum) {
-      connectWallet();
+  
+  // Show the status of a claim found elsewhere in the page, or entered in the Assertion ID field
+  function viewClaim(id) {
+    showRoute('claim', id);
+    setAssertionId(id);
+    checkClaimStatus(id);
+  }
+  
+  // Load all bounties from the contract, newest first
+  const loadBounties = useCallback(async () => {
+    try {
+      const provider = readProvider;
+      const contract = new ethers.Contract(contractAddress, verificationAbi, provider);
+      
+      const count = Number(await contract.bountyCount());
+      const ids = Array.from({ length: count }, (_, i) => count - i);
+      const loaded = await Promise.all(ids.map(async (id) => {
+        const bounty = await contract.bounties(id);
+        const info = await getTokenInfo(provider, bounty.token);
+        return {
+          id,
+          requester: bounty.requester,
+          twitterHandle: bounty.twitterHandle,
+          tweetText: bounty.tweetText,
+          token: bounty.token,
+          amountText: formatTokenAmount(bounty.amount, info),
+          deadline: Number(bounty.deadline),
+          pendingClaims: Number(bounty.pendingClaims),
+          winner: bounty.winner,
+          isRefunded: bounty.isRefunded
+        };
+      }));
+      
+      setBounties(loaded);
+    } catch (err) {
+      console.error("Error loading bounties:", err);
     }
-  }, []);
+  }, [readProvider, contractAddress]);
 
-  return (
-    <div className="App">
-      <header className="App-header">
-        <h1>Twitter Verification Portal</h1>
-        {!walletConnected && (
-          <button 
-            className="connect-button" 
-            onClick={connectWallet}
-            disabled={loading}
-          >
-            Connect Wallet
-          </button>
-        )}
-        {walletConnected && contractBalance !== null && (
-          <div className="contract-balance">
-            Contract balance: {contractBalance} ETH
-          </div>
-        )}
-      </header>
-      
+  // Describe where a bounty is in its lifecycle
+  function bountyState(bounty) {
+    if (bounty.isRefunded) return 'Refunded';
+    if (bounty.winner !== ethers.ZeroAddress) return 'Awarded';
+    if (Date.now() / 1000 > bounty.deadline) return bounty.pendingClaims > 0 ? 'Expired, claims pending' : 'Expired';
+    return 'Open';
+  }
+
+  // Escrow a new bounty in ETH or an ERC-20 token
+  async function createBounty() {
+    setError('');
+    setResult(null);
+    
+    const { twitterHandle: cleanHandle, tweetText: cleanText, errors } = checkedBounty;
+    if (!cleanHandle || !cleanText || !bountyAmount || !bountyDeadline) {
+      setError('Please fill in handle, tweet text, amount and deadline for the bounty');
+      return;
+    }
+    if (errors.twitterHandle || errors.tweetText) {
+      setError(errors.twitterHandle || errors.tweetText);
+      return;
+    }
+    if (bountyToken && !ethers.isAddress(bountyToken)) {
+      setError('Bounty token must be a valid ERC-20 token address, or empty for ETH');
+      return;
+    }
+    
+    const deadline = Math.floor(new Date(bountyDeadline).getTime() / 1000);
+    if (!deadline || deadline <= Date.now() / 1000) {
+      setError('Bounty deadline must be in the future');
+      return;
+    }
+    
+    if (!walletConnected) {
+      const connected = await connectWallet();
+      if (!connected) return;
+    }
+    
+    try {
+      setLoading(true);
+      
+      const token = bountyToken || ethers.ZeroAddress;
+      const info = await getTokenInfo(readProvider, token);
+      const amount = ethers.parseUnits(bountyAmount, info.decimals);
+      
+      // The client approves an ERC-20 amount first if needed, and sends ETH along
+      const { txHash: hash } = await withPendingTransactions((track) => walletClient().createBounty(
+        { twitterHandle: cleanHandle, tweetText: cleanText, token, amount, deadline },
+        {
+          onTransaction: (stage, tx) => {
+            if (stage === 'approve') {
+              showApproval(track, tx, 'bounty');
+              return;
+            }
+            track(tx, 'bounty', 'Bounty creation');
+            setResult({
+              status: 'Creating bounty',
+              message: 'Transaction submitted. Waiting for confirmation...',
+              txHash: tx.hash
+            });
+          }
+        }
+      ));
+      
+      setResult({
+        status: 'Bounty created',
+        message: `Bounty for @${cleanHandle} is open until ${new Date(deadline * 1000).toLocaleString()}.`,
+        txHash: hash
+      });
+      setBountyHandle('');
+      setBountyText('');
+      setBountyAmount('');
+      await loadBounties();
+    } catch (err) {
+      console.error("Error creating bounty:", err);
+      setError('Error creating bounty: ' + describeError(err));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Submit a claim for an open bounty's handle and text
+  async function claimBounty(bounty) {
+    setError('');
+    setResult(null);
+    
+    if (!walletConnected) {
+      const connected = await connectWallet();
+      if (!connected) return;
+    }
+    
+    const options = buildAssertionOptions();
+    if (!options) return;
+    
+    try {
+      setLoading(true);
+      
+      const { assertionId: id, txHash: hash } = await withPendingTransactions((track) => walletClient().claimBounty(bounty.id, {
+        ...(options.overridden ? options.values : {}),
+        onTransaction: (stage, tx) => {
+          if (stage === 'approve') {
+            showApproval(track, tx, 'claim bond');
+            return;
+          }
+          track(tx, 'bounty-claim', `Claim for bounty #${bounty.id}`);
+          setTxHash(tx.hash);
+          setResult({
+            status: 'Bounty claim submitted',
+            message: 'Transaction submitted. Waiting for confirmation...',
+            txHash: tx.hash
+          });
+        }
+      }));
+      if (id) setAssertionId(id);
+      
+      setResult({
+        status: 'Bounty claim processed',
+        message: `Your claim for bounty #${bounty.id} has been submitted. If it is the first claim for this bounty to resolve as true, the bounty is paid to you when it settles.`,
+        txHash: hash,
+        assertionId: id
+      });
+      await loadBounties();
+    } catch (err) {
+      console.error("Error claiming bounty:", err);
+      setError('Error claiming bounty: ' + describeError(err));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Refund an expired bounty, crediting it to the requester's withdrawable balance
+  async function refundBounty(bounty) {
+    setError('');
+    
+    try {
+      setLoading(true);
+      
+      const { txHash: hash } = await withPendingTransactions((track) => walletClient().refundBounty(bounty.id, {
+        onTransaction: (stage, tx) => track(tx, 'refund', `Refund of bounty #${bounty.id}`)
+      }));
+      
+      setResult({
+        status: 'Bounty refunded',
+        message: `Bounty #${bounty.id} of ${bounty.amountText} has been credited back to you. Withdraw it from "Your Balance".`,
+        txHash: hash
+      });
+      await loadBounties();
+      await loadTreasury();
+    } catch (err) {
+      console.error("Error refunding bounty:", err);
+      setError('Error refunding bounty: ' + describeError(err));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Load owner, pause state, reward settings and the connected account's withdrawable balances
+  const loadTreasury = useCallback(async () => {
+    try {
+      const provider = readProvider;
+      const contract = new ethers.Contract(contractAddress, verificationAbi, provider);
+      
+      const [owner, paused, rewardAmount, rewardToken] = await Promise.all([
+        contract.owner(),
+        contract.paused(),
+        contract.rewardAmount(),
+        contract.rewardToken()
+      ]);
+      const rewardInfo = await getTokenInfo(provider, rewardToken);
+      
+      // Balances can be owed in ETH, the reward token and any bounty token
+      const tokens = [...new Set([ethers.ZeroAddress, rewardToken, ...bounties.map((b) => b.token)])];
+      const balances = [];
+      for (const token of tokens) {
+        const [owed, surplus, info] = await Promise.all([
+          account ? contract.pendingWithdrawals(account, token) : 0n,
+          contract.surplus(token),
+          getTokenInfo(provider, token)
+        ]);
+        balances.push({ token, owed, surplus, info });
+      }
+      
+      setTreasury({
+        owner,
+        isOwner: account !== '' && owner === account,
+        paused,
+        rewardText: formatTokenAmount(rewardAmount, rewardInfo),
+        balances
+      });
+    } catch (err) {
+      console.error("Error loading treasury:", err);
+      setTreasury(null);
+    }
+  }, [account, bounties, readProvider, contractAddress]);
+  
+  // Load a page of the connected account's claims, newest first, with their status and time left
+  const loadMyClaims = useCallback(async () => {
+    if (!account) return;
+    
+    try {
+      const contract = new ethers.Contract(contractAddress, verificationAbi, readProvider);
+      
+      // Claims are indexed oldest first, so page 0 is the end of the list
+      const total = Number(await contract.claimCountByClaimer(account));
+      const end = Math.max(total - myClaimsPage * MY_CLAIMS_PAGE_SIZE, 0);
+      const start = Math.max(end - MY_CLAIMS_PAGE_SIZE, 0);
+      const ids = await contract.getClaimsByClaimer(account, start, end - start);
+      
+      const rows = await Promise.all([...ids].reverse().map(async (id) => {
+        const { claim, status, canBeSettled, assertion } = await readClient.getFullStatus(id);
+        return {
+          assertionId: id,
+          twitterHandle: claim.twitterHandle,
+          tweetText: claim.tweetText,
+          status,
+          expirationTime: assertion.expirationTime,
+          canSettle: canBeSettled
+        };
+      }));
+      
+      setMyClaims({ total, rows });
+    } catch (err) {
+      console.error("Error loading your claims:", err);
+    }
+  }, [account, myClaimsPage, readProvider, readClient, contractAddress]);
+
+  // Withdraw the connected account's credited rewards, bounties and refunds in one token
+  async function withdrawBalance(token) {
+    setError('');
+    
+    try {
+      setLoading(true);
+      
+      const { txHash: hash } = await withPendingTransactions((track) => walletClient().withdraw(token, {
+        onTransaction: (stage, tx) => track(tx, 'withdraw', 'Withdrawal')
+      }));
+      
+      setResult({
+        status: 'Withdrawal complete',
+        message: 'Your balance has been sent to your wallet.',
+        txHash: hash
+      });
+      await loadTreasury();
+    } catch (err) {
+      console.error("Error withdrawing:", err);
+      setError('Error withdrawing: ' + describeError(err));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Send an owner-only treasury transaction and refresh the treasury view; buildArgs returns the method's arguments
+  async function sendAdminTx(description, method, buildArgs = () => []) {
+    setError('');
+    
+    try {
+      setLoading(true);
+      
+      const signer = await walletSigner();
+      const contract = new ethers.Contract(contractAddress, verificationAbi, signer);
+      
+      const receipt = await withPendingTransactions(async (track) => {
+        const tx = await sendWithGasMargin(contract, method, await buildArgs(signer.provider));
+        return readClient.waitForTransaction(track(tx, 'admin', description));
+      });
+      
+      setResult({
+        status: description,
+        message: 'The transaction has been confirmed.',
+        txHash: receipt.hash
+      });
+      await loadTreasury();
+      await loadContractBalance();
+    } catch (err) {
+      console.error(`Error: ${description}:`, err);
+      setError(`${description} failed: ` + describeError(err));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Owner: set the reward token and amount
+  function updateReward() {
+    const token = rewardTokenInput || ethers.ZeroAddress;
+    if (!ethers.isAddress(token)) {
+      setError('Reward token must be a valid ERC-20 token address, or empty for ETH');
+      return;
+    }
+    
+    sendAdminTx('Reward updated', 'setReward', async (provider) => {
+      const info = await getTokenInfo(provider, token);
+      return [token, ethers.parseUnits(rewardAmountInput, info.decimals)];
+    });
+  }
+
+  // Owner: withdraw funds not reserved for bounties or owed to claimers
+  function withdrawSurplus() {
+    const token = surplusToken || ethers.ZeroAddress;
+    if (!ethers.isAddress(token) || !ethers.isAddress(surplusRecipient || account)) {
+      setError('Token and recipient must be valid addresses');
+      return;
+    }
+    
+    sendAdminTx('Surplus withdrawn', 'withdrawSurplus', async (provider) => {
+      const info = await getTokenInfo(provider, token);
+      return [token, ethers.parseUnits(surplusAmount, info.decimals), surplusRecipient || account];
+    });
+  }
+
+  // Mint the badge of a claim verified before the contract had a badge contract; it goes to the claimer
+  async function mintBadge() {
+    setError('');
+    setResult(null);
+    
+    if (!walletConnected) {
+      const connected = await connectWallet();
+      if (!connected) return;
+    }
+    
+    try {
+      setLoading(true);
+      
+      const { txHash: hash } = await withPendingTransactions((track) => walletClient().mintBadge(claimStatus.assertionId, {
+        onTransaction: (stage, tx) => {
+          track(tx, 'mint', 'Badge mint', claimStatus.assertionId);
+          setResult({
+            status: 'Minting badge',
+            message: 'Transaction submitted. Waiting for confirmation...',
+            txHash: tx.hash
+          });
+        }
+      }));
+      
+      setResult({
+        status: 'Badge minted',
+        message: `The badge was minted to the claimer, ${claimStatus.claimer}.`,
+        txHash: hash
+      });
+      await checkClaimStatus(claimStatus.assertionId, true);
+    } catch (err) {
+      console.error("Error minting badge:", err);
+      setError('Error minting badge: ' + describeError(err));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Settle a claim
+  async function settleClaim(idToSettle = null) {
+    const idToUse = idToSettle || assertionId;
+    
+    if (!idToUse) {
+      setError('Please enter an assertion ID');
+      return;
+    }
+    
+    if (!walletConnected) {
+      const connected = await connectWallet();
+      if (!connected) return;
+    }
+    
+    try {
+      setLoading(true);
+      setError('');
+      
+      console.log("Settling claim for assertion ID:", idToUse);
+      
+      // The client simulates the settlement first, so one that would revert fails here without a transaction
+      const { txHash: hash } = await withPendingTransactions((track) => walletClient().settle(idToUse, {
+        onTransaction: (stage, tx) => {
+          track(tx, 'settle', 'Settlement', idToUse);
+          console.log("Transaction sent:", tx.hash);
+          setResult({
+            status: 'Claim settlement initiated',
+            message: 'Please wait for the transaction to be confirmed...',
+            txHash: tx.hash
+          });
+        }
+      }));
+      console.log("Settlement confirmed");
+      
+      // Check updated status and the credited reward
+      setAssertionId(idToUse);
+      await checkClaimStatus(idToUse);
+      await loadTreasury();
+      await loadMyClaims();
+      
+      setResult({
+        status: 'Claim settled',
+        message: 'The claim has been settled. Check the claim status for details.',
+        txHash: hash
+      });
+      
+    } catch (err) {
+      console.error("Error settling claim:", err);
+      setError('Error settling claim: ' + describeError(err));
+      if (readClient.decodeError(err).code === 'ALREADY_SETTLED') await checkClaimStatus(idToUse);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Preview the exact claim the contract will assert, built by the contract itself. The timestamp is the
+  // current time; the submitted claim uses the time of the block it is included in.
+  useEffect(() => {
+    const now = Math.floor(Date.now() / 1000);
+    const { statement } = buildStatement(
+      { claimType, twitterHandle, tweetText, tweetLink, windowStart, windowEnd, contentHash, evidenceUri },
+      now
+    );
+    if (!readProvider || !statement) {
+      setClaimPreview('');
+      return;
+    }
+    
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const provider = readProvider;
+        const contract = new ethers.Contract(contractAddress, verificationAbi, provider);
+        const claim = await contract.buildAssertedClaim(statement, now);
+        if (!cancelled) setClaimPreview(decodeAssertedClaim(claim).raw);
+      } catch (err) {
+        console.error("Error building claim preview:", err);
+        if (!cancelled) setClaimPreview('');
+      }
+    }, 500);
+    
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [readProvider, contractAddress, claimType, twitterHandle, tweetText, tweetLink, windowStart, windowEnd, contentHash, evidenceUri]);
+  
+  // Check the tweet registry for the handle and text being claimed
+  useEffect(() => {
+    const { twitterHandle: cleanHandle, tweetText: cleanText, errors } = checkedClaim;
+    if (!readProvider || claimType === CLAIM_TYPES.notPostedBefore || errors.twitterHandle || errors.tweetText) {
+      setTweetRegistry(null);
+      return;
+    }
+    
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const provider = readProvider;
+        const contract = new ethers.Contract(contractAddress, verificationAbi, provider);
+        const registry = await lookupTweet(contract, cleanHandle, cleanText);
+        if (!cancelled) setTweetRegistry(registry);
+      } catch (err) {
+        console.error("Error checking tweet registry:", err);
+        if (!cancelled) setTweetRegistry(null);
+      }
+    }, 500);
+    
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [readProvider, contractAddress, claimType, checkedClaim]);
+  
+  // Load the contract's assertion defaults and the minimum bond for the selected currency
+  useEffect(() => {
+    if (!showAdvanced || !readProvider) return;
+    
+    async function loadBondInfo() {
+      try {
+        const provider = readProvider;
+        const contract = new ethers.Contract(contractAddress, verificationAbi, provider);
+        
+        const [defaultLiveness, defaultCurrency, defaultBond, defaultIdentifier] = await Promise.all([
+          contract.defaultLiveness(),
+          contract.defaultCurrency(),
+          contract.defaultBond(),
+          contract.defaultIdentifier()
+        ]);
+        
+        const currency = ethers.isAddress(bondCurrency) ? bondCurrency : defaultCurrency;
+        const token = new ethers.Contract(currency, erc20ABI, provider);
+        const [minimumBond, symbol, decimals] = await Promise.all([
+          contract.getMinimumBond(currency),
+          token.symbol(),
+          token.decimals()
+        ]);
+        
+        let identifierText;
+        try {
+          identifierText = ethers.decodeBytes32String(defaultIdentifier);
+        } catch (err) {
+          identifierText = defaultIdentifier;
+        }
+        
+        setBondInfo({
+          defaultLiveness: Number(defaultLiveness),
+          defaultCurrency,
+          defaultBond,
+          defaultIdentifier: identifierText,
+          currency,
+          minimumBond,
+          symbol,
+          decimals
+        });
+      } catch (err) {
+        console.error("Error loading bond info:", err);
+        setBondInfo(null);
+      }
+    }
+    
+    loadBondInfo();
+  }, [showAdvanced, readProvider, contractAddress, bondCurrency]);
+
+  // Load the bounties and the contract balance of the selected network, with or without a wallet
+  useEffect(() => {
+    if (readProvider) {
+      loadBounties();
+      loadContractBalance();
+    }
+  }, [readProvider, loadBounties, loadContractBalance]);
+
+  // Reload treasury state when the account changes or bounties add tokens to track
+  useEffect(() => {
+    if (walletConnected) {
+      loadTreasury();
+    }
+  }, [walletConnected, loadTreasury]);
+  
+  // Load the connected account's claims
+  useEffect(() => {
+    if (walletConnected) {
+      loadMyClaims();
+    }
+  }, [walletConnected, loadMyClaims]);
+  
+  // Event listeners outlive a render, so they read the latest state and functions through refs
+  const checkClaimStatusRef = useRef(checkClaimStatus);
+  checkClaimStatusRef.current = checkClaimStatus;
+  const myClaimsRef = useRef(myClaims);
+  myClaimsRef.current = myClaims;
+  
+  // Tick once a second while a challenge window countdown is shown
+  const showsCountdown = Boolean(assertionDetails || myClaims);
+  useEffect(() => {
+    if (!showsCountdown) return undefined;
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, [showsCountdown]);
+  
+  // Refresh the checked claim when the contract or the oracle reports a dispute, settlement or reward for it
+  const watchedClaimId = claimStatus ? claimStatus.assertionId : null;
+  useEffect(() => {
+    if (!readClient || !watchedClaimId) return undefined;
+    
+    // The SDK passes the refreshed status, but the panel also lists the claim's events, so reload it all
+    const stop = readClient.watchClaim(
+      watchedClaimId,
+      () => checkClaimStatusRef.current(watchedClaimId, true),
+      (err) => console.error("Error watching claim:", err)
+    );
+    return () => {
+      stop();
+    };
+  }, [readClient, watchedClaimId]);
+  
+  // Settling needs a block past the expiration time, so re-check canBeSettled on each new block until it is true
+  const awaitingSettlement = Boolean(watchedClaimId) && awaitsSettlement(assertionDetails, canSettle);
+  useEffect(() => {
+    if (!readProvider || !awaitingSettlement) return undefined;
+    
+    const provider = readProvider;
+    const contract = new ethers.Contract(contractAddress, verificationAbi, provider);
+    const onBlock = async () => {
+      try {
+        if (await contract.canBeSettled(watchedClaimId)) setCanSettle(true);
+      } catch (err) {
+        console.error("Error checking if can be settled:", err);
+      }
+    };
+    
+    provider.on('block', onBlock);
+    return () => provider.off('block', onBlock);
+  }, [readProvider, contractAddress, awaitingSettlement, watchedClaimId]);
+  
+  // Reload the account's claims on new submissions, on disputes and resolutions of listed claims, and on the
+  // first block after a listed claim's challenge window ends
+  useEffect(() => {
+    if (!walletConnected || !account) return undefined;
+    
+    const provider = readProvider;
+    const contract = new ethers.Contract(contractAddress, verificationAbi, provider);
+    const rows = () => (myClaimsRef.current ? myClaimsRef.current.rows : []);
+    const onClaimEvent = (id) => {
+      if (rows().some((row) => row.assertionId === id)) loadMyClaims();
+    };
+    const onBlock = () => {
+      if (hasNewlySettleable(rows(), Math.floor(Date.now() / 1000))) loadMyClaims();
+    };
+    
+    contract.on(contract.filters.ClaimSubmitted(null, account), () => loadMyClaims());
+    contract.on(contract.filters.ClaimDisputed(), onClaimEvent);
+    contract.on(contract.filters.ClaimResolved(), onClaimEvent);
+    provider.on('block', onBlock);
+    return () => {
+      contract.removeAllListeners();
+      provider.off('block', onBlock);
+    };
+  }, [walletConnected, readProvider, contractAddress, account, loadMyClaims]);
+
+  // Discover the injected wallets announcing themselves through EIP-6963
+  useEffect(() => discoverWallets((wallet) => {
+    setWallets((known) => (known.some((w) => w.info.uuid === wallet.info.uuid) ? known : [...known, wallet]));
+  }), []);
+  
+  // Reconnect on load without a prompt if the injected wallet already authorized the page, following its network
+  // when the contract is deployed there
+  useEffect(() => {
+    if (!window.ethereum) return;
+    
+    async function restoreWallet() {
+      try {
+        const accounts = await window.ethereum.request({ method: 'eth_accounts' });
+        if (!accounts.length) return;
+        
+        const chainId = parseInt(await window.ethereum.request({ method: 'eth_chainId' }), 16);
+        adoptWallet(window.ethereum, accounts, chainId);
+        // A link names its network, which wins over the wallet's
+        const walletDeployment = getDeployment(chainId);
+        if (walletDeployment && !getDeployment(linked.chainId)) setDeployment(walletDeployment);
+      } catch (err) {
+        console.error("Error restoring wallet connection:", err);
+      }
+    }
+    
+    restoreWallet();
+  }, [linked.chainId]);
+  
+  // Follow account and network changes made in the wallet. Switching to a network without a deployment keeps
+  // the page on the selected one, reading over RPC until the wallet switches back.
+  useEffect(() => {
+    if (!walletProvider || !walletProvider.on) return undefined;
+    
+    const onAccountsChanged = (accounts) => {
+      setAccount(accounts.length ? ethers.getAddress(accounts[0]) : '');
+    };
+    const onChainChanged = (hexChainId) => {
+      const chainId = parseInt(hexChainId, 16);
+      setWalletChainId(chainId);
+      const walletDeployment = getDeployment(chainId);
+      if (walletDeployment) setDeployment(walletDeployment);
+    };
+    
+    walletProvider.on('accountsChanged', onAccountsChanged);
+    walletProvider.on('chainChanged', onChainChanged);
+    return () => {
+      walletProvider.removeListener('accountsChanged', onAccountsChanged);
+      walletProvider.removeListener('chainChanged', onChainChanged);
+    };
+  }, [walletProvider]);
+  
+  // Claims, bounties and treasury state belong to one contract, so clear them when the network changes
+  useEffect(() => {
+    setClaimStatus(null);
+    setAssertionDetails(null);
+    setCanSettle(false);
+    setHandleVerifications(null);
+    setMyClaims(null);
+    setMyClaimsPage(0);
+    setBounties([]);
+    setTreasury(null);
+    setBondInfo(null);
+    setContractBalance(null);
+  }, [chainId]);
+  
+  // Keep the network in the address bar, so reloads and copied links stay on it
+  useEffect(() => {
+    if (chainId) pushRoute(route, chainId, true);
+  }, [route, chainId]);
+  
+  // Follow Back and Forward, moving to the network of the entry if it has a deployment
+  useEffect(() => watchRoutes(({ route: next, chainId: entryChainId }) => {
+    const entryDeployment = getDeployment(entryChainId);
+    if (entryDeployment) setDeployment((current) => (current && current.chainId === entryChainId ? current : entryDeployment));
+    setRoute(next);
+  }), []);
+  
+  // Open the view in the address bar: on load, on Back and Forward, and again on another network
+  const openRouteRef = useRef(null);
+  openRouteRef.current = (next) => {
+    if (next.view === 'claim') {
+      setAssertionId(next.value);
+      checkClaimStatus(next.value);
+    } else if (next.view === 'tx') {
+      setTxHash(next.value);
+      findAssertionIdFromTxHash(next.value);
+    } else {
+      setLookupHandle(next.value);
+      loadHandleVerifications(next.value);
+    }
+  };
+  const hasReadClient = Boolean(readClient);
+  useEffect(() => {
+    const key = routePath(route, chainId);
+    if (!route || !hasReadClient || shownRouteRef.current === key) return;
+    shownRouteRef.current = key;
+    openRouteRef.current(route);
+  }, [route, chainId, hasReadClient]);
+  
+  // Resume waiting for the transactions left pending when the page was last closed, once their network is shown,
+  // and report how each ended like the action that sent it would have
+  const resumedRef = useRef(new Set());
+  const resumeRef = useRef(null);
+  resumeRef.current = async (record) => {
+    try {
+      const receipt = await readClient.waitForTransaction(record);
+      const id = record.kind === 'submit' || record.kind === 'bounty-claim'
+        ? await readClient.findAssertionId(receipt)
+        : record.assertionId;
+      setResult({
+        status: `${record.label} confirmed`,
+        message: 'This transaction was sent before the page was reloaded and has now been confirmed.',
+        txHash: receipt.hash,
+        assertionId: id || undefined
+      });
+      if (id) {
+        setAssertionId(id);
+        await checkClaimStatus(id, true);
+      }
+      await Promise.all([loadMyClaims(), loadBounties(), loadTreasury()]);
+    } catch (err) {
+      console.error(`Error resuming ${record.hash}:`, err);
+      setError(`${record.label} failed: ` + describeError(err));
+    } finally {
+      setPendingTxs(removePendingTransactions([record.hash]));
+    }
+  };
+  useEffect(() => {
+    if (!hasReadClient) return;
+    for (const record of pendingFor(storedTxs, deployment)) {
+      if (resumedRef.current.has(record.hash)) continue;
+      resumedRef.current.add(record.hash);
+      resumeRef.current(record);
+    }
+  }, [storedTxs, deployment, hasReadClient]);
+  
+  const handleRoute = handleVerifications ? makeRoute('handle', handleVerifications.handle) : null;
+  const shownPendingTxs = pendingFor(pendingTxs, deployment);
+
+  return (
+    <div className="App">
+      <header className="App-header">
+        <h1>Twitter Verification Portal</h1>
+        {deployment && (
+          <div className="network-picker">
+            <label htmlFor="network">Network:</label>
+            <select
+              id="network"
+              value={deployment.chainId}
+              onChange={(e) => selectNetwork(Number(e.target.value))}
+              disabled={loading}
+            >
+              {listDeployments().map((d) => (
+                <option key={d.chainId} value={d.chainId}>{d.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        {!account && (
+          <div className="wallet-options">
+            {wallets.map((wallet) => (
+              <button
+                key={wallet.info.uuid}
+                className="connect-button"
+                onClick={() => connectWallet(wallet)}
+                disabled={loading}
+              >
+                <img src={wallet.info.icon} alt="" className="wallet-icon" />
+                Connect {wallet.info.name}
+              </button>
+            ))}
+            {wallets.length === 0 && (
+              <button
+                className="connect-button"
+                onClick={() => connectWallet()}
+                disabled={loading}
+              >
+                Connect Wallet
+              </button>
+            )}
+          </div>
+        )}
+        {account && !walletConnected && deployment && (
+          <div className="network-warning">
+            Your wallet is on another network.
+            <button className="connect-button" onClick={switchWalletNetwork} disabled={loading}>
+              Switch to {deployment.name}
+            </button>
+          </div>
+        )}
+        {!walletConnected && deployment && (
+          <div className="read-only-notice">
+            Read-only mode: claims can be looked up, connect a wallet on {deployment.name} to submit or settle them.
+          </div>
+        )}
+        {contractBalance !== null && deployment && (
+          <div className="contract-balance">
+            Contract balance: {contractBalance} {deployment.nativeCurrency ? deployment.nativeCurrency.symbol : 'ETH'}
+          </div>
+        )}
+      </header>
+      
       <main className="App-main">
         <div className="form-container">
           <h2>Verify Tweet Claim</h2>
           <p>Enter a Twitter username and tweet text to verify that the user has posted that exact tweet.</p>
           
+          <div className="input-group">
+            <label htmlFor="claim-type">Claim:</label>
+            <select
+              id="claim-type"
+              value={claimType}
+              onChange={(e) => setClaimType(Number(e.target.value))}
+              disabled={loading}
+            >
+              <option value={CLAIM_TYPES.posted}>Posted this tweet (as of now)</option>
+              <option value={CLAIM_TYPES.postedBetween}>Posted this tweet between two dates</option>
+              <option value={CLAIM_TYPES.notPostedBefore}>Had NOT posted this tweet before a date</option>
+            </select>
+          </div>
+          
           <div className="input-group">
             <label htmlFor="twitter-handle">Twitter Username:</label>
             <input
@@ -401,6 +1777,7 @@ function App() {
               onChange={(e) => setTwitterHandle(e.target.value)}
               disabled={loading}
             />
+            <HandleFeedback input={twitterHandle} checked={checkedClaim} />
           </div>
           
           <div className="input-group">
@@ -413,22 +1790,565 @@ function App() {
               disabled={loading}
               rows={4}
             />
+            <TweetTextFeedback input={tweetText} checked={checkedClaim} />
           </div>
           
+          {claimType !== CLAIM_TYPES.notPostedBefore && (
+            <div className="input-group">
+              <label htmlFor="tweet-link">Tweet URL or Status ID (optional):</label>
+              <input
+                id="tweet-link"
+                type="text"
+                placeholder="https://x.com/username/status/1234567890"
+                value={tweetLink}
+                onChange={(e) => setTweetLink(e.target.value)}
+                disabled={loading}
+              />
+            </div>
+          )}
+          
+          <fieldset className="evidence-fields" disabled={loading}>
+            <legend>Evidence for voters (optional)</legend>
+            <div className="input-group">
+              <label htmlFor="evidence-file">Captured Tweet (JSON or screenshot):</label>
+              <input
+                id="evidence-file"
+                type="file"
+                accept="application/json,.json,image/*"
+                onChange={(e) => hashEvidenceFile(e.target.files[0])}
+              />
+            </div>
+            <div className="input-group">
+              <label htmlFor="content-hash">Content Hash:</label>
+              <input
+                id="content-hash"
+                type="text"
+                placeholder="0x... (filled in from the file above)"
+                value={contentHash}
+                onChange={(e) => {
+                  setContentHash(e.target.value);
+                  setEvidenceFileName('');
+                }}
+              />
+              {evidenceFileName && (
+                <p className="field-hint">keccak256 of {evidenceFileName}, computed in your browser. Upload the file itself below.</p>
+              )}
+            </div>
+            <div className="input-group">
+              <label htmlFor="evidence-uri">IPFS CID or Archive URL:</label>
+              <input
+                id="evidence-uri"
+                type="text"
+                placeholder="bafy... or https://web.archive.org/..."
+                value={evidenceUri}
+                onChange={(e) => setEvidenceUri(e.target.value)}
+              />
+              <p className="field-hint">Where voters can find the captured tweet, e.g. the file pinned to IPFS or an archived copy of the tweet page.</p>
+            </div>
+          </fieldset>
+          
+          {claimType === CLAIM_TYPES.postedBetween && (
+            <div className="input-group">
+              <label htmlFor="window-start">Posted After:</label>
+              <input
+                id="window-start"
+                type="datetime-local"
+                value={windowStart}
+                onChange={(e) => setWindowStart(e.target.value)}
+                disabled={loading}
+              />
+            </div>
+          )}
+          
+          {claimType !== CLAIM_TYPES.posted && (
+            <div className="input-group">
+              <label htmlFor="window-end">
+                {claimType === CLAIM_TYPES.postedBetween ? 'Posted Before:' : 'Not Posted Before:'}
+              </label>
+              <input
+                id="window-end"
+                type="datetime-local"
+                value={windowEnd}
+                onChange={(e) => setWindowEnd(e.target.value)}
+                disabled={loading}
+              />
+              <p className="field-hint">In your local time zone; the date must not be in the future.</p>
+            </div>
+          )}
+          
+          {claimPreview && (
+            <div className="claim-preview">
+              <h4>Claim to be asserted</h4>
+              <pre>{claimPreview}</pre>
+              <p className="field-hint">The timestamp is filled in when your transaction is included in a block.</p>
+            </div>
+          )}
+          
+          <button
+            type="button"
+            className="advanced-toggle"
+            onClick={() => setShowAdvanced(!showAdvanced)}
+            disabled={loading}
+          >
+            {showAdvanced ? 'Hide advanced settings' : 'Show advanced settings'}
+          </button>
+          
+          {showAdvanced && (
+            <div className="advanced-settings">
+              <p className="field-hint">Leave a field empty to use the contract default.</p>
+              
+              <div className="input-group">
+                <label htmlFor="liveness">Challenge Window (seconds):</label>
+                <input
+                  id="liveness"
+                  type="number"
+                  min="1"
+                  placeholder={bondInfo ? `default: ${bondInfo.defaultLiveness}` : 'contract default'}
+                  value={liveness}
+                  onChange={(e) => setLiveness(e.target.value)}
+                  disabled={loading}
+                />
+              </div>
+              
+              <div className="input-group">
+                <label htmlFor="bond-currency">Bond Currency (ERC-20 address):</label>
+                <input
+                  id="bond-currency"
+                  type="text"
+                  placeholder={bondInfo ? `default: ${bondInfo.defaultCurrency}` : '0x...'}
+                  value={bondCurrency}
+                  onChange={(e) => setBondCurrency(e.target.value.trim())}
+                  disabled={loading}
+                />
+              </div>
+              
+              <div className="input-group">
+                <label htmlFor="bond-amount">Bond Amount{bondInfo ? ` (${bondInfo.symbol})` : ''}:</label>
+                <input
+                  id="bond-amount"
+                  type="text"
+                  placeholder="contract default"
+                  value={bondAmount}
+                  onChange={(e) => setBondAmount(e.target.value.trim())}
+                  disabled={loading}
+                />
+                {bondInfo && (
+                  <p className="field-hint">
+                    Minimum bond: {formatBond(bondInfo.minimumBond)}
+                    {bondInfo.currency === bondInfo.defaultCurrency && bondInfo.defaultBond !== 0n && (
+                      <> (contract default: {formatBond(bondInfo.defaultBond)})</>
+                    )}
+                  </p>
+                )}
+              </div>
+              
+              <div className="input-group">
+                <label htmlFor="identifier">UMA Identifier:</label>
+                <input
+                  id="identifier"
+                  type="text"
+                  placeholder={bondInfo ? `default: ${bondInfo.defaultIdentifier}` : 'contract default'}
+                  value={identifier}
+                  onChange={(e) => setIdentifier(e.target.value.trim())}
+                  disabled={loading}
+                />
+              </div>
+            </div>
+          )}
+          
           <div className="note">
-            <strong>Note:</strong> Submitting a claim uses UMA's default settings on Sepolia.
+            <strong>Note:</strong> Submitting a claim uses the contract's default challenge window and bond unless overridden in the advanced settings. The bond is taken from your wallet (you will be asked to approve it first) and returned to you when the claim settles as true.
           </div>
           
+          {treasury && treasury.paused && (
+            <div className="note">
+              <strong>Paused:</strong> The contract owner has paused new claims. Pending claims still settle and pay out.
+            </div>
+          )}
+          
+          {tweetRegistry && tweetRegistry.verifiedAssertionId && (
+            <div className="note">
+              <strong>Already verified:</strong> This tweet was verified by assertion{' '}
+              <button type="button" className="link-button" onClick={() => viewClaim(tweetRegistry.verifiedAssertionId)}>
+                {tweetRegistry.verifiedAssertionId.substring(0, 10)}...
+              </button>
+              , so it cannot be claimed again.
+            </div>
+          )}
+          
+          {tweetRegistry && tweetRegistry.pendingAssertionId && (
+            <div className="note">
+              <strong>Pending:</strong> Assertion{' '}
+              <button type="button" className="link-button" onClick={() => viewClaim(tweetRegistry.pendingAssertionId)}>
+                {tweetRegistry.pendingAssertionId.substring(0, 10)}...
+              </button>
+              {' '}already claims this tweet. It can be claimed again only if that claim resolves as false.
+            </div>
+          )}
+          
           <button
             className="submit-button"
             onClick={submitClaim}
-            disabled={loading || !twitterHandle || !tweetText}
+            disabled={
+              loading || !twitterHandle || !tweetText || (treasury && treasury.paused)
+              || (tweetRegistry && (tweetRegistry.verifiedAssertionId || tweetRegistry.pendingAssertionId))
+            }
           >
             {loading ? 'Processing...' : 'Submit Claim'}
           </button>
           
           <hr />
           
+          <h3>Batch Claims</h3>
+          <p>Submit many claims at once from a CSV or JSON file. They are sent in as few transactions as fit the gas limit, with the advanced settings above applied to every claim.</p>
+          <div className="input-group">
+            <label htmlFor="batch-file">Claims File:</label>
+            <input
+              id="batch-file"
+              type="file"
+              accept=".csv,text/csv,.json,application/json"
+              onChange={(e) => loadBatchFile(e.target.files[0])}
+              disabled={loading}
+            />
+            <p className="field-hint">
+              CSV with a header row, or a JSON array of objects, with the columns twitterHandle and tweetText and optionally
+              claimType (posted, posted-between or not-posted-before), tweetLink, windowStart and windowEnd (ISO dates or Unix
+              seconds), contentHash and evidenceUri.
+            </p>
+          </div>
+          
+          {batchRows && (
+            <>
+              <table className="claims-table batch-table">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Claim</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {batchRows.map((row) => (
+                    <tr key={row.line} className={row.error ? 'batch-row-invalid' : undefined}>
+                      <td>{row.line}</td>
+                      <td>
+                        <strong>@{row.statement ? row.statement.twitterHandle : row.input.twitterHandle}</strong>
+                        <p className="bounty-text">{row.statement ? row.statement.tweetText : row.input.tweetText}</p>
+                      </td>
+                      <td>
+                        {row.error && <span className="field-error">{row.error}</span>}
+                        {row.assertionId && (
+                          <button type="button" className="link-button" onClick={() => viewClaim(row.assertionId)}>
+                            {row.assertionId.substring(0, 10)}...
+                          </button>
+                        )}
+                        {!row.error && !row.assertionId && 'Ready'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              
+              <p className="field-hint">
+                {batchRows.filter((row) => !row.error).length} of {batchRows.length} rows are valid
+                {batchRows.some((row) => row.error) && '; invalid rows are skipped'}.
+              </p>
+              <div className="button-group">
+                <button
+                  className="action-button"
+                  onClick={submitBatch}
+                  disabled={loading || (treasury && treasury.paused) || !batchRows.some((row) => !row.error && !row.assertionId)}
+                >
+                  Submit {batchRows.filter((row) => !row.error && !row.assertionId).length} Claims
+                </button>
+                <button
+                  className="action-button"
+                  onClick={settleBatch}
+                  disabled={loading || !batchRows.some((row) => row.assertionId)}
+                >
+                  Settle Ready Claims
+                </button>
+                <button
+                  className="action-button"
+                  onClick={() => downloadBatchResults('csv')}
+                  disabled={!batchRows.some((row) => row.assertionId)}
+                >
+                  Export CSV
+                </button>
+                <button
+                  className="action-button"
+                  onClick={() => downloadBatchResults('json')}
+                  disabled={!batchRows.some((row) => row.assertionId)}
+                >
+                  Export JSON
+                </button>
+              </div>
+            </>
+          )}
+          
+          <hr />
+          
+          <h3>Bounties</h3>
+          <p>Anyone can escrow a reward for proving that a user tweeted a specific text. A bounty's tweet can only have one pending claim at a time, and the first claim that resolves as true collects the bounty; unclaimed bounties can be refunded after the deadline.</p>
+          
+          {bounties.length === 0 && <p className="field-hint">No bounties yet.</p>}
+          {bounties.map((bounty) => {
+            const state = bountyState(bounty);
+            return (
+              <div key={bounty.id} className="bounty-item">
+                <p><strong>#{bounty.id}: @{bounty.twitterHandle}</strong> &mdash; {bounty.amountText} ({state})</p>
+                <p className="bounty-text">{bounty.tweetText}</p>
+                <p className="field-hint">
+                  Claims accepted until {new Date(bounty.deadline * 1000).toLocaleString()}
+                  {bounty.pendingClaims > 0 && ` · ${bounty.pendingClaims} pending claim(s)`}
+                  {bounty.winner !== ethers.ZeroAddress && ` · won by ${bounty.winner}`}
+                </p>
+                <div className="button-group">
+                  {state === 'Open' && (
+                    <button
+                      className="action-button"
+                      onClick={() => claimBounty(bounty)}
+                      disabled={loading || (treasury && treasury.paused)}
+                    >
+                      Claim this bounty
+                    </button>
+                  )}
+                  {state === 'Expired' && bounty.requester === account && (
+                    <button className="action-button" onClick={() => refundBounty(bounty)} disabled={loading}>
+                      Refund
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+          
+          <h4>Create a Bounty</h4>
+          <div className="input-group">
+            <label htmlFor="bounty-handle">Twitter Username:</label>
+            <input
+              id="bounty-handle"
+              type="text"
+              placeholder="username (without @)"
+              value={bountyHandle}
+              onChange={(e) => setBountyHandle(e.target.value)}
+              disabled={loading}
+            />
+            <HandleFeedback input={bountyHandle} checked={checkedBounty} />
+          </div>
+          
+          <div className="input-group">
+            <label htmlFor="bounty-text">Tweet Text:</label>
+            <textarea
+              id="bounty-text"
+              placeholder="The exact tweet text to be proven"
+              value={bountyText}
+              onChange={(e) => setBountyText(e.target.value)}
+              disabled={loading}
+              rows={3}
+            />
+            <TweetTextFeedback input={bountyText} checked={checkedBounty} />
+          </div>
+          
+          <div className="input-group">
+            <label htmlFor="bounty-token">Reward Token (ERC-20 address, empty for ETH):</label>
+            <input
+              id="bounty-token"
+              type="text"
+              placeholder="ETH"
+              value={bountyToken}
+              onChange={(e) => setBountyToken(e.target.value.trim())}
+              disabled={loading}
+            />
+          </div>
+          
+          <div className="input-group">
+            <label htmlFor="bounty-amount">Reward Amount:</label>
+            <input
+              id="bounty-amount"
+              type="text"
+              placeholder="0.05"
+              value={bountyAmount}
+              onChange={(e) => setBountyAmount(e.target.value.trim())}
+              disabled={loading}
+            />
+          </div>
+          
+          <div className="input-group">
+            <label htmlFor="bounty-deadline">Claim Deadline:</label>
+            <input
+              id="bounty-deadline"
+              type="datetime-local"
+              value={bountyDeadline}
+              onChange={(e) => setBountyDeadline(e.target.value)}
+              disabled={loading}
+            />
+          </div>
+          
+          <button
+            className="action-button"
+            onClick={createBounty}
+            disabled={loading || !bountyHandle || !bountyText || !bountyAmount || !bountyDeadline}
+          >
+            Create Bounty
+          </button>
+          
+          <hr />
+          
+          {treasury && (
+            <>
+              <h3>Your Balance</h3>
+              <p>Rewards ({treasury.rewardText} per verified claim), won bounties and bounty refunds are credited here for you to withdraw.</p>
+              {treasury.balances.filter((b) => b.owed !== 0n).length === 0 && (
+                <p className="field-hint">Nothing to withdraw.</p>
+              )}
+              {treasury.balances.filter((b) => b.owed !== 0n).map((b) => (
+                <div key={b.token} className="button-group">
+                  <span className="balance-amount">{formatTokenAmount(b.owed, b.info)}</span>
+                  <button className="action-button" onClick={() => withdrawBalance(b.token)} disabled={loading}>
+                    Withdraw
+                  </button>
+                </div>
+              ))}
+              
+              <hr />
+            </>
+          )}
+          
+          {myClaims && (
+            <>
+              <h3>My Claims</h3>
+              {myClaims.total === 0 ? (
+                <p>You have not submitted any claims yet.</p>
+              ) : (
+                <>
+                  <table className="claims-table">
+                    <thead>
+                      <tr>
+                        <th>Claim</th>
+                        <th>Status</th>
+                        <th>Time Left</th>
+                        <th></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {myClaims.rows.map((row) => (
+                        <tr key={row.assertionId}>
+                          <td>
+                            <strong>@{row.twitterHandle}</strong>
+                            <p className="bounty-text">{row.tweetText}</p>
+                          </td>
+                          <td>{row.status}</td>
+                          <td>{timeLeft(row, now)}</td>
+                          <td>
+                            <div className="button-group">
+                              <button
+                                className="action-button"
+                                onClick={() => viewClaim(row.assertionId)}
+                                disabled={loading}
+                              >
+                                Check
+                              </button>
+                              <button
+                                className="action-button"
+                                onClick={() => settleClaim(row.assertionId)}
+                                disabled={loading || !row.canSettle}
+                              >
+                                Settle
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  
+                  {myClaims.total > MY_CLAIMS_PAGE_SIZE && (
+                    <div className="button-group">
+                      <button
+                        className="action-button"
+                        onClick={() => setMyClaimsPage(myClaimsPage - 1)}
+                        disabled={loading || myClaimsPage === 0}
+                      >
+                        Newer
+                      </button>
+                      <span>
+                        Page {myClaimsPage + 1} of {Math.ceil(myClaims.total / MY_CLAIMS_PAGE_SIZE)}
+                      </span>
+                      <button
+                        className="action-button"
+                        onClick={() => setMyClaimsPage(myClaimsPage + 1)}
+                        disabled={loading || (myClaimsPage + 1) * MY_CLAIMS_PAGE_SIZE >= myClaims.total}
+                      >
+                        Older
+                      </button>
+                    </div>
+                  )}
+                </>
+              )}
+              
+              <hr />
+            </>
+          )}
+          
+          <h3>Verified Tweets</h3>
+          <div className="input-group">
+            <label htmlFor="lookup-handle">Twitter Username:</label>
+            <input
+              id="lookup-handle"
+              type="text"
+              placeholder="username (without @)"
+              value={lookupHandle}
+              onChange={(e) => setLookupHandle(e.target.value)}
+              disabled={loading}
+            />
+          </div>
+          
+          <button
+            className="action-button"
+            onClick={() => loadHandleVerifications()}
+            disabled={loading || !lookupHandle}
+          >
+            Look Up
+          </button>
+          
+          {handleRoute && (
+            <ShareLinks
+              url={routeUrl(handleRoute, chainId)}
+              text={`On-chain claims about tweets by @${handleRoute.value}`}
+            />
+          )}
+          {handleVerifications && (
+            handleVerifications.tweets.length === 0 ? (
+              <p>
+                No {handleVerifications.indexed ? 'claims' : 'verified tweets'} for @{handleVerifications.handle.replace(/^@/, '')}.
+              </p>
+            ) : (
+              <>
+                {handleVerifications.indexed && (
+                  <p className="field-hint">
+                    All claims about @{handleVerifications.handle} from the indexer, newest first
+                    {handleVerifications.total > handleVerifications.tweets.length &&
+                      ` (latest ${handleVerifications.tweets.length} of ${handleVerifications.total})`}.
+                  </p>
+                )}
+                <ul className="activity-list">
+                  {handleVerifications.tweets.map((tweet) => (
+                    <li key={tweet.assertionId}>
+                      <p className="bounty-text">{tweet.tweetText}</p>
+                      {tweet.status && <p className="field-hint">{tweet.status}</p>}
+                      <button type="button" className="link-button" onClick={() => viewClaim(tweet.assertionId)}>
+                        {tweet.assertionId}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )
+          )}
+          
+          <hr />
+          
           <h3>Find Assertion ID</h3>
           <div className="input-group">
             <label htmlFor="tx-hash">Transaction Hash:</label>
@@ -444,7 +2364,7 @@ function App() {
           
           <button
             className="action-button"
-            onClick={findAssertionIdFromTxHash}
+            onClick={() => findAssertionIdFromTxHash()}
             disabled={loading || !txHash}
           >
             Find Assertion ID
@@ -468,7 +2388,7 @@ function App() {
           <div className="button-group">
             <button
               className="action-button"
-              onClick={() => checkClaimStatus()}
+              onClick={() => viewClaim(assertionId)}
               disabled={loading || !assertionId}
             >
               Check Status
@@ -476,8 +2396,9 @@ function App() {
             
             <button
               className="action-button"
-              onClick={settleClaim}
-              disabled={loading || !assertionId}
+              onClick={() => settleClaim()}
+              disabled={loading || !canSettle || !claimStatus || claimStatus.assertionId !== assertionId}
+              title={canSettle ? '' : 'Check the claim first; it can be settled once its challenge window has ended'}
             >
               Settle Claim
             </button>
@@ -486,24 +2407,256 @@ function App() {
           {claimStatus && (
             <div className="status-container">
               <h4>Claim Status</h4>
+              <ShareLinks
+                url={routeUrl({ view: 'claim', value: claimStatus.assertionId }, chainId)}
+                text={`Claim that @${claimStatus.twitterHandle} tweeted ${quoteTweet(claimStatus.tweetText)}: ${claimStatus.status}`}
+              />
+              <p><strong>Status:</strong> {claimStatus.status}</p>
               <p><strong>Claimer:</strong> {claimStatus.claimer}</p>
               <p><strong>Twitter Handle:</strong> @{claimStatus.twitterHandle}</p>
               <p><strong>Tweet Text:</strong> {claimStatus.tweetText}</p>
               <p><strong>Resolved in Contract:</strong> {claimStatus.resolved ? 'Yes' : 'No'}</p>
               <p><strong>Rewarded:</strong> {claimStatus.rewarded ? 'Yes' : 'No'}</p>
               
+              {claimStatus.badge && (
+                <div className="verification-badge">
+                  <h4>Verification Badge</h4>
+                  <img src={claimStatus.badge.image} alt={claimStatus.badge.metadata.name} width="250" height="250" />
+                  <p className="field-hint">
+                    Soulbound token held by {claimStatus.badge.owner}. Its token ID is the assertion ID; metadata and
+                    image are stored on-chain by <code>{claimStatus.badge.contract}</code>.
+                  </p>
+                </div>
+              )}
+              {claimStatus.canMintBadge && (
+                <div className="verification-badge">
+                  <p>This claim was verified before badges were minted. Anyone can mint its badge to the claimer.</p>
+                  <button className="action-button" onClick={mintBadge} disabled={loading}>
+                    Mint Badge
+                  </button>
+                </div>
+              )}
+              
+              <h4>Asserted Claim</h4>
+              {claimStatus.assertedClaim.structured && (
+                <>
+                  <p><strong>Schema Version:</strong> {claimStatus.assertedClaim.schemaVersion}</p>
+                  <p><strong>Claim:</strong> {claimStatus.assertedClaim.claim}</p>
+                  <p><strong>Asserted At:</strong> {claimStatus.assertedClaim.isoDate} ({claimStatus.assertedClaim.timestamp})</p>
+                </>
+              )}
+              {(claimStatus.tweetUrl || claimStatus.contentHash || claimStatus.evidenceUri) && (
+                <div className="evidence">
+                  {claimStatus.tweetUrl && (
+                    <p>
+                      <strong>Tweet:</strong>{' '}
+                      <a href={claimStatus.tweetUrl} target="_blank" rel="noopener noreferrer">
+                        {claimStatus.tweetUrl}
+                      </a>
+                    </p>
+                  )}
+                  {claimStatus.contentHash && (
+                    <p><strong>Content Hash:</strong> <code>{claimStatus.contentHash}</code></p>
+                  )}
+                  {claimStatus.evidenceUri && (
+                    <p>
+                      <strong>Evidence:</strong>{' '}
+                      <a href={evidenceLink(claimStatus.evidenceUri)} target="_blank" rel="noopener noreferrer">
+                        {claimStatus.evidenceUri}
+                      </a>
+                    </p>
+                  )}
+                </div>
+              )}
+              <pre className="asserted-claim">{claimStatus.assertedClaim.raw}</pre>
+              
+              {claimStatus.activity.length > 0 && (
+                <>
+                  <h4>Activity</h4>
+                  <ul className="activity-list">
+                    {claimStatus.activity.map((item) => (
+                      <li key={item.key}>
+                        {item.description}{' '}
+                        {txUrl(deployment, item.txHash) && (
+                          <a
+                            href={txUrl(deployment, item.txHash)}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="tx-link"
+                          >
+                            tx
+                          </a>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+              
               {assertionDetails && (
                 <>
                   <h4>UMA Assertion Details</h4>
                   <p><strong>Asserter:</strong> {assertionDetails.asserter}</p>
-                  {assertionDetails.challenger !== "0x0000000000000000000000000000000000000000" && (
-                    <p><strong>Challenger:</strong> {assertionDetails.challenger}</p>
+                  <p><strong>Asserted At:</strong> {new Date(assertionDetails.assertionTime * 1000).toLocaleString()}</p>
+                  <p><strong>Bond:</strong> {assertionDetails.bondText}</p>
+                  <p><strong>Identifier:</strong> {assertionDetails.identifier}</p>
+                  <p>
+                    <strong>Challenge Window:</strong>{' '}
+                    {describeChallengeWindow(assertionDetails.expirationTime, now)}
+                  </p>
+                  <p>
+                    <strong>Settled on UMA:</strong>{' '}
+                    {assertionDetails.settled
+                      ? `Yes, resolved as ${assertionDetails.settlementResolution ? 'true' : 'false'}`
+                      : canSettle ? 'No, ready to settle' : 'No'}
+                  </p>
+                </>
+              )}
+              
+              {assertionDetails && (
+                <>
+                  <h4>Dispute</h4>
+                  {assertionDetails.disputer ? (
+                    <>
+                      <p><strong>Disputed By:</strong> {assertionDetails.disputer}</p>
+                      <p>
+                        <strong>Escalation Outcome:</strong>{' '}
+                        {assertionDetails.settled
+                          ? `UMA resolved the claim as ${assertionDetails.settlementResolution ? 'true; the bonds went to the claimer' : 'false; the bonds went to the disputer'}`
+                          : 'Awaiting the UMA DVM vote; settle the claim once the vote has resolved'}
+                      </p>
+                    </>
+                  ) : assertionDetails.settled
+                    || assertionDetails.expirationTime <= now ? (
+                    <p>The challenge window closed without a dispute.</p>
+                  ) : (
+                    <>
+                      <p>
+                        If this claim is false, you can dispute it until{' '}
+                        {new Date(assertionDetails.expirationTime * 1000).toLocaleString()} by posting a bond of{' '}
+                        {assertionDetails.bondText}. UMA voters then decide; if the claim is found false you get your
+                        bond back plus the claimer's, minus the UMA oracle fee, otherwise you lose yours.
+                      </p>
+                      <button
+                        className="action-button"
+                        onClick={disputeClaim}
+                        disabled={loading}
+                      >
+                        Dispute
+                      </button>
+                    </>
                   )}
                 </>
               )}
             </div>
           )}
           
+          {treasury && treasury.isOwner && (
+            <div className="admin-panel">
+              <h3>Admin</h3>
+              <p><strong>Claims:</strong> {treasury.paused ? 'Paused' : 'Accepting new claims'}</p>
+              <button
+                className="action-button"
+                onClick={() => sendAdminTx(treasury.paused ? 'Claims unpaused' : 'Claims paused',
+                  treasury.paused ? 'unpause' : 'pause')}
+                disabled={loading}
+              >
+                {treasury.paused ? 'Unpause claims' : 'Pause claims'}
+              </button>
+              
+              <h4>Reward</h4>
+              <p>Current reward: {treasury.rewardText}</p>
+              <div className="input-group">
+                <label htmlFor="reward-token">Reward Token (ERC-20 address, empty for ETH):</label>
+                <input
+                  id="reward-token"
+                  type="text"
+                  placeholder="ETH"
+                  value={rewardTokenInput}
+                  onChange={(e) => setRewardTokenInput(e.target.value.trim())}
+                  disabled={loading}
+                />
+              </div>
+              <div className="input-group">
+                <label htmlFor="reward-amount">Reward Amount:</label>
+                <input
+                  id="reward-amount"
+                  type="text"
+                  placeholder="0.01"
+                  value={rewardAmountInput}
+                  onChange={(e) => setRewardAmountInput(e.target.value.trim())}
+                  disabled={loading}
+                />
+              </div>
+              <button className="action-button" onClick={updateReward} disabled={loading || !rewardAmountInput}>
+                Set Reward
+              </button>
+              
+              <h4>Surplus</h4>
+              {treasury.balances.map((b) => (
+                <p key={b.token}>{formatTokenAmount(b.surplus, b.info)} available</p>
+              ))}
+              <div className="input-group">
+                <label htmlFor="surplus-token">Token (ERC-20 address, empty for ETH):</label>
+                <input
+                  id="surplus-token"
+                  type="text"
+                  placeholder="ETH"
+                  value={surplusToken}
+                  onChange={(e) => setSurplusToken(e.target.value.trim())}
+                  disabled={loading}
+                />
+              </div>
+              <div className="input-group">
+                <label htmlFor="surplus-amount">Amount:</label>
+                <input
+                  id="surplus-amount"
+                  type="text"
+                  value={surplusAmount}
+                  onChange={(e) => setSurplusAmount(e.target.value.trim())}
+                  disabled={loading}
+                />
+              </div>
+              <div className="input-group">
+                <label htmlFor="surplus-recipient">Recipient:</label>
+                <input
+                  id="surplus-recipient"
+                  type="text"
+                  placeholder={account}
+                  value={surplusRecipient}
+                  onChange={(e) => setSurplusRecipient(e.target.value.trim())}
+                  disabled={loading}
+                />
+              </div>
+              <button className="action-button" onClick={withdrawSurplus} disabled={loading || !surplusAmount}>
+                Withdraw Surplus
+              </button>
+            </div>
+          )}
+          
+          {shownPendingTxs.length > 0 && (
+            <div className="pending-transactions">
+              <h3>Pending Transactions</h3>
+              <ul className="activity-list">
+                {shownPendingTxs.map((record) => (
+                  <li key={record.hash}>
+                    {record.label}, sent {new Date(record.sentAt).toLocaleString()}:{' '}
+                    {txUrl(deployment, record.hash) ? (
+                      <a href={txUrl(deployment, record.hash)} target="_blank" rel="noopener noreferrer">
+                        {record.hash.substring(0, 10)}...
+                      </a>
+                    ) : (
+                      <code>{record.hash.substring(0, 10)}...</code>
+                    )}{' '}
+                    <button className="link-button" onClick={() => forgetTransaction(record.hash)}>
+                      Forget
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          
           {error && <div className="error-message">{error}</div>}
           
           {result && (
@@ -515,14 +2668,14 @@ function App() {
                   Assertion ID: <code>{result.assertionId}</code>
                 </p>
               )}
-              {result.txHash && (
+              {result.txHash && txUrl(deployment, result.txHash) && (
                 <a 
-                  href={`https://sepolia.etherscan.io/tx/${result.txHash}`}
+                  href={txUrl(deployment, result.txHash)}
                   target="_blank"
                   rel="noopener noreferrer"
                   className="tx-link"
                 >
-                  View transaction on Etherscan
+                  View transaction on the block explorer
                 </a>
               )}
             </div>
@@ -531,7 +2684,9 @@ function App() {
       </main>
       
       <footer className="App-footer">
-        <p>This app uses UMA Protocol on Sepolia testnet to verify Twitter claims on-chain.</p>
+        <p>
+          This app uses UMA Protocol{deployment ? ` on ${deployment.name}` : ''} to verify Twitter claims on-chain.
+        </p>
       </footer>
     </div>
   );
@@ -0,0 +1,196 @@
+import { ethers } from 'ethers';
+import { CLAIM_TYPES, buildStatement } from './claimFormat';
+
+// Reads batches of claims from CSV or JSON files, one claim per row, for the contract's submitClaims
+
+// Columns of a batch file, named like the inputs of the single claim form. Only twitterHandle and tweetText are
+// required; claimType is posted, posted-between or not-posted-before and defaults to posted; the window bounds
+// are ISO 8601 dates or Unix seconds.
+export const BATCH_COLUMNS = [
+  'claimType',
+  'twitterHandle',
+  'tweetText',
+  'tweetLink',
+  'windowStart',
+  'windowEnd',
+  'contentHash',
+  'evidenceUri'
+];
+
+// Most rows a file may hold, to keep the preview and the registry lookups manageable
+export const MAX_BATCH_ROWS = 500;
+
+const CLAIM_TYPE_VALUES = {
+  'posted': CLAIM_TYPES.posted,
+  'posted-between': CLAIM_TYPES.postedBetween,
+  'not-posted-before': CLAIM_TYPES.notPostedBefore
+};
+
+/**
+ * Split CSV text into rows of cells (RFC 4180): quoted cells may hold commas, line breaks and "" for a quote.
+ * @param {string} text File contents
+ * @returns {string[][]} Rows, without blank lines
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+}
+
+/**
+ * Read the rows of a batch file: CSV with a header row of BATCH_COLUMNS names, or a JSON array of objects with
+ * those keys.
+ * @param {string} text File contents
+ * @param {string} fileName Picks the format, .json files are read as JSON and anything else as CSV
+ * @returns {object} { rows } with a { line, input } per claim, line being the row's number in the file for
+ *   messages, or { error } with a message for the user
+ */
+export function parseBatchFile(text, fileName) {
+  const content = text.replace(/^\uFEFF/, '');
+  let records;
+
+  if (/\.json$/i.test(fileName)) {
+    try {
+      records = JSON.parse(content);
+    } catch (err) {
+      return { error: `The file is not valid JSON: ${err.message}` };
+    }
+    if (!Array.isArray(records) || !records.every((record) => record && typeof record === 'object')) {
+      return { error: 'A JSON batch must be an array of claim objects' };
+    }
+    records = records.map((record, index) => ({ line: index + 1, values: record }));
+  } else {
+    const [header, ...cells] = parseCsv(content);
+    if (!header) return { error: 'The file is empty' };
+
+    const columns = header.map((name) => name.trim());
+    const unknown = columns.filter((name) => !BATCH_COLUMNS.includes(name));
+    if (unknown.length > 0) {
+      return { error: `Unknown column ${unknown[0]}, columns are ${BATCH_COLUMNS.join(', ')}` };
+    }
+    if (!columns.includes('twitterHandle') || !columns.includes('tweetText')) {
+      return { error: 'The header row must name at least the twitterHandle and tweetText columns' };
+    }
+    records = cells.map((row, index) => ({
+      line: index + 2,
+      values: Object.fromEntries(columns.map((name, column) => [name, row[column]]))
+    }));
+  }
+
+  if (records.length === 0) return { error: 'The file has no claims' };
+  if (records.length > MAX_BATCH_ROWS) {
+    return { error: `A batch holds at most ${MAX_BATCH_ROWS} claims, this file has ${records.length}` };
+  }
+
+  const rows = records.map(({ line, values }) => ({
+    line,
+    input: Object.fromEntries(BATCH_COLUMNS.map((name) => [name, values[name] == null ? '' : String(values[name])]))
+  }));
+  return { rows };
+}
+
+// Unix seconds as an ISO date, which buildStatement reads like a datetime-local value
+function toDateInput(value) {
+  const trimmed = value.trim();
+  return /^\d+$/.test(trimmed) ? new Date(Number(trimmed) * 1000).toISOString() : trimmed;
+}
+
+/**
+ * Registry key of a tweet, as computed by ClaimFormat.tweetKey for a normalized handle and text
+ */
+export function tweetKey(twitterHandle, tweetText) {
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['string', 'string'], [twitterHandle, tweetText]));
+}
+
+/**
+ * Validate the rows of a batch file like the single claim form does, and reject repeats of a tweet within the file
+ * by posted or time-bounded claims, which the contract would reject as pending.
+ * @param {object[]} rows Rows from parseBatchFile
+ * @param {number} now Current Unix time in seconds
+ * @returns {object[]} The rows with { statement, key } for valid ones, key being the registry key of posted and
+ *   time-bounded claims and null for negative ones, or { error }
+ */
+export function validateBatchRows(rows, now) {
+  const seen = new Map();
+
+  return rows.map((row) => {
+    const typeName = row.input.claimType.trim().toLowerCase() || 'posted';
+    if (!(typeName in CLAIM_TYPE_VALUES)) {
+      return { ...row, error: `Unknown claim type "${row.input.claimType}", use ${Object.keys(CLAIM_TYPE_VALUES).join(', ')}` };
+    }
+
+    const { statement, error } = buildStatement({
+      ...row.input,
+      claimType: CLAIM_TYPE_VALUES[typeName],
+      windowStart: toDateInput(row.input.windowStart),
+      windowEnd: toDateInput(row.input.windowEnd)
+    }, now);
+    if (error) return { ...row, error };
+
+    if (statement.claimType === CLAIM_TYPES.notPostedBefore) return { ...row, statement, key: null };
+    const key = tweetKey(statement.twitterHandle, statement.tweetText);
+    if (seen.has(key)) return { ...row, error: `Same tweet as row ${seen.get(key)}` };
+    seen.set(key, row.line);
+    return { ...row, statement, key };
+  });
+}
+
+function csvCell(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export the submitted rows of a batch with their assertion IDs and transactions, for records or later settlement.
+ * @param {object[]} rows Rows of validateBatchRows with { assertionId, txHash } set once submitted
+ * @param {string} format 'csv' or 'json'
+ * @returns {string} File contents
+ */
+export function exportBatchResults(rows, format) {
+  const records = rows
+    .filter((row) => row.assertionId)
+    .map((row) => ({
+      line: row.line,
+      twitterHandle: row.statement.twitterHandle,
+      tweetText: row.statement.tweetText,
+      assertionId: row.assertionId,
+      txHash: row.txHash
+    }));
+
+  if (format === 'json') return JSON.stringify(records, null, 2);
+  const columns = ['line', 'twitterHandle', 'tweetText', 'assertionId', 'txHash'];
+  return [columns, ...records.map((record) => columns.map((name) => record[name]))]
+    .map((cells) => cells.map(csvCell).join(','))
+    .join('\n') + '\n';
+}
@@ -0,0 +1,130 @@
+import { ethers } from 'ethers';
+import { CLAIM_TYPES } from './claimFormat';
+import { exportBatchResults, parseBatchFile, parseCsv, validateBatchRows } from './batchImport';
+
+const NOW = 2000000000;
+
+describe('parseCsv', () => {
+  test('reads quoted cells with commas, quotes and line breaks', () => {
+    expect(parseCsv('a,b\r\n"x, y","say ""gm""\nfrens"\n\n1,\n')).toEqual([
+      ['a', 'b'],
+      ['x, y', 'say "gm"\nfrens'],
+      ['1', '']
+    ]);
+  });
+});
+
+describe('parseBatchFile', () => {
+  test('reads CSV rows by their header, with file line numbers', () => {
+    const { rows } = parseBatchFile('\uFEFFtwitterHandle,tweetText,claimType\n@DrexTron,gm,\nfoo,"gn\nall",posted\n', 'claims.csv');
+
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toEqual({
+      line: 2,
+      input: {
+        claimType: '',
+        twitterHandle: '@DrexTron',
+        tweetText: 'gm',
+        tweetLink: '',
+        windowStart: '',
+        windowEnd: '',
+        contentHash: '',
+        evidenceUri: ''
+      }
+    });
+    expect(rows[1].input.tweetText).toBe('gn\nall');
+  });
+
+  test('reads JSON arrays and stringifies their values', () => {
+    const { rows } = parseBatchFile(JSON.stringify([{ twitterHandle: 'a', tweetText: 'gm', windowEnd: 1700000000 }]), 'claims.JSON');
+    expect(rows[0].line).toBe(1);
+    expect(rows[0].input.windowEnd).toBe('1700000000');
+  });
+
+  test('rejects malformed files', () => {
+    expect(parseBatchFile('', 'claims.csv').error).toBe('The file is empty');
+    expect(parseBatchFile('twitterHandle,tweetText\n', 'claims.csv').error).toBe('The file has no claims');
+    expect(parseBatchFile('handle,tweetText\na,b', 'claims.csv').error).toMatch(/^Unknown column handle/);
+    expect(parseBatchFile('twitterHandle\na', 'claims.csv').error).toMatch(/twitterHandle and tweetText/);
+    expect(parseBatchFile('{"twitterHandle":"a"}', 'claims.json').error).toMatch(/array of claim objects/);
+    expect(parseBatchFile('[', 'claims.json').error).toMatch(/^The file is not valid JSON/);
+
+    const tooMany = 'twitterHandle,tweetText\n' + 'a,b\n'.repeat(501);
+    expect(parseBatchFile(tooMany, 'claims.csv').error).toBe('A batch holds at most 500 claims, this file has 501');
+  });
+});
+
+describe('validateBatchRows', () => {
+  function rows(...inputs) {
+    return inputs.map((input, index) => ({
+      line: index + 2,
+      input: {
+        claimType: '',
+        twitterHandle: '',
+        tweetText: '',
+        tweetLink: '',
+        windowStart: '',
+        windowEnd: '',
+        contentHash: '',
+        evidenceUri: '',
+        ...input
+      }
+    }));
+  }
+
+  test('builds normalized statements and registry keys', () => {
+    const [posted, between] = validateBatchRows(rows(
+      { twitterHandle: '@DrexTron', tweetText: ' gm  frens ', tweetLink: 'https://x.com/drextron/status/42' },
+      { claimType: 'Posted-Between', twitterHandle: 'a', tweetText: 'gm', windowStart: '1700000000', windowEnd: '2023-11-15T00:00:00Z' }
+    ), NOW);
+
+    expect(posted.statement).toMatchObject({ claimType: CLAIM_TYPES.posted, twitterHandle: 'drextron', tweetText: 'gm frens', statusId: '42' });
+    expect(posted.key).toBe(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['string', 'string'], ['drextron', 'gm frens'])));
+    expect(between.statement).toMatchObject({ claimType: CLAIM_TYPES.postedBetween, windowStart: 1700000000, windowEnd: 1700006400 });
+    expect(between.key).toBe(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['string', 'string'], ['a', 'gm'])));
+  });
+
+  test('reports invalid rows and repeated tweets', () => {
+    const checked = validateBatchRows(rows(
+      { twitterHandle: 'drextron', tweetText: 'gm' },
+      { twitterHandle: '@DREXTRON', tweetText: 'gm ' },
+      { twitterHandle: 'drex-tron', tweetText: 'gm' },
+      { claimType: 'tweeted', twitterHandle: 'drextron', tweetText: 'gn' },
+      { claimType: 'not-posted-before', twitterHandle: 'drextron', tweetText: 'gm', windowEnd: String(NOW + 1) },
+      { claimType: 'posted-between', twitterHandle: 'drextron', tweetText: 'gm', windowStart: '1700000000', windowEnd: '1700006400' }
+    ), NOW);
+
+    expect(checked.map((row) => row.error)).toEqual([
+      undefined,
+      'Same tweet as row 2',
+      'Twitter handles only use letters A-Z, digits and underscores',
+      'Unknown claim type "tweeted", use posted, posted-between, not-posted-before',
+      'The date must not be in the future',
+      'Same tweet as row 2'
+    ]);
+  });
+});
+
+describe('exportBatchResults', () => {
+  const submitted = [
+    { line: 2, statement: { twitterHandle: 'drextron', tweetText: 'say "gm",\nfrens' }, assertionId: '0xaa', txHash: '0x01' },
+    { line: 3, statement: { twitterHandle: 'b', tweetText: 'gn' } }
+  ];
+
+  test('exports the submitted rows as CSV', () => {
+    expect(exportBatchResults(submitted, 'csv')).toBe(
+      'line,twitterHandle,tweetText,assertionId,txHash\n' +
+      '2,drextron,"say ""gm"",\nfrens",0xaa,0x01\n'
+    );
+  });
+
+  test('exports the submitted rows as JSON', () => {
+    expect(JSON.parse(exportBatchResults(submitted, 'json'))).toEqual([
+      { line: 2, twitterHandle: 'drextron', tweetText: 'say "gm",\nfrens', assertionId: '0xaa', txHash: '0x01' }
+    ]);
+  });
+
+  test('reads its own CSV back', () => {
+    expect(parseCsv(exportBatchResults(submitted, 'csv'))[1][2]).toBe('say "gm",\nfrens');
+  });
+});
@@ -0,0 +1,52 @@
+// Challenge window countdowns, and when to re-check whether a claim can be settled. Times are in seconds since the
+// epoch, as the oracle reports them.
+
+/**
+ * Format a number of seconds as e.g. "1h 5m 3s" or "42s".
+ */
+export function formatDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) return `${hours}h ${minutes}m ${seconds % 60}s`;
+  if (minutes > 0) return `${minutes}m ${seconds % 60}s`;
+  return `${seconds}s`;
+}
+
+/**
+ * Time left in a claim's challenge window, for the claims table.
+ * @param {object} row Claim row with status and expirationTime
+ * @param {number} now Current time
+ * @returns {string} e.g. "4m 10s", or "-" once the window has ended or the claim is no longer pending
+ */
+export function timeLeft(row, now) {
+  const secondsLeft = row.expirationTime - now;
+  return row.status === 'Pending' && secondsLeft > 0 ? formatDuration(secondsLeft) : '-';
+}
+
+/**
+ * Describe a challenge window, e.g. "ends in 1h 0m 0s (<date>)" or "ended <date>".
+ */
+export function describeChallengeWindow(expirationTime, now) {
+  const date = new Date(expirationTime * 1000).toLocaleString();
+  return expirationTime > now ? `ends in ${formatDuration(expirationTime - now)} (${date})` : `ended ${date}`;
+}
+
+/**
+ * Whether the checked claim waits to become settleable. canBeSettled only turns true in the first block past
+ * the expiration time, so while this holds the app re-checks it on each new block.
+ * @param {object|null} details The claim's assertion details, with settled
+ * @param {boolean} canSettle The last canBeSettled result
+ */
+export function awaitsSettlement(details, canSettle) {
+  return Boolean(details && !details.settled && !canSettle);
+}
+
+/**
+ * Whether a claims table holds a pending claim whose challenge window has ended but that was not settleable when
+ * last loaded, so that it must be reloaded to offer settling it.
+ * @param {object[]} rows Claim rows with status, canSettle and expirationTime
+ * @param {number} now Current time
+ */
+export function hasNewlySettleable(rows, now) {
+  return rows.some((row) => row.status === 'Pending' && !row.canSettle && row.expirationTime <= now);
+}
@@ -0,0 +1,42 @@
+import { awaitsSettlement, describeChallengeWindow, formatDuration, hasNewlySettleable, timeLeft } from './challengeWindow';
+
+const NOW = 1700000000;
+
+describe('countdown', () => {
+  test('formats durations', () => {
+    expect(formatDuration(42)).toBe('42s');
+    expect(formatDuration(125)).toBe('2m 5s');
+    expect(formatDuration(3600)).toBe('1h 0m 0s');
+    expect(formatDuration(7384)).toBe('2h 3m 4s');
+  });
+
+  test('shows the time left of pending claims only', () => {
+    expect(timeLeft({ status: 'Pending', expirationTime: NOW + 90 }, NOW)).toBe('1m 30s');
+    expect(timeLeft({ status: 'Pending', expirationTime: NOW }, NOW)).toBe('-');
+    expect(timeLeft({ status: 'Disputed', expirationTime: NOW + 90 }, NOW)).toBe('-');
+  });
+
+  test('describes open and ended challenge windows', () => {
+    const date = new Date((NOW + 60) * 1000).toLocaleString();
+    expect(describeChallengeWindow(NOW + 60, NOW)).toBe(`ends in 1m 0s (${date})`);
+    expect(describeChallengeWindow(NOW + 60, NOW + 60)).toBe(`ended ${date}`);
+  });
+});
+
+describe('settlement checks', () => {
+  test('wait for an unsettled claim until it can be settled', () => {
+    expect(awaitsSettlement({ settled: false }, false)).toBe(true);
+    expect(awaitsSettlement({ settled: false }, true)).toBe(false);
+    expect(awaitsSettlement({ settled: true }, false)).toBe(false);
+    expect(awaitsSettlement(null, false)).toBe(false);
+  });
+
+  test('spot pending claims whose window ended since they were loaded', () => {
+    const row = { status: 'Pending', canSettle: false, expirationTime: NOW };
+    expect(hasNewlySettleable([row], NOW - 1)).toBe(false);
+    expect(hasNewlySettleable([row], NOW)).toBe(true);
+    expect(hasNewlySettleable([{ ...row, canSettle: true }], NOW)).toBe(false);
+    expect(hasNewlySettleable([{ ...row, status: 'Disputed' }], NOW)).toBe(false);
+    expect(hasNewlySettleable([], NOW)).toBe(false);
+  });
+});
@@ -0,0 +1,171 @@
+import { ethers } from 'ethers';
+import { normalizeEvidenceUri, validateTweet } from 'twitter-verification-sdk';
+
+// Reads the plain-text claims built by contracts/ClaimFormat.sol, see that file for the format
+
+const SCHEMA_PREFIX = 'twitter-verification/v';
+const TEXT_MARKER = '\nText:\n';
+
+// Values of the contract's ClaimFormat.ClaimType enum
+export const CLAIM_TYPES = {
+  posted: 0,
+  postedBetween: 1,
+  notPostedBefore: 2
+};
+
+// Type line values in asserted claims, version 1 claims have no Type line and are all 'posted'
+const CLAIM_TYPE_NAMES = {
+  'posted': CLAIM_TYPES.posted,
+  'posted-between': CLAIM_TYPES.postedBetween,
+  'not-posted-before': CLAIM_TYPES.notPostedBefore
+};
+
+// Header line labels and the decoded field they fill
+const HEADER_FIELDS = {
+  'Schema': 'schema',
+  'Type': 'type',
+  'Handle': 'handle',
+  'Status ID': 'statusId',
+  'Tweet URL': 'tweetUrl',
+  'Content hash': 'contentHash',
+  'Evidence': 'evidenceUri',
+  'Window start': 'windowStart',
+  'Window end': 'windowEnd',
+  'Asserted at': 'assertedAt'
+};
+
+// Parse "<unix seconds> (<ISO date>)"
+function parseTimeField(value) {
+  const match = /^(\d+) \((.+)\)$/.exec(value || '');
+  return match ? { timestamp: Number(match[1]), isoDate: match[2] } : null;
+}
+
+/**
+ * Decode an asserted claim into its fields.
+ * @param {string|Uint8Array} assertedClaim Claim bytes as hex or a byte array
+ * @returns {object} See parseAssertedClaim
+ */
+export function decodeAssertedClaim(assertedClaim) {
+  return parseAssertedClaim(ethers.toUtf8String(assertedClaim, ethers.Utf8ErrorFuncs.replace));
+}
+
+/**
+ * Parse the text of an asserted claim, as returned by the SDK, into its fields.
+ * @param {string} raw Claim text
+ * @returns {object} { raw, structured, and for structured claims: schemaVersion, claimType, claim, handle,
+ *   statusId, tweetUrl, contentHash, evidenceUri, windowStart, windowEnd, timestamp, isoDate, text }. Window
+ *   bounds are { timestamp, isoDate } or null. Claims in an unknown format only have raw set and structured false.
+ */
+export function parseAssertedClaim(raw) {
+  const textStart = raw.indexOf(TEXT_MARKER);
+  if (!raw.startsWith(`Schema: ${SCHEMA_PREFIX}`) || textStart === -1) {
+    return { raw, structured: false };
+  }
+
+  const fields = {};
+  const header = raw.slice(0, textStart).split('\n');
+  for (const line of header) {
+    const separator = line.indexOf(': ');
+    if (separator === -1) continue;
+    const key = HEADER_FIELDS[line.slice(0, separator)];
+    if (key) fields[key] = line.slice(separator + 2);
+  }
+
+  const claimLine = header.find((line) => line.startsWith('Claim: '));
+  const assertedAt = parseTimeField(fields.assertedAt);
+  return {
+    raw,
+    structured: true,
+    schemaVersion: Number(fields.schema.slice(SCHEMA_PREFIX.length)),
+    claimType: CLAIM_TYPE_NAMES[fields.type || 'posted'],
+    claim: claimLine ? claimLine.slice('Claim: '.length) : '',
+    handle: fields.handle ? fields.handle.replace(/^@/, '') : '',
+    statusId: fields.statusId || null,
+    tweetUrl: fields.tweetUrl || null,
+    contentHash: fields.contentHash || null,
+    evidenceUri: fields.evidenceUri || null,
+    windowStart: parseTimeField(fields.windowStart),
+    windowEnd: parseTimeField(fields.windowEnd),
+    timestamp: assertedAt ? assertedAt.timestamp : null,
+    isoDate: assertedAt ? assertedAt.isoDate : null,
+    text: raw.slice(textStart + TEXT_MARKER.length)
+  };
+}
+
+/**
+ * Parse a tweet status ID from a bare ID or a twitter.com / x.com status URL.
+ * @param {string} input User input, may be empty
+ * @returns {string|null} The status ID as a decimal string, '' for empty input, or null if it cannot be parsed
+ */
+export function parseStatusId(input) {
+  const value = input.trim();
+  if (!value) return '';
+
+  const match = /^(?:https?:\/\/)?(?:www\.|mobile\.)?(?:twitter\.com|x\.com)\/[^/]+\/status(?:es)?\/(\d+)/i.exec(value)
+    || /^(\d+)$/.exec(value);
+  if (!match) return null;
+
+  // The contract stores status IDs as uint64
+  const id = ethers.getBigInt(match[1]);
+  if (id === 0n || id > 0xffffffffffffffffn) return null;
+  return id.toString();
+}
+
+/**
+ * Build the ClaimFormat.Statement passed to the contract from form input.
+ * @param {object} input { claimType, twitterHandle, tweetText, tweetLink, windowStart, windowEnd, contentHash,
+ *   evidenceUri }, where the handle and text are normalized like the contract expects (see the SDK's
+ *   validateTweet), the window bounds are datetime-local input values in the user's time zone and the
+ *   evidence fields are optional: a 32-byte hex hash and an IPFS CID or ipfs:// / https:// URL
+ * @param {number} now Current Unix time in seconds, window bounds must not be after it
+ * @returns {object} { statement } or { error } with a message for the user
+ */
+export function buildStatement(input, now) {
+  const { twitterHandle, tweetText, errors } = validateTweet(input.twitterHandle, input.tweetText);
+  if (errors.twitterHandle || errors.tweetText) {
+    return { error: errors.twitterHandle || errors.tweetText };
+  }
+
+  // A tweet that was not posted has no status ID
+  const statusId = input.claimType === CLAIM_TYPES.notPostedBefore ? '' : parseStatusId(input.tweetLink);
+  if (statusId === null) {
+    return { error: 'Tweet link must be a tweet URL or status ID' };
+  }
+
+  const contentHash = (input.contentHash || '').trim();
+  if (contentHash && !/^0x[0-9a-fA-F]{64}$/.test(contentHash)) {
+    return { error: 'Content hash must be a 0x-prefixed 32-byte hex hash' };
+  }
+  const evidenceUri = normalizeEvidenceUri(input.evidenceUri);
+  if (evidenceUri === null) {
+    return { error: 'Evidence must be an IPFS CID or an ipfs:// or https:// URL' };
+  }
+
+  const statement = {
+    claimType: input.claimType,
+    twitterHandle,
+    tweetText,
+    statusId: statusId || 0,
+    windowStart: 0,
+    windowEnd: 0,
+    contentHash: contentHash || ethers.ZeroHash,
+    evidenceUri
+  };
+  if (input.claimType === CLAIM_TYPES.posted) return { statement };
+
+  const toSeconds = (value) => (value ? Math.floor(new Date(value).getTime() / 1000) : NaN);
+  statement.windowEnd = toSeconds(input.windowEnd);
+  if (Number.isNaN(statement.windowEnd)) {
+    return { error: input.claimType === CLAIM_TYPES.postedBetween ? 'Please choose the window end' : 'Please choose the cutoff date' };
+  }
+  if (statement.windowEnd > now) {
+    return { error: 'The date must not be in the future' };
+  }
+
+  if (input.claimType === CLAIM_TYPES.postedBetween) {
+    statement.windowStart = toSeconds(input.windowStart);
+    if (Number.isNaN(statement.windowStart)) return { error: 'Please choose the window start' };
+    if (statement.windowStart >= statement.windowEnd) return { error: 'The window start must be before its end' };
+  }
+  return { statement };
+}
@@ -0,0 +1,215 @@
+import { ethers } from 'ethers';
+import { CLAIM_TYPES, buildStatement, decodeAssertedClaim, parseAssertedClaim, parseStatusId } from './claimFormat';
+
+const claimBytes = (text) => ethers.hexlify(ethers.toUtf8Bytes(text));
+const HASH = ethers.keccak256(ethers.toUtf8Bytes('{"id_str":"1790000000000000000"}'));
+
+describe('decodeAssertedClaim', () => {
+  test('decodes a structured claim with a status ID and evidence', () => {
+    const raw =
+      'Schema: twitter-verification/v3\n' +
+      'Type: posted\n' +
+      'Claim: Twitter user @drextron posted a tweet with the exact text below.\n' +
+      'Handle: @drextron\n' +
+      'Status ID: 1790000000000000000\n' +
+      'Tweet URL: https://x.com/drextron/status/1790000000000000000\n' +
+      `Content hash: ${HASH}\n` +
+      'Evidence: ipfs://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi\n' +
+      'Asserted at: 2000000000 (2033-05-18T03:33:20Z)\n' +
+      'Text:\n' +
+      'Line one\nText: line two';
+
+    expect(decodeAssertedClaim(claimBytes(raw))).toEqual({
+      raw,
+      structured: true,
+      schemaVersion: 3,
+      claimType: CLAIM_TYPES.posted,
+      claim: 'Twitter user @drextron posted a tweet with the exact text below.',
+      handle: 'drextron',
+      statusId: '1790000000000000000',
+      tweetUrl: 'https://x.com/drextron/status/1790000000000000000',
+      contentHash: HASH,
+      evidenceUri: 'ipfs://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi',
+      windowStart: null,
+      windowEnd: null,
+      timestamp: 2000000000,
+      isoDate: '2033-05-18T03:33:20Z',
+      text: 'Line one\nText: line two'
+    });
+  });
+
+  test('leaves out the optional tweet fields', () => {
+    const decoded = decodeAssertedClaim(claimBytes(
+      'Schema: twitter-verification/v2\n' +
+      'Type: posted\n' +
+      'Claim: Twitter user @a posted a tweet with the exact text below.\n' +
+      'Handle: @a\n' +
+      'Asserted at: 0 (1970-01-01T00:00:00Z)\n' +
+      'Text:\n' +
+      'gm'
+    ));
+
+    expect(decoded.statusId).toBeNull();
+    expect(decoded.tweetUrl).toBeNull();
+    expect(decoded.contentHash).toBeNull();
+    expect(decoded.evidenceUri).toBeNull();
+    expect(decoded.text).toBe('gm');
+  });
+
+  test('decodes the window of a time-bounded claim', () => {
+    const decoded = decodeAssertedClaim(claimBytes(
+      'Schema: twitter-verification/v2\n' +
+      'Type: posted-between\n' +
+      'Claim: Twitter user @a posted a tweet with the exact text below between 2024-01-01T00:00:00Z and 2024-02-01T00:00:00Z.\n' +
+      'Handle: @a\n' +
+      'Window start: 1704067200 (2024-01-01T00:00:00Z)\n' +
+      'Window end: 1706745600 (2024-02-01T00:00:00Z)\n' +
+      'Asserted at: 1710000000 (2024-03-09T16:00:00Z)\n' +
+      'Text:\n' +
+      'gm'
+    ));
+
+    expect(decoded.claimType).toBe(CLAIM_TYPES.postedBetween);
+    expect(decoded.windowStart).toEqual({ timestamp: 1704067200, isoDate: '2024-01-01T00:00:00Z' });
+    expect(decoded.windowEnd).toEqual({ timestamp: 1706745600, isoDate: '2024-02-01T00:00:00Z' });
+  });
+
+  test('treats version 1 claims as posted claims', () => {
+    const decoded = decodeAssertedClaim(claimBytes(
+      'Schema: twitter-verification/v1\n' +
+      'Claim: Twitter user @a posted a tweet with the exact text below.\n' +
+      'Handle: @a\n' +
+      'Asserted at: 0 (1970-01-01T00:00:00Z)\n' +
+      'Text:\n' +
+      'gm'
+    ));
+
+    expect(decoded.schemaVersion).toBe(1);
+    expect(decoded.claimType).toBe(CLAIM_TYPES.posted);
+  });
+
+  test('returns unstructured claims as raw text', () => {
+    const decoded = decodeAssertedClaim(claimBytes("Twitter user @a posted a tweet with the exact text: 'gm'"));
+
+    expect(decoded.structured).toBe(false);
+    expect(decoded.raw).toBe("Twitter user @a posted a tweet with the exact text: 'gm'");
+  });
+
+  test('parses claim text as decoded by the SDK', () => {
+    const raw = 'Schema: twitter-verification/v2\nType: posted\nHandle: @a\nText:\ngm';
+
+    expect(parseAssertedClaim(raw)).toEqual(decodeAssertedClaim(claimBytes(raw)));
+    expect(parseAssertedClaim(raw).text).toBe('gm');
+  });
+});
+
+describe('parseStatusId', () => {
+  test('accepts bare IDs and status URLs', () => {
+    expect(parseStatusId(' 1790000000000000000 ')).toBe('1790000000000000000');
+    expect(parseStatusId('https://x.com/drextron/status/123?s=20')).toBe('123');
+    expect(parseStatusId('twitter.com/drextron/status/456/photo/1')).toBe('456');
+  });
+
+  test('returns an empty string for empty input', () => {
+    expect(parseStatusId('')).toBe('');
+  });
+
+  test('rejects other input and IDs outside uint64', () => {
+    expect(parseStatusId('https://x.com/drextron')).toBeNull();
+    expect(parseStatusId('0')).toBeNull();
+    expect(parseStatusId('18446744073709551616')).toBeNull();
+  });
+});
+
+describe('buildStatement', () => {
+  const NOW = 1710000000;
+  const input = (fields) => ({
+    claimType: CLAIM_TYPES.posted,
+    twitterHandle: '@drextron',
+    tweetText: 'gm',
+    tweetLink: '',
+    windowStart: '',
+    windowEnd: '',
+    ...fields
+  });
+
+  test('builds a posted statement with the status ID', () => {
+    expect(buildStatement(input({ tweetLink: 'https://x.com/drextron/status/42' }), NOW)).toEqual({
+      statement: {
+        claimType: CLAIM_TYPES.posted,
+        twitterHandle: 'drextron',
+        tweetText: 'gm',
+        statusId: '42',
+        windowStart: 0,
+        windowEnd: 0,
+        contentHash: ethers.ZeroHash,
+        evidenceUri: ''
+      }
+    });
+  });
+
+  test('normalizes the handle and text, and rejects invalid ones', () => {
+    const { statement } = buildStatement(input({ twitterHandle: ' @DrexTron', tweetText: ' gm \r\n frens ' }), NOW);
+    expect(statement.twitterHandle).toBe('drextron');
+    expect(statement.tweetText).toBe('gm\nfrens');
+
+    expect(buildStatement(input({ twitterHandle: '' }), NOW).error).toBe('Please enter the Twitter handle');
+    expect(buildStatement(input({ tweetText: '  ' }), NOW).error).toBe('Please enter the tweet text');
+    expect(buildStatement(input({ twitterHandle: 'drex.tron' }), NOW).error)
+      .toBe('Twitter handles only use letters A-Z, digits and underscores');
+    expect(buildStatement(input({ tweetText: '😀'.repeat(141) }), NOW).error)
+      .toBe('Tweets have at most 280 characters, this text counts 282');
+  });
+
+  test('adds the evidence, turning a bare CID into an ipfs:// URI', () => {
+    const hash = ethers.keccak256(ethers.toUtf8Bytes('{"id_str":"42"}'));
+    const cid = 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi';
+    const { statement } = buildStatement(input({ contentHash: ` ${hash} `, evidenceUri: cid }), NOW);
+
+    expect(statement.contentHash).toBe(hash);
+    expect(statement.evidenceUri).toBe(`ipfs://${cid}`);
+  });
+
+  test('rejects malformed evidence', () => {
+    expect(buildStatement(input({ contentHash: '0x1234' }), NOW).error)
+      .toBe('Content hash must be a 0x-prefixed 32-byte hex hash');
+    expect(buildStatement(input({ evidenceUri: 'http://example.com' }), NOW).error)
+      .toBe('Evidence must be an IPFS CID or an ipfs:// or https:// URL');
+  });
+
+  test('converts window dates to Unix seconds', () => {
+    const { statement } = buildStatement(input({
+      claimType: CLAIM_TYPES.postedBetween,
+      windowStart: '2024-01-01T00:00Z',
+      windowEnd: '2024-02-01T00:00Z'
+    }), NOW);
+
+    expect(statement.windowStart).toBe(1704067200);
+    expect(statement.windowEnd).toBe(1706745600);
+  });
+
+  test('drops the status ID from negative claims', () => {
+    const { statement } = buildStatement(input({
+      claimType: CLAIM_TYPES.notPostedBefore,
+      tweetLink: '42',
+      windowEnd: '2024-02-01T00:00Z'
+    }), NOW);
+
+    expect(statement.statusId).toBe(0);
+    expect(statement.windowEnd).toBe(1706745600);
+  });
+
+  test('rejects missing, reversed and future dates', () => {
+    expect(buildStatement(input({ claimType: CLAIM_TYPES.notPostedBefore }), NOW).error)
+      .toBe('Please choose the cutoff date');
+    expect(buildStatement(input({
+      claimType: CLAIM_TYPES.postedBetween,
+      windowStart: '2024-02-01T00:00Z',
+      windowEnd: '2024-01-01T00:00Z'
+    }), NOW).error).toBe('The window start must be before its end');
+    expect(buildStatement(input({
+      claimType: CLAIM_TYPES.notPostedBefore,
+      windowEnd: '2030-01-01T00:00Z'
+    }), NOW).error).toBe('The date must not be in the future');
+  });
+});
@@ -0,0 +1,34 @@
+import deployments from './deployments.json';
+
+// TwitterVerification deployments by chain ID, written by scripts/deploy.js
+
+/**
+ * Look up the deployment on a chain.
+ * @param {number} chainId Chain ID of the connected network
+ * @returns {object|null} { chainId, network, name, address, blockNumber, rpcUrl, nativeCurrency, explorer } or null
+ *   if there is none
+ */
+export function getDeployment(chainId) {
+  const deployment = deployments[String(chainId)];
+  return deployment ? { ...deployment, chainId: Number(chainId) } : null;
+}
+
+// All deployments, for the network picker
+export function listDeployments() {
+  return Object.keys(deployments).map(getDeployment);
+}
+
+/**
+ * Network to show before a wallet picks one: REACT_APP_DEFAULT_CHAIN_ID if it has a deployment, otherwise the first
+ * deployment in the index.
+ */
+export function defaultDeployment() {
+  return getDeployment(process.env.REACT_APP_DEFAULT_CHAIN_ID) || listDeployments()[0] || null;
+}
+
+/**
+ * Explorer link to a transaction, or null on networks without an explorer (e.g. a local node).
+ */
+export function txUrl(deployment, txHash) {
+  return deployment && deployment.explorer ? `${deployment.explorer}/tx/${txHash}` : null;
+}
@@ -0,0 +1,57 @@
+import { defaultDeployment, getDeployment, listDeployments, txUrl } from './deployments';
+
+jest.mock('./deployments.json', () => ({
+  84532: {
+    network: 'baseSepolia',
+    name: 'Base Sepolia',
+    address: '0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9',
+    blockNumber: 123,
+    rpcUrl: 'https://sepolia.base.org',
+    nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
+    explorer: 'https://sepolia.basescan.org'
+  },
+  31337: {
+    network: 'localhost',
+    name: 'Localhost',
+    address: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+    blockNumber: 1,
+    rpcUrl: 'http://127.0.0.1:8545',
+    nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
+    explorer: null
+  }
+}));
+
+const HASH = '0x' + 'ab'.repeat(32);
+
+describe('deployments', () => {
+  const defaultChainId = process.env.REACT_APP_DEFAULT_CHAIN_ID;
+
+  afterEach(() => {
+    if (defaultChainId === undefined) delete process.env.REACT_APP_DEFAULT_CHAIN_ID;
+    else process.env.REACT_APP_DEFAULT_CHAIN_ID = defaultChainId;
+  });
+
+  test('are looked up by chain ID', () => {
+    expect(getDeployment(84532)).toMatchObject({ chainId: 84532, network: 'baseSepolia', blockNumber: 123 });
+    expect(getDeployment('31337')).toMatchObject({ chainId: 31337, name: 'Localhost' });
+    expect(getDeployment(1)).toBeNull();
+    expect(listDeployments().map((d) => d.chainId)).toEqual([31337, 84532]);
+  });
+
+  test('default to REACT_APP_DEFAULT_CHAIN_ID, or the first one', () => {
+    process.env.REACT_APP_DEFAULT_CHAIN_ID = '84532';
+    expect(defaultDeployment().chainId).toBe(84532);
+
+    process.env.REACT_APP_DEFAULT_CHAIN_ID = '1';
+    expect(defaultDeployment().chainId).toBe(31337);
+
+    delete process.env.REACT_APP_DEFAULT_CHAIN_ID;
+    expect(defaultDeployment().chainId).toBe(31337);
+  });
+
+  test('link transactions to the explorer, if any', () => {
+    expect(txUrl(getDeployment(84532), HASH)).toBe(`https://sepolia.basescan.org/tx/${HASH}`);
+    expect(txUrl(getDeployment(31337), HASH)).toBeNull();
+    expect(txUrl(null, HASH)).toBeNull();
+  });
+});
@@ -0,0 +1,42 @@
+// Optional claims indexer (scripts/indexer.js), set with REACT_APP_INDEXER_URL. With one the handle lookup lists
+// every claim about a handle with its status, not only the verified tweets in the contract's registry.
+
+// Base URL of the indexer without a trailing slash, or null if none is configured
+export function indexerUrl() {
+  return (process.env.REACT_APP_INDEXER_URL || '').replace(/\/+$/, '') || null;
+}
+
+async function getJson(url, fetchFn) {
+  const res = await fetchFn(url);
+  const body = await res.json();
+  if (!res.ok) throw new Error(body.error || `The indexer answered ${res.status}`);
+  return body;
+}
+
+/**
+ * Check that an indexer follows a deployment's contract, since one indexer serves a single contract on one chain.
+ * @param {string} baseUrl From indexerUrl
+ * @param {object} deployment From getDeployment
+ * @param {function} fetchFn fetch, replaced in tests
+ * @returns {Promise<boolean>} false as well if the indexer cannot be reached
+ */
+export async function indexesDeployment(baseUrl, deployment, fetchFn = fetch) {
+  try {
+    const stats = await getJson(`${baseUrl}/stats`, fetchFn);
+    return stats.chainId === deployment.chainId && stats.contract.toLowerCase() === deployment.address.toLowerCase();
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Load the claims about a handle from an indexer, newest first.
+ * @param {string} baseUrl From indexerUrl
+ * @param {string} handle Twitter handle, with or without @ and in any case
+ * @param {function} fetchFn fetch, replaced in tests
+ * @returns {Promise<object>} { handle, total, byStatus, claims } as served by /handles/:handle, only the first page
+ *   of claims, with total counting them all
+ */
+export function fetchHandleClaims(baseUrl, handle, fetchFn = fetch) {
+  return getJson(`${baseUrl}/handles/${encodeURIComponent(handle.trim())}`, fetchFn);
+}
@@ -0,0 +1,52 @@
+import { fetchHandleClaims, indexerUrl, indexesDeployment } from './indexer';
+
+const deployment = { chainId: 31337, address: '0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9' };
+
+// fetch answering each URL with a status and JSON body, throwing for unknown URLs like an unreachable server
+function mockFetch(responses) {
+  return jest.fn(async (url) => {
+    if (!(url in responses)) throw new TypeError('Failed to fetch');
+    const [status, body] = responses[url];
+    return { ok: status < 400, status, json: async () => body };
+  });
+}
+
+describe('indexerUrl', () => {
+  const original = process.env.REACT_APP_INDEXER_URL;
+  afterEach(() => {
+    process.env.REACT_APP_INDEXER_URL = original;
+  });
+
+  test('drops trailing slashes and is null when unset', () => {
+    process.env.REACT_APP_INDEXER_URL = 'http://localhost:4000/';
+    expect(indexerUrl()).toBe('http://localhost:4000');
+    process.env.REACT_APP_INDEXER_URL = '';
+    expect(indexerUrl()).toBeNull();
+  });
+});
+
+describe('indexesDeployment', () => {
+  test('matches the indexed contract and chain', async () => {
+    const stats = { chainId: 31337, contract: deployment.address.toLowerCase() };
+    expect(await indexesDeployment('http://idx', deployment, mockFetch({ 'http://idx/stats': [200, stats] }))).toBe(true);
+    expect(await indexesDeployment('http://idx', { ...deployment, chainId: 1 }, mockFetch({ 'http://idx/stats': [200, stats] }))).toBe(false);
+  });
+
+  test('is false when the indexer cannot be reached', async () => {
+    expect(await indexesDeployment('http://idx', deployment, mockFetch({}))).toBe(false);
+  });
+});
+
+describe('fetchHandleClaims', () => {
+  test('loads the claims of a handle', async () => {
+    const body = { handle: 'drextron', total: 1, claims: [{ assertionId: '0xaa', status: 'Pending' }] };
+    const fetchFn = mockFetch({ 'http://idx/handles/%40DrexTron': [200, body] });
+
+    expect(await fetchHandleClaims('http://idx', ' @DrexTron ', fetchFn)).toEqual(body);
+  });
+
+  test('throws the error of the indexer', async () => {
+    const fetchFn = mockFetch({ 'http://idx/handles/drex-tron': [400, { error: 'Invalid Twitter handle' }] });
+    await expect(fetchHandleClaims('http://idx', 'drex-tron', fetchFn)).rejects.toThrow('Invalid Twitter handle');
+  });
+});
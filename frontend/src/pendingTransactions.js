@@ -0,0 +1,75 @@
+// Transactions sent from the app and not confirmed yet, kept in localStorage so that after a reload the app can
+// resume waiting for them and report how they ended. Each record is a transactionRecord from the SDK plus:
+//   chainId, contract   where it was sent
+//   kind, label         what it does, e.g. 'submit' and 'Claim submission'
+//   assertionId         the claim it acts on, if any
+//   sentAt              milliseconds since the epoch
+
+const STORAGE_KEY = 'twitter-verification:pending-transactions';
+
+// Records older than this are dropped, as a transaction the network never picked up stays pending forever
+export const PENDING_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+function read(storage) {
+  try {
+    const records = JSON.parse(storage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(records) ? records.filter((record) => record && typeof record.hash === 'string') : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+// Storage can be full or disabled, the app then only follows transactions until the page is closed
+function write(storage, records) {
+  try {
+    if (records.length) {
+      storage.setItem(STORAGE_KEY, JSON.stringify(records));
+    } else {
+      storage.removeItem(STORAGE_KEY);
+    }
+  } catch (err) {
+    console.error('Could not save pending transactions:', err);
+  }
+}
+
+/**
+ * Load the pending transactions, dropping those older than PENDING_MAX_AGE.
+ * @returns {object[]} Records, oldest first
+ */
+export function loadPendingTransactions(storage = window.localStorage, now = Date.now()) {
+  const records = read(storage);
+  const fresh = records.filter((record) => now - record.sentAt < PENDING_MAX_AGE);
+  if (fresh.length !== records.length) write(storage, fresh);
+  return fresh;
+}
+
+/**
+ * Save a sent transaction, replacing any record with the same hash.
+ * @returns {object[]} All records
+ */
+export function addPendingTransaction(record, storage = window.localStorage) {
+  const records = [...read(storage).filter((other) => other.hash !== record.hash), record];
+  write(storage, records);
+  return records;
+}
+
+/**
+ * Forget transactions once they are confirmed or failed.
+ * @param {string[]} hashes Hashes the transactions were sent with, not those of their replacements
+ * @returns {object[]} The remaining records
+ */
+export function removePendingTransactions(hashes, storage = window.localStorage) {
+  const records = read(storage).filter((record) => !hashes.includes(record.hash));
+  write(storage, records);
+  return records;
+}
+
+/**
+ * The records of a deployment, from another list of them.
+ */
+export function pendingFor(records, deployment) {
+  if (!deployment) return [];
+  return records.filter((record) => (
+    record.chainId === deployment.chainId && record.contract.toLowerCase() === deployment.address.toLowerCase()
+  ));
+}
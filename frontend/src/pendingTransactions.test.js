@@ -0,0 +1,46 @@
+import {
+  PENDING_MAX_AGE,
+  addPendingTransaction,
+  loadPendingTransactions,
+  pendingFor,
+  removePendingTransactions
+} from './pendingTransactions';
+
+const deployment = { chainId: 84532, address: '0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9' };
+
+function record(hash, sentAt = Date.now()) {
+  return { hash, chainId: 84532, contract: deployment.address, kind: 'submit', label: 'Claim submission', sentAt };
+}
+
+describe('pending transactions', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  test('are kept across loads until removed', () => {
+    addPendingTransaction(record('0x01'));
+    addPendingTransaction(record('0x02'));
+    addPendingTransaction(record('0x01'));
+    expect(loadPendingTransactions().map((r) => r.hash)).toEqual(['0x02', '0x01']);
+
+    expect(removePendingTransactions(['0x01', '0x03'])).toHaveLength(1);
+    removePendingTransactions(['0x02']);
+    expect(loadPendingTransactions()).toEqual([]);
+    expect(window.localStorage.length).toBe(0);
+  });
+
+  test('are dropped once too old, or unreadable', () => {
+    addPendingTransaction(record('0x01', 0));
+    addPendingTransaction(record('0x02', PENDING_MAX_AGE));
+    expect(loadPendingTransactions(window.localStorage, PENDING_MAX_AGE + 1).map((r) => r.hash)).toEqual(['0x02']);
+
+    window.localStorage.setItem('twitter-verification:pending-transactions', '{');
+    expect(loadPendingTransactions()).toEqual([]);
+  });
+
+  test('are filtered by deployment', () => {
+    const records = [record('0x01'), { ...record('0x02'), chainId: 1 }, { ...record('0x03'), contract: deployment.address.toLowerCase() }];
+    expect(pendingFor(records, deployment).map((r) => r.hash)).toEqual(['0x01', '0x03']);
+    expect(pendingFor(records, null)).toEqual([]);
+  });
+});
@@ -0,0 +1,106 @@
+import { isValidHandle, normalizeHandle } from 'twitter-verification-sdk';
+
+// Client-side routes, kept in the address bar with the History API so views can be linked to and survive reloads:
+//   /claim/:assertionId   the status of a claim
+//   /tx/:hash             the claim submitted by a transaction
+//   /handle/:handle       the claims about a handle
+// A ?chain=<chainId> query names the network, so a link opens on the network it was copied from. Static hosts must
+// serve index.html for these paths, as the development server does.
+
+// Path the app is served under, from the homepage field of package.json
+const BASE_PATH = (process.env.PUBLIC_URL || '').startsWith('/') ? process.env.PUBLIC_URL.replace(/\/+$/, '') : '';
+
+const HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+// Check and normalize the value of each view, returning null for values no link should carry
+const VIEWS = {
+  claim: (value) => (HASH_PATTERN.test(value) ? value.toLowerCase() : null),
+  tx: (value) => (HASH_PATTERN.test(value) ? value.toLowerCase() : null),
+  handle: (value) => {
+    const handle = normalizeHandle(value);
+    return isValidHandle(handle) ? handle : null;
+  }
+};
+
+/**
+ * A view of the given value, normalized, e.g. lowercase hashes and handles without @.
+ * @param {string} view claim, tx or handle
+ * @param {string} value Assertion ID, transaction hash or Twitter handle
+ * @returns {object|null} { view, value }, or null if the value is malformed
+ */
+export function makeRoute(view, value) {
+  const normalized = VIEWS[view]((value || '').trim());
+  return normalized ? { view, value: normalized } : null;
+}
+
+/**
+ * Read the view and network of a location.
+ * @param {object} location { pathname, search }, e.g. window.location
+ * @returns {object} { route, chainId }: route is { view, value } or null for the home page and unknown or malformed
+ *   paths, chainId is null without a valid chain query
+ */
+export function parseLocation({ pathname, search }) {
+  const chain = new URLSearchParams(search).get('chain');
+  const chainId = /^\d+$/.test(chain || '') ? Number(chain) : null;
+
+  const path = pathname.startsWith(BASE_PATH) ? pathname.slice(BASE_PATH.length) : pathname;
+  const match = /^\/(claim|tx|handle)\/([^/]+)\/?$/.exec(path);
+  let route = null;
+  if (match) {
+    try {
+      route = makeRoute(match[1], decodeURIComponent(match[2]));
+    } catch (err) {
+      route = null;
+    }
+  }
+  return { route, chainId };
+}
+
+/**
+ * Path and query of a view on a network.
+ * @param {object|null} route { view, value }, null for the home page
+ * @param {number|null} chainId Network of the view
+ */
+export function routePath(route, chainId) {
+  const path = route ? `/${route.view}/${encodeURIComponent(route.value)}` : '/';
+  return `${BASE_PATH}${path}${chainId ? `?chain=${chainId}` : ''}`;
+}
+
+/**
+ * Absolute link to a view, for copying and sharing.
+ */
+export function routeUrl(route, chainId, origin = window.location.origin) {
+  return origin + routePath(route, chainId);
+}
+
+/**
+ * Show a view in the address bar. A new history entry is added so Back returns to the previous view, unless the
+ * address is already the view's or replace is set.
+ */
+export function pushRoute(route, chainId, replace = false) {
+  const path = routePath(route, chainId);
+  if (path === window.location.pathname + window.location.search) return;
+  if (replace) {
+    window.history.replaceState(null, '', path);
+  } else {
+    window.history.pushState(null, '', path);
+  }
+}
+
+/**
+ * Follow Back and Forward through the views.
+ * @param {function} onLocation Called with the parseLocation result of the new address
+ * @returns {function} Stops listening
+ */
+export function watchRoutes(onLocation) {
+  const onPopState = () => onLocation(parseLocation(window.location));
+  window.addEventListener('popstate', onPopState);
+  return () => window.removeEventListener('popstate', onPopState);
+}
+
+/**
+ * Link opening a post on X with the given text and URL.
+ */
+export function shareOnXUrl(text, url) {
+  return `https://x.com/intent/tweet?${new URLSearchParams({ text, url })}`;
+}
@@ -0,0 +1,79 @@
+import { makeRoute, parseLocation, pushRoute, routePath, routeUrl, shareOnXUrl, watchRoutes } from './routes';
+
+const ID = '0x' + 'aB'.repeat(32);
+
+describe('parseLocation', () => {
+  test('reads the views with their network', () => {
+    expect(parseLocation({ pathname: `/claim/${ID}`, search: '?chain=84532' })).toEqual({
+      route: { view: 'claim', value: ID.toLowerCase() },
+      chainId: 84532
+    });
+    expect(parseLocation({ pathname: `/tx/${ID}/`, search: '' }).route).toEqual({ view: 'tx', value: ID.toLowerCase() });
+    expect(parseLocation({ pathname: '/handle/%40DrexTron', search: '' }).route).toEqual({ view: 'handle', value: 'drextron' });
+  });
+
+  test('falls back to the home page for unknown and malformed paths', () => {
+    expect(parseLocation({ pathname: '/', search: '?chain=x' })).toEqual({ route: null, chainId: null });
+    expect(parseLocation({ pathname: '/claim/0x1234', search: '' }).route).toBeNull();
+    expect(parseLocation({ pathname: '/handle/drex-tron', search: '' }).route).toBeNull();
+    expect(parseLocation({ pathname: '/handle/%E0%A4%A', search: '' }).route).toBeNull();
+    expect(parseLocation({ pathname: `/bounty/${ID}`, search: '' }).route).toBeNull();
+  });
+});
+
+describe('makeRoute', () => {
+  test('normalizes values and rejects malformed ones', () => {
+    expect(makeRoute('handle', ' @DrexTron ')).toEqual({ view: 'handle', value: 'drextron' });
+    expect(makeRoute('claim', ` ${ID}`)).toEqual({ view: 'claim', value: ID.toLowerCase() });
+    expect(makeRoute('tx', '')).toBeNull();
+  });
+});
+
+describe('routePath', () => {
+  test('reads back as the same view', () => {
+    const route = { view: 'handle', value: 'drextron' };
+    expect(routePath(route, 1)).toBe('/handle/drextron?chain=1');
+    expect(routePath(null, null)).toBe('/');
+
+    const [pathname, search] = routeUrl(route, 1, 'https://example.com').replace('https://example.com', '').split('?');
+    expect(parseLocation({ pathname, search: `?${search}` })).toEqual({ route, chainId: 1 });
+  });
+});
+
+describe('pushRoute', () => {
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+  });
+
+  test('adds history entries only for new addresses', () => {
+    const before = window.history.length;
+    pushRoute({ view: 'claim', value: ID }, 1);
+    pushRoute({ view: 'claim', value: ID }, 1);
+    expect(window.location.pathname).toBe(`/claim/${ID}`);
+    expect(window.history.length).toBe(before + 1);
+
+    pushRoute({ view: 'claim', value: ID }, 2, true);
+    expect(window.location.search).toBe('?chain=2');
+    expect(window.history.length).toBe(before + 1);
+  });
+
+  test('reports Back and Forward', () => {
+    const onLocation = jest.fn();
+    const stop = watchRoutes(onLocation);
+    window.history.replaceState(null, '', '/handle/drextron?chain=1');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+    stop();
+    window.dispatchEvent(new PopStateEvent('popstate'));
+
+    expect(onLocation.mock.calls).toEqual([[{ route: { view: 'handle', value: 'drextron' }, chainId: 1 }]]);
+  });
+});
+
+describe('shareOnXUrl', () => {
+  test('encodes the text and link', () => {
+    const url = new URL(shareOnXUrl('gm & gn', 'https://example.com/claim/0x1?chain=1'));
+    expect(url.origin + url.pathname).toBe('https://x.com/intent/tweet');
+    expect(url.searchParams.get('text')).toBe('gm & gn');
+    expect(url.searchParams.get('url')).toBe('https://example.com/claim/0x1?chain=1');
+  });
+});
@@ -0,0 +1,48 @@
+// What to tell the user about a failed call or transaction, by the error code the SDK decodes it to. Codes without
+// an entry show the decoded message, e.g. the contract's revert reason.
+const MESSAGES = {
+  // Wallet and transaction
+  USER_REJECTED: 'The request was rejected in your wallet.',
+  TRANSACTION_CANCELLED: 'The transaction was cancelled in your wallet before it was confirmed.',
+  TRANSACTION_REPLACED: 'Your wallet replaced the transaction with another one before it was confirmed, so it did not go through.',
+  REVERTED: 'The transaction failed without a reason, possibly out of gas. Please try again.',
+  INSUFFICIENT_BOND_BALANCE: 'Your token balance does not cover the bond.',
+  INSUFFICIENT_BOUNTY_BALANCE: 'Your token balance does not cover the bounty.',
+  ERC20_INSUFFICIENT_BALANCE: 'Your token balance does not cover this amount.',
+  ERC20_INSUFFICIENT_ALLOWANCE: 'The contract is not approved to transfer this amount of your tokens. Please try again to approve it.',
+  // Claims
+  CLAIM_PENDING: 'A claim for this tweet is already pending.',
+  TWEET_VERIFIED: 'This tweet has already been verified.',
+  CLAIM_NOT_FOUND: 'No claim exists with this assertion ID on this network.',
+  ASSERTION_NOT_FOUND: 'No claim exists with this assertion ID on this network.',
+  BOND_TOO_LOW: 'The bond is below the minimum the UMA oracle accepts for this currency.',
+  UNSUPPORTED_CURRENCY: 'The UMA oracle does not accept this bond currency.',
+  UNSUPPORTED_IDENTIFIER: 'The UMA oracle does not accept this identifier.',
+  // Challenge window and settlement
+  CHALLENGE_WINDOW_OPEN: 'This claim cannot be settled yet. The UMA challenge period may not have ended. Please wait a few more minutes and try again.',
+  CHALLENGE_WINDOW_CLOSED: 'The challenge window for this claim has closed.',
+  ALREADY_DISPUTED: 'This claim has already been disputed.',
+  DISPUTE_UNRESOLVED: 'This claim was disputed and can only be settled once the UMA DVM vote has resolved it.',
+  ALREADY_SETTLED: 'This claim has already been resolved. Please refresh the status to see the latest information.',
+  // Bounties
+  BOUNTY_NOT_FOUND: 'This bounty does not exist.',
+  BOUNTY_CLOSED: 'This bounty is closed: it expired, was awarded or was refunded.',
+  BOUNTY_NOT_REFUNDABLE: 'This bounty cannot be refunded until it expires with no pending claims.',
+  NOT_REQUESTER: 'Only the account that created this bounty can refund it.',
+  // Badges and funds
+  CLAIM_NOT_VERIFIED: 'Badges are only minted for claims that resolved as true.',
+  BADGE_MINTED: 'The badge of this claim has already been minted.',
+  NOTHING_TO_WITHDRAW: 'You have nothing to withdraw in this token.',
+  // Administration
+  PAUSED: 'The contract is paused, new claims are not accepted for now.',
+  NOT_OWNER: 'Only the contract owner can do this.'
+};
+
+/**
+ * Message for a decoded error.
+ * @param {object} error TwitterVerificationError, see the SDK's decodeError
+ * @returns {string}
+ */
+export function errorMessage(error) {
+  return MESSAGES[error.code] || error.message;
+}
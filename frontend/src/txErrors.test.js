@@ -0,0 +1,29 @@
+import { ethers } from 'ethers';
+import { TwitterVerificationError, decodeError } from 'twitter-verification-sdk';
+import { errorMessage } from './txErrors';
+
+// Revert data of require(false, reason)
+function revertData(reason) {
+  return '0x08c379a0' + ethers.AbiCoder.defaultAbiCoder().encode(['string'], [reason]).slice(2);
+}
+
+describe('errorMessage', () => {
+  test('explains revert reasons decoded from the revert data', () => {
+    const error = { code: 'CALL_EXCEPTION', data: revertData('Assertion not expired'), message: 'execution reverted' };
+
+    expect(errorMessage(decodeError(error))).toMatch(/^This claim cannot be settled yet/);
+  });
+
+  test('explains the pause, which only stops new claims', () => {
+    expect(errorMessage(new TwitterVerificationError('PAUSED', 'EnforcedPause'))).toBe('The contract is paused, new claims are not accepted for now.');
+  });
+
+  test('explains cancelled and replaced transactions', () => {
+    expect(errorMessage(decodeError({ code: 'TRANSACTION_REPLACED', reason: 'cancelled' }))).toMatch(/cancelled in your wallet/);
+    expect(errorMessage(decodeError({ code: 'TRANSACTION_REPLACED', reason: 'replaced' }))).toMatch(/replaced the transaction/);
+  });
+
+  test('falls back to the decoded message', () => {
+    expect(errorMessage(new TwitterVerificationError('INVALID_WINDOW', 'Window must end in the past'))).toBe('Window must end in the past');
+  });
+});
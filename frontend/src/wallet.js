@@ -0,0 +1,63 @@
+import { ethers } from 'ethers';
+
+// Wallet plumbing: discovering injected wallets, switching their network, and reading without one
+
+/**
+ * Discover injected wallets through EIP-6963: each wallet answers a request event with an announcement carrying
+ * its EIP-1193 provider and { uuid, name, icon, rdns } info. Wallets injected later announce themselves too.
+ * @param {function} onWallet Called with the { info, provider } detail of every announcement
+ * @returns {function} Stops listening
+ */
+export function discoverWallets(onWallet) {
+  const onAnnounce = (event) => onWallet(event.detail);
+  window.addEventListener('eip6963:announceProvider', onAnnounce);
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+  return () => window.removeEventListener('eip6963:announceProvider', onAnnounce);
+}
+
+// 4902 is returned by wallet_switchEthereumChain for chains the wallet does not know; some mobile wallets wrap it
+function isUnknownChain(error) {
+  const original = error.data && error.data.originalError;
+  return error.code === 4902 || Boolean(original && original.code === 4902);
+}
+
+/**
+ * Ask a wallet to switch to a deployment's chain, adding the chain to the wallet first if it does not know it.
+ * Rejected prompts throw the wallet's error (code 4001).
+ * @param {object} walletProvider EIP-1193 provider
+ * @param {object} deployment Deployment from getDeployment
+ */
+export async function switchChain(walletProvider, deployment) {
+  const chainId = ethers.toQuantity(deployment.chainId);
+  try {
+    await walletProvider.request({ method: 'wallet_switchEthereumChain', params: [{ chainId }] });
+  } catch (error) {
+    if (!isUnknownChain(error)) throw error;
+
+    await walletProvider.request({
+      method: 'wallet_addEthereumChain',
+      params: [{
+        chainId,
+        chainName: deployment.name,
+        rpcUrls: [deployment.rpcUrl],
+        nativeCurrency: deployment.nativeCurrency,
+        blockExplorerUrls: deployment.explorer ? [deployment.explorer] : undefined
+      }]
+    });
+    // Most wallets switch when adding, the others still need to be asked
+    await walletProvider.request({ method: 'wallet_switchEthereumChain', params: [{ chainId }] });
+  }
+}
+
+const readOnlyProviders = {};
+
+/**
+ * Provider reading a deployment's chain over its public JSON-RPC endpoint, for users without a wallet or with a
+ * wallet on another network. Cached per chain, so event subscriptions share one poller.
+ */
+export function readOnlyProvider(deployment) {
+  if (!readOnlyProviders[deployment.chainId]) {
+    readOnlyProviders[deployment.chainId] = new ethers.JsonRpcProvider(deployment.rpcUrl, deployment.chainId, { staticNetwork: true });
+  }
+  return readOnlyProviders[deployment.chainId];
+}
@@ -0,0 +1,79 @@
+import { discoverWallets, switchChain } from './wallet';
+
+const deployment = {
+  chainId: 84532,
+  name: 'Base Sepolia',
+  rpcUrl: 'https://sepolia.base.org',
+  nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
+  explorer: 'https://sepolia.basescan.org'
+};
+
+// EIP-1193 provider failing wallet_switchEthereumChain with the given error until the chain is added
+function mockWallet(switchError) {
+  let added = false;
+  const request = jest.fn(async ({ method }) => {
+    if (method === 'wallet_addEthereumChain') added = true;
+    if (method === 'wallet_switchEthereumChain' && switchError && !added) throw switchError;
+    return null;
+  });
+  return { request };
+}
+
+describe('switchChain', () => {
+  test('switches to a chain the wallet knows', async () => {
+    const wallet = mockWallet(null);
+    await switchChain(wallet, deployment);
+
+    expect(wallet.request.mock.calls.map(([args]) => args)).toEqual([
+      { method: 'wallet_switchEthereumChain', params: [{ chainId: '0x14a34' }] }
+    ]);
+  });
+
+  test('adds an unknown chain, then switches to it', async () => {
+    const wallet = mockWallet(Object.assign(new Error('Unrecognized chain'), { code: 4902 }));
+    await switchChain(wallet, deployment);
+
+    const methods = wallet.request.mock.calls.map(([args]) => args.method);
+    expect(methods).toEqual(['wallet_switchEthereumChain', 'wallet_addEthereumChain', 'wallet_switchEthereumChain']);
+    expect(wallet.request.mock.calls[1][0].params[0]).toEqual({
+      chainId: '0x14a34',
+      chainName: 'Base Sepolia',
+      rpcUrls: ['https://sepolia.base.org'],
+      nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
+      blockExplorerUrls: ['https://sepolia.basescan.org']
+    });
+  });
+
+  test('recognizes a wrapped unknown chain error', async () => {
+    const wallet = mockWallet(Object.assign(new Error('Internal error'), { code: -32603, data: { originalError: { code: 4902 } } }));
+    await switchChain(wallet, deployment);
+
+    expect(wallet.request).toHaveBeenCalledWith(expect.objectContaining({ method: 'wallet_addEthereumChain' }));
+  });
+
+  test('passes on a rejected prompt', async () => {
+    const wallet = mockWallet(Object.assign(new Error('User rejected the request'), { code: 4001 }));
+
+    await expect(switchChain(wallet, deployment)).rejects.toMatchObject({ code: 4001 });
+    expect(wallet.request).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('discoverWallets', () => {
+  test('collects the wallets announcing themselves until stopped', () => {
+    const announce = (name) => window.dispatchEvent(
+      new CustomEvent('eip6963:announceProvider', { detail: { info: { uuid: name, name }, provider: {} } })
+    );
+    const respond = () => announce('First Wallet');
+    window.addEventListener('eip6963:requestProvider', respond);
+
+    const found = [];
+    const stop = discoverWallets((wallet) => found.push(wallet.info.name));
+    announce('Late Wallet');
+    stop();
+    announce('Unheard Wallet');
+    window.removeEventListener('eip6963:requestProvider', respond);
+
+    expect(found).toEqual(['First Wallet', 'Late Wallet']);
+  });
+});
@@ -1,5 +1,9 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+const { hardhatNetworks } = require("./scripts/networks");
+require("./tasks/claims");
+require("./tasks/contract");
+require("./tasks/sdk");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -7,22 +11,17 @@ module.exports = {
     compilers: [
       {
         version: "0.8.20",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200
+          }
+        }
       }
-    ],
-    settings: {
-      optimizer: {
-        enabled: true,
-        runs: 200
-      }
-    }
-  },
-  networks: {
-    sepolia: {
-      url: process.env.SEPOLIA_RPC_URL || "https://ethereum-sepolia.publicnode.com",
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      gasMultiplier: 1.2
-    }
+    ]
   },
+  // Live networks with their UMA oracle are listed in scripts/networks.js
+  networks: hardhatNetworks(),
   etherscan: {
     apiKey: process.env.ETHERSCAN_API_KEY,
   }
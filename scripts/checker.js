@@ -0,0 +1,231 @@
+// Check a claim against the Twitter/X data archive of the claimed account, for disputers
+// npx hardhat claim:check --id 0x... --archive ~/twitter-archive --network sepolia
+//
+// An archive export (Settings > Your account > Download an archive of your data) holds every tweet the account
+// still has, in data/tweets.js, with the account's username in data/account.js and the export date in
+// data/manifest.js. The checker finds the claimed text among the tweets and recommends a verdict: "true",
+// "false" or "uncertain" when the archive cannot settle the claim, e.g. a near match or an archive exported
+// before the claim's window ended. Deleted tweets are not in archives, keep that in mind before disputing.
+
+const fs = require("fs");
+const path = require("path");
+const { normalizeTweetText } = require("../sdk");
+
+const VERDICTS = ["true", "false", "uncertain"];
+
+// Tweet files by archive generation: tweets.js since 2022, tweet.js before, tweets.json for converted exports
+const TWEET_FILES = ["tweets.js", "tweet.js", "tweets.json"];
+
+// Archive .js files are scripts assigning the data, e.g. window.YTD.tweets.part0 = [ ... ] or, for the manifest,
+// window.__THAR_CONFIG = { ... }
+function parseArchiveFile(file) {
+  const content = fs.readFileSync(file, "utf8").replace(/^\uFEFF/, "");
+  return JSON.parse(content.replace(/^\s*window\.[\w.]+\s*=\s*/, ""));
+}
+
+function findArchiveFile(dirs, names) {
+  for (const dir of dirs) {
+    for (const name of names) {
+      const file = path.join(dir, name);
+      if (fs.existsSync(file)) return file;
+    }
+  }
+  return null;
+}
+
+// Tweets are stored as they are rendered: with &amp; &lt; &gt; escaped
+function decodeEntities(text) {
+  return text.replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, "&");
+}
+
+function toTweet(entry) {
+  const tweet = entry.tweet || entry;
+  const entities = tweet.entities || {};
+  const media = (tweet.extended_entities || entities).media || [];
+  return {
+    id: String(tweet.id_str || tweet.id),
+    text: decodeEntities(tweet.full_text || tweet.text || ""),
+    createdAt: Math.floor(Date.parse(tweet.created_at) / 1000),
+    urls: (entities.urls || []).map((url) => ({ url: url.url, expanded: url.expanded_url })),
+    mediaUrls: [...new Set(media.map((item) => item.url))]
+  };
+}
+
+/**
+ * Load a Twitter/X archive export.
+ * @param {string} location The archive's folder (or its data folder), or a tweets.js / tweets.json file
+ * @returns {object} { handle, generatedAt, tweets }: handle is the account's username without @ and generatedAt
+ *   the export time in Unix seconds, both null if the archive lacks account.js / manifest.js; tweets are
+ *   { id, text, createdAt, urls, mediaUrls }, oldest first, with createdAt in Unix seconds
+ */
+function loadArchive(location) {
+  if (!fs.existsSync(location)) throw new Error(`No archive at ${location}`);
+
+  const isDir = fs.statSync(location).isDirectory();
+  const base = isDir ? location : path.dirname(location);
+  const dirs = [base, path.join(base, "data"), path.dirname(base)];
+  const tweetFile = isDir ? findArchiveFile(dirs, TWEET_FILES) : location;
+  if (!tweetFile) throw new Error(`No ${TWEET_FILES.join(" or ")} in ${location}`);
+
+  const entries = parseArchiveFile(tweetFile);
+  if (!Array.isArray(entries)) throw new Error(`${tweetFile} does not hold a list of tweets`);
+
+  const accountFile = findArchiveFile(dirs, ["account.js"]);
+  const account = accountFile ? parseArchiveFile(accountFile)[0].account : null;
+  const manifestFile = findArchiveFile(dirs, ["manifest.js"]);
+  const generationDate = manifestFile ? parseArchiveFile(manifestFile).archiveInfo.generationDate : null;
+
+  return {
+    handle: account ? account.username : null,
+    generatedAt: generationDate ? Math.floor(Date.parse(generationDate) / 1000) : null,
+    tweets: entries.map(toTweet).sort((a, b) => a.createdAt - b.createdAt)
+  };
+}
+
+// Archives store links as t.co URLs, tweets show (and claims quote) the URLs they stand for
+function expandLinks(text, tweet) {
+  return tweet.urls.reduce((expanded, { url, expanded: target }) => expanded.split(url).join(target), text);
+}
+
+/**
+ * Normalize tweet text for a loose comparison: t.co links expanded (media links dropped), Unicode NFC, whitespace
+ * collapsed, case folded. A normalized match is a hint, not proof: claims are about the exact text.
+ * @param {object} tweet Archive tweet for its links, omit for the claimed text
+ */
+function normalizeText(text, tweet = null) {
+  let normalized = text;
+  if (tweet) {
+    for (const url of tweet.mediaUrls) normalized = normalized.split(url).join("");
+    normalized = expandLinks(normalized, tweet);
+  }
+  return normalized.normalize("NFC").replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+/**
+ * Find the tweets of an archive with the claimed text.
+ * @param {string} text The claimed text, as stored on-chain: normalized by the SDK's normalizeTweetText
+ * @returns {object} { exact, normalized }: the tweets whose text, with its links expanded and normalized the way
+ *   claims are, is exactly the claimed text, and those that only match once both are case folded as well
+ */
+function findMatches(archive, text) {
+  const target = normalizeText(text);
+  const isExact = (candidate) => normalizeTweetText(candidate) === text;
+  const exact = [];
+  const normalized = [];
+  for (const tweet of archive.tweets) {
+    if (isExact(tweet.text) || isExact(expandLinks(tweet.text, tweet))) exact.push(tweet);
+    else if (normalizeText(tweet.text, tweet) === target) normalized.push(tweet);
+  }
+  return { exact, normalized };
+}
+
+// "Asserted at: <unix seconds> (<ISO date>)" line of an asserted claim, see contracts/ClaimFormat.sol
+function assertedAtFromClaim(assertedClaim) {
+  const match = /^Asserted at: (\d+) /m.exec(assertedClaim);
+  return match ? Number(match[1]) : null;
+}
+
+function isoDate(seconds) {
+  return new Date(seconds * 1000).toISOString();
+}
+
+function describeTweet(tweet, handle) {
+  return {
+    id: tweet.id,
+    createdAt: isoDate(tweet.createdAt),
+    text: tweet.text,
+    url: `https://x.com/${handle}/status/${tweet.id}`
+  };
+}
+
+/**
+ * Recommend a verdict on a claim from the archive's matches.
+ * @param {object} claim { claimType, twitterHandle, statusId, windowStart, windowEnd, assertedAt }, times in
+ *   Unix seconds
+ * @param {object} archive Archive from loadArchive
+ * @param {object} matches Matches from findMatches
+ * @returns {object} { verdict, reason }, verdict is one of VERDICTS
+ */
+function recommendVerdict(claim, archive, matches) {
+  if (archive.handle && archive.handle.toLowerCase() !== claim.twitterHandle.toLowerCase()) {
+    return { verdict: "uncertain", reason: `The archive is of @${archive.handle}, not @${claim.twitterHandle}` };
+  }
+
+  const negative = claim.claimType === "not-posted-before";
+  const from = claim.claimType === "posted-between" ? claim.windowStart : 0;
+  const until = claim.claimType === "posted" ? claim.assertedAt : claim.windowEnd;
+  // A not-posted-before claim is about tweets strictly before its cutoff, the others include their end
+  const inRange = (tweet) => tweet.createdAt >= from && (negative ? tweet.createdAt < until : tweet.createdAt <= until);
+  const range = claim.claimType === "posted-between"
+    ? `between ${isoDate(from)} and ${isoDate(until)}`
+    : `before ${isoDate(until)}`;
+  const exact = matches.exact.filter(inRange);
+  const normalized = matches.normalized.filter(inRange);
+
+  if (negative) {
+    if (exact.length > 0) return { verdict: "false", reason: `Tweet ${exact[0].id} has the exact text and was posted ${range}` };
+  } else if (claim.claimType === "posted" && claim.statusId) {
+    const tweet = archive.tweets.find((candidate) => candidate.id === claim.statusId);
+    if (tweet && exact.includes(tweet)) return { verdict: "true", reason: `Tweet ${tweet.id} has the exact text` };
+    if (tweet && normalized.includes(tweet)) {
+      return { verdict: "uncertain", reason: `Tweet ${tweet.id} only matches the text once normalized` };
+    }
+    if (tweet && inRange(tweet)) return { verdict: "false", reason: `Tweet ${tweet.id} has a different text` };
+    if (exact.length > 0) {
+      return { verdict: "uncertain", reason: `The text was posted as tweet ${exact[0].id}, but status ${claim.statusId} is not in the archive` };
+    }
+  } else if (exact.length > 0) {
+    return { verdict: "true", reason: `Tweet ${exact[0].id} has the exact text and was posted ${range}` };
+  }
+
+  if (normalized.length > 0) {
+    return { verdict: "uncertain", reason: `Tweet ${normalized[0].id} only matches the text once normalized` };
+  }
+  if (archive.generatedAt !== null && archive.generatedAt < until) {
+    return { verdict: "uncertain", reason: `The archive was exported on ${isoDate(archive.generatedAt)}, before ${isoDate(until)}` };
+  }
+  return negative
+    ? { verdict: "true", reason: `No tweet with the text was posted ${range}` }
+    : { verdict: "false", reason: `No tweet with the exact text was posted ${range}, unless it was deleted` };
+}
+
+/**
+ * Check a submitted claim against an archive.
+ * @param {TwitterVerificationClient} client Client of the contract
+ * @param {object} archive Archive from loadArchive
+ * @returns {Promise<object|null>} { assertionId, status, canDispute, claim, archive, matches, verdict, reason },
+ *   null for unknown assertion IDs. canDispute is true while the claim is undisputed in its challenge window.
+ */
+async function checkClaim(client, archive, assertionId) {
+  const full = await client.getFullStatus(assertionId);
+  if (!full) return null;
+
+  const { claim, assertion } = full;
+  const checked = {
+    claimType: claim.claimType,
+    twitterHandle: claim.twitterHandle,
+    tweetText: claim.tweetText,
+    statusId: claim.statusId,
+    windowStart: claim.windowStart,
+    windowEnd: claim.windowEnd,
+    assertedAt: assertedAtFromClaim(claim.assertedClaim) || assertion.assertionTime
+  };
+  const matches = findMatches(archive, claim.tweetText);
+  const handle = archive.handle || claim.twitterHandle;
+  const chainTime = (await client.provider.getBlock("latest")).timestamp;
+
+  return {
+    assertionId,
+    status: full.status,
+    canDispute: full.status === "Pending" && assertion.expirationTime > chainTime,
+    claim: checked,
+    archive: { handle: archive.handle, generatedAt: archive.generatedAt, tweets: archive.tweets.length },
+    matches: {
+      exact: matches.exact.map((tweet) => describeTweet(tweet, handle)),
+      normalized: matches.normalized.map((tweet) => describeTweet(tweet, handle))
+    },
+    ...recommendVerdict(checked, archive, matches)
+  };
+}
+
+module.exports = { VERDICTS, loadArchive, normalizeText, findMatches, recommendVerdict, checkClaim };
@@ -1,16 +1,66 @@
-// Deploy TwitterVerification contract to Sepolia
+// Deploy TwitterVerification contract, with its VerificationBadge, to any network in scripts/networks.js
 // npx hardhat run scripts/deploy.js --network sepolia
+//
+// The oracle and funding amount come from the network's settings, override them with OOV3_ADDRESS and
+// FUND_AMOUNT. Set VERIFY=true to verify the contracts on the network's Etherscan (needs ETHERSCAN_API_KEY).
+// The deployment is recorded in deployments/<network>.json and in the frontend's index of deployments.
+//
+// On a local node (npx hardhat node, then --network localhost) the mock oracle is deployed instead, with a
+// mintable bond token, so claims can be submitted and settled without UMA
 
 const hre = require("hardhat");
-const fs = require('fs');
+const { networkSettings } = require("./networks");
+const { manifestPath, writeDeployment } = require("./deployments");
+
+// Blocks to wait before verifying, so the explorer has indexed the contracts
+const VERIFY_CONFIRMATIONS = 5;
+
+// Challenge window of the local mock oracle, in seconds
+const MOCK_LIVENESS = 120;
+
+// Deploy the mock oracle with a bond token, bonds default to zero so claims need no approval
+async function deployMockOracle() {
+  const MockERC20 = await hre.ethers.getContractFactory("MockERC20");
+  const bondToken = await MockERC20.deploy("Bond Token", "BOND");
+  await bondToken.waitForDeployment();
+
+  const MockOracle = await hre.ethers.getContractFactory("MockOptimisticOracleV3");
+  const oracle = await MockOracle.deploy(await bondToken.getAddress(), MOCK_LIVENESS, 0);
+  await oracle.waitForDeployment();
+  console.log("Mock oracle deployed to:", await oracle.getAddress());
+  return oracle.getAddress();
+}
+
+// Verify a contract, logging instead of failing, since the deployment itself has succeeded
+async function verify(address, constructorArguments, libraries) {
+  try {
+    await hre.run("verify:verify", { address, constructorArguments, libraries });
+  } catch (error) {
+    console.log(`Verification of ${address} failed: ${error.message}`);
+  }
+}
 
 async function main() {
-  console.log("Deploying TwitterVerification contract to Sepolia...");
+  const network = hre.network.name;
+  const settings = networkSettings(network);
+  console.log(`Deploying TwitterVerification contract to ${settings.name}...`);
 
   // Deploy the contract
-  console.log("Deploying TwitterVerification...");
-  const TwitterVerification = await hre.ethers.getContractFactory("TwitterVerification");
-  const twitterVerification = await TwitterVerification.deploy();
+  let oracleAddress = process.env.OOV3_ADDRESS || settings.oracle;
+  if (!process.env.OOV3_ADDRESS && settings.local) {
+    oracleAddress = await deployMockOracle();
+  }
+  console.log("Deploying TwitterVerification with oracle:", oracleAddress);
+  // The contract links the ClaimFormat library, which is deployed first
+  const ClaimFormat = await hre.ethers.getContractFactory("ClaimFormat");
+  const claimFormat = await ClaimFormat.deploy();
+  await claimFormat.waitForDeployment();
+  console.log("ClaimFormat library deployed to:", await claimFormat.getAddress());
+  
+  const TwitterVerification = await hre.ethers.getContractFactory("TwitterVerification", {
+    libraries: { ClaimFormat: await claimFormat.getAddress() }
+  });
+  const twitterVerification = await TwitterVerification.deploy(oracleAddress);
   console.log("Waiting for deployment transaction...");
   
   // Wait for deployment
@@ -20,15 +70,38 @@ async function main() {
   const contractAddress = await twitterVerification.getAddress();
   console.log("TwitterVerification deployed to:", contractAddress);
   
-  // Write the address to a file for easy access
-  fs.writeFileSync('contract-address.txt', contractAddress);
-  console.log("Contract address saved to contract-address.txt");
+  // The soulbound badge minted for verified claims is a separate contract, set on TwitterVerification
+  const VerificationBadge = await hre.ethers.getContractFactory("VerificationBadge");
+  const badge = await VerificationBadge.deploy(contractAddress);
+  await badge.waitForDeployment();
+  await (await twitterVerification.setBadge(await badge.getAddress())).wait();
+  console.log("VerificationBadge deployed to:", await badge.getAddress());
   
-  // Fund the contract with ETH for rewards (0.1 ETH for 10 rewards)
-  console.log("\nFunding the contract with ETH for rewards...");
+  // Record the deployment for the scripts, tasks and frontend; the in-process hardhat network is gone after this run
+  const deployTx = twitterVerification.deploymentTransaction();
+  const receipt = await deployTx.wait();
   const [signer] = await hre.ethers.getSigners();
+  if (network !== "hardhat") {
+    writeDeployment(network, {
+      network,
+      chainId: Number((await hre.ethers.provider.getNetwork()).chainId),
+      address: contractAddress,
+      abi: (await hre.artifacts.readArtifact("TwitterVerification")).abi,
+      blockNumber: receipt.blockNumber,
+      transactionHash: deployTx.hash,
+      oracle: oracleAddress,
+      claimFormat: await claimFormat.getAddress(),
+      badge: await badge.getAddress(),
+      deployer: signer.address,
+      deployedAt: new Date().toISOString()
+    }, settings);
+    console.log("Deployment saved to", manifestPath(network));
+  }
   
-  const fundAmount = hre.ethers.parseEther("0.01");
+  // Fund the contract with the native token for rewards
+  console.log("\nFunding the contract for rewards...");
+  
+  const fundAmount = hre.ethers.parseEther(process.env.FUND_AMOUNT || settings.fundAmount);
   const fundTx = await signer.sendTransaction({
     to: contractAddress,
     value: fundAmount
@@ -39,7 +112,15 @@ async function main() {
   
   // Check contract balance
   const contractBalance = await hre.ethers.provider.getBalance(contractAddress);
-  console.log("Contract ETH balance:", hre.ethers.formatEther(contractBalance));
+  console.log("Contract balance:", hre.ethers.formatEther(contractBalance));
+  
+  if (process.env.VERIFY === "true" && !settings.local) {
+    console.log(`\nWaiting for ${VERIFY_CONFIRMATIONS} confirmations before verifying...`);
+    await deployTx.wait(VERIFY_CONFIRMATIONS);
+    await verify(await claimFormat.getAddress(), []);
+    await verify(contractAddress, [oracleAddress], { ClaimFormat: await claimFormat.getAddress() });
+    await verify(await badge.getAddress(), [contractAddress]);
+  }
   
   console.log("\nDeployment and funding successful!");
   console.log("Contract address:", contractAddress);
@@ -0,0 +1,62 @@
+// Deployment manifests, one per network in deployments/<network>.json, written by scripts/deploy.js.
+// The frontend reads the addresses from frontend/src/deployments.json, an index by chain ID kept in sync here.
+
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+const FRONTEND_INDEX = path.join(__dirname, "..", "frontend", "src", "deployments.json");
+
+function manifestPath(network, dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, `${network}.json`);
+}
+
+/**
+ * Read the manifest of a network.
+ * @param {string} network Hardhat network name
+ * @param {string} [dir] Directory of the manifests, deployments/ by default
+ * @returns {object} { network, chainId, address, abi, blockNumber, transactionHash, oracle, claimFormat, badge,
+ *   deployer, deployedAt }
+ */
+function readDeployment(network, dir = DEPLOYMENTS_DIR) {
+  const file = manifestPath(network, dir);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deployment on ${network}: run scripts/deploy.js with --network ${network} first, or set CONTRACT_ADDRESS`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Address of the contract on a network: CONTRACT_ADDRESS if set, otherwise the one in the network's manifest.
+ */
+function deployedAddress(network) {
+  return process.env.CONTRACT_ADDRESS || readDeployment(network).address;
+}
+
+/**
+ * Write the manifest of a network and add the deployment to the frontend's index.
+ * @param {string} network Hardhat network name
+ * @param {object} manifest See readDeployment
+ * @param {object} settings The network's settings from scripts/networks.js, for the name, public RPC URL, currency
+ *   and explorer, which the frontend uses to add the network to wallets and to read without one
+ * @param {object} [paths] { dir, index }: directory of the manifests and the frontend's index, by default
+ *   deployments/ and frontend/src/deployments.json
+ */
+function writeDeployment(network, manifest, settings, { dir = DEPLOYMENTS_DIR, index: indexFile = FRONTEND_INDEX } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(manifestPath(network, dir), JSON.stringify(manifest, null, 2) + "\n");
+
+  const index = fs.existsSync(indexFile) ? JSON.parse(fs.readFileSync(indexFile, "utf8")) : {};
+  index[manifest.chainId] = {
+    network,
+    name: settings.name,
+    address: manifest.address,
+    blockNumber: manifest.blockNumber,
+    rpcUrl: settings.rpcUrl,
+    nativeCurrency: { name: settings.currency, symbol: settings.currency, decimals: 18 },
+    explorer: settings.explorer || null
+  };
+  fs.writeFileSync(indexFile, JSON.stringify(index, null, 2) + "\n");
+}
+
+module.exports = { manifestPath, readDeployment, deployedAddress, writeDeployment };
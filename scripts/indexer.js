@@ -0,0 +1,620 @@
+// Index TwitterVerification claims into SQLite and serve them over a small REST API
+// npx hardhat run scripts/indexer.js --network localhost
+//
+// Settings are read from the environment, since hardhat run passes no arguments to scripts:
+//   CONTRACT_ADDRESS       contract to index, defaults to the network's deployment in deployments/
+//   INDEXER_DB             SQLite database, defaults to indexer.<network>.sqlite
+//   INDEXER_FROM_BLOCK     first block to index into a fresh database, defaults to the deployment block
+//   INDEXER_PORT           port of the REST API, defaults to 4000
+//   INDEXER_POLL_INTERVAL  seconds between polls for new blocks, defaults to 5
+//
+// Endpoints, all GET returning JSON, see the README:
+//   /claims                claims newest first, filtered by ?handle= ?claimer= ?status=, paged by ?offset= ?limit=
+//   /claims/:assertionId   a claim with its indexed events
+//   /handles/:handle       the claims of a handle, with counts by status
+//   /stats                 totals and indexing progress
+
+const http = require("http");
+const Database = require("better-sqlite3");
+const { TwitterVerificationClient, normalizeHandle, isValidHandle } = require("../sdk");
+const { deployedAddress, readDeployment } = require("./deployments");
+
+// Defaults for the options taken by the functions below
+const DEFAULT_OPTIONS = {
+  fromBlock: 0,
+  blockRange: 2000, // blocks per eth_getLogs query, RPC providers cap the range
+  reorgDepth: 64, // hashes of this many recent blocks are kept to find where a reorganized chain forked
+  pollInterval: 5,
+  port: 4000,
+  pageSize: 50,
+  maxPageSize: 500,
+  log: console.log
+};
+
+// Indexed events of the contract, and of the oracle for the contract's assertions
+const CONTRACT_EVENTS = ["ClaimSubmitted", "ClaimEvidence", "ClaimResolved", "RewardPaid"];
+const ORACLE_EVENTS = ["AssertionDisputed"];
+
+// Values of the status column, as the contract's ClaimStatus names them
+const STATUSES = ["Pending", "Disputed", "Verified", "Rejected"];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS blocks (number INTEGER PRIMARY KEY, hash TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    tx_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    assertion_id TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_by_assertion ON events (assertion_id);
+  CREATE TABLE IF NOT EXISTS claims (
+    assertion_id TEXT PRIMARY KEY,
+    claimer TEXT NOT NULL COLLATE NOCASE,
+    twitter_handle TEXT NOT NULL,
+    tweet_text TEXT NOT NULL,
+    claim_type TEXT,
+    window_start INTEGER,
+    window_end INTEGER,
+    bounty_id TEXT,
+    expiration_time INTEGER,
+    status TEXT NOT NULL,
+    status_id TEXT,
+    content_hash TEXT,
+    evidence_uri TEXT,
+    disputer TEXT,
+    reward_token TEXT,
+    reward_amount TEXT,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    submitted_at INTEGER NOT NULL,
+    resolved_at INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS claims_by_handle ON claims (twitter_handle);
+  CREATE INDEX IF NOT EXISTS claims_by_claimer ON claims (claimer);
+`;
+
+function getMeta(db, key) {
+  const row = db.prepare("SELECT value FROM meta WHERE key = ?").get(key);
+  return row ? row.value : null;
+}
+
+function setMeta(db, key, value) {
+  db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value")
+    .run(key, String(value));
+}
+
+/**
+ * Open the database of a contract's index, creating it if needed.
+ * @param {string} file Path of the SQLite database, or ":memory:"
+ * @param {object} network { contractAddress, chainId } the index belongs to, a database of another is rejected
+ * @param {object} options See DEFAULT_OPTIONS, fromBlock applies to a fresh database only
+ * @returns {Database} The open database
+ */
+function openDatabase(file, { contractAddress, chainId }, options = {}) {
+  const { fromBlock } = { ...DEFAULT_OPTIONS, ...options };
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+
+  const indexed = getMeta(db, "contract");
+  if (indexed === null) {
+    setMeta(db, "contract", contractAddress);
+    setMeta(db, "chainId", chainId);
+    setMeta(db, "fromBlock", fromBlock);
+    setMeta(db, "lastBlock", fromBlock - 1);
+  } else {
+    const indexedChainId = Number(getMeta(db, "chainId"));
+    if (indexed.toLowerCase() !== contractAddress.toLowerCase() || indexedChainId !== Number(chainId)) {
+      db.close();
+      throw new Error(`${file} indexes contract ${indexed} on chain ${indexedChainId}, not ${contractAddress} on chain ${chainId}`);
+    }
+  }
+  return db;
+}
+
+/**
+ * Find where the chain forked from the indexed blocks, by comparing the kept block hashes with the chain's,
+ * newest first. The last indexed block is always kept, so an unchanged chain costs one block lookup.
+ * @returns {Promise<number|null>} The newest indexed block still on the chain, or null if there was no reorg
+ */
+async function findFork(client, db) {
+  const lastBlock = Number(getMeta(db, "lastBlock"));
+  const kept = db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC").all();
+
+  for (const { number, hash } of kept) {
+    const block = await client.provider.getBlock(number);
+    if (block && block.hash === hash) return number === lastBlock ? null : number;
+  }
+  // Nothing indexed survived, or nothing was indexed yet
+  return kept.length === 0 ? null : Number(getMeta(db, "fromBlock")) - 1;
+}
+
+// Apply an indexed event to the claims table
+function applyEvent(db, event) {
+  const data = JSON.parse(event.data);
+  const id = event.assertion_id;
+
+  switch (event.name) {
+    case "ClaimSubmitted":
+      db.prepare(`
+        INSERT OR REPLACE INTO claims (
+          assertion_id, claimer, twitter_handle, tweet_text, claim_type, window_start, window_end, bounty_id,
+          expiration_time, status, block_number, log_index, tx_hash, submitted_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'Pending', ?, ?, ?, ?)
+      `).run(
+        id, data.claimer, data.twitterHandle, data.tweetText, data.claimType, data.windowStart, data.windowEnd,
+        data.bountyId, data.expirationTime, event.block_number, event.log_index, event.tx_hash, event.timestamp
+      );
+      break;
+    case "ClaimEvidence":
+      db.prepare("UPDATE claims SET status_id = ?, content_hash = ?, evidence_uri = ? WHERE assertion_id = ?")
+        .run(data.statusId, data.contentHash, data.evidenceUri, id);
+      break;
+    case "AssertionDisputed":
+      db.prepare(`UPDATE claims SET disputer = ?, status = CASE status WHEN 'Pending' THEN 'Disputed' ELSE status END
+        WHERE assertion_id = ?`).run(data.disputer, id);
+      break;
+    case "ClaimResolved":
+      db.prepare("UPDATE claims SET status = ?, resolved_at = ? WHERE assertion_id = ?")
+        .run(data.truthful ? "Verified" : "Rejected", event.timestamp, id);
+      break;
+    case "RewardPaid":
+      db.prepare("UPDATE claims SET reward_token = ?, reward_amount = ? WHERE assertion_id = ?")
+        .run(data.token, data.amount, id);
+      break;
+    default:
+      throw new Error(`Unexpected event ${event.name}`);
+  }
+}
+
+// Rebuild the claims of the given assertion IDs from their remaining events
+function rebuildClaims(db, assertionIds) {
+  const events = db.prepare("SELECT * FROM events WHERE assertion_id = ? ORDER BY block_number, log_index");
+  for (const id of assertionIds) {
+    db.prepare("DELETE FROM claims WHERE assertion_id = ?").run(id);
+    for (const event of events.all(id)) applyEvent(db, event);
+  }
+}
+
+/**
+ * Drop everything indexed after a block, e.g. the blocks of a reorganized chain, and rebuild the claims they touched.
+ * @param {number} forkBlock The newest block to keep
+ * @returns {string[]} The assertion IDs whose claims were rebuilt
+ */
+function rollback(db, forkBlock) {
+  return db.transaction(() => {
+    const touched = db.prepare("SELECT DISTINCT assertion_id FROM events WHERE block_number > ?").pluck().all(forkBlock);
+    db.prepare("DELETE FROM events WHERE block_number > ?").run(forkBlock);
+    db.prepare("DELETE FROM blocks WHERE number > ?").run(forkBlock);
+    setMeta(db, "lastBlock", forkBlock);
+    rebuildClaims(db, touched);
+    return touched;
+  })();
+}
+
+// The indexed fields of an event, plus the claim's stored fields and challenge window for new claims
+async function eventData(client, event) {
+  const { args } = event;
+  switch (event.eventName) {
+    case "ClaimSubmitted": {
+      const [claim, assertion] = await Promise.all([
+        client.getClaim(args.assertionId),
+        client.contract.getAssertion(args.assertionId)
+      ]);
+      return {
+        claimer: args.claimer,
+        twitterHandle: args.twitterHandle,
+        tweetText: args.tweetText,
+        claimType: claim ? claim.claimType : null,
+        windowStart: claim ? claim.windowStart : null,
+        windowEnd: claim ? claim.windowEnd : null,
+        bountyId: claim ? claim.bountyId : null,
+        expirationTime: Number(assertion.expirationTime) || null
+      };
+    }
+    case "ClaimEvidence":
+      return {
+        statusId: args.statusId === 0n ? null : args.statusId.toString(),
+        contentHash: args.contentHash === "0x" + "0".repeat(64) ? null : args.contentHash,
+        evidenceUri: args.evidenceUri || null
+      };
+    case "ClaimResolved":
+      return { truthful: args.truthful };
+    case "RewardPaid":
+      return { claimer: args.claimer, token: args.token, amount: args.amount.toString() };
+    case "AssertionDisputed":
+      return { disputer: args.disputer };
+    default:
+      throw new Error(`Unexpected event ${event.eventName}`);
+  }
+}
+
+/**
+ * Index the events of a block range in one database transaction.
+ * @returns {Promise<number>} Number of events indexed
+ */
+async function indexRange(client, db, start, end, options = {}) {
+  const { reorgDepth } = { ...DEFAULT_OPTIONS, ...options };
+  const oracle = await client.oracle();
+  const [contractEvents, oracleEvents] = await Promise.all([
+    client.contract.queryFilter("*", start, end),
+    Promise.all(ORACLE_EVENTS.map((name) => oracle.queryFilter(oracle.filters[name](), start, end)))
+  ]);
+
+  // The oracle serves every asserter, keep the events of this contract's claims
+  const submitted = new Set(contractEvents.filter((e) => e.eventName === "ClaimSubmitted").map((e) => e.args.assertionId));
+  const isClaim = db.prepare("SELECT 1 FROM claims WHERE assertion_id = ?");
+  const events = [
+    ...contractEvents.filter((e) => CONTRACT_EVENTS.includes(e.eventName)),
+    ...oracleEvents.flat().filter((e) => submitted.has(e.args.assertionId) || isClaim.get(e.args.assertionId))
+  ].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  // Hashes of the blocks with events and of the range end, to detect reorgs; a mismatch with the logs means the
+  // chain reorganized during the queries, which the next round's findFork picks up
+  const numbers = [...new Set([...events.map((e) => e.blockNumber), end])];
+  const blocks = new Map(await Promise.all(numbers.map(async (number) => [number, await client.provider.getBlock(number)])));
+  for (const event of events) {
+    if (!blocks.get(event.blockNumber) || blocks.get(event.blockNumber).hash !== event.blockHash) {
+      throw new Error(`Block ${event.blockNumber} changed while indexing, the chain reorganized`);
+    }
+  }
+  if (!blocks.get(end)) throw new Error(`Block ${end} not found, the chain reorganized`);
+
+  const rows = await Promise.all(events.map(async (event) => ({
+    block_number: event.blockNumber,
+    log_index: event.index,
+    block_hash: event.blockHash,
+    tx_hash: event.transactionHash,
+    timestamp: blocks.get(event.blockNumber).timestamp,
+    name: event.eventName,
+    assertion_id: event.args.assertionId,
+    data: JSON.stringify(await eventData(client, event))
+  })));
+
+  db.transaction(() => {
+    const insert = db.prepare(`
+      INSERT OR REPLACE INTO events (block_number, log_index, block_hash, tx_hash, timestamp, name, assertion_id, data)
+      VALUES (@block_number, @log_index, @block_hash, @tx_hash, @timestamp, @name, @assertion_id, @data)
+    `);
+    for (const row of rows) {
+      insert.run(row);
+      applyEvent(db, row);
+    }
+
+    const keep = db.prepare("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)");
+    for (const [number, block] of blocks) keep.run(number, block.hash);
+    // Keep the recent hashes, and the newest one before them as the fork point of a deeper reorg
+    db.prepare("DELETE FROM blocks WHERE number < (SELECT MAX(number) FROM blocks WHERE number <= ?)").run(end - reorgDepth);
+    setMeta(db, "lastBlock", end);
+  })();
+
+  return rows.length;
+}
+
+/**
+ * Undo a reorg if there was one, then index the blocks since the last round.
+ * @param {TwitterVerificationClient} client Client of the indexed contract
+ * @param {Database} db Database from openDatabase
+ * @param {object} options See DEFAULT_OPTIONS
+ * @returns {Promise<object>} { events, forkBlock, lastBlock }: events indexed, the block a reorg forked at or null
+ */
+async function syncOnce(client, db, options = {}) {
+  const { blockRange, log } = { ...DEFAULT_OPTIONS, ...options };
+
+  const forkBlock = await findFork(client, db);
+  if (forkBlock !== null) {
+    const touched = rollback(db, forkBlock);
+    log(`Chain reorganized after block ${forkBlock}, reindexing ${touched.length} claims`);
+  }
+
+  const latest = await client.provider.getBlockNumber();
+  let events = 0;
+  for (let start = Number(getMeta(db, "lastBlock")) + 1; start <= latest; start += blockRange) {
+    const end = Math.min(start + blockRange - 1, latest);
+    events += await indexRange(client, db, start, end, options);
+  }
+  return { events, forkBlock, lastBlock: Number(getMeta(db, "lastBlock")) };
+}
+
+// A row of the claims table as returned by the API, named like the SDK's Claim
+function claimFromRow(row) {
+  return {
+    assertionId: row.assertion_id,
+    claimer: row.claimer,
+    claimType: row.claim_type,
+    twitterHandle: row.twitter_handle,
+    tweetText: row.tweet_text,
+    statusId: row.status_id,
+    tweetUrl: row.status_id ? `https://x.com/${row.twitter_handle}/status/${row.status_id}` : null,
+    windowStart: row.window_start,
+    windowEnd: row.window_end,
+    status: row.status,
+    disputer: row.disputer,
+    rewardToken: row.reward_token,
+    rewardAmount: row.reward_amount,
+    bountyId: row.bounty_id,
+    contentHash: row.content_hash,
+    evidenceUri: row.evidence_uri,
+    expirationTime: row.expiration_time,
+    submittedAt: row.submitted_at,
+    resolvedAt: row.resolved_at,
+    blockNumber: row.block_number,
+    txHash: row.tx_hash
+  };
+}
+
+// Error answered with an HTTP status by the API
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function pageParams(params, options) {
+  const { pageSize, maxPageSize } = { ...DEFAULT_OPTIONS, ...options };
+  const offset = Number(params.get("offset") || 0);
+  const limit = Number(params.get("limit") || pageSize);
+  if (!Number.isInteger(offset) || offset < 0) throw new ApiError(400, "offset must be a non-negative integer");
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxPageSize) {
+    throw new ApiError(400, `limit must be an integer from 1 to ${maxPageSize}`);
+  }
+  return { offset, limit };
+}
+
+function handleParam(value) {
+  const handle = normalizeHandle(value);
+  if (!isValidHandle(handle)) throw new ApiError(400, "Invalid Twitter handle");
+  return handle;
+}
+
+function statusParam(value) {
+  const status = STATUSES.find((name) => name.toLowerCase() === value.toLowerCase());
+  if (!status) throw new ApiError(400, `status must be one of ${STATUSES.join(", ")}`);
+  return status;
+}
+
+/**
+ * Claims newest first, with the total before paging.
+ * @param {object} filters { handle, claimer, status }, unset ones match every claim
+ * @param {object} page { offset, limit }
+ * @returns {object} { total, offset, limit, claims }
+ */
+function listClaims(db, filters, { offset, limit }) {
+  const conditions = [];
+  const values = [];
+  if (filters.handle) {
+    conditions.push("twitter_handle = ?");
+    values.push(normalizeHandle(filters.handle));
+  }
+  if (filters.claimer) {
+    conditions.push("claimer = ?");
+    values.push(filters.claimer);
+  }
+  if (filters.status) {
+    conditions.push("status = ?");
+    values.push(filters.status);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const total = db.prepare(`SELECT COUNT(*) FROM claims ${where}`).pluck().get(...values);
+  const rows = db.prepare(`SELECT * FROM claims ${where} ORDER BY block_number DESC, log_index DESC LIMIT ? OFFSET ?`)
+    .all(...values, limit, offset);
+  return { total, offset, limit, claims: rows.map(claimFromRow) };
+}
+
+function countByStatus(db, where = "", ...values) {
+  const counts = Object.fromEntries(STATUSES.map((status) => [status, 0]));
+  for (const { status, count } of db.prepare(`SELECT status, COUNT(*) AS count FROM claims ${where} GROUP BY status`).all(...values)) {
+    counts[status] = count;
+  }
+  return counts;
+}
+
+/**
+ * A claim with its indexed events, oldest first.
+ * @returns {object|null} The claim with events [{ name, blockNumber, txHash, timestamp, data }], null if unknown
+ */
+function getClaim(db, assertionId) {
+  const row = db.prepare("SELECT * FROM claims WHERE assertion_id = ?").get(assertionId);
+  if (!row) return null;
+
+  const events = db.prepare("SELECT * FROM events WHERE assertion_id = ? ORDER BY block_number, log_index").all(assertionId);
+  return {
+    ...claimFromRow(row),
+    events: events.map((event) => ({
+      name: event.name,
+      blockNumber: event.block_number,
+      txHash: event.tx_hash,
+      timestamp: event.timestamp,
+      data: JSON.parse(event.data)
+    }))
+  };
+}
+
+/**
+ * The claims about a handle, newest first, with counts by status.
+ * @returns {object} { handle, total, byStatus, offset, limit, claims }
+ */
+function getHandle(db, handle, page) {
+  const normalized = normalizeHandle(handle);
+  return {
+    handle: normalized,
+    byStatus: countByStatus(db, "WHERE twitter_handle = ?", normalized),
+    ...listClaims(db, { handle: normalized }, page)
+  };
+}
+
+/**
+ * Totals of the index.
+ * @returns {object} { contract, chainId, lastBlock, claims, byStatus, handles, claimers, rewards }, rewards being
+ *   the total paid per token as { token, amount } with amounts as decimal strings
+ */
+function getStats(db) {
+  const rewards = new Map();
+  for (const { reward_token: token, reward_amount: amount } of db.prepare("SELECT reward_token, reward_amount FROM claims WHERE reward_token IS NOT NULL").all()) {
+    rewards.set(token, (rewards.get(token) || 0n) + BigInt(amount));
+  }
+
+  return {
+    contract: getMeta(db, "contract"),
+    chainId: Number(getMeta(db, "chainId")),
+    lastBlock: Number(getMeta(db, "lastBlock")),
+    claims: db.prepare("SELECT COUNT(*) FROM claims").pluck().get(),
+    byStatus: countByStatus(db),
+    handles: db.prepare("SELECT COUNT(DISTINCT twitter_handle) FROM claims").pluck().get(),
+    claimers: db.prepare("SELECT COUNT(DISTINCT claimer) FROM claims").pluck().get(),
+    rewards: [...rewards].map(([token, amount]) => ({ token, amount: amount.toString() }))
+  };
+}
+
+// Answer a GET request of the API
+function route(db, url, options) {
+  const params = url.searchParams;
+  let match;
+
+  if (/^\/claims\/?$/.test(url.pathname)) {
+    const filters = {
+      handle: params.get("handle") ? handleParam(params.get("handle")) : null,
+      claimer: params.get("claimer"),
+      status: params.get("status") ? statusParam(params.get("status")) : null
+    };
+    return listClaims(db, filters, pageParams(params, options));
+  }
+  if ((match = /^\/claims\/([^/]+)$/.exec(url.pathname))) {
+    if (!/^0x[0-9a-fA-F]{64}$/.test(match[1])) throw new ApiError(400, "Invalid assertion ID");
+    const claim = getClaim(db, match[1].toLowerCase());
+    if (!claim) throw new ApiError(404, "Claim not found");
+    return claim;
+  }
+  if ((match = /^\/handles\/([^/]+)$/.exec(url.pathname))) {
+    let handle;
+    try {
+      handle = decodeURIComponent(match[1]);
+    } catch (error) {
+      throw new ApiError(400, "Invalid Twitter handle");
+    }
+    return getHandle(db, handleParam(handle), pageParams(params, options));
+  }
+  if (url.pathname === "/stats") {
+    return getStats(db);
+  }
+  throw new ApiError(404, "Not found");
+}
+
+/**
+ * HTTP server of the REST API over an index, readable from any origin so the app can use it.
+ * @param {Database} db Database from openDatabase
+ * @param {object} options See DEFAULT_OPTIONS
+ * @returns {http.Server} The server, not listening yet
+ */
+function createApi(db, options = {}) {
+  const { log } = { ...DEFAULT_OPTIONS, ...options };
+
+  return http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET"
+      });
+      res.end(body === undefined ? "" : JSON.stringify(body));
+    };
+
+    if (req.method === "OPTIONS") return send(204);
+    if (req.method !== "GET") return send(405, { error: "Only GET requests are supported" });
+    try {
+      return send(200, route(db, new URL(req.url, "http://localhost"), options));
+    } catch (error) {
+      if (!error.status) log(`API request ${req.url} failed: ${error.message}`);
+      return send(error.status || 500, { error: error.status ? error.message : "Internal error" });
+    }
+  });
+}
+
+/**
+ * Sync until stopped. A failing round, e.g. from an RPC outage, is logged and the next one runs as usual.
+ * @param {object} options See DEFAULT_OPTIONS, plus signal, an AbortSignal that stops the watcher
+ */
+async function watch(client, db, options = {}) {
+  const { pollInterval, log, signal } = { ...DEFAULT_OPTIONS, ...options };
+
+  while (!(signal && signal.aborted)) {
+    try {
+      const { events, lastBlock } = await syncOnce(client, db, options);
+      if (events > 0) log(`Indexed ${events} events up to block ${lastBlock}`);
+    } catch (error) {
+      log(`Indexer round failed: ${error.message}`);
+    }
+
+    await new Promise((resolve) => {
+      const stop = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener("abort", stop);
+        resolve();
+      }, pollInterval * 1000);
+      if (signal) signal.addEventListener("abort", stop, { once: true });
+    });
+  }
+}
+
+async function main() {
+  const hre = require("hardhat");
+
+  const contractAddress = deployedAddress(hre.network.name);
+  const file = process.env.INDEXER_DB || `indexer.${hre.network.name}.sqlite`;
+  // Without a database, start indexing at the deployment block rather than at genesis
+  const deploymentBlock = process.env.CONTRACT_ADDRESS ? DEFAULT_OPTIONS.fromBlock : readDeployment(hre.network.name).blockNumber;
+  const options = {
+    fromBlock: Number(process.env.INDEXER_FROM_BLOCK || deploymentBlock || DEFAULT_OPTIONS.fromBlock),
+    pollInterval: Number(process.env.INDEXER_POLL_INTERVAL || DEFAULT_OPTIONS.pollInterval)
+  };
+  const port = Number(process.env.INDEXER_PORT || DEFAULT_OPTIONS.port);
+
+  const client = new TwitterVerificationClient(contractAddress, hre.ethers.provider);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const db = openDatabase(file, { contractAddress, chainId: Number(chainId) }, options);
+  const server = createApi(db, options);
+  await new Promise((resolve) => server.listen(port, resolve));
+  console.log(`Indexing ${contractAddress} on ${hre.network.name} into ${file}, serving http://localhost:${port}`);
+
+  const controller = new AbortController();
+  process.once("SIGINT", () => controller.abort());
+  process.once("SIGTERM", () => controller.abort());
+  await watch(client, db, { ...options, signal: controller.signal });
+
+  await new Promise((resolve) => server.close(resolve));
+  db.close();
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("Indexer failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  openDatabase,
+  syncOnce,
+  rollback,
+  listClaims,
+  getClaim,
+  getHandle,
+  getStats,
+  createApi,
+  watch
+};
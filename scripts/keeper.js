@@ -0,0 +1,221 @@
+// Settle TwitterVerification claims once their challenge window has passed
+// npx hardhat run scripts/keeper.js --network sepolia
+// KEEPER_MODE=watch npx hardhat run scripts/keeper.js --network sepolia
+//
+// Settings are read from the environment, since hardhat run passes no arguments to scripts:
+//   CONTRACT_ADDRESS      contract to keep, defaults to the network's deployment in deployments/
+//   KEEPER_MODE           "once" (default) settles what is due and exits, "watch" keeps polling
+//   KEEPER_STATE_FILE     progress file, defaults to keeper-state.<network>.json
+//   KEEPER_FROM_BLOCK     first block to scan on a fresh state file, defaults to the deployment block
+//   KEEPER_POLL_INTERVAL  seconds between rounds in watch mode, defaults to 60
+
+const fs = require("fs");
+const { TwitterVerificationClient } = require("../sdk");
+const { deployedAddress, readDeployment } = require("./deployments");
+
+// Defaults for the options taken by the functions below
+const DEFAULT_OPTIONS = {
+  fromBlock: 0,
+  blockRange: 5000, // blocks per ClaimSubmitted query, RPC providers cap the range of eth_getLogs
+  retryBaseDelay: 60, // seconds before the first retry of a failed settlement, doubled on each further failure
+  retryMaxDelay: 3600,
+  pollInterval: 60,
+  log: console.log
+};
+
+/**
+ * Read the keeper's progress, or start a fresh state for the contract.
+ * @param {string} file Path of the state file
+ * @param {string} contractAddress Contract the state belongs to, a state file for another contract is rejected
+ * @returns {object} { contract, lastBlock, claims }, where claims maps assertion IDs to their tracking entry
+ */
+function loadState(file, contractAddress) {
+  if (!fs.existsSync(file)) {
+    return { contract: contractAddress, lastBlock: null, claims: {} };
+  }
+
+  const state = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (state.contract.toLowerCase() !== contractAddress.toLowerCase()) {
+    throw new Error(`${file} tracks contract ${state.contract}, not ${contractAddress}`);
+  }
+  return state;
+}
+
+function saveState(file, state) {
+  if (!file) return;
+  // Write to a temporary file first, so a crash mid-write does not corrupt the state
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(state, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Track the claims submitted since the last scan, recording each assertion's expiration time.
+ * @param {TwitterVerificationClient} client Client of the kept contract
+ * @param {object} state State from loadState, updated in place
+ * @param {object} options See DEFAULT_OPTIONS, plus stateFile to save progress after each block range
+ * @returns {Promise<number>} Number of new claims found
+ */
+async function scanClaims(client, state, options = {}) {
+  const { fromBlock, blockRange, log, stateFile } = { ...DEFAULT_OPTIONS, ...options };
+  const { contract } = client;
+  const latest = await client.provider.getBlockNumber();
+  let found = 0;
+
+  for (let start = state.lastBlock === null ? fromBlock : state.lastBlock + 1; start <= latest; start += blockRange) {
+    const end = Math.min(start + blockRange - 1, latest);
+    const events = await contract.queryFilter(contract.filters.ClaimSubmitted(), start, end);
+
+    for (const event of events) {
+      const id = event.args.assertionId;
+      if (state.claims[id]) continue;
+
+      const assertion = await contract.getAssertion(id);
+      state.claims[id] = {
+        twitterHandle: event.args.twitterHandle,
+        expirationTime: Number(assertion.expirationTime),
+        blockNumber: event.blockNumber,
+        done: false,
+        attempts: 0,
+        nextAttemptAt: 0
+      };
+      found++;
+      log(`Tracking claim ${id} by @${event.args.twitterHandle}, challenge window ends ${new Date(Number(assertion.expirationTime) * 1000).toISOString()}`);
+    }
+
+    state.lastBlock = end;
+    saveState(stateFile, state);
+  }
+
+  return found;
+}
+
+/**
+ * Settle the tracked claims whose challenge window has passed. Failed settlements are retried on later
+ * rounds with exponential backoff; disputed claims keep failing until the UMA DVM vote is resolved.
+ * @param {TwitterVerificationClient} client Client connected to the signer paying for settlement
+ * @param {object} state State from loadState, updated in place
+ * @param {object} options See DEFAULT_OPTIONS, plus stateFile to save progress after each claim
+ * @returns {Promise<object>} { settled, failed }, lists of assertion IDs
+ */
+async function settleDueClaims(client, state, options = {}) {
+  const { retryBaseDelay, retryMaxDelay, log, stateFile } = { ...DEFAULT_OPTIONS, ...options };
+  // Expiration is judged by chain time, retries by wall-clock time
+  const chainTime = (await client.provider.getBlock("latest")).timestamp;
+  const settled = [];
+  const failed = [];
+
+  for (const [id, claim] of Object.entries(state.claims)) {
+    if (claim.done || claim.expirationTime > chainTime || claim.nextAttemptAt > Date.now() / 1000) continue;
+
+    try {
+      if (!(await client.contract.canBeSettled(id))) {
+        // Settled by someone else, on this contract or directly on the oracle
+        const details = await client.getClaim(id);
+        if (details.resolved) {
+          claim.done = true;
+          log(`Claim ${id} was already settled`);
+          saveState(stateFile, state);
+        }
+        continue;
+      }
+
+      // The client simulates first, so a settlement that would revert (e.g. an unresolved dispute) costs no gas
+      const { result, txHash } = await client.settle(id, {
+        onTransaction: (stage, tx) => log(`Settling claim ${id}: ${tx.hash}`)
+      });
+
+      Object.assign(claim, { done: true, result, txHash, lastError: undefined });
+      settled.push(id);
+      log(`Claim ${id} settled as ${result ? "true" : "false"}`);
+    } catch (error) {
+      claim.attempts++;
+      claim.lastError = error.message;
+      const delay = Math.min(retryBaseDelay * 2 ** (claim.attempts - 1), retryMaxDelay);
+      claim.nextAttemptAt = Math.floor(Date.now() / 1000) + delay;
+      failed.push(id);
+      log(`Settling claim ${id} failed (attempt ${claim.attempts}), retrying in ${delay}s: ${claim.lastError}`);
+    }
+
+    saveState(stateFile, state);
+  }
+
+  return { settled, failed };
+}
+
+/**
+ * Scan for new claims, then settle the ones that are due.
+ * @returns {Promise<object>} { found, settled, failed }
+ */
+async function runOnce(client, state, options = {}) {
+  const found = await scanClaims(client, state, options);
+  const { settled, failed } = await settleDueClaims(client, state, options);
+  return { found, settled, failed };
+}
+
+/**
+ * Run rounds until stopped. A failing round, e.g. from an RPC outage, is logged and the next one runs as usual.
+ * @param {object} options See DEFAULT_OPTIONS, plus signal, an AbortSignal that stops the watcher
+ */
+async function watch(client, state, options = {}) {
+  const { pollInterval, log, signal } = { ...DEFAULT_OPTIONS, ...options };
+
+  while (!(signal && signal.aborted)) {
+    try {
+      await runOnce(client, state, options);
+    } catch (error) {
+      log(`Keeper round failed: ${error.message}`);
+    }
+
+    await new Promise((resolve) => {
+      const stop = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener("abort", stop);
+        resolve();
+      }, pollInterval * 1000);
+      if (signal) signal.addEventListener("abort", stop, { once: true });
+    });
+  }
+}
+
+async function main() {
+  const hre = require("hardhat");
+
+  const contractAddress = deployedAddress(hre.network.name);
+  const stateFile = process.env.KEEPER_STATE_FILE || `keeper-state.${hre.network.name}.json`;
+  // Without a state file, start scanning at the deployment block rather than at genesis
+  const deploymentBlock = process.env.CONTRACT_ADDRESS ? DEFAULT_OPTIONS.fromBlock : readDeployment(hre.network.name).blockNumber;
+  const options = {
+    stateFile,
+    fromBlock: Number(process.env.KEEPER_FROM_BLOCK || deploymentBlock),
+    pollInterval: Number(process.env.KEEPER_POLL_INTERVAL || DEFAULT_OPTIONS.pollInterval)
+  };
+
+  const [signer] = await hre.ethers.getSigners();
+  const client = new TwitterVerificationClient(contractAddress, signer);
+  const state = loadState(stateFile, contractAddress);
+  console.log(`Keeping ${contractAddress} on ${hre.network.name} as ${signer.address}, state in ${stateFile}`);
+
+  if (process.env.KEEPER_MODE === "watch") {
+    const controller = new AbortController();
+    process.once("SIGINT", () => controller.abort());
+    process.once("SIGTERM", () => controller.abort());
+    await watch(client, state, { ...options, signal: controller.signal });
+  } else {
+    const { found, settled, failed } = await runOnce(client, state, options);
+    console.log(`Found ${found} new claims, settled ${settled.length}, ${failed.length} failed`);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("Keeper failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { DEFAULT_OPTIONS, loadState, saveState, scanClaims, settleDueClaims, runOnce, watch };
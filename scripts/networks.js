@@ -0,0 +1,118 @@
+// Networks the contract can be deployed to, used by hardhat.config.js and the scripts
+//
+// oracle is UMA's Optimistic Oracle V3 on that chain (addresses from UMA's @uma/contracts-node), fundAmount the
+// amount of the native token (currency) sent to the contract for rewards after deployment. rpcUrl is a public
+// endpoint, override it with <NAME>_RPC_URL in .env, e.g. BASE_SEPOLIA_RPC_URL for baseSepolia. The frontend gets
+// the public rpcUrl, never the override, which may contain an API key.
+
+const NETWORKS = {
+  sepolia: {
+    chainId: 11155111,
+    name: "Sepolia",
+    rpcUrl: "https://ethereum-sepolia.publicnode.com",
+    oracle: "0xFd9e2642a170aDD10F53Ee14a93FcF2F31924944",
+    currency: "ETH",
+    fundAmount: "0.01",
+    explorer: "https://sepolia.etherscan.io"
+  },
+  baseSepolia: {
+    chainId: 84532,
+    name: "Base Sepolia",
+    rpcUrl: "https://sepolia.base.org",
+    oracle: "0x0F7fC5E6482f096380db6158f978167b57388deE",
+    currency: "ETH",
+    fundAmount: "0.01",
+    explorer: "https://sepolia.basescan.org"
+  },
+  arbitrumSepolia: {
+    chainId: 421614,
+    name: "Arbitrum Sepolia",
+    rpcUrl: "https://sepolia-rollup.arbitrum.io/rpc",
+    oracle: "0x1037A21a30aEfF90c269b01c3933eB9a5285d9b8",
+    currency: "ETH",
+    fundAmount: "0.01",
+    explorer: "https://sepolia.arbiscan.io"
+  },
+  mainnet: {
+    chainId: 1,
+    name: "Ethereum",
+    rpcUrl: "https://ethereum-rpc.publicnode.com",
+    oracle: "0xfb55F43fB9F48F63f9269DB7Dde3BbBe1ebDC0dE",
+    currency: "ETH",
+    fundAmount: "0.01",
+    explorer: "https://etherscan.io"
+  },
+  optimism: {
+    chainId: 10,
+    name: "OP Mainnet",
+    rpcUrl: "https://mainnet.optimism.io",
+    oracle: "0x072819Bb43B50E7A251c64411e7aA362ce82803B",
+    currency: "ETH",
+    fundAmount: "0.01",
+    explorer: "https://optimistic.etherscan.io"
+  },
+  polygon: {
+    chainId: 137,
+    name: "Polygon",
+    rpcUrl: "https://polygon-rpc.com",
+    oracle: "0x5953f2538F613E05bAED8A5AeFa8e6622467AD3D",
+    currency: "POL",
+    fundAmount: "0.01",
+    explorer: "https://polygonscan.com"
+  },
+  base: {
+    chainId: 8453,
+    name: "Base",
+    rpcUrl: "https://mainnet.base.org",
+    oracle: "0x2aBf1Bd76655de80eDB3086114315Eec75AF500c",
+    currency: "ETH",
+    fundAmount: "0.01",
+    explorer: "https://basescan.org"
+  },
+  arbitrum: {
+    chainId: 42161,
+    name: "Arbitrum One",
+    rpcUrl: "https://arb1.arbitrum.io/rpc",
+    oracle: "0xa6147867264374F324524E30C02C331cF28aa879",
+    currency: "ETH",
+    fundAmount: "0.01",
+    explorer: "https://arbiscan.io"
+  }
+};
+
+// Local networks get the mock oracle, deployed along with the contract
+const LOCAL_NETWORKS = {
+  hardhat: { chainId: 31337, name: "Hardhat", currency: "ETH", fundAmount: "1" },
+  localhost: { chainId: 31337, name: "Localhost", rpcUrl: "http://127.0.0.1:8545", currency: "ETH", fundAmount: "1" }
+};
+
+// baseSepolia -> BASE_SEPOLIA_RPC_URL
+function rpcUrlVariable(network) {
+  return `${network.replace(/([A-Z])/g, "_$1").toUpperCase()}_RPC_URL`;
+}
+
+/**
+ * Hardhat network entries for every live network, using PRIVATE_KEY as the deployer.
+ */
+function hardhatNetworks() {
+  const accounts = process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [];
+  return Object.fromEntries(Object.entries(NETWORKS).map(([network, settings]) => [network, {
+    url: process.env[rpcUrlVariable(network)] || settings.rpcUrl,
+    chainId: settings.chainId,
+    accounts,
+    gasMultiplier: 1.2
+  }]));
+}
+
+/**
+ * Deployment settings of a Hardhat network.
+ * @returns {object} { chainId, name, rpcUrl, oracle, currency, fundAmount, explorer, local }, oracle is unset for
+ *   local networks
+ */
+function networkSettings(network) {
+  if (LOCAL_NETWORKS[network]) return { ...LOCAL_NETWORKS[network], local: true };
+  if (NETWORKS[network]) return { ...NETWORKS[network], local: false };
+  throw new Error(`No deployment settings for network "${network}", add it to scripts/networks.js`);
+}
+
+module.exports = { NETWORKS, hardhatNetworks, networkSettings };
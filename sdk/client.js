@@ -0,0 +1,763 @@
+// Client for the TwitterVerification contract and the UMA assertions behind its claims
+
+const {
+  BrowserProvider,
+  Contract,
+  Interface,
+  JsonRpcProvider,
+  TransactionResponse,
+  ZeroAddress,
+  ZeroHash,
+  decodeBase64,
+  decodeBytes32String,
+  getAddress,
+  isError,
+  toUtf8String,
+  Utf8ErrorFuncs
+} = require("ethers");
+const verificationAbi = require("./abi/TwitterVerification.json");
+const oracleAbi = require("./abi/OptimisticOracleV3.json");
+const badgeAbi = require("./abi/VerificationBadge.json");
+const { TwitterVerificationError, decodeError } = require("./errors");
+const { normalizeHandle, normalizeTweetText } = require("./normalize");
+
+const ORACLE_INTERFACE = new Interface(oracleAbi);
+
+// The contract's ClaimType and ClaimStatus enums
+const CLAIM_TYPES = ["posted", "posted-between", "not-posted-before"];
+const CLAIM_STATUSES = ["None", "Pending", "Disputed", "Verified", "Rejected"];
+
+// Per-claim assertion overrides left unset, so the contract defaults apply
+const NO_OVERRIDES = { liveness: 0, currency: ZeroAddress, bond: 0n, identifier: ZeroHash };
+
+// Events that change the state returned by getFullStatus, on the contract and on the oracle
+const CLAIM_EVENTS = ["ClaimDisputed", "ClaimResolved", "RewardPaid"];
+const ASSERTION_EVENTS = ["AssertionDisputed", "AssertionSettled"];
+
+// Defaults of submitClaims: claims per transaction, and gas per transaction, well below the block gas limit
+const BATCH_CHUNK_SIZE = 20;
+const BATCH_MAX_GAS = 10000000;
+
+// Headroom added to gas estimates, in percent. An estimate holds for the state it was made in only, and settlement
+// mints badges through a call allowed to fail, which an exact estimate can leave without the gas to succeed.
+const GAS_MARGIN_PERCENT = 20;
+
+const ERC20_ABI = [
+  "function balanceOf(address account) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)"
+];
+
+/**
+ * @typedef {object} Claim
+ * @property {string} assertionId
+ * @property {string} claimer
+ * @property {string} claimType One of CLAIM_TYPES
+ * @property {string} twitterHandle Without the @
+ * @property {string} tweetText
+ * @property {string|null} statusId Tweet status ID as a decimal string
+ * @property {string|null} tweetUrl
+ * @property {number|null} windowStart Unix seconds, posted-between claims only
+ * @property {number|null} windowEnd Unix seconds, end of the window or cutoff of a not-posted-before claim
+ * @property {boolean} resolved
+ * @property {boolean} truthful Only meaningful once resolved
+ * @property {boolean} disputed
+ * @property {boolean} rewarded
+ * @property {string|null} bountyId
+ * @property {string|null} contentHash keccak256 of a captured copy of the tweet
+ * @property {string|null} evidenceUri ipfs:// or https:// location of the evidence
+ * @property {string} assertedClaim The text asserted to UMA
+ */
+
+/**
+ * @typedef {object} Assertion
+ * @property {string} asserter
+ * @property {number} assertionTime Unix seconds
+ * @property {number} expirationTime Unix seconds, end of the challenge window
+ * @property {string} currency Bond token
+ * @property {bigint} bond
+ * @property {string} identifier
+ * @property {string|null} disputer
+ * @property {boolean} settled
+ * @property {boolean|null} settlementResolution null until settled
+ */
+
+/**
+ * @typedef {object} FullStatus
+ * @property {Claim} claim
+ * @property {string} status One of CLAIM_STATUSES
+ * @property {boolean} canBeSettled
+ * @property {Assertion} assertion
+ */
+
+/**
+ * @typedef {object} Badge
+ * @property {string} contract VerificationBadge address
+ * @property {string} tokenId The assertion ID as a decimal string
+ * @property {string} owner The claimer
+ * @property {object} metadata ERC-721 metadata { name, description, image, attributes }
+ * @property {string} image data: URI of the SVG image
+ */
+
+// A gas estimate plus GAS_MARGIN_PERCENT
+function withGasMargin(gas) {
+  return (BigInt(gas) * BigInt(100 + GAS_MARGIN_PERCENT)) / 100n;
+}
+
+// Send a contract call with its gas limit estimated plus the margin, unless the overrides set one. A call that would
+// revert fails in the estimate with its revert data, before the wallet prompts.
+async function send(method, args, overrides) {
+  if (overrides.gasLimit != null) return method(...args, overrides);
+  const gas = await method.estimateGas(...args, overrides);
+  return method(...args, { ...overrides, gasLimit: withGasMargin(gas) });
+}
+
+// Wait for a sent transaction. A speed-up from the wallet (the same call at a higher fee) resolves with the
+// replacement's receipt; a cancelled or otherwise replaced transaction throws TRANSACTION_REPLACED from ethers.
+// Receipts carry no revert reason, so a reverted transaction is replayed on the state after its block, where
+// whatever made it fail (e.g. someone else settling the claim first) has happened, and the replay's error thrown.
+async function confirm(provider, tx) {
+  let receipt;
+  try {
+    receipt = await tx.wait();
+  } catch (error) {
+    if (isError(error, "TRANSACTION_REPLACED") && error.reason === "repriced") {
+      receipt = error.receipt;
+    } else if (isError(error, "CALL_EXCEPTION") && error.receipt) {
+      receipt = error.receipt;
+    } else {
+      throw error;
+    }
+  }
+  if (receipt.status === 0) {
+    const replayed = await provider.getTransaction(receipt.hash);
+    await provider.call({ to: replayed.to, from: replayed.from, data: replayed.data, value: replayed.value, blockTag: receipt.blockNumber });
+    throw new TwitterVerificationError("REVERTED", "The transaction reverted without a reason, e.g. out of gas");
+  }
+  return receipt;
+}
+
+/**
+ * What waitForTransaction needs to follow a sent transaction, as JSON for storage.
+ * @param {object} tx Transaction response of ethers v5 or v6
+ * @param {number} startBlock A block number from before the transaction was sent, replacements are searched from it
+ * @returns {object} { hash, from, nonce, to, data, value, startBlock }, value as a decimal string
+ */
+function transactionRecord(tx, startBlock) {
+  return {
+    hash: tx.hash,
+    from: getAddress(tx.from),
+    nonce: Number(tx.nonce),
+    to: tx.to ? getAddress(tx.to) : null,
+    data: tx.data,
+    value: tx.value.toString(),
+    startBlock
+  };
+}
+
+// tokenURI of a badge is a data: URI of base64 JSON
+function decodeTokenUri(uri) {
+  const prefix = "data:application/json;base64,";
+  if (!uri.startsWith(prefix)) throw new TwitterVerificationError("UNKNOWN", `Unexpected token URI ${uri.slice(0, 40)}`);
+  return JSON.parse(toUtf8String(decodeBase64(uri.slice(prefix.length))));
+}
+
+// The ClaimFormat.Statement passed to the contract, with the handle and text normalized and unset fields zero
+function toStatement(statement) {
+  const claimType = claimTypeIndex(statement.claimType || 0);
+  return {
+    claimType,
+    twitterHandle: normalizeHandle(statement.twitterHandle),
+    tweetText: normalizeTweetText(statement.tweetText),
+    statusId: statement.statusId || 0,
+    windowStart: CLAIM_TYPES[claimType] === "posted-between" ? statement.windowStart : 0,
+    windowEnd: CLAIM_TYPES[claimType] === "posted" ? 0 : statement.windowEnd,
+    contentHash: statement.contentHash || ZeroHash,
+    evidenceUri: statement.evidenceUri || ""
+  };
+}
+
+function claimTypeIndex(claimType) {
+  const index = typeof claimType === "number" ? claimType : CLAIM_TYPES.indexOf(claimType);
+  if (!CLAIM_TYPES[index]) {
+    throw new TwitterVerificationError("INVALID_CLAIM", `Unknown claim type "${claimType}", expected one of ${CLAIM_TYPES.join(", ")}`);
+  }
+  return index;
+}
+
+class TwitterVerificationClient {
+  /**
+   * @param {string} address TwitterVerification contract address
+   * @param {object} runner ethers v6 Signer, or a Provider for reads only. Transactions from a Provider are signed
+   *   by its getSigner(), so a BrowserProvider (or a JsonRpcProvider of a node with unlocked accounts) can write too.
+   */
+  constructor(address, runner) {
+    this.address = address;
+    this.runner = runner;
+    this.provider = runner.provider || runner;
+    this.contract = new Contract(address, verificationAbi, runner);
+    this.oraclePromise = null;
+    this.badgePromise = null;
+  }
+
+  // Client for a wallet's EIP-1193 provider, e.g. window.ethereum
+  static fromEip1193(address, ethereum) {
+    return new TwitterVerificationClient(address, new BrowserProvider(ethereum, "any"));
+  }
+
+  // Read-only client over a JSON-RPC endpoint
+  static fromRpcUrl(address, rpcUrl, chainId) {
+    return new TwitterVerificationClient(address, new JsonRpcProvider(rpcUrl, chainId, { staticNetwork: true }));
+  }
+
+  /**
+   * Decode an error thrown by ethers or a wallet, with the custom errors of the contract and the oracle.
+   * @returns {TwitterVerificationError}
+   */
+  decodeError(error) {
+    return decodeError(error, [this.contract.interface, ORACLE_INTERFACE]);
+  }
+
+  // Run fn, rethrowing its errors decoded
+  async decoded(fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      throw this.decodeError(error);
+    }
+  }
+
+  async signer() {
+    if (typeof this.runner.sendTransaction === "function") return this.runner;
+    if (typeof this.runner.getSigner === "function") return this.runner.getSigner();
+    throw new TwitterVerificationError("NO_SIGNER", "A signer is needed to send transactions");
+  }
+
+  // The Optimistic Oracle V3 the contract asserts to, read from the contract once
+  oracle() {
+    if (!this.oraclePromise) {
+      this.oraclePromise = this.contract.oov3().then((address) => new Contract(address, oracleAbi, this.runner));
+      this.oraclePromise.catch(() => {
+        this.oraclePromise = null;
+      });
+    }
+    return this.oraclePromise;
+  }
+
+  // The VerificationBadge minting to claimers, read from the contract once; null if the contract has none
+  badge() {
+    if (!this.badgePromise) {
+      this.badgePromise = this.contract.badge().then((address) => (
+        address === ZeroAddress ? null : new Contract(address, badgeAbi, this.runner)
+      ));
+      this.badgePromise.catch(() => {
+        this.badgePromise = null;
+      });
+    }
+    return this.badgePromise;
+  }
+
+  /**
+   * Submit a claim, approving the bond first if the contract may not yet transfer it.
+   * @param {object} statement { twitterHandle, tweetText, claimType, statusId, windowStart, windowEnd, contentHash,
+   *   evidenceUri }: claimType is a name from CLAIM_TYPES or the enum value, "posted" by default; windowEnd is the
+   *   cutoff of not-posted-before claims; times are Unix seconds; contentHash and evidenceUri are optional evidence,
+   *   see hashEvidence and the contract's submitClaimWithEvidence. The handle and text are normalized first, see
+   *   normalize.js
+   * @param {object} options Assertion overrides { liveness, currency, bond, identifier }, unset ones use the contract
+   *   defaults, plus overrides for the submit transaction and onTransaction(stage, tx), called with "approve" and
+   *   "submit" as each transaction is sent
+   * @returns {Promise<object>} { assertionId, txHash, receipt }
+   */
+  async submitClaim(statement, options = {}) {
+    const { overrides = {}, onTransaction = () => {}, ...assertionOptions } = options;
+    const values = { ...NO_OVERRIDES, ...assertionOptions };
+    const overridden = Object.keys(assertionOptions).some((key) => key in NO_OVERRIDES);
+    const full = toStatement(statement);
+    const claimType = CLAIM_TYPES[full.claimType];
+    const { twitterHandle: handle, tweetText, statusId } = full;
+
+    return this.decoded(async () => {
+      const signer = await this.signer();
+      const contract = this.contract.connect(signer);
+      await this.approveBond(signer, values, 1, onTransaction);
+
+      let tx;
+      if (full.contentHash !== ZeroHash || full.evidenceUri) {
+        tx = await send(contract.submitClaimWithEvidence, [full, values], overrides);
+      } else if (claimType === "posted-between") {
+        tx = await send(contract.submitWindowClaim, [handle, tweetText, statusId, full.windowStart, full.windowEnd, values], overrides);
+      } else if (claimType === "not-posted-before") {
+        tx = await send(contract.submitNegativeClaim, [handle, tweetText, full.windowEnd, values], overrides);
+      } else if (statusId) {
+        tx = await send(contract.submitClaimWithTweet, [handle, tweetText, statusId, values], overrides);
+      } else if (overridden) {
+        tx = await send(contract.submitClaimWithOptions, [handle, tweetText, values], overrides);
+      } else {
+        tx = await send(contract.submitClaim, [handle, tweetText], overrides);
+      }
+      onTransaction("submit", tx);
+
+      const receipt = await confirm(this.provider, tx);
+      return { assertionId: await this.findAssertionId(receipt), txHash: receipt.hash, receipt };
+    });
+  }
+
+  /**
+   * Submit many claims through the contract's submitClaims, in as many transactions as needed. Each transaction
+   * takes up to chunkSize claims, fewer if its gas estimate is above maxGas. The bonds of all claims are approved in
+   * one transaction first. A failing transaction stops the submission; the claims of earlier transactions stay
+   * submitted and were passed to onChunk.
+   * @param {object[]} statements Claims as for submitClaim
+   * @param {object} options Assertion overrides applied to every claim, overrides and onTransaction as for
+   *   submitClaim (stages "approve" and "submit", once per transaction), and:
+   *   - chunkSize: most claims per transaction, BATCH_CHUNK_SIZE by default
+   *   - maxGas: most gas per transaction, BATCH_MAX_GAS by default
+   *   - onChunk({ from, assertionIds, txHash, receipt }): called as each transaction is confirmed, from is the
+   *     index of its first statement
+   * @returns {Promise<object>} { assertionIds, transactions }: an ID per statement in order, and the
+   *   { from, assertionIds, txHash, receipt } of each transaction
+   */
+  async submitClaims(statements, options = {}) {
+    const {
+      overrides = {},
+      onTransaction = () => {},
+      onChunk = () => {},
+      chunkSize = BATCH_CHUNK_SIZE,
+      maxGas = BATCH_MAX_GAS,
+      ...assertionOptions
+    } = options;
+    const values = { ...NO_OVERRIDES, ...assertionOptions };
+    const full = statements.map(toStatement);
+
+    return this.decoded(async () => {
+      const signer = await this.signer();
+      const contract = this.contract.connect(signer);
+      await this.approveBond(signer, values, full.length, onTransaction);
+
+      const assertionIds = [];
+      const transactions = [];
+      while (assertionIds.length < full.length) {
+        const from = assertionIds.length;
+        let size = Math.min(chunkSize, full.length - from);
+        let gas;
+        // Shrink the chunk in proportion to its estimate until it fits, a single claim is sent whatever its gas
+        for (;;) {
+          gas = await contract.submitClaims.estimateGas(full.slice(from, from + size), values, overrides);
+          if (gas <= BigInt(maxGas) || size === 1) break;
+          size = Math.max(1, Math.min(size - 1, Math.floor((size * Number(maxGas)) / Number(gas))));
+        }
+
+        const tx = await contract.submitClaims(full.slice(from, from + size), values, {
+          ...overrides,
+          gasLimit: overrides.gasLimit ?? withGasMargin(gas)
+        });
+        onTransaction("submit", tx);
+        const receipt = await confirm(this.provider, tx);
+        const chunk = { from, assertionIds: this.findAssertionIds(receipt), txHash: receipt.hash, receipt };
+        assertionIds.push(...chunk.assertionIds);
+        transactions.push(chunk);
+        onChunk(chunk);
+      }
+      return { assertionIds, transactions };
+    });
+  }
+
+  // The contract pulls the bond of each claim from the claimer, approve them if the allowance is short
+  async approveBond(signer, values, count, onTransaction) {
+    const [currency, bond] = await this.contract.getClaimBond(values);
+    await this.approveToken(signer, currency, this.address, bond * BigInt(count), "claimer", onTransaction);
+  }
+
+  // Approve spender for amount of token, if the allowance is short, after checking the balance covers it. what
+  // names the amount in the error thrown when it does not: INSUFFICIENT_BOND_BALANCE or INSUFFICIENT_BOUNTY_BALANCE.
+  async approveToken(signer, currency, spender, amount, role, onTransaction, what = "bond") {
+    if (amount === 0n) return;
+
+    const owner = await signer.getAddress();
+    const token = new Contract(currency, ERC20_ABI, signer);
+    const [balance, allowance] = await Promise.all([token.balanceOf(owner), token.allowance(owner, spender)]);
+    if (balance < amount) {
+      throw new TwitterVerificationError(
+        `INSUFFICIENT_${what.toUpperCase()}_BALANCE`,
+        `The ${what} is ${amount} of token ${currency}, the ${role} has ${balance}`
+      );
+    }
+    if (allowance >= amount) return;
+
+    const tx = await send(token.approve, [spender, amount], {});
+    onTransaction("approve", tx);
+    await confirm(this.provider, tx);
+  }
+
+  /**
+   * Find the assertion ID of a submitted claim in a transaction, from the contract's ClaimSubmitted event or, for
+   * transactions of another asserter, the oracle's AssertionMade event.
+   * @param {string|object} txHashOrReceipt Transaction hash or receipt
+   * @returns {Promise<string|null>} null if the transaction made no assertion
+   */
+  async findAssertionId(txHashOrReceipt) {
+    const receipt = typeof txHashOrReceipt === "string"
+      ? await this.provider.getTransactionReceipt(txHashOrReceipt)
+      : txHashOrReceipt;
+    if (!receipt) {
+      throw new TwitterVerificationError("TRANSACTION_NOT_FOUND", "Transaction not found or not confirmed yet");
+    }
+
+    for (const iface of [this.contract.interface, ORACLE_INTERFACE]) {
+      for (const log of receipt.logs) {
+        const parsed = iface.parseLog(log);
+        if (parsed && (parsed.name === "ClaimSubmitted" || parsed.name === "AssertionMade")) {
+          return parsed.args.assertionId;
+        }
+      }
+    }
+    return null;
+  }
+
+  // Assertion IDs of the claims submitted in a transaction, in order
+  findAssertionIds(receipt) {
+    return receipt.logs
+      .map((log) => this.contract.interface.parseLog(log))
+      .filter((parsed) => parsed && parsed.name === "ClaimSubmitted")
+      .map((parsed) => parsed.args.assertionId);
+  }
+
+  /**
+   * Read a claim as stored by the contract.
+   * @returns {Promise<Claim|null>} null for unknown assertion IDs
+   */
+  async getClaim(assertionId) {
+    const claim = await this.decoded(() => this.contract.getClaim(assertionId));
+    if (claim.claimer === ZeroAddress) return null;
+
+    const statusId = claim.statusId === 0n ? null : claim.statusId.toString();
+    return {
+      assertionId,
+      claimer: claim.claimer,
+      claimType: CLAIM_TYPES[Number(claim.claimType)],
+      twitterHandle: claim.twitterHandle,
+      tweetText: claim.tweetText,
+      statusId,
+      tweetUrl: statusId ? `https://x.com/${claim.twitterHandle}/status/${statusId}` : null,
+      windowStart: Number(claim.windowStart) || null,
+      windowEnd: Number(claim.windowEnd) || null,
+      resolved: claim.isResolved,
+      truthful: claim.isTruthful,
+      disputed: claim.isDisputed,
+      rewarded: claim.isRewarded,
+      bountyId: claim.bountyId === 0n ? null : claim.bountyId.toString(),
+      contentHash: claim.contentHash === ZeroHash ? null : claim.contentHash,
+      evidenceUri: claim.evidenceUri || null,
+      assertedClaim: toUtf8String(claim.assertedClaim, Utf8ErrorFuncs.replace)
+    };
+  }
+
+  /**
+   * Read a claim together with its status on the contract and its assertion on the oracle.
+   * @returns {Promise<FullStatus|null>} null for unknown assertion IDs
+   */
+  async getFullStatus(assertionId) {
+    const claim = await this.getClaim(assertionId);
+    if (!claim) return null;
+
+    const [status, assertion, canBeSettled] = await this.decoded(() => Promise.all([
+      this.contract.getClaimStatus(assertionId),
+      this.contract.getAssertion(assertionId),
+      this.contract.canBeSettled(assertionId)
+    ]));
+    return {
+      claim,
+      status: CLAIM_STATUSES[Number(status)],
+      canBeSettled,
+      assertion: {
+        asserter: assertion.asserter,
+        assertionTime: Number(assertion.assertionTime),
+        expirationTime: Number(assertion.expirationTime),
+        currency: assertion.currency,
+        bond: assertion.bond,
+        identifier: decodeBytes32String(assertion.identifier),
+        disputer: assertion.disputer === ZeroAddress ? null : assertion.disputer,
+        settled: assertion.settled,
+        settlementResolution: assertion.settled ? assertion.settlementResolution : null
+      }
+    };
+  }
+
+  /**
+   * Settle a claim once its challenge window has passed, paying the reward if it resolves as true. The settlement
+   * is simulated first, so one that would revert throws its decoded reason without sending a transaction.
+   * @param {object} options { overrides, onTransaction(stage, tx) } as for submitClaim, stage is "settle"
+   * @returns {Promise<object>} { result, txHash, receipt }, result is the claim's resolution
+   */
+  async settle(assertionId, options = {}) {
+    const { overrides = {}, onTransaction = () => {} } = options;
+
+    return this.decoded(async () => {
+      const contract = this.contract.connect(await this.signer());
+      const result = await contract.settleAndGetAssertionResult.staticCall(assertionId, overrides);
+      const tx = await send(contract.settleAndGetAssertionResult, [assertionId], overrides);
+      onTransaction("settle", tx);
+
+      const receipt = await confirm(this.provider, tx);
+      return { result, txHash: receipt.hash, receipt };
+    });
+  }
+
+  /**
+   * Settle several claims in one transaction through the contract's settleClaims. All or nothing: simulated first
+   * like settle, so if any claim cannot be settled yet nothing is sent; filter with getFullStatus's canBeSettled.
+   * @param {string[]} assertionIds Claims to settle
+   * @param {object} options { overrides, onTransaction(stage, tx) } as for submitClaim, stage is "settle"
+   * @returns {Promise<object>} { results, txHash, receipt }, results has the resolution of each claim in order
+   */
+  async settleClaims(assertionIds, options = {}) {
+    const { overrides = {}, onTransaction = () => {} } = options;
+
+    return this.decoded(async () => {
+      const contract = this.contract.connect(await this.signer());
+      const results = await contract.settleClaims.staticCall(assertionIds, overrides);
+      const tx = await send(contract.settleClaims, [assertionIds], overrides);
+      onTransaction("settle", tx);
+
+      const receipt = await confirm(this.provider, tx);
+      return { results: [...results], txHash: receipt.hash, receipt };
+    });
+  }
+
+  /**
+   * Dispute a claim on the oracle during its challenge window, approving the oracle for the disputer's bond (the
+   * same amount and token as the claimer's) first if needed.
+   * @param {object} options { overrides, onTransaction(stage, tx) } as for submitClaim, stages are "approve" and
+   *   "dispute"
+   * @returns {Promise<object>} { txHash, receipt }
+   */
+  async dispute(assertionId, options = {}) {
+    const { overrides = {}, onTransaction = () => {} } = options;
+
+    return this.decoded(async () => {
+      const signer = await this.signer();
+      const oracle = (await this.oracle()).connect(signer);
+      const assertion = await oracle.getAssertion(assertionId);
+      await this.approveToken(signer, assertion.currency, await oracle.getAddress(), assertion.bond, "disputer", onTransaction);
+
+      const tx = await send(oracle.disputeAssertion, [assertionId, await signer.getAddress()], overrides);
+      onTransaction("dispute", tx);
+
+      const receipt = await confirm(this.provider, tx);
+      return { txHash: receipt.hash, receipt };
+    });
+  }
+
+  /**
+   * Escrow a bounty for proving that a Twitter user posted a text, approving an ERC-20 amount first if needed.
+   * @param {object} bounty { twitterHandle, tweetText, token, amount, deadline }: token is the ERC-20 reward token
+   *   or unset for ETH, amount a bigint in the token's units and deadline the last Unix second claims can be
+   *   submitted at. The handle and text are normalized first, see normalize.js
+   * @param {object} options { overrides, onTransaction(stage, tx) } as for submitClaim, stages are "approve" and
+   *   "create"
+   * @returns {Promise<object>} { bountyId, txHash, receipt }, bountyId as a decimal string
+   */
+  async createBounty(bounty, options = {}) {
+    const { overrides = {}, onTransaction = () => {} } = options;
+    const token = bounty.token || ZeroAddress;
+    const amount = BigInt(bounty.amount);
+    const args = [normalizeHandle(bounty.twitterHandle), normalizeTweetText(bounty.tweetText), token, amount, bounty.deadline];
+
+    return this.decoded(async () => {
+      const signer = await this.signer();
+      const contract = this.contract.connect(signer);
+      if (token !== ZeroAddress) {
+        await this.approveToken(signer, token, this.address, amount, "requester", onTransaction, "bounty");
+      }
+
+      const tx = await send(contract.createBounty, args, token === ZeroAddress ? { ...overrides, value: amount } : overrides);
+      onTransaction("create", tx);
+
+      const receipt = await confirm(this.provider, tx);
+      const created = receipt.logs
+        .map((log) => this.contract.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "BountyCreated");
+      return { bountyId: created.args.bountyId.toString(), txHash: receipt.hash, receipt };
+    });
+  }
+
+  /**
+   * Submit a claim for a bounty's handle and text, approving the bond first if needed. Whichever claim verifies the
+   * tweet by the deadline wins the bounty, credited to its claimer's pending withdrawals when it settles.
+   * @param {string|bigint} bountyId The bounty
+   * @param {object} options Assertion overrides, overrides and onTransaction as for submitClaim, stages are
+   *   "approve" and "submit"
+   * @returns {Promise<object>} { assertionId, txHash, receipt }
+   */
+  async claimBounty(bountyId, options = {}) {
+    const { overrides = {}, onTransaction = () => {}, ...assertionOptions } = options;
+    const values = { ...NO_OVERRIDES, ...assertionOptions };
+
+    return this.decoded(async () => {
+      const signer = await this.signer();
+      await this.approveBond(signer, values, 1, onTransaction);
+
+      const tx = await send(this.contract.connect(signer).submitBountyClaim, [bountyId, values], overrides);
+      onTransaction("submit", tx);
+
+      const receipt = await confirm(this.provider, tx);
+      return { assertionId: await this.findAssertionId(receipt), txHash: receipt.hash, receipt };
+    });
+  }
+
+  /**
+   * Return an expired bounty nobody won to its requester's pending withdrawals, see withdraw.
+   * @param {object} options { overrides, onTransaction(stage, tx) } as for submitClaim, stage is "refund"
+   * @returns {Promise<object>} { txHash, receipt }
+   */
+  async refundBounty(bountyId, options = {}) {
+    const { overrides = {}, onTransaction = () => {} } = options;
+
+    return this.decoded(async () => {
+      const tx = await send(this.contract.connect(await this.signer()).refundBounty, [bountyId], overrides);
+      onTransaction("refund", tx);
+
+      const receipt = await confirm(this.provider, tx);
+      return { txHash: receipt.hash, receipt };
+    });
+  }
+
+  /**
+   * Withdraw the rewards, won bounties and refunds credited to the sender in one token.
+   * @param {string} token ERC-20 token, or unset for ETH
+   * @param {object} options { overrides, onTransaction(stage, tx) } as for submitClaim, stage is "withdraw"
+   * @returns {Promise<object>} { txHash, receipt }
+   */
+  async withdraw(token = ZeroAddress, options = {}) {
+    const { overrides = {}, onTransaction = () => {} } = options;
+
+    return this.decoded(async () => {
+      const tx = await send(this.contract.connect(await this.signer()).withdraw, [token || ZeroAddress], overrides);
+      onTransaction("withdraw", tx);
+
+      const receipt = await confirm(this.provider, tx);
+      return { txHash: receipt.hash, receipt };
+    });
+  }
+
+  /**
+   * Read the soulbound badge of a verified claim, with its on-chain metadata.
+   * @returns {Promise<Badge|null>} null if the contract has no badge contract or the badge is not minted
+   */
+  async getBadge(assertionId) {
+    return this.decoded(async () => {
+      const badge = await this.badge();
+      if (!badge) return null;
+
+      const tokenId = BigInt(assertionId);
+      const owner = await badge.ownerOf(tokenId).catch((error) => {
+        if (this.decodeError(error).code === "BADGE_NOT_FOUND") return null;
+        throw error;
+      });
+      if (!owner) return null;
+
+      const metadata = decodeTokenUri(await badge.tokenURI(tokenId));
+      return { contract: await badge.getAddress(), tokenId: tokenId.toString(), owner, metadata, image: metadata.image };
+    });
+  }
+
+  /**
+   * Mint the badge of a claim that resolved true before the contract had a badge contract; later claims get theirs
+   * when they resolve. The badge goes to the claimer, whoever sends the transaction.
+   * @param {object} options { overrides, onTransaction(stage, tx) } as for submitClaim, stage is "mint"
+   * @returns {Promise<object>} { tokenId, txHash, receipt }
+   */
+  async mintBadge(assertionId, options = {}) {
+    const { overrides = {}, onTransaction = () => {} } = options;
+
+    return this.decoded(async () => {
+      const badge = await this.badge();
+      if (!badge) throw new TwitterVerificationError("NO_BADGE", "The contract has no badge contract");
+
+      const tx = await send(badge.connect(await this.signer()).mint, [assertionId], overrides);
+      onTransaction("mint", tx);
+
+      const receipt = await confirm(this.provider, tx);
+      return { tokenId: BigInt(assertionId).toString(), txHash: receipt.hash, receipt };
+    });
+  }
+
+  /**
+   * Wait for a transaction sent earlier, e.g. before a page reload, as the methods sending transactions do: a
+   * speed-up resolves with the replacement's receipt, and a cancelled, replaced or reverted transaction throws.
+   * @param {object} record From transactionRecord
+   * @returns {Promise<object>} The receipt
+   */
+  async waitForTransaction(record) {
+    return this.decoded(async () => {
+      // A transaction replaced while the page was closed is gone from the node, rebuild it from the record
+      const tx = (await this.provider.getTransaction(record.hash)) || new TransactionResponse({
+        ...record,
+        value: BigInt(record.value),
+        blockNumber: null,
+        blockHash: null,
+        index: 0,
+        type: 0,
+        gasLimit: 0n,
+        gasPrice: 0n,
+        maxPriorityFeePerGas: null,
+        maxFeePerGas: null,
+        chainId: 0n,
+        signature: null,
+        accessList: null
+      }, this.provider);
+      return confirm(this.provider, tx.replaceableTransaction(record.startBlock));
+    });
+  }
+
+  /**
+   * Watch a claim for disputes, settlement and rewards, whether they go through the contract or directly through
+   * the oracle, and pass its refreshed status on each.
+   * @param {function} onUpdate Called with (FullStatus, eventName)
+   * @param {function} onError Called with a TwitterVerificationError when subscribing or refreshing fails
+   * @returns {function} Stops watching, returns a promise resolved once the listeners are removed
+   */
+  watchClaim(assertionId, onUpdate, onError = () => {}) {
+    const subscriptions = [];
+    let stopped = false;
+
+    const subscribe = async (contract, eventName) => {
+      const filter = contract.filters[eventName](assertionId);
+      const listener = async () => {
+        if (stopped) return;
+        try {
+          onUpdate(await this.getFullStatus(assertionId), eventName);
+        } catch (error) {
+          onError(this.decodeError(error));
+        }
+      };
+      await contract.on(filter, listener);
+      subscriptions.push([contract, filter, listener]);
+    };
+
+    const started = (async () => {
+      await Promise.all(CLAIM_EVENTS.map((eventName) => subscribe(this.contract, eventName)));
+      const oracle = await this.oracle();
+      if (!stopped) await Promise.all(ASSERTION_EVENTS.map((eventName) => subscribe(oracle, eventName)));
+    })().catch((error) => onError(this.decodeError(error)));
+
+    return async () => {
+      stopped = true;
+      await started;
+      await Promise.all(subscriptions.map(([contract, filter, listener]) => contract.off(filter, listener)));
+    };
+  }
+}
+
+module.exports = {
+  CLAIM_TYPES,
+  CLAIM_STATUSES,
+  NO_OVERRIDES,
+  BATCH_CHUNK_SIZE,
+  BATCH_MAX_GAS,
+  GAS_MARGIN_PERCENT,
+  withGasMargin,
+  transactionRecord,
+  TwitterVerificationClient
+};
@@ -0,0 +1,165 @@
+// Decoding of failed calls and transactions into TwitterVerificationError, with a stable code per failure
+
+const { Interface } = require("ethers");
+
+// Revert reasons of TwitterVerification and the Optimistic Oracle V3 -> error code
+const REVERT_CODES = {
+  // Claims
+  "Handle and text are required": "INVALID_CLAIM",
+  "Twitter handle too long": "INVALID_HANDLE",
+  "Invalid character in Twitter handle": "INVALID_HANDLE",
+  "Tweet text whitespace not normalized": "INVALID_TEXT",
+  "Tweet text too long": "INVALID_TEXT",
+  "Status ID cannot be zero": "INVALID_CLAIM",
+  "Unknown claim type": "INVALID_CLAIM",
+  "Window start must be before end": "INVALID_WINDOW",
+  "Window must end in the past": "INVALID_WINDOW",
+  "Cutoff is required": "INVALID_WINDOW",
+  "Cutoff must not be in the future": "INVALID_WINDOW",
+  "Posted claims take no window": "INVALID_WINDOW",
+  "Negative claims take a cutoff only": "INVALID_WINDOW",
+  "Invalid evidence URI": "INVALID_EVIDENCE",
+  "Tweet claim already pending": "CLAIM_PENDING",
+  "Tweet already verified": "TWEET_VERIFIED",
+  "Claim does not exist": "CLAIM_NOT_FOUND",
+  "Bond below oracle minimum": "BOND_TOO_LOW",
+  // Bounties
+  "Bounty does not exist": "BOUNTY_NOT_FOUND",
+  "Bounty amount must be positive": "INVALID_BOUNTY",
+  "Deadline must be in the future": "INVALID_BOUNTY",
+  "ETH sent does not match amount": "INVALID_BOUNTY",
+  "ETH sent with token bounty": "INVALID_BOUNTY",
+  "Too many bounties for this tweet": "INVALID_BOUNTY",
+  "Bounty expired": "BOUNTY_CLOSED",
+  "Bounty already awarded": "BOUNTY_CLOSED",
+  "Bounty refunded": "BOUNTY_CLOSED",
+  "Bounty already refunded": "BOUNTY_CLOSED",
+  "Bounty not expired": "BOUNTY_NOT_REFUNDABLE",
+  "Bounty has pending claims": "BOUNTY_NOT_REFUNDABLE",
+  "Only the requester can refund": "NOT_REQUESTER",
+  // Badges
+  "Claim not verified": "CLAIM_NOT_VERIFIED",
+  "Badge already minted": "BADGE_MINTED",
+  "Badge does not exist": "BADGE_NOT_FOUND",
+  "Badges are non-transferable": "BADGE_NON_TRANSFERABLE",
+  "Zero address has no badges": "BADGE_NOT_FOUND",
+  // Funds and administration
+  "Nothing to withdraw": "NOTHING_TO_WITHDRAW",
+  "Amount exceeds surplus": "INSUFFICIENT_SURPLUS",
+  "Currency cannot be zero": "INVALID_SETTINGS",
+  "Identifier cannot be empty": "INVALID_SETTINGS",
+  "Liveness must be positive": "INVALID_SETTINGS",
+  "Oracle address cannot be zero": "INVALID_SETTINGS",
+  "Verifier address cannot be zero": "INVALID_SETTINGS",
+  "Caller is not the oracle": "NOT_ORACLE",
+  // Optimistic Oracle V3
+  "Assertion does not exist": "ASSERTION_NOT_FOUND",
+  "Assertion not expired": "CHALLENGE_WINDOW_OPEN",
+  "Assertion is expired": "CHALLENGE_WINDOW_CLOSED",
+  "Assertion already disputed": "ALREADY_DISPUTED",
+  "Assertion already settled": "ALREADY_SETTLED",
+  "Dispute not resolved": "DISPUTE_UNRESOLVED",
+  "Bond amount too low": "BOND_TOO_LOW",
+  "Unsupported currency": "UNSUPPORTED_CURRENCY",
+  "Unsupported identifier": "UNSUPPORTED_IDENTIFIER"
+};
+
+// Custom errors of the OpenZeppelin contracts TwitterVerification builds on -> error code
+const CUSTOM_ERROR_CODES = {
+  EnforcedPause: "PAUSED",
+  ExpectedPause: "NOT_PAUSED",
+  OwnableUnauthorizedAccount: "NOT_OWNER",
+  SafeERC20FailedOperation: "TOKEN_TRANSFER_FAILED",
+  InsufficientBalance: "INSUFFICIENT_BALANCE",
+  FailedCall: "CALL_FAILED"
+};
+
+// ERC-20 tokens used for bonds and bounties revert with these as well
+const ERC20_ERRORS = new Interface([
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)"
+]);
+
+/**
+ * Error thrown by TwitterVerificationClient. code is one of the values of REVERT_CODES or CUSTOM_ERROR_CODES, a
+ * client-side code (USER_REJECTED, NO_SIGNER, NO_BADGE, INSUFFICIENT_BOND_BALANCE, INSUFFICIENT_BOUNTY_BALANCE,
+ * TRANSACTION_NOT_FOUND, TRANSACTION_CANCELLED, TRANSACTION_REPLACED), PANIC, REVERTED for unknown reverts or UNKNOWN
+ * for anything else.
+ */
+class TwitterVerificationError extends Error {
+  /**
+   * @param {string} code Error code
+   * @param {string} message Revert reason or description
+   * @param {object} details { reason, revert, cause }: the revert reason string, the decoded custom error
+   *   { name, args }, and the original error
+   */
+  constructor(code, message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+    this.name = "TwitterVerificationError";
+    this.code = code;
+    this.reason = details.reason || null;
+    this.revert = details.revert || null;
+  }
+}
+
+// Wallets and RPC providers nest the revert data at different depths, search the error for it
+function findRevertData(error, depth = 0) {
+  if (!error || typeof error !== "object" || depth > 5) return null;
+  if (typeof error.data === "string" && /^0x[0-9a-fA-F]{8}/.test(error.data)) return error.data;
+  for (const key of ["data", "error", "info", "cause", "originalError"]) {
+    const data = findRevertData(error[key], depth + 1);
+    if (data) return data;
+  }
+  return null;
+}
+
+function isUserRejection(error) {
+  return error.code === "ACTION_REJECTED" || error.code === 4001 || Boolean(error.info && error.info.error && error.info.error.code === 4001);
+}
+
+function codeFromName(name) {
+  return CUSTOM_ERROR_CODES[name] || name.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toUpperCase();
+}
+
+/**
+ * Decode an error from a call or transaction into a TwitterVerificationError.
+ * @param {Error} error Error thrown by ethers or a wallet
+ * @param {Interface[]} interfaces Interfaces whose custom errors to decode, besides Error(string) and Panic(uint256)
+ * @returns {TwitterVerificationError} The error itself if it is one already
+ */
+function decodeError(error, interfaces = []) {
+  if (error instanceof TwitterVerificationError) return error;
+  if (isUserRejection(error)) {
+    return new TwitterVerificationError("USER_REJECTED", "The request was rejected in the wallet", { cause: error });
+  }
+  // Wallets cancel a transaction by replacing it with an empty one to the sender. Its reason is not a revert reason
+  if (error.code === "TRANSACTION_REPLACED") {
+    return error.reason === "cancelled"
+      ? new TwitterVerificationError("TRANSACTION_CANCELLED", "The transaction was cancelled in the wallet", { cause: error })
+      : new TwitterVerificationError("TRANSACTION_REPLACED", "The transaction was replaced by another one from the same account", { cause: error });
+  }
+
+  const data = findRevertData(error);
+  for (const iface of [...interfaces, ERC20_ERRORS]) {
+    const parsed = data && iface.parseError(data);
+    if (!parsed) continue;
+
+    if (parsed.name === "Error") {
+      const reason = parsed.args[0];
+      return new TwitterVerificationError(REVERT_CODES[reason] || "REVERTED", reason, { reason, cause: error });
+    }
+    if (parsed.name === "Panic") {
+      return new TwitterVerificationError("PANIC", `Panic code ${parsed.args[0]}`, { cause: error });
+    }
+    const revert = { name: parsed.name, args: [...parsed.args] };
+    return new TwitterVerificationError(codeFromName(parsed.name), parsed.name, { revert, cause: error });
+  }
+
+  // Some providers only report the reason string, without the revert data
+  if (typeof error.reason === "string" && error.reason) {
+    return new TwitterVerificationError(REVERT_CODES[error.reason] || "REVERTED", error.reason, { reason: error.reason, cause: error });
+  }
+  return new TwitterVerificationError("UNKNOWN", error.shortMessage || error.message || String(error), { cause: error });
+}
+
+module.exports = { REVERT_CODES, CUSTOM_ERROR_CODES, TwitterVerificationError, decodeError };
@@ -0,0 +1,46 @@
+// Evidence attached to claims: the hash of a captured copy of the tweet and where that copy is kept
+
+const { keccak256, toUtf8Bytes } = require("ethers");
+
+// Mirrors ClaimFormat.MAX_EVIDENCE_URI_LENGTH
+const MAX_EVIDENCE_URI_LENGTH = 256;
+
+const DEFAULT_IPFS_GATEWAY = "https://ipfs.io/ipfs/";
+
+// CIDv0 (Qm..., base58) and CIDv1 in base32 (b...), the forms IPFS tools print
+const CID_PATTERN = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,})$/;
+
+/**
+ * Content hash of a captured tweet, as passed to the contract: keccak256 of its bytes.
+ * @param {Uint8Array|string} content File contents, e.g. the tweet's JSON or a screenshot; strings are hashed as UTF-8
+ * @returns {string} 0x-prefixed hash
+ */
+function hashEvidence(content) {
+  return keccak256(typeof content === "string" ? toUtf8Bytes(content) : content);
+}
+
+/**
+ * Turn user input into the evidence URI stored with a claim: a bare CID becomes ipfs://<CID>.
+ * @returns {string|null} The URI, "" for empty input, or null if the contract would reject it
+ */
+function normalizeEvidenceUri(input) {
+  const value = (input || "").trim();
+  if (!value) return "";
+
+  const uri = CID_PATTERN.test(value) ? `ipfs://${value}` : value;
+  const valid = (uri.startsWith("ipfs://") || uri.startsWith("https://"))
+    && uri.length > uri.indexOf("//") + 2
+    && toUtf8Bytes(uri).length <= MAX_EVIDENCE_URI_LENGTH
+    && !/[\s\x00-\x1f\x7f]/.test(uri);
+  return valid ? uri : null;
+}
+
+/**
+ * Browsable link for an evidence URI, ipfs:// through a public gateway.
+ * @param {string} gateway Gateway URL prefix, ending in /ipfs/
+ */
+function evidenceLink(uri, gateway = DEFAULT_IPFS_GATEWAY) {
+  return uri.startsWith("ipfs://") ? `${gateway}${uri.slice("ipfs://".length)}` : uri;
+}
+
+module.exports = { MAX_EVIDENCE_URI_LENGTH, hashEvidence, normalizeEvidenceUri, evidenceLink };
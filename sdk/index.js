@@ -0,0 +1,56 @@
+// TwitterVerification client SDK, see the "Client SDK" section of the README
+
+const {
+  CLAIM_TYPES,
+  CLAIM_STATUSES,
+  NO_OVERRIDES,
+  BATCH_CHUNK_SIZE,
+  BATCH_MAX_GAS,
+  GAS_MARGIN_PERCENT,
+  withGasMargin,
+  transactionRecord,
+  TwitterVerificationClient
+} = require("./client");
+const { hashEvidence, normalizeEvidenceUri, evidenceLink } = require("./evidence");
+const {
+  MAX_HANDLE_LENGTH,
+  MAX_TWEET_LENGTH,
+  normalizeHandle,
+  isValidHandle,
+  normalizeTweetText,
+  tweetLength,
+  validateTweet
+} = require("./normalize");
+const { REVERT_CODES, CUSTOM_ERROR_CODES, TwitterVerificationError, decodeError } = require("./errors");
+const verificationAbi = require("./abi/TwitterVerification.json");
+const oracleAbi = require("./abi/OptimisticOracleV3.json");
+const badgeAbi = require("./abi/VerificationBadge.json");
+
+module.exports = {
+  TwitterVerificationClient,
+  TwitterVerificationError,
+  decodeError,
+  CLAIM_TYPES,
+  CLAIM_STATUSES,
+  NO_OVERRIDES,
+  BATCH_CHUNK_SIZE,
+  BATCH_MAX_GAS,
+  GAS_MARGIN_PERCENT,
+  withGasMargin,
+  transactionRecord,
+  hashEvidence,
+  normalizeEvidenceUri,
+  evidenceLink,
+  MAX_HANDLE_LENGTH,
+  MAX_TWEET_LENGTH,
+  normalizeHandle,
+  isValidHandle,
+  normalizeTweetText,
+  tweetLength,
+  validateTweet,
+  REVERT_CODES,
+  CUSTOM_ERROR_CODES,
+  verificationAbi,
+  oracleAbi,
+  badgeAbi
+};
@@ -0,0 +1,120 @@
+// Normalization and validation of the handle and text of a claim, shared by the app and scripts and mirrored by
+// ClaimFormat.validateTweet on-chain. A claim whose handle or text differs only in case, whitespace or Unicode form
+// would otherwise be a different claim (and a different registry key) for the same tweet.
+
+const MAX_HANDLE_LENGTH = 15;
+const MAX_TWEET_LENGTH = 280;
+
+// Twitter usernames: letters, digits and underscores, stored lowercased
+const HANDLE_PATTERN = /^[a-z0-9_]{1,15}$/;
+
+// Weighted like Twitter's counter (twitter-text v3): URLs count as 23, emoji as 2, these code point ranges as 1 and
+// everything else (CJK, most symbols) as 2
+const URL_LENGTH = 23;
+const SINGLE_WEIGHT_RANGES = [[0x0000, 0x10ff], [0x2000, 0x200d], [0x2010, 0x201f], [0x2032, 0x2037]];
+
+// Code points that only modify the character before them, within an emoji sequence: variation selectors, the
+// combining keycap, skin tones and the tag characters of subdivision flags
+function isEmojiModifier(cp) {
+  return (cp >= 0xfe00 && cp <= 0xfe0f) || cp === 0x20e3 || (cp >= 0x1f3fb && cp <= 0x1f3ff) || (cp >= 0xe0020 && cp <= 0xe007f);
+}
+
+function isRegionalIndicator(cp) {
+  return cp >= 0x1f1e6 && cp <= 0x1f1ff;
+}
+
+/**
+ * Normalize a Twitter handle: drop a leading @ and surrounding whitespace, lowercase.
+ */
+function normalizeHandle(input) {
+  return (input || "").trim().replace(/^@/, "").toLowerCase();
+}
+
+function isValidHandle(handle) {
+  return HANDLE_PATTERN.test(handle);
+}
+
+/**
+ * Normalize tweet text: Unicode NFC, line breaks as \n, runs of spaces and tabs (and other horizontal whitespace)
+ * collapsed to one space, no spaces around line breaks, no leading or trailing whitespace.
+ */
+function normalizeTweetText(input) {
+  return (input || "")
+    .normalize("NFC")
+    .replace(/\r\n?/g, "\n")
+    .replace(/[^\S\n]+/g, " ")
+    .replace(/ ?\n ?/g, "\n")
+    .trim();
+}
+
+/**
+ * Length of a tweet as counted by Twitter, the same way ClaimFormat.tweetLength counts it: URLs starting with
+ * http:// or https:// count as 23, an emoji sequence (joined by ZWJ, or a flag's pair of regional indicators) as 2.
+ * Bare domains count by their characters, which Twitter counts as 23 as well.
+ */
+function tweetLength(text) {
+  let length = 0;
+  let joined = false; // the previous code point was a ZWJ, or the first regional indicator of a flag
+
+  for (let i = 0; i < text.length;) {
+    if (text.startsWith("http://", i) || text.startsWith("https://", i)) {
+      while (i < text.length && text[i] !== " " && text[i] !== "\n") i++;
+      length += URL_LENGTH;
+      joined = false;
+      continue;
+    }
+
+    const cp = text.codePointAt(i);
+    i += cp > 0xffff ? 2 : 1;
+    if (cp === 0x200d) {
+      joined = true;
+    } else if (isEmojiModifier(cp)) {
+      // Part of the emoji before it
+    } else if (joined) {
+      joined = false;
+    } else if (isRegionalIndicator(cp)) {
+      length += 2;
+      joined = isRegionalIndicator(text.codePointAt(i));
+    } else {
+      length += SINGLE_WEIGHT_RANGES.some(([low, high]) => cp >= low && cp <= high) ? 1 : 2;
+    }
+  }
+  return length;
+}
+
+/**
+ * Normalize and validate the handle and text of a claim.
+ * @returns {object} { twitterHandle, tweetText, length, errors }: the normalized values, the text's weighted
+ *   length, and errors { twitterHandle, tweetText } with a message for each invalid field, empty if both are valid
+ */
+function validateTweet(handleInput, textInput) {
+  const twitterHandle = normalizeHandle(handleInput);
+  const tweetText = normalizeTweetText(textInput);
+  const length = tweetLength(tweetText);
+  const errors = {};
+
+  if (!twitterHandle) {
+    errors.twitterHandle = "Please enter the Twitter handle";
+  } else if (twitterHandle.length > MAX_HANDLE_LENGTH) {
+    errors.twitterHandle = `Twitter handles have at most ${MAX_HANDLE_LENGTH} characters`;
+  } else if (!isValidHandle(twitterHandle)) {
+    errors.twitterHandle = "Twitter handles only use letters A-Z, digits and underscores";
+  }
+
+  if (!tweetText) {
+    errors.tweetText = "Please enter the tweet text";
+  } else if (length > MAX_TWEET_LENGTH) {
+    errors.tweetText = `Tweets have at most ${MAX_TWEET_LENGTH} characters, this text counts ${length}`;
+  }
+  return { twitterHandle, tweetText, length, errors };
+}
+
+module.exports = {
+  MAX_HANDLE_LENGTH,
+  MAX_TWEET_LENGTH,
+  normalizeHandle,
+  isValidHandle,
+  normalizeTweetText,
+  tweetLength,
+  validateTweet
+};
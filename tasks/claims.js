@@ -0,0 +1,162 @@
+// Hardhat tasks for submitting, inspecting and settling claims
+// npx hardhat claim:status --id 0x... --network sepolia
+
+const { task, types } = require("hardhat/config");
+const fs = require("fs");
+const { NO_OVERRIDES, hashEvidence, normalizeEvidenceUri } = require("../sdk");
+const { loadArchive, checkClaim } = require("../scripts/checker");
+const { CLAIM_TYPES, getClient, formatAmount, tokenInfo, parseTime, describeClaim, printClaim, output } = require("./helpers");
+
+task("claim:submit", "Submit a claim that a Twitter user posted (or had not posted) a tweet")
+  .addParam("handle", "Twitter handle, with or without @")
+  .addParam("text", "Exact text of the tweet")
+  .addOptionalParam("type", `Claim type: ${CLAIM_TYPES.join(", ")}`, "posted")
+  .addOptionalParam("statusId", "Tweet status ID, the number at the end of its URL")
+  .addOptionalParam("windowStart", "Start of the window of a posted-between claim, Unix seconds or a date")
+  .addOptionalParam("windowEnd", "End of the window, or the cutoff of a not-posted-before claim")
+  .addOptionalParam("evidenceFile", "Captured copy of the tweet (its JSON or a screenshot), whose hash is attached")
+  .addOptionalParam("contentHash", "keccak256 of a captured copy of the tweet, instead of --evidence-file")
+  .addOptionalParam("evidence", "IPFS CID or ipfs:// / https:// URL of the captured copy or an archived page")
+  .addOptionalParam("address", "Contract address, defaults to the deployment file")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.address);
+    const statement = { claimType: args.type, twitterHandle: args.handle, tweetText: args.text, statusId: args.statusId };
+
+    if (args.evidenceFile && args.contentHash) throw new Error("Pass either --evidence-file or --content-hash");
+    if (args.evidenceFile) statement.contentHash = hashEvidence(fs.readFileSync(args.evidenceFile));
+    if (args.contentHash) {
+      if (!/^0x[0-9a-fA-F]{64}$/.test(args.contentHash)) throw new Error("--content-hash must be a 32-byte hex hash");
+      statement.contentHash = args.contentHash;
+    }
+    if (args.evidence) {
+      statement.evidenceUri = normalizeEvidenceUri(args.evidence);
+      if (!statement.evidenceUri) throw new Error("--evidence must be an IPFS CID or an ipfs:// or https:// URL");
+    }
+
+    if (args.type === "posted-between") {
+      if (!args.windowStart || !args.windowEnd) throw new Error("posted-between claims need --window-start and --window-end");
+      statement.windowStart = parseTime(args.windowStart, "--window-start");
+      statement.windowEnd = parseTime(args.windowEnd, "--window-end");
+    } else if (args.type === "not-posted-before") {
+      if (!args.windowEnd) throw new Error("not-posted-before claims need --window-end");
+      statement.windowEnd = parseTime(args.windowEnd, "--window-end");
+    } else if (args.type !== "posted") {
+      throw new Error(`Unknown claim type "${args.type}", expected one of ${CLAIM_TYPES.join(", ")}`);
+    }
+
+    // The client approves the bond the claimer pays first, if needed
+    const [currency, bond] = await client.contract.getClaimBond(NO_OVERRIDES);
+    const bondText = formatAmount(hre, bond, await tokenInfo(hre, currency));
+    const { assertionId, txHash } = await client.submitClaim(statement, {
+      onTransaction: (stage) => {
+        if (stage === "approve" && !args.json) console.log(`Approving the ${bondText} bond...`);
+      }
+    });
+    const claim = await describeClaim(hre, client, assertionId);
+
+    return output({ txHash, claim }, args.json, (result) => {
+      console.log(`Claim submitted in ${result.txHash}\n`);
+      printClaim(result.claim);
+    });
+  });
+
+task("claim:status", "Show a claim with its status and UMA assertion")
+  .addParam("id", "Assertion ID of the claim")
+  .addOptionalParam("address", "Contract address, defaults to the deployment file")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.address);
+    const claim = await describeClaim(hre, client, args.id);
+    if (!claim) throw new Error(`No claim with assertion ID ${args.id}`);
+
+    return output(claim, args.json, printClaim);
+  });
+
+task("claim:settle", "Settle a claim whose challenge window has ended")
+  .addParam("id", "Assertion ID of the claim")
+  .addOptionalParam("address", "Contract address, defaults to the deployment file")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.address);
+    if (!(await client.contract.canBeSettled(args.id))) {
+      throw new Error(`Claim ${args.id} cannot be settled: it is unknown, already settled or still in its challenge window`);
+    }
+
+    const { txHash } = await client.settle(args.id);
+    const claim = await describeClaim(hre, client, args.id);
+
+    return output({ txHash, claim }, args.json, (result) => {
+      console.log(`Claim settled in ${result.txHash}\n`);
+      printClaim(result.claim);
+    });
+  });
+
+task("claim:list", "List the claims of a claimer or a Twitter handle, oldest first")
+  .addOptionalParam("claimer", "Claimer address")
+  .addOptionalParam("handle", "Twitter handle, in any case")
+  .addOptionalParam("offset", "Number of claims to skip", 0, types.int)
+  .addOptionalParam("limit", "Maximum number of claims to show", 20, types.int)
+  .addOptionalParam("address", "Contract address, defaults to the deployment file")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async (args, hre) => {
+    if (!args.claimer === !args.handle) throw new Error("Pass either --claimer or --handle");
+
+    const client = await getClient(hre, args.address);
+    const verifier = client.contract;
+    const [total, ids] = args.claimer
+      ? await Promise.all([
+          verifier.claimCountByClaimer(args.claimer),
+          verifier.getClaimsByClaimer(args.claimer, args.offset, args.limit)
+        ])
+      : await Promise.all([
+          verifier.claimCountByHandle(args.handle),
+          verifier.getClaimsByHandle(args.handle, args.offset, args.limit)
+        ]);
+    const claims = await Promise.all(ids.map((id) => describeClaim(hre, client, id)));
+
+    return output({ total: Number(total), offset: args.offset, claims }, args.json, (result) => {
+      console.log(`Claims ${result.offset + 1}-${result.offset + result.claims.length} of ${result.total}\n`);
+      for (const claim of result.claims) {
+        console.log(`${claim.assertionId}  ${claim.status.padEnd(8)}  ${claim.claimType.padEnd(17)}  @${claim.twitterHandle}: ${claim.tweetText}`);
+      }
+    });
+  });
+
+task("claim:check", "Check a claim against the Twitter/X archive export of the claimed account")
+  .addParam("id", "Assertion ID of the claim")
+  .addParam("archive", "Archive folder, or its tweets.js / tweets.json file")
+  .addFlag("dispute", "Dispute the claim if the verdict is false and it is still in its challenge window")
+  .addOptionalParam("address", "Contract address, defaults to the deployment file")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, args.address);
+    const archive = loadArchive(args.archive);
+    const report = await checkClaim(client, archive, args.id);
+    if (!report) throw new Error(`No claim with assertion ID ${args.id}`);
+
+    report.dispute = null;
+    if (args.dispute && report.verdict === "false") {
+      if (!report.canDispute) throw new Error(`Claim ${args.id} is ${report.status} and can no longer be disputed`);
+      const { txHash } = await client.dispute(args.id, {
+        onTransaction: (stage) => {
+          if (stage === "approve" && !args.json) console.log("Approving the oracle for the dispute bond...");
+        }
+      });
+      report.dispute = { txHash };
+    }
+
+    return output(report, args.json, (result) => {
+      const { claim, matches } = result;
+      console.log(`Claim:      ${result.assertionId} (${result.status})`);
+      console.log(`Statement:  @${claim.twitterHandle} ${claim.claimType}: ${claim.tweetText}`);
+      console.log(`Archive:    ${result.archive.tweets} tweets of ${result.archive.handle ? `@${result.archive.handle}` : "an unknown account"}`);
+      for (const [kind, tweets] of Object.entries(matches)) {
+        console.log(`\n${kind === "exact" ? "Exact" : "Normalized"} matches: ${tweets.length}`);
+        for (const tweet of tweets) console.log(`  ${tweet.createdAt}  ${tweet.url}`);
+      }
+      console.log(`\nVerdict:    ${result.verdict} (${result.reason})`);
+      if (result.dispute) console.log(`Disputed in ${result.dispute.txHash}`);
+      else if (result.verdict === "false" && result.canDispute) console.log("Run again with --dispute to dispute it");
+    });
+  });
@@ -0,0 +1,83 @@
+// Hardhat tasks for funding the contract and checking its balances
+// npx hardhat contract:balance --network sepolia
+
+const { task } = require("hardhat/config");
+const { ERC20_ABI, getVerifier, tokenInfo, formatAmount, output } = require("./helpers");
+
+task("contract:fund", "Send ETH or an ERC-20 token to the contract to pay rewards")
+  .addParam("amount", "Amount in whole tokens, e.g. 0.05")
+  .addOptionalParam("token", "ERC-20 token address, defaults to the reward token (ETH if unset)")
+  .addOptionalParam("address", "Contract address, defaults to the deployment file")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async (args, hre) => {
+    const verifier = await getVerifier(hre, args.address);
+    const contractAddress = await verifier.getAddress();
+    const token = args.token || (await verifier.rewardToken());
+    const info = await tokenInfo(hre, token);
+    const amount = hre.ethers.parseUnits(args.amount, info.decimals);
+
+    const tx = token === hre.ethers.ZeroAddress
+      ? await verifier.runner.sendTransaction({ to: contractAddress, value: amount })
+      : await (await hre.ethers.getContractAt(ERC20_ABI, token, verifier.runner)).transfer(contractAddress, amount);
+    await tx.wait();
+
+    const result = { txHash: tx.hash, token, amount: amount.toString(), surplus: (await verifier.surplus(token)).toString() };
+    return output(result, args.json, () => {
+      console.log(`Sent ${formatAmount(hre, amount, info)} to ${contractAddress} in ${tx.hash}`);
+      console.log(`Unreserved balance: ${formatAmount(hre, BigInt(result.surplus), info)}`);
+    });
+  });
+
+task("contract:balance", "Show the contract's balances, reserved funds and reward settings")
+  .addOptionalParam("token", "Also show this ERC-20 token, ETH and the reward token are always shown")
+  .addOptionalParam("address", "Contract address, defaults to the deployment file")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async (args, hre) => {
+    const verifier = await getVerifier(hre, args.address);
+    const contractAddress = await verifier.getAddress();
+    const [owner, paused, rewardToken, rewardAmount] = await Promise.all([
+      verifier.owner(),
+      verifier.paused(),
+      verifier.rewardToken(),
+      verifier.rewardAmount()
+    ]);
+
+    const tokens = [...new Set([hre.ethers.ZeroAddress, rewardToken, args.token].filter(Boolean))];
+    const balances = await Promise.all(tokens.map(async (token) => {
+      const info = await tokenInfo(hre, token);
+      const [balance, reserved, surplus] = await Promise.all([
+        token === hre.ethers.ZeroAddress
+          ? hre.ethers.provider.getBalance(contractAddress)
+          : (await hre.ethers.getContractAt(ERC20_ABI, token)).balanceOf(contractAddress),
+        verifier.reservedFunds(token),
+        verifier.surplus(token)
+      ]);
+      return {
+        token,
+        symbol: info.symbol,
+        decimals: info.decimals,
+        balance: balance.toString(),
+        reserved: reserved.toString(),
+        surplus: surplus.toString()
+      };
+    }));
+    const rewardInfo = await tokenInfo(hre, rewardToken);
+
+    const result = {
+      address: contractAddress,
+      owner,
+      paused,
+      reward: { token: rewardToken, amount: rewardAmount.toString(), text: formatAmount(hre, rewardAmount, rewardInfo) },
+      balances
+    };
+    return output(result, args.json, () => {
+      console.log(`Contract: ${contractAddress}`);
+      console.log(`Owner:    ${owner}`);
+      console.log(`Claims:   ${paused ? "paused" : "accepting"}`);
+      console.log(`Reward:   ${result.reward.text}`);
+      for (const entry of balances) {
+        const format = (value) => formatAmount(hre, BigInt(value), entry);
+        console.log(`\n${entry.symbol}: ${format(entry.balance)} held, ${format(entry.reserved)} reserved, ${format(entry.surplus)} available`);
+      }
+    });
+  });
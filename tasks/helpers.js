@@ -0,0 +1,151 @@
+// Shared helpers of the Hardhat tasks in this directory
+
+const { CLAIM_TYPES, TwitterVerificationClient } = require("../sdk");
+const { deployedAddress } = require("../scripts/deployments");
+
+// Read-only ERC-20 functions plus transfer, for funding
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function transfer(address to, uint256 amount) returns (bool)"
+];
+
+/**
+ * Connect to the deployed TwitterVerification contract as the first configured signer.
+ * @param {string} address Contract address from --address, falls back to CONTRACT_ADDRESS and then to the
+ *   network's manifest in deployments/
+ */
+async function getVerifier(hre, address) {
+  const contractAddress = address || deployedAddress(hre.network.name);
+  const [signer] = await hre.ethers.getSigners();
+  return hre.ethers.getContractAt("TwitterVerification", contractAddress, signer);
+}
+
+/**
+ * SDK client of the deployed contract, signing as the first configured signer. See getVerifier for address.
+ */
+async function getClient(hre, address) {
+  const contractAddress = address || deployedAddress(hre.network.name);
+  const [signer] = await hre.ethers.getSigners();
+  return new TwitterVerificationClient(contractAddress, signer);
+}
+
+/**
+ * Symbol and decimals of a token, ETH for the zero address.
+ */
+async function tokenInfo(hre, token) {
+  if (token === hre.ethers.ZeroAddress) return { symbol: "ETH", decimals: 18 };
+  const erc20 = await hre.ethers.getContractAt(ERC20_ABI, token);
+  const [symbol, decimals] = await Promise.all([erc20.symbol(), erc20.decimals()]);
+  return { symbol, decimals: Number(decimals) };
+}
+
+function formatAmount(hre, amount, info) {
+  return `${hre.ethers.formatUnits(amount, info.decimals)} ${info.symbol}`;
+}
+
+/**
+ * Parse a time given as Unix seconds or a date string, e.g. 2024-01-31T09:05:00Z.
+ */
+function parseTime(value, name) {
+  const seconds = /^\d+$/.test(value) ? Number(value) : Math.floor(Date.parse(value) / 1000);
+  if (Number.isNaN(seconds)) throw new Error(`${name} must be Unix seconds or a date, got "${value}"`);
+  return seconds;
+}
+
+function isoDate(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+/**
+ * Read everything known about a claim: the stored claim, its status and the oracle's assertion.
+ * @returns {Promise<object|null>} Plain object with amounts as decimal strings, or null for unknown IDs
+ */
+async function describeClaim(hre, client, assertionId) {
+  const full = await client.getFullStatus(assertionId);
+  if (!full) return null;
+
+  const { claim, assertion } = full;
+  const bond = await tokenInfo(hre, assertion.currency);
+  return {
+    assertionId,
+    claimer: claim.claimer,
+    claimType: claim.claimType,
+    twitterHandle: claim.twitterHandle,
+    tweetText: claim.tweetText,
+    statusId: claim.statusId,
+    tweetUrl: claim.tweetUrl,
+    windowStart: isoDate(claim.windowStart),
+    windowEnd: isoDate(claim.windowEnd),
+    status: full.status,
+    rewarded: claim.rewarded,
+    bountyId: claim.bountyId,
+    contentHash: claim.contentHash,
+    evidenceUri: claim.evidenceUri,
+    canBeSettled: full.canBeSettled,
+    assertedClaim: claim.assertedClaim,
+    assertion: {
+      asserter: assertion.asserter,
+      assertionTime: isoDate(assertion.assertionTime),
+      expirationTime: isoDate(assertion.expirationTime),
+      identifier: assertion.identifier,
+      currency: assertion.currency,
+      bond: assertion.bond.toString(),
+      bondText: formatAmount(hre, assertion.bond, bond),
+      disputer: assertion.disputer,
+      settled: assertion.settled,
+      settlementResolution: assertion.settlementResolution
+    }
+  };
+}
+
+function printClaim(claim) {
+  console.log(`Assertion ID:   ${claim.assertionId}`);
+  console.log(`Status:         ${claim.status}${claim.canBeSettled ? " (can be settled)" : ""}`);
+  console.log(`Claimer:        ${claim.claimer}`);
+  console.log(`Type:           ${claim.claimType}`);
+  console.log(`Handle:         @${claim.twitterHandle}`);
+  if (claim.tweetUrl) console.log(`Tweet:          ${claim.tweetUrl}`);
+  if (claim.windowStart) console.log(`Window start:   ${claim.windowStart}`);
+  if (claim.windowEnd) console.log(`Window end:     ${claim.windowEnd}`);
+  if (claim.contentHash) console.log(`Content hash:   ${claim.contentHash}`);
+  if (claim.evidenceUri) console.log(`Evidence:       ${claim.evidenceUri}`);
+  if (claim.bountyId) console.log(`Bounty:         #${claim.bountyId}`);
+  console.log(`Rewarded:       ${claim.rewarded ? "yes" : "no"}`);
+  console.log(`Asserted at:    ${claim.assertion.assertionTime}`);
+  console.log(`Window ends:    ${claim.assertion.expirationTime}`);
+  console.log(`Bond:           ${claim.assertion.bondText}`);
+  if (claim.assertion.disputer) console.log(`Disputed by:    ${claim.assertion.disputer}`);
+  if (claim.assertion.settled) console.log(`Settled as:     ${claim.assertion.settlementResolution}`);
+  console.log("\nAsserted claim:");
+  console.log(claim.assertedClaim);
+}
+
+/**
+ * Print a task's result as JSON (bigints as strings) with --json, otherwise in the task's human-readable form.
+ * @returns {object} The result, so tasks run through hre.run return it
+ */
+function output(result, json, printHuman) {
+  if (json) {
+    console.log(JSON.stringify(result, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+  } else {
+    printHuman(result);
+  }
+  return result;
+}
+
+module.exports = {
+  CLAIM_TYPES,
+  ERC20_ABI,
+  getVerifier,
+  getClient,
+  tokenInfo,
+  formatAmount,
+  parseTime,
+  describeClaim,
+  printClaim,
+  output
+};
@@ -0,0 +1,26 @@
+// Hardhat task regenerating the ABIs bundled with the client SDK in sdk/abi, run after changing the contracts
+// npx hardhat sdk:generate
+
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+
+const ABI_DIR = path.join(__dirname, "..", "sdk", "abi");
+
+// Artifact name -> file in sdk/abi
+const SDK_ABIS = {
+  TwitterVerification: "TwitterVerification.json",
+  IOptimisticOracleV3: "OptimisticOracleV3.json",
+  VerificationBadge: "VerificationBadge.json"
+};
+
+task("sdk:generate", "Write the contract ABIs used by the client SDK from the compiled artifacts")
+  .setAction(async (args, hre) => {
+    await hre.run("compile", { quiet: true });
+
+    for (const [contract, file] of Object.entries(SDK_ABIS)) {
+      const { abi } = await hre.artifacts.readArtifact(contract);
+      fs.writeFileSync(path.join(ABI_DIR, file), JSON.stringify(abi, null, 2) + "\n");
+      console.log(`Wrote ${abi.length} ABI entries of ${contract} to sdk/abi/${file}`);
+    }
+  });
@@ -0,0 +1,1443 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const LIVENESS = 7200;
+const HANDLE = "drextron";
+const TEXT = "Life is short, test in prod";
+
+describe("TwitterVerification", function () {
+  // TwitterVerification links the ClaimFormat library
+  async function verifierFactory() {
+    const claimFormat = await (await ethers.getContractFactory("ClaimFormat")).deploy();
+    return ethers.getContractFactory("TwitterVerification", {
+      libraries: { ClaimFormat: await claimFormat.getAddress() },
+    });
+  }
+
+  async function deployFixture() {
+    const [owner, claimer, disputer, other] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const bondToken = await MockERC20.deploy("Bond Token", "BOND");
+
+    const MockOracle = await ethers.getContractFactory("MockOptimisticOracleV3");
+    const oracle = await MockOracle.deploy(await bondToken.getAddress(), LIVENESS, 0);
+
+    const TwitterVerification = await verifierFactory();
+    const verifier = await TwitterVerification.deploy(await oracle.getAddress());
+
+    const reward = await verifier.rewardAmount();
+    await owner.sendTransaction({ to: await verifier.getAddress(), value: reward * 5n });
+
+    return { verifier, oracle, bondToken, reward, owner, claimer, disputer, other };
+  }
+
+  async function assertionIdFrom(verifier, txPromise) {
+    const receipt = await (await txPromise).wait();
+    const event = receipt.logs
+      .map((log) => {
+        try {
+          return verifier.interface.parseLog(log);
+        } catch (e) {
+          return null;
+        }
+      })
+      .find((parsed) => parsed && parsed.name === "ClaimSubmitted");
+    return event.args.assertionId;
+  }
+
+  function owed(verifier, signer, token = ethers.ZeroAddress) {
+    return verifier.pendingWithdrawals(signer.address, token);
+  }
+
+  async function fundBond(token, signer, verifier, amount) {
+    await token.mint(signer.address, amount);
+    await token.connect(signer).approve(await verifier.getAddress(), amount);
+  }
+
+  const NO_OVERRIDES = { liveness: 0, currency: ethers.ZeroAddress, bond: 0, identifier: ethers.ZeroHash };
+  const ClaimType = { Posted: 0, PostedBetween: 1, NotPostedBefore: 2 };
+
+  function statement(fields = {}) {
+    return {
+      claimType: ClaimType.Posted,
+      twitterHandle: HANDLE,
+      tweetText: TEXT,
+      statusId: 0,
+      windowStart: 0,
+      windowEnd: 0,
+      contentHash: ethers.ZeroHash,
+      evidenceUri: "",
+      ...fields,
+    };
+  }
+
+  function submit(verifier, signer, handle = HANDLE, text = TEXT) {
+    return assertionIdFrom(verifier, verifier.connect(signer).submitClaim(handle, text));
+  }
+
+  describe("Deployment", function () {
+    it("uses the injected oracle address", async function () {
+      const { verifier, oracle } = await loadFixture(deployFixture);
+      expect(await verifier.oov3()).to.equal(await oracle.getAddress());
+    });
+
+    it("rejects the zero address as oracle", async function () {
+      const TwitterVerification = await verifierFactory();
+      await expect(TwitterVerification.deploy(ethers.ZeroAddress)).to.be.revertedWith(
+        "Oracle address cannot be zero"
+      );
+    });
+  });
+
+  describe("submitClaim", function () {
+    it("stores the claim and emits ClaimSubmitted", async function () {
+      const { verifier, claimer } = await loadFixture(deployFixture);
+
+      await expect(verifier.connect(claimer).submitClaim(HANDLE, TEXT))
+        .to.emit(verifier, "ClaimSubmitted")
+        .withArgs(ethers.isHexString, claimer.address, HANDLE, TEXT);
+
+      const assertionId = await submit(verifier, claimer, HANDLE, "another tweet");
+      const details = await verifier.getClaimDetails(assertionId);
+      expect(details.claimer).to.equal(claimer.address);
+      expect(details.twitterHandle).to.equal(HANDLE);
+      expect(details.tweetText).to.equal("another tweet");
+      expect(details.isResolved).to.equal(false);
+      expect(details.isRewarded).to.equal(false);
+    });
+
+    it("asserts through the oracle with the claimer as asserter", async function () {
+      const { verifier, oracle, claimer } = await loadFixture(deployFixture);
+      const assertionId = await submit(verifier, claimer);
+
+      const assertion = await oracle.getAssertion(assertionId);
+      expect(assertion.asserter).to.equal(claimer.address);
+      expect(assertion.escalationManagerSettings.assertingCaller).to.equal(await verifier.getAddress());
+      expect(assertion.expirationTime - assertion.assertionTime).to.equal(LIVENESS);
+    });
+  });
+
+  describe("Claim format", function () {
+    it("asserts readable text with a decimal timestamp and ISO date", async function () {
+      const { verifier, oracle, claimer } = await loadFixture(deployFixture);
+      await time.setNextBlockTimestamp(2000000000);
+      const assertionId = await submit(verifier, claimer);
+
+      const expected =
+        "Schema: twitter-verification/v3\n" +
+        "Type: posted\n" +
+        `Claim: Twitter user @${HANDLE} posted a tweet with the exact text below.\n` +
+        `Handle: @${HANDLE}\n` +
+        "Asserted at: 2000000000 (2033-05-18T03:33:20Z)\n" +
+        "Text:\n" +
+        TEXT;
+      const assertedClaim = await verifier.getAssertedClaim(assertionId);
+      expect(ethers.toUtf8String(assertedClaim)).to.equal(expected);
+
+      const [event] = await oracle.queryFilter(oracle.filters.AssertionMade(assertionId));
+      expect(event.args.claim).to.equal(assertedClaim);
+    });
+
+    it("includes the status ID and tweet URL when given", async function () {
+      const { verifier, claimer } = await loadFixture(deployFixture);
+      const assertionId = await assertionIdFrom(
+        verifier,
+        verifier.connect(claimer).submitClaimWithTweet(HANDLE, TEXT, 1790000000000000000n, NO_OVERRIDES)
+      );
+
+      const claim = ethers.toUtf8String(await verifier.getAssertedClaim(assertionId));
+      expect(claim).to.contain(
+        "Status ID: 1790000000000000000\n" + `Tweet URL: https://x.com/${HANDLE}/status/1790000000000000000\n`
+      );
+      expect((await verifier.getClaim(assertionId)).statusId).to.equal(1790000000000000000n);
+    });
+
+    it("rejects a zero status ID", async function () {
+      const { verifier, claimer } = await loadFixture(deployFixture);
+      await expect(
+        verifier.connect(claimer).submitClaimWithTweet(HANDLE, TEXT, 0, NO_OVERRIDES)
+      ).to.be.revertedWith("Status ID cannot be zero");
+    });
+
+    it("keeps tweet text verbatim, including quotes and newlines", async function () {
+      const { verifier } = await loadFixture(deployFixture);
+      const text = "It's \"fine\"\nsecond line";
+      const claim = ethers.toUtf8String(await verifier.buildAssertedClaim(statement({ tweetText: text }), 0));
+      expect(claim).to.equal(
+        "Schema: twitter-verification/v3\n" +
+        "Type: posted\n" +
+        `Claim: Twitter user @${HANDLE} posted a tweet with the exact text below.\n` +
+        `Handle: @${HANDLE}\n` +
+        "Asserted at: 0 (1970-01-01T00:00:00Z)\n" +
+        "Text:\n" +
+        text
+      );
+    });
+
+    it("formats dates across leap days and year ends", async function () {
+      const { verifier } = await loadFixture(deployFixture);
+      const cases = [
+        [951782400, "2000-02-29T00:00:00Z"],
+        [1709251199, "2024-02-29T23:59:59Z"],
+        [1735689599, "2024-12-31T23:59:59Z"],
+        [4107542400, "2100-03-01T00:00:00Z"],
+      ];
+      for (const [timestamp, iso] of cases) {
+        const claim = ethers.toUtf8String(await verifier.buildAssertedClaim(statement(), timestamp));
+        expect(claim).to.contain(`Asserted at: ${timestamp} (${iso})\n`);
+      }
+    });
+
+    it("exposes the library's encode and validate with an ABI ethers can parse", async function () {
+      const { interface: library } = await ethers.getContractFactory("ClaimFormat");
+
+      expect(library.getFunction("encode")).not.to.equal(null);
+      expect(library.getFunction("validate")).not.to.equal(null);
+    });
+  });
+
+  describe("Time-bounded and negative claims", function () {
+    const START = 1704067200; // 2024-01-01T00:00:00Z
+    const END = 1706745600; // 2024-02-01T00:00:00Z
+
+    it("asserts a claim that the tweet was posted within a window", async function () {
+      const { verifier, claimer } = await loadFixture(deployFixture);
+      const assertionId = await assertionIdFrom(
+        verifier,
+        verifier.connect(claimer).submitWindowClaim(HANDLE, TEXT, 42, START, END, NO_OVERRIDES)
+      );
+
+      const claim = await verifier.getClaim(assertionId);
+      expect(claim.claimType).to.equal(ClaimType.PostedBetween);
+      expect(claim.windowStart).to.equal(START);
+      expect(claim.windowEnd).to.equal(END);
+
+      const text = ethers.toUtf8String(await verifier.getAssertedClaim(assertionId));
+      expect(text).to.contain(
+        "Type: posted-between\n" +
+        `Claim: Twitter user @${HANDLE} posted a tweet with the exact text below between ` +
+        "2024-01-01T00:00:00Z and 2024-02-01T00:00:00Z.\n"
+      );
+      expect(text).to.contain(
+        "Status ID: 42\n" +
+        `Tweet URL: https://x.com/${HANDLE}/status/42\n` +
+        `Window start: ${START} (2024-01-01T00:00:00Z)\n` +
+        `Window end: ${END} (2024-02-01T00:00:00Z)\n` +
+        "Asserted at: "
+      );
+    });
+
+    it("asserts a claim that the tweet was not posted before a time", async function () {
+      const { verifier, claimer } = await loadFixture(deployFixture);
+      const assertionId = await assertionIdFrom(
+        verifier,
+        verifier.connect(claimer).submitNegativeClaim(HANDLE, TEXT, END, NO_OVERRIDES)
+      );
+
+      const claim = await verifier.getClaim(assertionId);
+      expect(claim.claimType).to.equal(ClaimType.NotPostedBefore);
+      expect(claim.windowEnd).to.equal(END);
+
+      const text = ethers.toUtf8String(await verifier.getAssertedClaim(assertionId));
+      expect(text).to.contain(
+        "Type: not-posted-before\n" +
+        `Claim: Twitter user @${HANDLE} had not posted any tweet with the exact text below before ` +
+        "2024-02-01T00:00:00Z.\n" +
+        `Handle: @${HANDLE}\n` +
+        `Window end: ${END} (2024-02-01T00:00:00Z)\n`
+      );
+      expect(text).not.to.contain("Window start");
+    });
+
+    it("rejects empty or future windows", async function () {
+      const { verifier, claimer } = await loadFixture(deployFixture);
+      const future = (await time.latest()) + 3600;
+
+      await expect(
+        verifier.connect(claimer).submitWindowClaim(HANDLE, TEXT, 0, END, END, NO_OVERRIDES)
+      ).to.be.revertedWith("Window start must be before end");
+      await expect(
+        verifier.connect(claimer).submitWindowClaim(HANDLE, TEXT, 0, START, future, NO_OVERRIDES)
+      ).to.be.revertedWith("Window must end in the past");
+      await expect(
+        verifier.connect(claimer).submitNegativeClaim(HANDLE, TEXT, future, NO_OVERRIDES)
+      ).to.be.revertedWith("Cutoff must not be in the future");
+      await expect(
+        verifier.connect(claimer).submitNegativeClaim(HANDLE, TEXT, 0, NO_OVERRIDES)
+      ).to.be.revertedWith("Cutoff is required");
+    });
+
+    it("records plain claims as posted", async function () {
+      const { verifier, claimer } = await loadFixture(deployFixture);
+      const assertionId = await submit(verifier, claimer);
+
+      const claim = await verifier.getClaim(assertionId);
+      expect(claim.claimType).to.equal(ClaimType.Posted);
+      expect(claim.windowStart).to.equal(0);
+      expect(claim.windowEnd).to.equal(0);
+    });
+
+    it("settles and rewards time-bounded claims like any other claim", async function () {
+      const { verifier, claimer, reward } = await loadFixture(deployFixture);
+      const assertionId = await assertionIdFrom(
+        verifier,
+        verifier.connect(claimer).submitWindowClaim(HANDLE, TEXT, 0, START, END, NO_OVERRIDES)
+      );
+      await time.increase(LIVENESS);
+
+      await verifier.settleAndGetAssertionResult(assertionId);
+      expect(await verifier.getClaimStatus(assertionId)).to.equal(3); // Verified
+      expect(await owed(verifier, claimer)).to.equal(reward);
+    });
+
+    it("settles negative claims without a reward", async function () {
+      const { verifier, claimer } = await loadFixture(deployFixture);
+      const assertionId = await assertionIdFrom(
+        verifier,
+        verifier.connect(claimer).submitNegativeClaim(HANDLE, TEXT, END, NO_OVERRIDES)
+      );
+      await time.increase(LIVENESS);
+
+      await expect(verifier.settleAndGetAssertionResult(assertionId)).not.to.emit(verifier, "RewardPaid");
+      expect(await verifier.getClaimStatus(assertionId)).to.equal(3); // Verified
+      expect(await owed(verifier, claimer)).to.equal(0);
+
+      // Settling again does not retry a reward either
+      await expect(verifier.settleAndGetAssertionResult(assertionId)).not.to.emit(verifier, "RewardPaid");
+      expect(await owed(verifier, claimer)).to.equal(0);
+      expect(await verifier.isClaimVerified(assertionId)).to.equal(true);
+    });
+  });
+
+  describe("Evidence", function () {
+    const CONTENT_HASH = ethers.keccak256(ethers.toUtf8Bytes('{"id_str":"1790000000000000000"}'));
+    const CID = "ipfs://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi";
+
+    it("stores, emits and asserts the evidence of a claim", async function () {
+      const { verifier, claimer } = await loadFixture(deployFixture);
+      const tx = verifier.connect(claimer).submitClaimWithEvidence(
+        statement({ statusId: 1790000000000000000n, contentHash: CONTENT_HASH, evidenceUri: CID }),
+        NO_OVERRIDES
+      );
+      const assertionId = await assertionIdFrom(verifier, tx);
+      await expect(tx).to.emit(verifier, "ClaimEvidence").withArgs(assertionId, 1790000000000000000n, CONTENT_HASH, CID);
+
+      const claim = await verifier.getClaim(assertionId);
+      expect(claim.contentHash).to.equal(CONTENT_HASH);
+      expect(claim.evidenceUri).to.equal(CID);
+      expect(await verifier.pendingTweetClaims(await verifier.tweetKey(HANDLE, TEXT))).to.equal(assertionId);
+
+      expect(ethers.toUtf8String(await verifier.getAssertedClaim(assertionId))).to.contain(
+        `Tweet URL: https://x.com/${HANDLE}/status/1790000000000000000\n` +
+        `Content hash: ${CONTENT_HASH}\n` +
+        `Evidence: ${CID}\n` +
+        "Asserted at: "
+      );
+    });
+
+    it("leaves out unset evidence and emits no event without any", async function () {
+      const { verifier, claimer } = await loadFixture(deployFixture);
+      const withUri = verifier.connect(claimer).submitClaimWithEvidence(
+        statement({ evidenceUri: "https://web.archive.org/web/2024/https://x.com/drextron/status/1" }),
+        NO_OVERRIDES
+      );
+      const text = ethers.toUtf8String(await verifier.getAssertedClaim(await assertionIdFrom(verifier, withUri)));
+      expect(text).to.contain("Evidence: https://web.archive.org/web/2024/https://x.com/drextron/status/1\n");
+      expect(text).not.to.contain("Content hash");
+      expect(text).not.to.contain("Status ID");
+
+      await expect(verifier.connect(claimer).submitClaim(HANDLE, "gm")).not.to.emit(verifier, "ClaimEvidence");
+    });
+
+    it("accepts evidence on time-bounded and negative claims", async function () {
+      const { verifier, claimer } = await loadFixture(deployFixture);
+      const end = (await time.latest()) - 60;
+      const assertionId = await assertionIdFrom(verifier, verifier.connect(claimer).submitClaimWithEvidence(
+        statement({ claimType: ClaimType.NotPostedBefore, windowEnd: end, contentHash: CONTENT_HASH }),
+        NO_OVERRIDES
+      ));
+
+      const claim = await verifier.getClaim(assertionId);
+      expect(claim.claimType).to.equal(ClaimType.NotPostedBefore);
+      expect(claim.windowEnd).to.equal(end);
+      expect(claim.contentHash).to.equal(CONTENT_HASH);
+    });
+
+    it("rejects invalid evidence URIs and windows that do not fit the claim type", async function () {
+      const { verifier, claimer } = await loadFixture(deployFixture);
+      const submitWith = (fields) => verifier.connect(claimer).submitClaimWithEvidence(statement(fields), NO_OVERRIDES);
+
+      for (const evidenceUri of ["http://example.com", "ipfs://", "ipfs://bafy\nType: posted", "https://a b", `https://${"a".repeat(249)}`]) {
+        await expect(submitWith({ evidenceUri })).to.be.revertedWith("Invalid evidence URI");
+      }
+      await expect(submitWith({ evidenceUri: `https://${"a".repeat(248)}` })).to.emit(verifier, "ClaimEvidence");
+
+      await expect(submitWith({ windowEnd: 1 })).to.be.revertedWith("Posted claims take no window");
+      await expect(submitWith({ claimType: ClaimType.NotPostedBefore, windowEnd: 1, statusId: 42 }))
+        .to.be.revertedWith("Negative claims take a cutoff only");
+      await expect(submitWith({ claimType: ClaimType.PostedBetween, windowStart: 2, windowEnd: 1 }))
+        .to.be.revertedWith("Window start must be before end");
+      await expect(submitWith({ claimType: 3 })).to.be.revertedWith("Unknown claim type");
+
+      await verifier.pause();
+      await expect(submitWith({})).to.be.revertedWithCustomError(verifier, "EnforcedPause");
+    });
+  });
+
+  describe("Batch claims", function () {
+    function submittedIds(verifier, receipt) {
+      return receipt.logs
+        .map((log) => verifier.interface.parseLog(log))
+        .filter((parsed) => parsed && parsed.name === "ClaimSubmitted")
+        .map((parsed) => parsed.args.assertionId);
+    }
+
+    it("submits every statement and returns the assertion IDs in order", async function () {
+      const { verifier, claimer } = await loadFixture(deployFixture);
+      const end = (await time.latest()) - 60;
+      const statements = [
+        statement(),
+        statement({ twitterHandle: "@Other_User", tweetText: "gm" }),
+        statement({ claimType: ClaimType.NotPostedBefore, windowEnd: end }),
+      ];
+
+      expect(await verifier.connect(claimer).submitClaims.staticCall(statements, NO_OVERRIDES)).to.have.length(3);
+      const receipt = await (await verifier.connect(claimer).submitClaims(statements, NO_OVERRIDES)).wait();
+      const ids = submittedIds(verifier, receipt);
+      expect(await verifier.getClaimsByClaimer(claimer.address, 0, 10)).to.deep.equal(ids);
+
+      expect((await verifier.getClaim(ids[1])).twitterHandle).to.equal("other_user");
+      expect((await verifier.getClaim(ids[2])).claimType).to.equal(ClaimType.NotPostedBefore);
+      expect(await verifier.claimCountByClaimer(claimer.address)).to.equal(3);
+      expect(await verifier.pendingTweetClaims(await verifier.tweetKey(HANDLE, TEXT))).to.equal(ids[0]);
+    });
+
+    it("reverts the whole batch when one statement is invalid or a duplicate", async function () {
+      const { verifier, claimer } = await loadFixture(deployFixture);
+
+      await expect(verifier.connect(claimer).submitClaims([statement(), statement({ tweetText: "" })], NO_OVERRIDES))
+        .to.be.revertedWith("Handle and text are required");
+      await expect(verifier.connect(claimer).submitClaims([statement(), statement()], NO_OVERRIDES))
+        .to.be.revertedWith("Tweet claim already pending");
+      expect(await verifier.claimCountByClaimer(claimer.address)).to.equal(0);
+
+      await verifier.pause();
+      await expect(verifier.connect(claimer).submitClaims([statement()], NO_OVERRIDES))
+        .to.be.revertedWithCustomError(verifier, "EnforcedPause");
+    });
+
+    it("pulls the bond of every claim", async function () {
+      const { verifier, oracle, bondToken, claimer } = await loadFixture(deployFixture);
+      await oracle.setMinimumBond(100n);
+      await fundBond(bondToken, claimer, verifier, 150n);
+      const statements = [statement(), statement({ tweetText: "gm" })];
+
+      await expect(verifier.connect(claimer).submitClaims(statements, NO_OVERRIDES))
+        .to.be.revertedWithCustomError(bondToken, "ERC20InsufficientAllowance");
+
+      await fundBond(bondToken, claimer, verifier, 200n);
+      await expect(verifier.connect(claimer).submitClaims(statements, NO_OVERRIDES))
+        .to.changeTokenBalances(bondToken, [claimer, oracle], [-200n, 200n]);
+    });
+
+    it("settles several claims and returns their results", async function () {
+      const { verifier, oracle, claimer, disputer, reward } = await loadFixture(deployFixture);
+      const receipt = await (await verifier.connect(claimer).submitClaims(
+        [statement(), statement({ tweetText: "gm" })],
+        NO_OVERRIDES
+      )).wait();
+      const ids = submittedIds(verifier, receipt);
+
+      await expect(verifier.settleClaims(ids)).to.be.revertedWith("Assertion not expired");
+
+      await oracle.connect(disputer).disputeAssertion(ids[1], disputer.address);
+      await oracle.resolveDispute(ids[1], false);
+      await time.increase(LIVENESS);
+
+      expect(await verifier.settleClaims.staticCall(ids)).to.deep.equal([true, false]);
+      await expect(verifier.settleClaims(ids))
+        .to.emit(verifier, "ClaimResolved").withArgs(ids[0], true)
+        .and.to.emit(verifier, "ClaimResolved").withArgs(ids[1], false);
+      expect(await owed(verifier, claimer)).to.equal(reward);
+
+      await expect(verifier.settleClaims([ids[0], ethers.ZeroHash])).to.be.revertedWith("Claim does not exist");
+    });
+  });
+
+  describe("Validation", function () {
+    it("normalizes the handle before storing, emitting and asserting it", async function () {
+      const { verifier, claimer } = await loadFixture(deployFixture);
+      const tx = verifier.connect(claimer).submitClaim("@DrexTron", TEXT);
+      const assertionId = await assertionIdFrom(verifier, tx);
+
+      await expect(tx).to.emit(verifier, "ClaimSubmitted").withArgs(assertionId, claimer.address, HANDLE, TEXT);
+      expect((await verifier.getClaimDetails(assertionId)).twitterHandle).to.equal(HANDLE);
+      expect(ethers.toUtf8String(await verifier.getAssertedClaim(assertionId))).to.contain(`Handle: @${HANDLE}\n`);
+      await expect(verifier.connect(claimer).submitClaim(HANDLE, TEXT)).to.be.revertedWith("Tweet claim already pending");
+    });
+
+    it("rejects handles that are not Twitter usernames", async function () {
+      const { verifier, claimer } = await loadFixture(deployFixture);
+
+      await expect(verifier.connect(claimer).submitClaim("@", TEXT)).to.be.revertedWith("Handle and text are required");
+      await expect(verifier.connect(claimer).submitClaim("a".repeat(16), TEXT)).to.be.revertedWith("Twitter handle too long");
+      for (const handle of ["drex tron", "drex-tron", "drextrön", "@@drextron"]) {
+        await expect(verifier.connect(claimer).submitClaim(handle, TEXT)).to.be.revertedWith("Invalid character in Twitter handle");
+      }
+      await expect(verifier.connect(claimer).submitClaim("Drex_Tron_2024", TEXT)).to.emit(verifier, "ClaimSubmitted");
+    });
+
+    it("rejects tweet text with unnormalized whitespace", async function () {
+      const { verifier, claimer } = await loadFixture(deployFixture);
+
+      for (const text of [" gm", "gm ", "gm\n", "g  m", "g\tm", "g\r\nm", "g \nm", "g\n m"]) {
+        await expect(verifier.connect(claimer).submitClaim(HANDLE, text)).to.be.revertedWith("Tweet text whitespace not normalized");
+      }
+      await expect(verifier.connect(claimer).submitClaim(HANDLE, "g m\n\nfirst line break")).to.emit(verifier, "ClaimSubmitted");
+    });
+
+    it("weighs the length of tweet text like Twitter", async function () {
+      const { verifier, claimer } = await loadFixture(deployFixture);
+      const claimFormat = await (await ethers.getContractFactory("ClaimFormat")).deploy();
+
+      expect(await claimFormat.tweetLength("gm")).to.equal(2);
+      expect(await claimFormat.tweetLength("Café ñ — “quoted”…")).to.equal(19);
+      expect(await claimFormat.tweetLength("日本語")).to.equal(6);
+      expect(await claimFormat.tweetLength("👨‍👩‍👧‍👦 👍🏽 🇫🇷🇩🇪 1️⃣")).to.equal(12);
+      expect(await claimFormat.tweetLength("read https://example.com/a/very/long/path?with=query")).to.equal(28);
+
+      await expect(verifier.connect(claimer).submitClaim(HANDLE, "a".repeat(280))).to.emit(verifier, "ClaimSubmitted");
+      await expect(verifier.connect(claimer).submitClaim(HANDLE, "a".repeat(281))).to.be.revertedWith("Tweet text too long");
+      await expect(verifier.connect(claimer).submitClaim(HANDLE, "語".repeat(141))).to.be.revertedWith("Tweet text too long");
+      const links = Array(11).fill(`https://example.com/${"x".repeat(100)}`).join(" ");
+      await expect(verifier.connect(claimer).submitClaim(HANDLE, links)).to.emit(verifier, "ClaimSubmitted");
+    });
+  });
+
+  describe("Tweet registry", function () {
+    it("derives the key from the lowercased handle and the exact text", async function () {
+      const { verifier } = await loadFixture(deployFixture);
+      const key = await verifier.tweetKey(HANDLE, TEXT);
+
+      expect(key).to.equal(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["string", "string"], [HANDLE, TEXT])));
+      expect(await verifier.tweetKey("@DrexTron", TEXT)).to.equal(key);
+      expect(await verifier.tweetKey(HANDLE, TEXT + " ")).not.to.equal(key);
+    });
+
+    it("rejects duplicates while a claim is pending and registers it when verified", async function () {
+      const { verifier, oracle, claimer, other } = await loadFixture(deployFixture);
+      const key = await verifier.tweetKey(HANDLE, TEXT);
+      const assertionId = await submit(verifier, claimer);
+      expect(await verifier.pendingTweetClaims(key)).to.equal(assertionId);
+
+      await expect(verifier.connect(other).submitClaim(HANDLE.toUpperCase(), TEXT)).to.be.revertedWith(
+        "Tweet claim already pending"
+      );
+
+      await time.increase(LIVENESS);
+      await expect(oracle.settleAssertion(assertionId))
+        .to.emit(verifier, "TweetVerified")
+        .withArgs(key, assertionId, HANDLE, TEXT);
+      expect(await verifier.pendingTweetClaims(key)).to.equal(ethers.ZeroHash);
+      expect(await verifier.verifiedTweets(key)).to.equal(assertionId);
+      expect(await verifier.isTweetVerified("@" + HANDLE.toUpperCase(), TEXT)).to.equal(true);
+
+      await expect(verifier.connect(other).submitClaim(HANDLE, TEXT)).to.be.revertedWith("Tweet already verified");
+    });
+
+    it("lets the tweet be claimed again after a claim resolves false", async function () {
+      const { verifier, oracle, claimer, disputer, other } = await loadFixture(deployFixture);
+      const assertionId = await submit(verifier, claimer);
+      await oracle.connect(disputer).disputeAssertion(assertionId, disputer.address);
+      await oracle.resolveDispute(assertionId, false);
+      await oracle.settleAssertion(assertionId);
+
+      expect(await verifier.isTweetVerified(HANDLE, TEXT)).to.equal(false);
+      const retry = await submit(verifier, other);
+      expect(await verifier.pendingTweetClaims(await verifier.tweetKey(HANDLE, TEXT))).to.equal(retry);
+    });
+
+    it("lists verified tweets by handle", async function () {
+      const { verifier, oracle, claimer } = await loadFixture(deployFixture);
+      const first = await submit(verifier, claimer);
+      const second = await submit(verifier, claimer, HANDLE, "another tweet");
+      const otherHandle = await submit(verifier, claimer, "someone", TEXT);
+      await time.increase(LIVENESS);
+      await oracle.settleAssertion(second);
+      await oracle.settleAssertion(first);
+      await oracle.settleAssertion(otherHandle);
+
+      expect(await verifier.getVerificationsFor("@DREXTRON")).to.deep.equal([second, first]);
+      expect(await verifier.getVerificationsFor("nobody")).to.deep.equal([]);
+    });
+
+    it("locks and registers time-bounded claims like posted ones", async function () {
+      const { verifier, oracle, claimer, other } = await loadFixture(deployFixture);
+      const key = await verifier.tweetKey(HANDLE, TEXT);
+      const now = await time.latest();
+      const windowClaim = await assertionIdFrom(
+        verifier,
+        verifier.connect(claimer).submitWindowClaim(HANDLE, TEXT, 0, now - 100, now, NO_OVERRIDES)
+      );
+      expect((await verifier.getClaim(windowClaim)).tweetKey).to.equal(key);
+      await expect(submit(verifier, other)).to.be.revertedWith("Tweet claim already pending");
+
+      await time.increase(LIVENESS);
+      await expect(oracle.settleAssertion(windowClaim))
+        .to.emit(verifier, "TweetVerified")
+        .withArgs(key, windowClaim, HANDLE, TEXT);
+      expect(await verifier.verifiedTweets(key)).to.equal(windowClaim);
+    });
+
+    it("rejects a time-bounded claim with another window for a verified tweet", async function () {
+      const { verifier, oracle, claimer, other } = await loadFixture(deployFixture);
+      const assertionId = await submit(verifier, claimer);
+      await time.increase(LIVENESS);
+      await oracle.settleAssertion(assertionId);
+
+      const now = await time.latest();
+      await expect(
+        verifier.connect(other).submitWindowClaim(HANDLE, TEXT, 0, now - 101, now, NO_OVERRIDES)
+      ).to.be.revertedWith("Tweet already verified");
+    });
+
+    it("does not lock or register negative claims", async function () {
+      const { verifier, oracle, claimer } = await loadFixture(deployFixture);
+      const now = await time.latest();
+      const negativeClaim = await assertionIdFrom(
+        verifier,
+        verifier.connect(claimer).submitNegativeClaim(HANDLE, TEXT, now, NO_OVERRIDES)
+      );
+      await submit(verifier, claimer);
+
+      await time.increase(LIVENESS);
+      await expect(oracle.settleAssertion(negativeClaim)).not.to.emit(verifier, "TweetVerified");
+      expect((await verifier.getClaim(negativeClaim)).tweetKey).to.equal(ethers.ZeroHash);
+    });
+
+    it("rejects bounties for verified tweets", async function () {
+      const { verifier, oracle, claimer, other } = await loadFixture(deployFixture);
+      const assertionId = await submit(verifier, claimer);
+      await time.increase(LIVENESS);
+      await oracle.settleAssertion(assertionId);
+
+      const deadline = (await time.latest()) + 3600;
+      await expect(
+        verifier.connect(other).createBounty(HANDLE, TEXT, ethers.ZeroAddress, 1, deadline, { value: 1 })
+      ).to.be.revertedWith("Tweet already verified");
+    });
+  });
+
+  describe("Claim enumeration", function () {
+    it("indexes claims by claimer and handle, oldest first", async function () {
+      const { verifier, claimer, other } = await loadFixture(deployFixture);
+      const first = await submit(verifier, claimer);
+      const second = await submit(verifier, other, "@DrexTron", "another tweet");
+      const third = await submit(verifier, claimer, "someone", TEXT);
+
+      expect(await verifier.claimCountByClaimer(claimer.address)).to.equal(2);
+      expect(await verifier.getClaimsByClaimer(claimer.address, 0, 10)).to.deep.equal([first, third]);
+      expect(await verifier.getClaimsByClaimer(other.address, 0, 10)).to.deep.equal([second]);
+
+      expect(await verifier.claimCountByHandle(HANDLE.toUpperCase())).to.equal(2);
+      expect(await verifier.getClaimsByHandle(HANDLE, 0, 10)).to.deep.equal([first, second]);
+      expect(await verifier.getClaimsByHandle("@someone", 0, 10)).to.deep.equal([third]);
+    });
+
+    it("paginates with an offset and limit", async function () {
+      const { verifier, claimer } = await loadFixture(deployFixture);
+      const ids = [];
+      for (let i = 0; i < 5; i++) {
+        ids.push(await submit(verifier, claimer, HANDLE, `tweet ${i}`));
+      }
+
+      expect(await verifier.getClaimsByClaimer(claimer.address, 0, 2)).to.deep.equal(ids.slice(0, 2));
+      expect(await verifier.getClaimsByClaimer(claimer.address, 2, 2)).to.deep.equal(ids.slice(2, 4));
+      expect(await verifier.getClaimsByClaimer(claimer.address, 4, 2)).to.deep.equal(ids.slice(4));
+      expect(await verifier.getClaimsByHandle(HANDLE, 3, ethers.MaxUint256)).to.deep.equal(ids.slice(3));
+      expect(await verifier.getClaimsByClaimer(claimer.address, 5, 2)).to.deep.equal([]);
+      expect(await verifier.getClaimsByClaimer(claimer.address, 1, 0)).to.deep.equal([]);
+    });
+
+    it("includes every claim type and bounty claims", async function () {
+      const { verifier, claimer, other } = await loadFixture(deployFixture);
+      const now = await time.latest();
+      await verifier.connect(claimer).submitNegativeClaim(HANDLE, TEXT, now, NO_OVERRIDES);
+      await verifier.connect(claimer).submitWindowClaim(HANDLE, "another tweet", 0, now - 10, now, NO_OVERRIDES);
+      await verifier
+        .connect(other)
+        .createBounty(HANDLE, TEXT, ethers.ZeroAddress, 1, now + 3600, { value: 1 });
+      await verifier.connect(claimer).submitBountyClaim(1, NO_OVERRIDES);
+
+      expect(await verifier.claimCountByClaimer(claimer.address)).to.equal(3);
+      expect(await verifier.claimCountByHandle(HANDLE)).to.equal(3);
+    });
+  });
+
+  describe("Assertion settings", function () {
+    const NO_OPTIONS = { liveness: 0, currency: ethers.ZeroAddress, bond: 0, identifier: ethers.ZeroHash };
+
+    it("starts with the oracle defaults", async function () {
+      const { verifier, oracle, bondToken } = await loadFixture(deployFixture);
+      expect(await verifier.defaultLiveness()).to.equal(LIVENESS);
+      expect(await verifier.defaultCurrency()).to.equal(await bondToken.getAddress());
+      expect(await verifier.defaultIdentifier()).to.equal(await oracle.defaultIdentifier());
+      expect(await verifier.defaultBond()).to.equal(0);
+    });
+
+    it("lets only the owner update the defaults", async function () {
+      const { verifier, bondToken, other } = await loadFixture(deployFixture);
+      const identifier = ethers.encodeBytes32String("YES_OR_NO_QUERY");
+
+      await expect(verifier.connect(other).setDefaultAssertionSettings(60, await bondToken.getAddress(), 5, identifier))
+        .to.be.revertedWithCustomError(verifier, "OwnableUnauthorizedAccount")
+        .withArgs(other.address);
+
+      await expect(verifier.setDefaultAssertionSettings(60, await bondToken.getAddress(), 5, identifier))
+        .to.emit(verifier, "DefaultAssertionSettingsUpdated")
+        .withArgs(60, await bondToken.getAddress(), 5, identifier);
+      expect(await verifier.defaultLiveness()).to.equal(60);
+      expect(await verifier.defaultBond()).to.equal(5);
+    });
+
+    it("rejects empty defaults", async function () {
+      const { verifier, bondToken } = await loadFixture(deployFixture);
+      const token = await bondToken.getAddress();
+
+      await expect(verifier.setDefaultAssertionSettings(0, token, 0, ethers.id("x"))).to.be.revertedWith(
+        "Liveness must be positive"
+      );
+      await expect(verifier.setDefaultAssertionSettings(60, ethers.ZeroAddress, 0, ethers.id("x"))).to.be.revertedWith(
+        "Currency cannot be zero"
+      );
+      await expect(verifier.setDefaultAssertionSettings(60, token, 0, ethers.ZeroHash)).to.be.revertedWith(
+        "Identifier cannot be empty"
+      );
+    });
+
+    it("uses the configured defaults for submitClaim", async function () {
+      const { verifier, oracle, bondToken, claimer } = await loadFixture(deployFixture);
+      await oracle.setMinimumBond(100);
+      await fundBond(bondToken, claimer, verifier, 1000);
+      await verifier.setDefaultAssertionSettings(60, await bondToken.getAddress(), 250, ethers.id("custom"));
+
+      const assertionId = await submit(verifier, claimer);
+      const assertion = await oracle.getAssertion(assertionId);
+      expect(assertion.expirationTime - assertion.assertionTime).to.equal(60);
+      expect(assertion.bond).to.equal(250);
+      expect(assertion.identifier).to.equal(ethers.id("custom"));
+      expect(await bondToken.balanceOf(await oracle.getAddress())).to.equal(250);
+    });
+
+    it("raises a default bond below the oracle minimum", async function () {
+      const { verifier, oracle, bondToken, claimer } = await loadFixture(deployFixture);
+      await oracle.setMinimumBond(100);
+      await fundBond(bondToken, claimer, verifier, 1000);
+
+      const assertionId = await submit(verifier, claimer);
+      expect((await oracle.getAssertion(assertionId)).bond).to.equal(100);
+    });
+
+    it("applies per-claim overrides", async function () {
+      const { verifier, oracle, claimer } = await loadFixture(deployFixture);
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const otherToken = await MockERC20.deploy("Other", "OTH");
+      await fundBond(otherToken, claimer, verifier, 1000);
+
+      const options = { liveness: 30, currency: await otherToken.getAddress(), bond: 400, identifier: ethers.id("id") };
+      const assertionId = await assertionIdFrom(
+        verifier,
+        verifier.connect(claimer).submitClaimWithOptions(HANDLE, TEXT, options)
+      );
+
+      const assertion = await oracle.getAssertion(assertionId);
+      expect(assertion.expirationTime - assertion.assertionTime).to.equal(30);
+      expect(assertion.currency).to.equal(await otherToken.getAddress());
+      expect(assertion.bond).to.equal(400);
+      expect(assertion.identifier).to.equal(ethers.id("id"));
+    });
+
+    it("falls back to the defaults for unset overrides", async function () {
+      const { verifier, oracle, claimer } = await loadFixture(deployFixture);
+      const assertionId = await assertionIdFrom(
+        verifier,
+        verifier.connect(claimer).submitClaimWithOptions(HANDLE, TEXT, NO_OPTIONS)
+      );
+
+      const assertion = await oracle.getAssertion(assertionId);
+      expect(assertion.expirationTime - assertion.assertionTime).to.equal(LIVENESS);
+      expect(assertion.identifier).to.equal(await oracle.defaultIdentifier());
+    });
+
+    it("rejects a per-claim bond below the oracle minimum", async function () {
+      const { verifier, oracle, claimer } = await loadFixture(deployFixture);
+      await oracle.setMinimumBond(100);
+      expect(await verifier.getMinimumBond(await verifier.defaultCurrency())).to.equal(100);
+
+      await expect(
+        verifier.connect(claimer).submitClaimWithOptions(HANDLE, TEXT, { ...NO_OPTIONS, bond: 99 })
+      ).to.be.revertedWith("Bond below oracle minimum");
+    });
+  });
+
+  describe("Claimer-funded bonds", function () {
+    const BOND = 100n;
+
+    async function bondedFixture() {
+      const fixture = await deployFixture();
+      await fixture.oracle.setMinimumBond(BOND);
+      await fundBond(fixture.bondToken, fixture.claimer, fixture.verifier, BOND);
+      await fixture.bondToken.mint(fixture.disputer.address, BOND);
+      await fixture.bondToken.connect(fixture.disputer).approve(await fixture.oracle.getAddress(), BOND);
+      return fixture;
+    }
+
+    it("previews the bond a claim will pull", async function () {
+      const { verifier, bondToken } = await loadFixture(bondedFixture);
+      const [currency, bond] = await verifier.getClaimBond({
+        liveness: 0,
+        currency: ethers.ZeroAddress,
+        bond: 0,
+        identifier: ethers.ZeroHash
+      });
+      expect(currency).to.equal(await bondToken.getAddress());
+      expect(bond).to.equal(BOND);
+    });
+
+    it("pulls the bond from the claimer and forwards it to the oracle", async function () {
+      const { verifier, oracle, bondToken, claimer } = await loadFixture(bondedFixture);
+      const tx = verifier.connect(claimer).submitClaim(HANDLE, TEXT);
+
+      await expect(tx).to.changeTokenBalances(bondToken, [claimer, verifier, oracle], [-BOND, 0, BOND]);
+    });
+
+    it("reverts without an approval from the claimer", async function () {
+      const { verifier, bondToken, other } = await loadFixture(bondedFixture);
+      await bondToken.mint(other.address, BOND);
+
+      await expect(verifier.connect(other).submitClaim(HANDLE, TEXT))
+        .to.be.revertedWithCustomError(bondToken, "ERC20InsufficientAllowance")
+        .withArgs(await verifier.getAddress(), 0, BOND);
+    });
+
+    it("returns the bond to the claimer on settlement", async function () {
+      const { verifier, bondToken, claimer, other } = await loadFixture(bondedFixture);
+      const assertionId = await submit(verifier, claimer);
+      await time.increase(LIVENESS);
+
+      await expect(verifier.connect(other).settleAndGetAssertionResult(assertionId)).to.changeTokenBalance(
+        bondToken,
+        claimer,
+        BOND
+      );
+    });
+
+    it("gives the claimer both bonds when a dispute fails", async function () {
+      const { verifier, oracle, bondToken, claimer, disputer } = await loadFixture(bondedFixture);
+      const assertionId = await submit(verifier, claimer);
+
+      await oracle.connect(disputer).disputeAssertion(assertionId, disputer.address);
+      await oracle.resolveDispute(assertionId, true);
+
+      await expect(verifier.settleAndGetAssertionResult(assertionId)).to.changeTokenBalances(
+        bondToken,
+        [claimer, disputer],
+        [BOND * 2n, 0]
+      );
+    });
+
+    it("forfeits the claimer's bond to the disputer when a dispute succeeds", async function () {
+      const { verifier, oracle, bondToken, claimer, disputer } = await loadFixture(bondedFixture);
+      const assertionId = await submit(verifier, claimer);
+
+      await oracle.connect(disputer).disputeAssertion(assertionId, disputer.address);
+      await oracle.resolveDispute(assertionId, false);
+
+      await expect(verifier.settleAndGetAssertionResult(assertionId)).to.changeTokenBalances(
+        bondToken,
+        [claimer, disputer],
+        [0, BOND * 2n]
+      );
+    });
+  });
+
+  describe("canBeSettled", function () {
+    it("is false during the challenge window and true after it", async function () {
+      const { verifier, claimer } = await loadFixture(deployFixture);
+      const assertionId = await submit(verifier, claimer);
+
+      expect(await verifier.canBeSettled(assertionId)).to.equal(false);
+      await time.increase(LIVENESS);
+      expect(await verifier.canBeSettled(assertionId)).to.equal(true);
+    });
+
+    it("is false once the claim is resolved", async function () {
+      const { verifier, claimer } = await loadFixture(deployFixture);
+      const assertionId = await submit(verifier, claimer);
+
+      await time.increase(LIVENESS);
+      await verifier.settleAndGetAssertionResult(assertionId);
+      expect(await verifier.canBeSettled(assertionId)).to.equal(false);
+    });
+  });
+
+  describe("settleAndGetAssertionResult", function () {
+    it("reverts before the challenge window ends", async function () {
+      const { verifier, claimer } = await loadFixture(deployFixture);
+      const assertionId = await submit(verifier, claimer);
+
+      await expect(verifier.settleAndGetAssertionResult(assertionId)).to.be.revertedWith("Assertion not expired");
+    });
+
+    it("reverts for a disputed claim until the DVM resolves it", async function () {
+      const { verifier, oracle, claimer, disputer } = await loadFixture(deployFixture);
+      const assertionId = await submit(verifier, claimer);
+
+      await oracle.connect(disputer).disputeAssertion(assertionId, disputer.address);
+      await time.increase(LIVENESS);
+      await expect(verifier.settleAndGetAssertionResult(assertionId)).to.be.revertedWith("Dispute not resolved");
+    });
+
+    it("credits the reward to the claimer for an undisputed claim", async function () {
+      const { verifier, claimer, other, reward } = await loadFixture(deployFixture);
+      const assertionId = await submit(verifier, claimer);
+      await time.increase(LIVENESS);
+
+      const tx = verifier.connect(other).settleAndGetAssertionResult(assertionId);
+      await expect(tx).to.emit(verifier, "ClaimResolved").withArgs(assertionId, true);
+      await expect(tx).to.emit(verifier, "RewardPaid").withArgs(assertionId, claimer.address, ethers.ZeroAddress, reward);
+      expect(await owed(verifier, claimer)).to.equal(reward);
+      expect(await verifier.reservedFunds(ethers.ZeroAddress)).to.equal(reward);
+
+      expect(await verifier.getAssertionResult(assertionId)).to.equal(true);
+      expect(await verifier.isClaimVerified(assertionId)).to.equal(true);
+    });
+
+    it("credits the reward when a disputed claim resolves true", async function () {
+      const { verifier, oracle, claimer, disputer, reward } = await loadFixture(deployFixture);
+      const assertionId = await submit(verifier, claimer);
+
+      await oracle.connect(disputer).disputeAssertion(assertionId, disputer.address);
+      await oracle.resolveDispute(assertionId, true);
+
+      await verifier.settleAndGetAssertionResult(assertionId);
+      expect(await owed(verifier, claimer)).to.equal(reward);
+      expect(await verifier.isClaimVerified(assertionId)).to.equal(true);
+    });
+
+    it("resolves without a reward when a disputed claim resolves false", async function () {
+      const { verifier, oracle, claimer, disputer } = await loadFixture(deployFixture);
+      const assertionId = await submit(verifier, claimer);
+
+      await oracle.connect(disputer).disputeAssertion(assertionId, disputer.address);
+      await oracle.resolveDispute(assertionId, false);
+
+      const tx = verifier.settleAndGetAssertionResult(assertionId);
+      await expect(tx).to.emit(verifier, "ClaimResolved").withArgs(assertionId, false);
+      await expect(tx).not.to.emit(verifier, "RewardPaid");
+      expect(await owed(verifier, claimer)).to.equal(0);
+
+      const details = await verifier.getClaimDetails(assertionId);
+      expect(details.isResolved).to.equal(true);
+      expect(details.isRewarded).to.equal(false);
+      expect(await verifier.isClaimVerified(assertionId)).to.equal(false);
+    });
+
+    it("resolves without crediting when the contract cannot cover the reward, and credits on retry", async function () {
+      const { oracle, owner, claimer, reward } = await loadFixture(deployFixture);
+      const TwitterVerification = await verifierFactory();
+      const unfunded = await TwitterVerification.deploy(await oracle.getAddress());
+
+      const assertionId = await submit(unfunded, claimer);
+      await time.increase(LIVENESS);
+
+      const tx = unfunded.settleAndGetAssertionResult(assertionId);
+      await expect(tx).to.emit(unfunded, "ClaimResolved").withArgs(assertionId, true);
+      await expect(tx)
+        .to.emit(unfunded, "RewardPaymentFailed")
+        .withArgs(assertionId, claimer.address, ethers.ZeroAddress, reward);
+      await expect(tx).not.to.emit(unfunded, "RewardPaid");
+      const events = (await (await tx).wait()).logs.map((log) => unfunded.interface.parseLog(log));
+      expect(events.filter((e) => e && e.name === "RewardPaymentFailed")).to.have.length(1);
+      // Settlement on the oracle side is not blocked
+      expect((await oracle.getAssertion(assertionId)).settled).to.equal(true);
+      expect((await unfunded.getClaimDetails(assertionId)).isRewarded).to.equal(false);
+      expect(await unfunded.isClaimVerified(assertionId)).to.equal(true);
+
+      await owner.sendTransaction({ to: await unfunded.getAddress(), value: reward });
+      await expect(unfunded.settleAndGetAssertionResult(assertionId)).to.emit(unfunded, "RewardPaid");
+      expect(await owed(unfunded, claimer)).to.equal(reward);
+      expect(await unfunded.isClaimVerified(assertionId)).to.equal(true);
+    });
+
+    it("does not pay the reward twice on double settlement", async function () {
+      const { verifier, claimer, reward } = await loadFixture(deployFixture);
+      const assertionId = await submit(verifier, claimer);
+      await time.increase(LIVENESS);
+
+      await expect(verifier.settleAndGetAssertionResult(assertionId)).to.emit(verifier, "RewardPaid");
+
+      await expect(verifier.settleAndGetAssertionResult(assertionId)).not.to.emit(verifier, "RewardPaid");
+      expect(await owed(verifier, claimer)).to.equal(reward);
+    });
+
+    it("reverts for an unknown assertion ID", async function () {
+      const { verifier } = await loadFixture(deployFixture);
+      await expect(verifier.settleAndGetAssertionResult(ethers.ZeroHash)).to.be.revertedWith("Claim does not exist");
+      await expect(verifier.settleAndGetAssertionResult(ethers.id("unknown"))).to.be.revertedWith(
+        "Claim does not exist"
+      );
+    });
+  });
+
+  describe("Oracle callbacks", function () {
+    const Status = { None: 0, Pending: 1, Disputed: 2, Verified: 3, Rejected: 4 };
+
+    it("resolves and credits the reward when settled directly on the oracle", async function () {
+      const { verifier, oracle, claimer, other, reward } = await loadFixture(deployFixture);
+      const assertionId = await submit(verifier, claimer);
+      expect(await verifier.getClaimStatus(assertionId)).to.equal(Status.Pending);
+      await time.increase(LIVENESS);
+
+      const tx = oracle.connect(other).settleAssertion(assertionId);
+      await expect(tx).to.emit(verifier, "ClaimResolved").withArgs(assertionId, true);
+      await expect(tx).to.emit(verifier, "RewardPaid").withArgs(assertionId, claimer.address, ethers.ZeroAddress, reward);
+      expect(await owed(verifier, claimer)).to.equal(reward);
+
+      expect(await verifier.getClaimStatus(assertionId)).to.equal(Status.Verified);
+      expect(await verifier.isClaimVerified(assertionId)).to.equal(true);
+    });
+
+    it("marks a claim as disputed when the oracle reports a dispute", async function () {
+      const { verifier, oracle, claimer, disputer } = await loadFixture(deployFixture);
+      const assertionId = await submit(verifier, claimer);
+
+      await expect(oracle.connect(disputer).disputeAssertion(assertionId, disputer.address))
+        .to.emit(verifier, "ClaimDisputed")
+        .withArgs(assertionId, disputer.address);
+
+      expect((await verifier.getClaim(assertionId)).isDisputed).to.equal(true);
+      expect(await verifier.getClaimStatus(assertionId)).to.equal(Status.Disputed);
+    });
+
+    it("accepts a bonded dispute through the oracle interface", async function () {
+      const { verifier, oracle, bondToken, claimer, disputer } = await loadFixture(deployFixture);
+      await oracle.setMinimumBond(100);
+      await fundBond(bondToken, claimer, verifier, 100);
+      const assertionId = await submit(verifier, claimer);
+
+      // What the frontend does: read the bond from the assertion, approve the oracle, dispute
+      const oov3 = await ethers.getContractAt("IOptimisticOracleV3", await verifier.oov3());
+      const assertion = await oov3.getAssertion(assertionId);
+      await bondToken.mint(disputer.address, assertion.bond);
+      await bondToken.connect(disputer).approve(await oov3.getAddress(), assertion.bond);
+
+      await expect(oov3.connect(disputer).disputeAssertion(assertionId, disputer.address))
+        .to.emit(verifier, "ClaimDisputed")
+        .withArgs(assertionId, disputer.address);
+      expect(await bondToken.balanceOf(await oracle.getAddress())).to.equal(200);
+      expect((await oov3.getAssertion(assertionId)).disputer).to.equal(disputer.address);
+    });
+
+    it("marks a disputed claim as rejected when it resolves false", async function () {
+      const { verifier, oracle, claimer, disputer } = await loadFixture(deployFixture);
+      const assertionId = await submit(verifier, claimer);
+
+      await oracle.connect(disputer).disputeAssertion(assertionId, disputer.address);
+      await oracle.resolveDispute(assertionId, false);
+      await expect(oracle.settleAssertion(assertionId)).to.emit(verifier, "ClaimResolved").withArgs(assertionId, false);
+
+      expect(await verifier.getClaimStatus(assertionId)).to.equal(Status.Rejected);
+      // Settling through the contract afterwards just reports the result
+      expect(await verifier.settleAndGetAssertionResult.staticCall(assertionId)).to.equal(false);
+    });
+
+    it("only accepts callbacks from the oracle", async function () {
+      const { verifier, claimer, other } = await loadFixture(deployFixture);
+      const assertionId = await submit(verifier, claimer);
+
+      await expect(verifier.connect(other).assertionResolvedCallback(assertionId, true)).to.be.revertedWith(
+        "Caller is not the oracle"
+      );
+      await expect(verifier.connect(other).assertionDisputedCallback(assertionId)).to.be.revertedWith(
+        "Caller is not the oracle"
+      );
+    });
+
+    it("reports no status for unknown claims", async function () {
+      const { verifier } = await loadFixture(deployFixture);
+      expect(await verifier.getClaimStatus(ethers.id("unknown"))).to.equal(Status.None);
+    });
+  });
+
+  describe("Bounties", function () {
+    const BOUNTY = ethers.parseEther("0.5");
+    const NO_OPTIONS = { liveness: 0, currency: ethers.ZeroAddress, bond: 0, identifier: ethers.ZeroHash };
+
+    async function deadlineIn(seconds) {
+      return (await time.latest()) + seconds;
+    }
+
+    async function createEthBounty(verifier, requester, deadline, text = TEXT) {
+      await verifier
+        .connect(requester)
+        .createBounty(HANDLE, text, ethers.ZeroAddress, BOUNTY, deadline, { value: BOUNTY });
+      return verifier.bountyCount();
+    }
+
+    function claimBounty(verifier, signer, bountyId) {
+      return assertionIdFrom(verifier, verifier.connect(signer).submitBountyClaim(bountyId, NO_OPTIONS));
+    }
+
+    it("escrows an ETH bounty", async function () {
+      const { verifier, other } = await loadFixture(deployFixture);
+      const deadline = await deadlineIn(86400);
+
+      await expect(
+        verifier.connect(other).createBounty(HANDLE, TEXT, ethers.ZeroAddress, BOUNTY, deadline, { value: BOUNTY })
+      )
+        .to.emit(verifier, "BountyCreated")
+        .withArgs(1, other.address, HANDLE, TEXT, ethers.ZeroAddress, BOUNTY, deadline);
+
+      const bounty = await verifier.bounties(1);
+      expect(bounty.requester).to.equal(other.address);
+      expect(bounty.amount).to.equal(BOUNTY);
+      expect(await verifier.reservedFunds(ethers.ZeroAddress)).to.equal(BOUNTY);
+    });
+
+    it("escrows an ERC-20 bounty", async function () {
+      const { verifier, bondToken, other } = await loadFixture(deployFixture);
+      await fundBond(bondToken, other, verifier, 1000);
+
+      await expect(
+        verifier.connect(other).createBounty(HANDLE, TEXT, await bondToken.getAddress(), 1000, await deadlineIn(60))
+      ).to.changeTokenBalances(bondToken, [other, verifier], [-1000, 1000]);
+      expect(await verifier.reservedFunds(await bondToken.getAddress())).to.equal(1000);
+      expect(await verifier.reservedFunds(ethers.ZeroAddress)).to.equal(0);
+    });
+
+    it("validates new bounties", async function () {
+      const { verifier, bondToken, other } = await loadFixture(deployFixture);
+      const deadline = await deadlineIn(60);
+
+      await expect(
+        verifier.connect(other).createBounty(HANDLE, TEXT, ethers.ZeroAddress, BOUNTY, deadline, { value: 1 })
+      ).to.be.revertedWith("ETH sent does not match amount");
+      await expect(
+        verifier.connect(other).createBounty(HANDLE, TEXT, await bondToken.getAddress(), 1, deadline, { value: 1 })
+      ).to.be.revertedWith("ETH sent with token bounty");
+      await expect(
+        verifier.connect(other).createBounty(HANDLE, TEXT, ethers.ZeroAddress, 0, deadline)
+      ).to.be.revertedWith("Bounty amount must be positive");
+      await expect(
+        verifier.connect(other).createBounty(HANDLE, TEXT, ethers.ZeroAddress, 1, await time.latest(), { value: 1 })
+      ).to.be.revertedWith("Deadline must be in the future");
+      await expect(
+        verifier.connect(other).createBounty("", TEXT, ethers.ZeroAddress, 1, deadline, { value: 1 })
+      ).to.be.revertedWith("Handle and text are required");
+      await expect(
+        verifier.connect(other).createBounty(HANDLE, "gm ", ethers.ZeroAddress, 1, deadline, { value: 1 })
+      ).to.be.revertedWith("Tweet text whitespace not normalized");
+
+      await expect(
+        verifier.connect(other).createBounty("@DrexTron", TEXT, ethers.ZeroAddress, 1, deadline, { value: 1 })
+      ).to.emit(verifier, "BountyCreated").withArgs(1, other.address, HANDLE, TEXT, ethers.ZeroAddress, 1, deadline);
+      expect((await verifier.bounties(1)).twitterHandle).to.equal(HANDLE);
+    });
+
+    it("credits the bounty to the first claim that resolves true", async function () {
+      const { verifier, oracle, claimer, disputer, other, reward } = await loadFixture(deployFixture);
+      const bountyId = await createEthBounty(verifier, other, await deadlineIn(86400));
+
+      const first = await claimBounty(verifier, claimer, bountyId);
+      await expect(verifier.connect(disputer).submitBountyClaim(bountyId, NO_OPTIONS)).to.be.revertedWith(
+        "Tweet claim already pending"
+      );
+      expect((await verifier.getClaimDetails(first)).tweetText).to.equal(TEXT);
+      expect((await verifier.getClaim(first)).bountyId).to.equal(bountyId);
+      await time.increase(LIVENESS);
+
+      const tx = oracle.settleAssertion(first);
+      await expect(tx).to.emit(verifier, "BountyAwarded").withArgs(bountyId, first, claimer.address);
+      expect(await owed(verifier, claimer)).to.equal(BOUNTY + reward);
+
+      const bounty = await verifier.bounties(bountyId);
+      expect(bounty.winner).to.equal(claimer.address);
+      expect(bounty.winningAssertionId).to.equal(first);
+      expect(bounty.pendingClaims).to.equal(0);
+
+      await expect(verifier.connect(claimer).withdraw(ethers.ZeroAddress)).to.changeEtherBalance(
+        claimer,
+        BOUNTY + reward
+      );
+    });
+
+    it("credits the bounty to a plain claim that front-runs the bounty claims", async function () {
+      const { verifier, oracle, claimer, disputer, other, reward } = await loadFixture(deployFixture);
+      const bountyId = await createEthBounty(verifier, other, await deadlineIn(86400));
+
+      const plain = await submit(verifier, disputer);
+      await expect(verifier.connect(claimer).submitBountyClaim(bountyId, NO_OPTIONS)).to.be.revertedWith(
+        "Tweet claim already pending"
+      );
+      await time.increase(LIVENESS);
+
+      await expect(oracle.settleAssertion(plain)).to.emit(verifier, "BountyAwarded").withArgs(bountyId, plain, disputer.address);
+      expect(await owed(verifier, disputer)).to.equal(BOUNTY + reward);
+      expect((await verifier.bounties(bountyId)).winningAssertionId).to.equal(plain);
+      await expect(verifier.connect(claimer).submitBountyClaim(bountyId, NO_OPTIONS)).to.be.revertedWith(
+        "Bounty already awarded"
+      );
+    });
+
+    it("credits every open bounty of the tweet to the claim that verifies it", async function () {
+      const { verifier, oracle, owner, claimer, other } = await loadFixture(deployFixture);
+      const first = await createEthBounty(verifier, other, await deadlineIn(86400));
+      const second = await createEthBounty(verifier, owner, await deadlineIn(86400));
+      const refunded = await createEthBounty(verifier, other, await deadlineIn(60));
+      await time.increase(61);
+      await verifier.connect(other).refundBounty(refunded);
+
+      const assertionId = await claimBounty(verifier, claimer, first);
+      await time.increase(LIVENESS);
+      const tx = oracle.settleAssertion(assertionId);
+      await expect(tx).to.emit(verifier, "BountyAwarded").withArgs(first, assertionId, claimer.address);
+      await expect(tx).to.emit(verifier, "BountyAwarded").withArgs(second, assertionId, claimer.address);
+      expect((await verifier.bounties(refunded)).winner).to.equal(ethers.ZeroAddress);
+      expect((await verifier.bounties(first)).pendingClaims).to.equal(0);
+    });
+
+    it("only credits bounties to claims submitted by their deadline", async function () {
+      const { verifier, oracle, claimer, other } = await loadFixture(deployFixture);
+      const early = await createEthBounty(verifier, other, await deadlineIn(60));
+      const assertionId = await submit(verifier, claimer);
+      const late = await createEthBounty(verifier, other, await deadlineIn(60));
+      await time.increase(61);
+
+      // The claim submitted before the early deadline keeps that bounty from being refunded, not the late one
+      await expect(verifier.connect(other).refundBounty(early)).to.be.revertedWith("Bounty has pending claims");
+      await time.increase(LIVENESS);
+      await expect(oracle.settleAssertion(assertionId)).to.emit(verifier, "BountyAwarded").withArgs(early, assertionId, claimer.address);
+      expect((await verifier.bounties(late)).winner).to.equal(claimer.address);
+
+      const another = await createEthBounty(verifier, other, await deadlineIn(60), "another tweet");
+      await time.increase(61);
+      const tooLate = await submit(verifier, claimer, HANDLE, "another tweet");
+      await verifier.connect(other).refundBounty(another);
+      await time.increase(LIVENESS);
+      await expect(oracle.settleAssertion(tooLate)).not.to.emit(verifier, "BountyAwarded");
+    });
+
+    it("caps the bounties of a tweet", async function () {
+      const { verifier, other } = await loadFixture(deployFixture);
+      const deadline = await deadlineIn(86400);
+      for (let i = 0; i < Number(await verifier.MAX_BOUNTIES_PER_TWEET()); i++) {
+        await verifier.connect(other).createBounty(HANDLE, TEXT, ethers.ZeroAddress, 1, deadline, { value: 1 });
+      }
+      await expect(
+        verifier.connect(other).createBounty(HANDLE, TEXT, ethers.ZeroAddress, 1, deadline, { value: 1 })
+      ).to.be.revertedWith("Too many bounties for this tweet");
+    });
+
+    it("credits an ERC-20 bounty", async function () {
+      const { verifier, oracle, bondToken, claimer, other } = await loadFixture(deployFixture);
+      await fundBond(bondToken, other, verifier, 1000);
+      await verifier.connect(other).createBounty(HANDLE, TEXT, await bondToken.getAddress(), 1000, await deadlineIn(60));
+
+      const assertionId = await claimBounty(verifier, claimer, 1);
+      await time.increase(LIVENESS);
+
+      await oracle.settleAssertion(assertionId);
+      expect(await owed(verifier, claimer, await bondToken.getAddress())).to.equal(1000);
+      await expect(verifier.connect(claimer).withdraw(await bondToken.getAddress())).to.changeTokenBalance(
+        bondToken,
+        claimer,
+        1000
+      );
+    });
+
+    it("does not award the bounty to a claim that resolves false", async function () {
+      const { verifier, oracle, claimer, disputer, other } = await loadFixture(deployFixture);
+      const bountyId = await createEthBounty(verifier, other, await deadlineIn(60));
+      const assertionId = await claimBounty(verifier, claimer, bountyId);
+
+      await oracle.connect(disputer).disputeAssertion(assertionId, disputer.address);
+      await oracle.resolveDispute(assertionId, false);
+      await expect(oracle.settleAssertion(assertionId)).not.to.emit(verifier, "BountyAwarded");
+
+      expect((await verifier.bounties(bountyId)).winner).to.equal(ethers.ZeroAddress);
+    });
+
+    it("rejects claims for missing, expired or awarded bounties", async function () {
+      const { verifier, oracle, claimer, other } = await loadFixture(deployFixture);
+      await expect(verifier.connect(claimer).submitBountyClaim(1, NO_OPTIONS)).to.be.revertedWith(
+        "Bounty does not exist"
+      );
+
+      const bountyId = await createEthBounty(verifier, other, await deadlineIn(LIVENESS * 2));
+      const assertionId = await claimBounty(verifier, claimer, bountyId);
+      await time.increase(LIVENESS);
+      await oracle.settleAssertion(assertionId);
+      await expect(verifier.connect(claimer).submitBountyClaim(bountyId, NO_OPTIONS)).to.be.revertedWith(
+        "Bounty already awarded"
+      );
+
+      const expiring = await createEthBounty(verifier, other, await deadlineIn(60), "another tweet");
+      await time.increase(61);
+      await expect(verifier.connect(claimer).submitBountyClaim(expiring, NO_OPTIONS)).to.be.revertedWith(
+        "Bounty expired"
+      );
+    });
+
+    it("credits an unclaimed bounty back to the requester after the deadline", async function () {
+      const { verifier, claimer, other } = await loadFixture(deployFixture);
+      const bountyId = await createEthBounty(verifier, other, await deadlineIn(60));
+
+      await expect(verifier.connect(other).refundBounty(bountyId)).to.be.revertedWith("Bounty not expired");
+      await time.increase(61);
+      await expect(verifier.connect(claimer).refundBounty(bountyId)).to.be.revertedWith(
+        "Only the requester can refund"
+      );
+
+      const tx = verifier.connect(other).refundBounty(bountyId);
+      await expect(tx).to.emit(verifier, "BountyRefunded").withArgs(bountyId, other.address, ethers.ZeroAddress, BOUNTY);
+      await tx;
+      expect(await owed(verifier, other)).to.equal(BOUNTY);
+      await expect(verifier.connect(other).refundBounty(bountyId)).to.be.revertedWith("Bounty already refunded");
+    });
+
+    it("blocks refunds while claims are pending", async function () {
+      const { verifier, oracle, claimer, disputer, other } = await loadFixture(deployFixture);
+      const bountyId = await createEthBounty(verifier, other, await deadlineIn(60));
+      const assertionId = await claimBounty(verifier, claimer, bountyId);
+
+      await oracle.connect(disputer).disputeAssertion(assertionId, disputer.address);
+      await time.increase(61);
+      await expect(verifier.connect(other).refundBounty(bountyId)).to.be.revertedWith("Bounty has pending claims");
+
+      await oracle.resolveDispute(assertionId, false);
+      await oracle.settleAssertion(assertionId);
+      await verifier.connect(other).refundBounty(bountyId);
+      expect(await owed(verifier, other)).to.equal(BOUNTY);
+    });
+
+    it("never pays rewards out of bounty escrow", async function () {
+      const { oracle, claimer, other } = await loadFixture(deployFixture);
+      const TwitterVerification = await verifierFactory();
+      const unfunded = await TwitterVerification.deploy(await oracle.getAddress());
+      await createEthBounty(unfunded, other, await deadlineIn(86400));
+
+      const assertionId = await submit(unfunded, claimer, "someone", "something else");
+      await time.increase(LIVENESS);
+
+      await expect(oracle.settleAssertion(assertionId)).to.emit(unfunded, "RewardPaymentFailed");
+      expect(await ethers.provider.getBalance(await unfunded.getAddress())).to.equal(BOUNTY);
+    });
+  });
+
+  describe("Treasury controls", function () {
+    it("lets only the owner change the reward", async function () {
+      const { verifier, bondToken, other } = await loadFixture(deployFixture);
+      const token = await bondToken.getAddress();
+
+      await expect(verifier.connect(other).setReward(token, 5)).to.be.revertedWithCustomError(
+        verifier,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(verifier.setReward(token, 5)).to.emit(verifier, "RewardUpdated").withArgs(token, 5);
+      expect(await verifier.rewardToken()).to.equal(token);
+      expect(await verifier.rewardAmount()).to.equal(5);
+    });
+
+    it("credits an ERC-20 reward", async function () {
+      const { verifier, bondToken, claimer } = await loadFixture(deployFixture);
+      const token = await bondToken.getAddress();
+      await verifier.setReward(token, 50);
+      await bondToken.mint(await verifier.getAddress(), 50);
+
+      const assertionId = await submit(verifier, claimer);
+      await time.increase(LIVENESS);
+      await expect(verifier.settleAndGetAssertionResult(assertionId))
+        .to.emit(verifier, "RewardPaid")
+        .withArgs(assertionId, claimer.address, token, 50);
+
+      await expect(verifier.connect(claimer).withdraw(token))
+        .to.emit(verifier, "Withdrawal")
+        .withArgs(claimer.address, token, 50);
+      expect(await bondToken.balanceOf(claimer.address)).to.equal(50);
+    });
+
+    it("lets claimers withdraw credited ETH exactly once", async function () {
+      const { verifier, claimer, reward } = await loadFixture(deployFixture);
+      const assertionId = await submit(verifier, claimer);
+      await time.increase(LIVENESS);
+      await verifier.settleAndGetAssertionResult(assertionId);
+
+      await expect(verifier.connect(claimer).withdraw(ethers.ZeroAddress)).to.changeEtherBalances(
+        [verifier, claimer],
+        [-reward, reward]
+      );
+      expect(await verifier.reservedFunds(ethers.ZeroAddress)).to.equal(0);
+      await expect(verifier.connect(claimer).withdraw(ethers.ZeroAddress)).to.be.revertedWith("Nothing to withdraw");
+    });
+
+    it("lets the owner withdraw only the surplus", async function () {
+      const { verifier, owner, claimer, other, reward } = await loadFixture(deployFixture);
+      const assertionId = await submit(verifier, claimer);
+      await time.increase(LIVENESS);
+      await verifier.settleAndGetAssertionResult(assertionId);
+
+      // The fixture funds five rewards and one has been credited
+      expect(await verifier.surplus(ethers.ZeroAddress)).to.equal(reward * 4n);
+      await expect(
+        verifier.connect(other).withdrawSurplus(ethers.ZeroAddress, 1, other.address)
+      ).to.be.revertedWithCustomError(verifier, "OwnableUnauthorizedAccount");
+      await expect(
+        verifier.withdrawSurplus(ethers.ZeroAddress, reward * 4n + 1n, owner.address)
+      ).to.be.revertedWith("Amount exceeds surplus");
+
+      await expect(verifier.withdrawSurplus(ethers.ZeroAddress, reward * 4n, other.address))
+        .to.emit(verifier, "SurplusWithdrawn")
+        .withArgs(other.address, ethers.ZeroAddress, reward * 4n);
+      await expect(verifier.connect(claimer).withdraw(ethers.ZeroAddress)).to.changeEtherBalance(claimer, reward);
+    });
+
+    it("pauses new claims but still resolves pending ones", async function () {
+      const { verifier, claimer, other, reward } = await loadFixture(deployFixture);
+      const assertionId = await submit(verifier, claimer);
+
+      await expect(verifier.connect(other).pause()).to.be.revertedWithCustomError(
+        verifier,
+        "OwnableUnauthorizedAccount"
+      );
+      await verifier.pause();
+      await expect(verifier.connect(claimer).submitClaim(HANDLE, TEXT)).to.be.revertedWithCustomError(
+        verifier,
+        "EnforcedPause"
+      );
+
+      await time.increase(LIVENESS);
+      await verifier.settleAndGetAssertionResult(assertionId);
+      expect(await owed(verifier, claimer)).to.equal(reward);
+
+      await verifier.unpause();
+      await submit(verifier, claimer, HANDLE, "another tweet");
+    });
+  });
+
+  describe("Unknown assertion IDs", function () {
+    it("return empty claim details and cannot be settled", async function () {
+      const { verifier } = await loadFixture(deployFixture);
+      const unknownId = ethers.id("unknown");
+
+      const details = await verifier.getClaimDetails(unknownId);
+      expect(details.claimer).to.equal(ethers.ZeroAddress);
+      expect(details.twitterHandle).to.equal("");
+      expect(await verifier.canBeSettled(unknownId)).to.equal(false);
+      expect(await verifier.isClaimVerified(unknownId)).to.equal(false);
+      await expect(verifier.getAssertionResult(unknownId)).to.be.revertedWith("Assertion not settled");
+    });
+  });
+});
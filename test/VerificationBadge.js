@@ -0,0 +1,162 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { LIVENESS, deployVerifier, submitClaim } = require("./helpers");
+
+// Decode a data: URI with base64 content
+function decodeDataUri(uri, mediaType) {
+  const prefix = `data:${mediaType};base64,`;
+  expect(uri.startsWith(prefix)).to.equal(true);
+  return Buffer.from(uri.slice(prefix.length), "base64").toString("utf8");
+}
+
+describe("VerificationBadge", function () {
+  async function deployFixture() {
+    const [owner, claimer, disputer, other] = await ethers.getSigners();
+    const { verifier, oracle, bondToken, address } = await deployVerifier();
+    const badge = await (await ethers.getContractFactory("VerificationBadge")).deploy(address);
+    await verifier.setBadge(await badge.getAddress());
+
+    return { verifier, oracle, badge, bondToken, owner, claimer, disputer, other };
+  }
+
+  async function settle(oracle, assertionId) {
+    await time.increase(LIVENESS);
+    return oracle.settleAssertion(assertionId);
+  }
+
+  it("mints a locked badge to the claimer when a claim resolves true", async function () {
+    const { verifier, oracle, badge, claimer } = await loadFixture(deployFixture);
+    const assertionId = await submitClaim(verifier, claimer, "gm");
+    const tokenId = BigInt(assertionId);
+
+    await expect(badge.ownerOf(tokenId)).to.be.revertedWith("Badge does not exist");
+    await expect(settle(oracle, assertionId))
+      .to.emit(badge, "Transfer").withArgs(ethers.ZeroAddress, claimer.address, tokenId)
+      .and.to.emit(badge, "Locked").withArgs(tokenId);
+
+    expect(await badge.ownerOf(tokenId)).to.equal(claimer.address);
+    expect(await badge.balanceOf(claimer.address)).to.equal(1);
+    expect(await badge.locked(tokenId)).to.equal(true);
+    expect(await badge.getApproved(tokenId)).to.equal(ethers.ZeroAddress);
+    expect(await badge.name()).to.equal("Verified Tweet");
+    expect(await badge.symbol()).to.equal("TWEET");
+  });
+
+  it("mints nothing for claims that resolve false", async function () {
+    const { verifier, oracle, badge, claimer, disputer } = await loadFixture(deployFixture);
+    const assertionId = await submitClaim(verifier, claimer, "gm");
+
+    await oracle.connect(disputer).disputeAssertion(assertionId, disputer.address);
+    await oracle.resolveDispute(assertionId, false);
+    await expect(oracle.settleAssertion(assertionId)).not.to.emit(badge, "Transfer");
+
+    expect(await badge.balanceOf(claimer.address)).to.equal(0);
+    await expect(badge.mint(assertionId)).to.be.revertedWith("Claim not verified");
+  });
+
+  it("renders the claim as on-chain JSON metadata with an SVG image", async function () {
+    const { verifier, oracle, badge, claimer } = await loadFixture(deployFixture);
+    const text = 'Fish & chips <3 "always"\nsecond line with a fairly long sentence that has to wrap twice';
+    const assertionId = await submitClaim(verifier, claimer, text, "@DrexTron");
+    const assertedAt = (await oracle.getAssertion(assertionId)).assertionTime;
+    await settle(oracle, assertionId);
+
+    const metadata = JSON.parse(decodeDataUri(await badge.tokenURI(BigInt(assertionId)), "application/json"));
+    expect(metadata.name).to.equal("Verified tweet by @drextron");
+    expect(metadata.description).to.equal(
+      `@drextron posted: ${text}\n\nAsserted to UMA's Optimistic Oracle V3 and resolved true.`
+    );
+    expect(metadata.attributes).to.deep.equal([
+      { trait_type: "Handle", value: "drextron" },
+      { trait_type: "Claim type", value: "posted" },
+      { display_type: "date", trait_type: "Asserted", value: Number(assertedAt) },
+      { trait_type: "Assertion ID", value: assertionId },
+    ]);
+
+    const svg = decodeDataUri(metadata.image, "image/svg+xml");
+    expect(svg).to.match(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+    expect(svg).to.contain('class="h">@drextron</text>');
+    expect(svg).to.contain('class="t">Fish &amp; chips &lt;3 "always"</text>');
+    expect(svg).to.contain('class="t">second line with a fairly long</text>');
+    expect(svg).to.contain(`Asserted ${new Date(Number(assertedAt) * 1000).toISOString().replace(".000", "")}`);
+    expect(svg).to.contain(assertionId);
+    expect(svg).to.match(/<\/svg>$/);
+  });
+
+  it("renders time-bounded claims and cuts off text beyond the last line", async function () {
+    const { verifier, oracle, badge, claimer } = await loadFixture(deployFixture);
+    const end = (await time.latest()) - 60;
+    const text = Array.from({ length: 12 }, (_, i) => `line ${i}`).join("\n");
+    const tx = verifier.connect(claimer).submitWindowClaim("drextron", text, 0, end - 86400, end, {
+      liveness: 0, currency: ethers.ZeroAddress, bond: 0, identifier: ethers.ZeroHash,
+    });
+    const receipt = await (await tx).wait();
+    const assertionId = receipt.logs
+      .map((log) => verifier.interface.parseLog(log))
+      .find((log) => log && log.name === "ClaimSubmitted").args.assertionId;
+    await settle(oracle, assertionId);
+
+    const metadata = JSON.parse(decodeDataUri(await badge.tokenURI(BigInt(assertionId)), "application/json"));
+    const day = (seconds) => new Date(seconds * 1000).toISOString().slice(0, 10);
+    expect(metadata.description).to.contain(`@drextron posted between ${day(end - 86400)} and ${day(end)}: `);
+    expect(metadata.attributes[1]).to.deep.equal({ trait_type: "Claim type", value: "posted-between" });
+
+    const lines = [...decodeDataUri(metadata.image, "image/svg+xml").matchAll(/class="t">([^<]*)<\/text>/g)].map((m) => m[1]);
+    expect(lines).to.have.length(9);
+    expect(lines[0]).to.equal("line 0");
+    expect(lines[8]).to.equal("line 8…");
+  });
+
+  it("cannot be transferred or approved", async function () {
+    const { verifier, oracle, badge, claimer, other } = await loadFixture(deployFixture);
+    const assertionId = await submitClaim(verifier, claimer, "gm");
+    await settle(oracle, assertionId);
+    const tokenId = BigInt(assertionId);
+
+    await expect(badge.connect(claimer).transferFrom(claimer.address, other.address, tokenId))
+      .to.be.revertedWith("Badges are non-transferable");
+    await expect(badge.connect(claimer)["safeTransferFrom(address,address,uint256)"](claimer.address, other.address, tokenId))
+      .to.be.revertedWith("Badges are non-transferable");
+    await expect(badge.connect(claimer).approve(other.address, tokenId)).to.be.revertedWith("Badges are non-transferable");
+    await expect(badge.connect(claimer).setApprovalForAll(other.address, true)).to.be.revertedWith("Badges are non-transferable");
+    expect(await badge.isApprovedForAll(claimer.address, other.address)).to.equal(false);
+
+    for (const interfaceId of ["0x01ffc9a7", "0x80ac58cd", "0x5b5e139f", "0xb45a3c0e"]) {
+      expect(await badge.supportsInterface(interfaceId)).to.equal(true);
+    }
+    expect(await badge.supportsInterface("0x780e9d63")).to.equal(false); // ERC721Enumerable
+  });
+
+  it("mints badges for claims verified before it was set, once", async function () {
+    const { verifier, oracle, badge, claimer, other } = await loadFixture(deployFixture);
+    await expect(verifier.connect(other).setBadge(ethers.ZeroAddress))
+      .to.be.revertedWithCustomError(verifier, "OwnableUnauthorizedAccount");
+    await expect(verifier.setBadge(ethers.ZeroAddress)).to.emit(verifier, "BadgeUpdated").withArgs(ethers.ZeroAddress);
+
+    const assertionId = await submitClaim(verifier, claimer, "gm");
+    await expect(settle(oracle, assertionId)).not.to.emit(badge, "Transfer");
+
+    await expect(badge.connect(other).mint(assertionId))
+      .to.emit(badge, "Transfer").withArgs(ethers.ZeroAddress, claimer.address, BigInt(assertionId));
+    await expect(badge.mint(assertionId)).to.be.revertedWith("Badge already minted");
+  });
+
+  it("does not block settlement when minting fails", async function () {
+    const { verifier, oracle, bondToken, claimer, other } = await loadFixture(deployFixture);
+
+    for (const broken of [await bondToken.getAddress(), other.address]) {
+      await verifier.setBadge(broken);
+      const assertionId = await submitClaim(verifier, claimer, `gm ${broken}`);
+      const settlement = settle(oracle, assertionId);
+      if (broken === other.address) {
+        // A call to an address without code succeeds, there is nothing to report
+        await expect(settlement).to.emit(verifier, "ClaimResolved").withArgs(assertionId, true);
+      } else {
+        await expect(settlement).to.emit(verifier, "BadgeMintFailed").withArgs(assertionId, broken);
+      }
+      expect((await verifier.getClaim(assertionId)).isResolved).to.equal(true);
+    }
+  });
+});
@@ -0,0 +1,218 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { loadArchive, findMatches, recommendVerdict } = require("../scripts/checker");
+const { deployVerifier, muteConsoleLog, submitClaim } = require("./helpers");
+
+const { ethers } = hre;
+
+// Unix seconds to the created_at format of archives, e.g. "Wed Oct 10 20:19:24 +0000 2018"
+function createdAt(seconds) {
+  const [day, month, date, year, clock] = new Date(seconds * 1000).toUTCString().replace(",", "").split(" ");
+  return `${day} ${month} ${date} ${clock} +0000 ${year}`;
+}
+
+function tweet(id, text, seconds, entities = {}) {
+  return { tweet: { id_str: id, full_text: text, created_at: createdAt(seconds), entities } };
+}
+
+// Write an archive export in the layout of a real one: data/tweets.js, data/account.js, data/manifest.js
+function writeArchive(tweets, { handle = "drextron", generatedAt = null } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "twitter-archive-"));
+  const data = path.join(dir, "data");
+  fs.mkdirSync(data);
+  fs.writeFileSync(path.join(data, "tweets.js"), `window.YTD.tweets.part0 = ${JSON.stringify(tweets, null, 2)}`);
+  fs.writeFileSync(path.join(data, "account.js"), `window.YTD.account.part0 = ${JSON.stringify([{ account: { username: handle } }])}`);
+  if (generatedAt) {
+    const manifest = { archiveInfo: { generationDate: new Date(generatedAt * 1000).toISOString() } };
+    fs.writeFileSync(path.join(data, "manifest.js"), `window.__THAR_CONFIG = ${JSON.stringify(manifest)}`);
+  }
+  return dir;
+}
+
+describe("Archive checker", function () {
+  const T = 1700000000;
+
+  describe("archives", function () {
+    it("loads tweets, the account and the export date from an archive folder", function () {
+      const dir = writeArchive([
+        tweet("2", "fish &amp; chips &lt;3", T + 60),
+        tweet("1", "gm", T)
+      ], { handle: "DrexTron", generatedAt: T + 3600 });
+
+      for (const location of [dir, path.join(dir, "data"), path.join(dir, "data", "tweets.js")]) {
+        const archive = loadArchive(location);
+        expect(archive.handle).to.equal("DrexTron");
+        expect(archive.generatedAt).to.equal(T + 3600);
+        expect(archive.tweets.map((t) => [t.id, t.text, t.createdAt])).to.deep.equal([
+          ["1", "gm", T],
+          ["2", "fish & chips <3", T + 60]
+        ]);
+      }
+    });
+
+    it("loads a plain tweets.json without account or manifest", function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "twitter-archive-"));
+      const file = path.join(dir, "tweets.json");
+      fs.writeFileSync(file, JSON.stringify([tweet("1", "gm", T).tweet]));
+
+      expect(loadArchive(file)).to.deep.include({ handle: null, generatedAt: null });
+      expect(loadArchive(dir).tweets).to.have.length(1);
+      expect(() => loadArchive(path.join(dir, "missing"))).to.throw("No archive at");
+    });
+
+    it("separates exact matches from normalized ones", function () {
+      const archive = loadArchive(writeArchive([
+        tweet("1", "Life is short, test in prod", T),
+        tweet("2", "life is  short,\ntest in prod", T + 1),
+        tweet("3", "read this https://t.co/abc https://t.co/pic", T + 2, {
+          urls: [{ url: "https://t.co/abc", expanded_url: "https://example.com" }],
+          media: [{ url: "https://t.co/pic" }]
+        }),
+        tweet("4", "Life is short", T + 3)
+      ]));
+
+      const matches = findMatches(archive, "Life is short, test in prod");
+      expect(matches.exact.map((t) => t.id)).to.deep.equal(["1"]);
+      expect(matches.normalized.map((t) => t.id)).to.deep.equal(["2"]);
+      expect(findMatches(archive, "read this https://example.com").normalized.map((t) => t.id)).to.deep.equal(["3"]);
+    });
+
+    it("matches tweets with links exactly on their expanded URLs", function () {
+      const archive = loadArchive(writeArchive([
+        tweet("1", "new post https://t.co/abc", T, {
+          urls: [{ url: "https://t.co/abc", expanded_url: "https://example.com/post" }]
+        })
+      ]));
+
+      expect(findMatches(archive, "new post https://example.com/post").exact.map((t) => t.id)).to.deep.equal(["1"]);
+      expect(findMatches(archive, "new post https://t.co/abc").exact.map((t) => t.id)).to.deep.equal(["1"]);
+      expect(findMatches(archive, "New post https://example.com/post").normalized.map((t) => t.id)).to.deep.equal(["1"]);
+    });
+
+    it("normalizes archive text like claims before the exact comparison, folding case only for near matches", function () {
+      const archive = loadArchive(writeArchive([
+        tweet("1", " gm  frens \r\n wagmi https://t.co/abc ", T, {
+          urls: [{ url: "https://t.co/abc", expanded_url: "https://example.com" }]
+        }),
+        tweet("2", "GM frens\nwagmi https://t.co/abc", T + 1, {
+          urls: [{ url: "https://t.co/abc", expanded_url: "https://example.com" }]
+        })
+      ]));
+
+      const matches = findMatches(archive, "gm frens\nwagmi https://example.com");
+      expect(matches.exact.map((t) => t.id)).to.deep.equal(["1"]);
+      expect(matches.normalized.map((t) => t.id)).to.deep.equal(["2"]);
+    });
+  });
+
+  describe("verdicts", function () {
+    const archive = {
+      handle: "drextron",
+      generatedAt: T + 10000,
+      tweets: [
+        { id: "1", text: "gm", createdAt: T, urls: [], mediaUrls: [] },
+        { id: "2", text: "GM", createdAt: T + 1000, urls: [], mediaUrls: [] },
+        { id: "3", text: "gn", createdAt: T + 2000, urls: [], mediaUrls: [] }
+      ]
+    };
+    const verdict = (claim, text = "gm", against = archive) => recommendVerdict(
+      { claimType: "posted", twitterHandle: "drextron", statusId: null, windowStart: null, windowEnd: null, assertedAt: T + 5000, ...claim },
+      against,
+      findMatches(against, text)
+    ).verdict;
+
+    it("judges posted claims by the text and status ID", function () {
+      expect(verdict({})).to.equal("true");
+      expect(verdict({}, "gm gm")).to.equal("false");
+      expect(verdict({ assertedAt: T - 1 })).to.equal("false");
+      expect(verdict({ statusId: "1" })).to.equal("true");
+      expect(verdict({ statusId: "3" })).to.equal("false");
+      expect(verdict({ statusId: "2" })).to.equal("uncertain");
+      expect(verdict({ statusId: "9" })).to.equal("uncertain");
+      expect(verdict({}, "Gm")).to.equal("uncertain");
+      expect(verdict({ twitterHandle: "someoneelse" })).to.equal("uncertain");
+    });
+
+    it("judges time-bounded and negative claims by the window", function () {
+      const between = { claimType: "posted-between" };
+      expect(verdict({ ...between, windowStart: T - 100, windowEnd: T })).to.equal("true");
+      expect(verdict({ ...between, windowStart: T + 1, windowEnd: T + 3000 })).to.equal("uncertain");
+      expect(verdict({ ...between, windowStart: T + 1, windowEnd: T + 3000 }, "gn")).to.equal("true");
+      expect(verdict({ ...between, windowStart: T + 2001, windowEnd: T + 3000 }, "gn")).to.equal("false");
+
+      const negative = { claimType: "not-posted-before" };
+      expect(verdict({ ...negative, windowEnd: T + 1 })).to.equal("false");
+      expect(verdict({ ...negative, windowEnd: T })).to.equal("true");
+      expect(verdict({ ...negative, windowEnd: T + 2000 }, "gn")).to.equal("true");
+      expect(verdict({ ...negative, windowEnd: T + 20000 }, "hello")).to.equal("uncertain");
+    });
+
+    it("is uncertain when the archive was exported before the claim's end", function () {
+      expect(verdict({ assertedAt: T + 20000 }, "hello")).to.equal("uncertain");
+      expect(verdict({ assertedAt: T + 20000 }, "hello", { ...archive, generatedAt: null })).to.equal("false");
+    });
+  });
+
+  describe("claim:check", function () {
+    async function deployFixture() {
+      const [owner, claimer] = await ethers.getSigners();
+      const { verifier, oracle, bondToken, address } = await deployVerifier({
+        bond: ethers.parseEther("1"),
+        bondHolders: [owner, claimer],
+      });
+      return { verifier, oracle, bondToken, owner, claimer, address };
+    }
+
+    muteConsoleLog();
+
+    async function submit(verifier, claimer, text) {
+      const [currency, bond] = await verifier.getClaimBond({ liveness: 0, currency: ethers.ZeroAddress, bond: 0, identifier: ethers.ZeroHash });
+      await (await ethers.getContractAt("MockERC20", currency)).connect(claimer).approve(await verifier.getAddress(), bond);
+      return submitClaim(verifier, claimer, text);
+    }
+
+    it("reports the matches and verdict of a claim, without disputing a true one", async function () {
+      const { verifier, claimer, address } = await loadFixture(deployFixture);
+      const id = await submit(verifier, claimer, "gm");
+      const now = await time.latest();
+      const archive = writeArchive([tweet("7", "gm", now - 60), tweet("8", "GM", now - 30)]);
+
+      const report = await hre.run("claim:check", { id, archive, address, dispute: true, json: true });
+
+      expect(report).to.include({ status: "Pending", canDispute: true, verdict: "true", dispute: null });
+      expect(report.claim).to.include({ twitterHandle: "drextron", tweetText: "gm", claimType: "posted" });
+      expect(report.matches.exact).to.deep.equal([{
+        id: "7",
+        createdAt: new Date((now - 60) * 1000).toISOString(),
+        text: "gm",
+        url: "https://x.com/drextron/status/7"
+      }]);
+      expect(report.matches.normalized.map((t) => t.id)).to.deep.equal(["8"]);
+    });
+
+    it("disputes a false claim with --dispute, approving the oracle for the bond", async function () {
+      const { verifier, oracle, bondToken, owner, claimer, address } = await loadFixture(deployFixture);
+      const id = await submit(verifier, claimer, "gm");
+      const archive = writeArchive([tweet("7", "gn", (await time.latest()) - 60)]);
+
+      const dryRun = await hre.run("claim:check", { id, archive, address, json: true });
+      expect(dryRun).to.include({ verdict: "false", dispute: null });
+      expect((await oracle.getAssertion(id)).disputer).to.equal(ethers.ZeroAddress);
+
+      const report = await hre.run("claim:check", { id, archive, address, dispute: true, json: true });
+      expect(report.dispute.txHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect((await oracle.getAssertion(id)).disputer).to.equal(owner.address);
+      expect(await bondToken.balanceOf(owner.address)).to.equal(ethers.parseEther("9"));
+
+      await expect(hre.run("claim:check", { id, archive, address, dispute: true, json: true }))
+        .to.be.rejectedWith("can no longer be disputed");
+      await expect(hre.run("claim:check", { id: ethers.ZeroHash, archive, address, json: true }))
+        .to.be.rejectedWith("No claim with assertion ID");
+    });
+  });
+});
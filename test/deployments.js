@@ -0,0 +1,63 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { deployedAddress, manifestPath, readDeployment, writeDeployment } = require("../scripts/deployments");
+const { networkSettings } = require("../scripts/networks");
+
+const ADDRESS = "0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9";
+const REDEPLOYED = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+
+describe("Deployment manifests", function () {
+  function tempPaths() {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    return { dir: path.join(root, "deployments"), index: path.join(root, "deployments.json") };
+  }
+
+  function manifest(fields = {}) {
+    return { network: "baseSepolia", chainId: 84532, address: ADDRESS, abi: [], blockNumber: 123, ...fields };
+  }
+
+  it("writes a manifest and reads it back", function () {
+    const paths = tempPaths();
+    writeDeployment("baseSepolia", manifest(), networkSettings("baseSepolia"), paths);
+
+    expect(manifestPath("baseSepolia", paths.dir)).to.equal(path.join(paths.dir, "baseSepolia.json"));
+    expect(readDeployment("baseSepolia", paths.dir)).to.deep.equal(manifest());
+    expect(() => readDeployment("sepolia", paths.dir)).to.throw(/No deployment on sepolia/);
+  });
+
+  it("adds each deployment to the frontend's index by chain ID", function () {
+    const paths = tempPaths();
+    fs.writeFileSync(paths.index, "{}\n");
+    writeDeployment("baseSepolia", manifest(), networkSettings("baseSepolia"), paths);
+    writeDeployment("localhost", manifest({ network: "localhost", chainId: 31337, blockNumber: 1 }), networkSettings("localhost"), paths);
+    // A redeployment replaces the network's entry
+    writeDeployment("baseSepolia", manifest({ address: REDEPLOYED, blockNumber: 456 }), networkSettings("baseSepolia"), paths);
+
+    const index = JSON.parse(fs.readFileSync(paths.index, "utf8"));
+    expect(Object.keys(index)).to.deep.equal(["31337", "84532"]);
+    expect(index["84532"]).to.deep.equal({
+      network: "baseSepolia",
+      name: "Base Sepolia",
+      address: REDEPLOYED,
+      blockNumber: 456,
+      rpcUrl: "https://sepolia.base.org",
+      nativeCurrency: { name: "ETH", symbol: "ETH", decimals: 18 },
+      explorer: "https://sepolia.basescan.org",
+    });
+    expect(index["31337"]).to.include({ rpcUrl: "http://127.0.0.1:8545", explorer: null });
+  });
+
+  it("prefers CONTRACT_ADDRESS to the manifest", function () {
+    const previous = process.env.CONTRACT_ADDRESS;
+    process.env.CONTRACT_ADDRESS = ADDRESS;
+    try {
+      expect(deployedAddress("no-such-network")).to.equal(ADDRESS);
+    } finally {
+      if (previous === undefined) delete process.env.CONTRACT_ADDRESS;
+      else process.env.CONTRACT_ADDRESS = previous;
+    }
+  });
+});
@@ -0,0 +1,75 @@
+// Setup shared by the suites that run TwitterVerification against the mock oracle
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const LIVENESS = 7200;
+const HANDLE = "drextron";
+const BOND_BALANCE = ethers.parseEther("10");
+
+/**
+ * Deploy TwitterVerification, linked to the ClaimFormat library, against a mock oracle with a fresh bond token.
+ * @param {object} [options]
+ * @param {bigint} [options.bond] The oracle's minimum bond, which claims post by default
+ * @param {bigint} [options.funding] ETH the first signer sends the contract for rewards
+ * @param {object[]} [options.bondHolders] Signers minted BOND_BALANCE bond tokens
+ * @returns {Promise<object>} { verifier, oracle, bondToken, address }
+ */
+async function deployVerifier({ bond = 0n, funding = 0n, bondHolders = [] } = {}) {
+  const [owner] = await ethers.getSigners();
+
+  const bondToken = await (await ethers.getContractFactory("MockERC20")).deploy("Bond Token", "BOND");
+  const oracle = await (await ethers.getContractFactory("MockOptimisticOracleV3")).deploy(
+    await bondToken.getAddress(),
+    LIVENESS,
+    bond
+  );
+
+  const claimFormat = await (await ethers.getContractFactory("ClaimFormat")).deploy();
+  const TwitterVerification = await ethers.getContractFactory("TwitterVerification", {
+    libraries: { ClaimFormat: await claimFormat.getAddress() },
+  });
+  const verifier = await TwitterVerification.deploy(await oracle.getAddress());
+  const address = await verifier.getAddress();
+  if (funding > 0n) await owner.sendTransaction({ to: address, value: funding });
+  for (const holder of bondHolders) {
+    await bondToken.mint(holder.address, BOND_BALANCE);
+  }
+
+  return { verifier, oracle, bondToken, address };
+}
+
+/**
+ * Load a fixture and add state that lives off chain, e.g. a keeper state or a database. loadFixture returns the
+ * same objects on every call, so that state is built afresh for each test.
+ * @param {Function} fixture The fixture to load
+ * @param {Function} build Returns the added fields, given the fixture
+ */
+async function loadFixtureWith(fixture, build) {
+  const loaded = await loadFixture(fixture);
+  return { ...loaded, ...(await build(loaded)) };
+}
+
+/**
+ * Silence console.log during each test of the calling suite, for code that prints its result like tasks do.
+ */
+function muteConsoleLog() {
+  let consoleLog;
+  beforeEach(function () {
+    consoleLog = console.log;
+    console.log = () => {};
+  });
+  afterEach(function () {
+    console.log = consoleLog;
+  });
+}
+
+/**
+ * Submit a plain claim and return its assertion ID.
+ */
+async function submitClaim(verifier, signer, text, handle = HANDLE) {
+  const receipt = await (await verifier.connect(signer).submitClaim(handle, text)).wait();
+  return receipt.logs.map((log) => verifier.interface.parseLog(log)).find((e) => e && e.name === "ClaimSubmitted")
+    .args.assertionId;
+}
+
+module.exports = { LIVENESS, HANDLE, BOND_BALANCE, deployVerifier, loadFixtureWith, muteConsoleLog, submitClaim };
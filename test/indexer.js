@@ -0,0 +1,171 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createApi, getClaim, getHandle, getStats, listClaims, openDatabase, syncOnce } = require("../scripts/indexer");
+const { NO_OVERRIDES, TwitterVerificationClient } = require("../sdk");
+const { HANDLE, LIVENESS, deployVerifier, loadFixtureWith, submitClaim } = require("./helpers");
+
+const QUIET = { log: () => {} };
+const PAGE = { offset: 0, limit: 50 };
+
+describe("Claims indexer", function () {
+  async function deployFixture() {
+    const [, claimer, disputer] = await ethers.getSigners();
+    const { verifier, oracle, address } = await deployVerifier({ funding: ethers.parseEther("1") });
+    return { verifier, oracle, claimer, disputer, address, client: new TwitterVerificationClient(address, ethers.provider) };
+  }
+
+  function fixtureWithDatabase() {
+    return loadFixtureWith(deployFixture, ({ address }) => ({
+      db: openDatabase(":memory:", { contractAddress: address, chainId: 31337 }),
+    }));
+  }
+
+  it("indexes claims through dispute, resolution and reward", async function () {
+    const { verifier, oracle, claimer, disputer, client, db } = await fixtureWithDatabase();
+    await verifier.connect(claimer).submitClaimWithTweet(HANDLE, "gm", 42, NO_OVERRIDES);
+    const [verified] = await verifier.getClaimsByClaimer(claimer.address, 0, 1);
+    const rejected = await submitClaim(verifier, claimer, "gn");
+    await submitClaim(verifier, claimer, "gm", "someone_else");
+
+    expect((await syncOnce(client, db, QUIET)).events).to.equal(4);
+    expect(getClaim(db, verified)).to.include({
+      twitterHandle: HANDLE,
+      tweetText: "gm",
+      claimType: "posted",
+      statusId: "42",
+      tweetUrl: `https://x.com/${HANDLE}/status/42`,
+      status: "Pending",
+    });
+
+    await oracle.connect(disputer).disputeAssertion(rejected, disputer.address);
+    await syncOnce(client, db, QUIET);
+    expect(getClaim(db, rejected)).to.include({ status: "Disputed", disputer: disputer.address });
+
+    await oracle.resolveDispute(rejected, false);
+    await time.increase(LIVENESS);
+    await verifier.settleAndGetAssertionResult(verified);
+    await verifier.settleAndGetAssertionResult(rejected);
+    await syncOnce(client, db, QUIET);
+
+    const claim = getClaim(db, verified);
+    expect(claim).to.include({ status: "Verified", rewardToken: ethers.ZeroAddress });
+    expect(claim.rewardAmount).to.equal((await verifier.rewardAmount()).toString());
+    expect(claim.events.map((event) => event.name)).to.deep.equal(["ClaimSubmitted", "ClaimEvidence", "ClaimResolved", "RewardPaid"]);
+    expect(getClaim(db, rejected)).to.include({ status: "Rejected", rewardAmount: null });
+
+    expect(getHandle(db, "@DrexTron", PAGE)).to.deep.include({
+      handle: HANDLE,
+      total: 2,
+      byStatus: { Pending: 0, Disputed: 0, Verified: 1, Rejected: 1 },
+    });
+    expect(listClaims(db, { claimer: claimer.address.toLowerCase(), status: "Pending" }, PAGE).claims
+      .map((c) => c.twitterHandle)).to.deep.equal(["someone_else"]);
+
+    const stats = getStats(db);
+    expect(stats).to.deep.include({ chainId: 31337, claims: 3, handles: 2, claimers: 1, lastBlock: await ethers.provider.getBlockNumber() });
+    expect(stats.rewards).to.deep.equal([{ token: ethers.ZeroAddress, amount: claim.rewardAmount }]);
+  });
+
+  it("only scans new blocks, in block ranges", async function () {
+    const { verifier, claimer, client, db } = await fixtureWithDatabase();
+    await submitClaim(verifier, claimer, "gm");
+    await submitClaim(verifier, claimer, "gn");
+
+    expect((await syncOnce(client, db, { ...QUIET, blockRange: 1 })).events).to.equal(2);
+    expect((await syncOnce(client, db, QUIET)).events).to.equal(0);
+    expect(listClaims(db, {}, PAGE).claims.map((c) => c.tweetText)).to.deep.equal(["gn", "gm"]);
+  });
+
+  it("drops the claims of reorganized blocks", async function () {
+    const { verifier, claimer, client, db } = await fixtureWithDatabase();
+    const kept = await submitClaim(verifier, claimer, "gm");
+    await syncOnce(client, db, QUIET);
+
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    const forkBlock = await ethers.provider.getBlockNumber();
+    const orphaned = await submitClaim(verifier, claimer, "gn");
+    await syncOnce(client, db, QUIET);
+    expect(getClaim(db, orphaned)).to.not.equal(null);
+
+    // Another chain of the same height without the claim, then longer with another one
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await ethers.provider.send("evm_mine", []);
+    const replacement = await submitClaim(verifier, claimer, "gn frens");
+
+    const result = await syncOnce(client, db, QUIET);
+    expect(result.forkBlock).to.equal(forkBlock);
+    expect(getClaim(db, orphaned)).to.equal(null);
+    expect(getClaim(db, kept)).to.include({ status: "Pending" });
+    expect(getClaim(db, replacement)).to.include({ tweetText: "gn frens" });
+    expect(getStats(db).lastBlock).to.equal(await ethers.provider.getBlockNumber());
+  });
+
+  it("refuses a database of another contract", async function () {
+    const { address } = await loadFixture(deployFixture);
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "indexer-")), "index.sqlite");
+    openDatabase(file, { contractAddress: address, chainId: 31337 }).close();
+
+    expect(() => openDatabase(file, { contractAddress: ethers.ZeroAddress, chainId: 31337 })).to.throw(/indexes contract/);
+    expect(() => openDatabase(file, { contractAddress: address, chainId: 1 })).to.throw(/indexes contract/);
+    openDatabase(file, { contractAddress: address.toLowerCase(), chainId: 31337 }).close();
+  });
+
+  describe("REST API", function () {
+    let server;
+    let baseUrl;
+
+    async function serve(db) {
+      server = createApi(db, QUIET);
+      await new Promise((resolve) => server.listen(0, resolve));
+      baseUrl = `http://localhost:${server.address().port}`;
+    }
+
+    async function get(pathname, init) {
+      const res = await fetch(baseUrl + pathname, init);
+      return { status: res.status, cors: res.headers.get("access-control-allow-origin"), body: await res.json() };
+    }
+
+    afterEach(async function () {
+      if (server) await new Promise((resolve) => server.close(resolve));
+      server = null;
+    });
+
+    it("serves claims, handles and stats", async function () {
+      const { verifier, claimer, client, db } = await fixtureWithDatabase();
+      const id = await submitClaim(verifier, claimer, "gm");
+      await submitClaim(verifier, claimer, "gn");
+      await syncOnce(client, db, QUIET);
+      await serve(db);
+
+      const claims = await get("/claims?limit=1&offset=1&status=pending");
+      expect(claims).to.deep.include({ status: 200, cors: "*" });
+      expect(claims.body).to.include({ total: 2, offset: 1, limit: 1 });
+      expect(claims.body.claims.map((c) => c.assertionId)).to.deep.equal([id]);
+
+      const claim = await get(`/claims/${id.toUpperCase().replace("0X", "0x")}`);
+      expect(claim.body).to.include({ assertionId: id, claimer: claimer.address });
+      expect(claim.body.events[0]).to.deep.include({ name: "ClaimSubmitted" });
+
+      expect((await get("/handles/%40DrexTron")).body).to.include({ handle: HANDLE, total: 2 });
+      expect((await get("/stats")).body).to.include({ claims: 2, contract: await verifier.getAddress() });
+    });
+
+    it("answers bad requests with errors", async function () {
+      const { db } = await fixtureWithDatabase();
+      await serve(db);
+
+      expect(await get("/claims/0x1234")).to.deep.include({ status: 400, body: { error: "Invalid assertion ID" } });
+      expect(await get(`/claims/${ethers.ZeroHash}`)).to.deep.include({ status: 404, body: { error: "Claim not found" } });
+      expect((await get("/claims?limit=0")).status).to.equal(400);
+      expect((await get("/claims?status=lost")).body.error).to.match(/^status must be one of/);
+      expect((await get("/handles/drex-tron")).status).to.equal(400);
+      expect((await get("/nothing")).status).to.equal(404);
+      expect((await get("/claims", { method: "POST" })).status).to.equal(405);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { loadState, runOnce, scanClaims, settleDueClaims } = require("../scripts/keeper");
+const { TwitterVerificationClient } = require("../sdk");
+const { LIVENESS, deployVerifier, loadFixtureWith, submitClaim } = require("./helpers");
+
+const QUIET = { log: () => {} };
+
+describe("Settlement keeper", function () {
+  async function deployFixture() {
+    const [, claimer, disputer, keeper] = await ethers.getSigners();
+    const { verifier, oracle, address } = await deployVerifier({ funding: ethers.parseEther("1") });
+    return { verifier, oracle, claimer, disputer, keeper: new TwitterVerificationClient(address, keeper) };
+  }
+
+  function fixtureWithState() {
+    return loadFixtureWith(deployFixture, async ({ verifier }) => ({
+      state: { contract: await verifier.getAddress(), lastBlock: null, claims: {} },
+    }));
+  }
+
+  it("tracks submitted claims with their expiration time", async function () {
+    const { verifier, oracle, state, claimer, keeper } = await fixtureWithState();
+    const id = await submitClaim(verifier, claimer, "gm");
+
+    expect(await scanClaims(keeper, state, QUIET)).to.equal(1);
+    expect(state.claims[id].expirationTime).to.equal(Number((await oracle.getAssertion(id)).expirationTime));
+    expect(state.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+
+    // Already scanned blocks are skipped
+    expect(await scanClaims(keeper, state, QUIET)).to.equal(0);
+  });
+
+  it("scans in block ranges", async function () {
+    const { verifier, state, claimer, keeper } = await fixtureWithState();
+    await submitClaim(verifier, claimer, "gm");
+    await submitClaim(verifier, claimer, "gn");
+
+    expect(await scanClaims(keeper, state, { ...QUIET, blockRange: 1 })).to.equal(2);
+  });
+
+  it("settles claims once the challenge window has passed", async function () {
+    const { verifier, state, claimer, keeper } = await fixtureWithState();
+    const id = await submitClaim(verifier, claimer, "gm");
+
+    expect((await runOnce(keeper, state, QUIET)).settled).to.deep.equal([]);
+
+    await time.increase(LIVENESS);
+    expect((await runOnce(keeper, state, QUIET)).settled).to.deep.equal([id]);
+    expect(state.claims[id]).to.include({ done: true, result: true });
+    expect((await verifier.getClaimDetails(id)).isRewarded).to.equal(true);
+
+    expect((await runOnce(keeper, state, QUIET)).settled).to.deep.equal([]);
+  });
+
+  it("retries disputed claims with backoff until the dispute is resolved", async function () {
+    const { verifier, oracle, state, claimer, disputer, keeper } = await fixtureWithState();
+    const id = await submitClaim(verifier, claimer, "gm");
+    await oracle.connect(disputer).disputeAssertion(id, disputer.address);
+    await time.increase(LIVENESS);
+
+    const first = await runOnce(keeper, state, { ...QUIET, retryBaseDelay: 60 });
+    expect(first.failed).to.deep.equal([id]);
+    expect(state.claims[id].attempts).to.equal(1);
+    expect(state.claims[id].lastError).to.include("Dispute not resolved");
+
+    // Not retried before the backoff delay
+    expect((await settleDueClaims(keeper, state, QUIET)).failed).to.deep.equal([]);
+
+    await oracle.resolveDispute(id, false);
+    state.claims[id].nextAttemptAt = 0;
+    expect((await settleDueClaims(keeper, state, QUIET)).settled).to.deep.equal([id]);
+    expect(state.claims[id].result).to.equal(false);
+  });
+
+  it("marks claims settled by someone else as done", async function () {
+    const { verifier, state, claimer, keeper } = await fixtureWithState();
+    const id = await submitClaim(verifier, claimer, "gm");
+    await scanClaims(keeper, state, QUIET);
+
+    await time.increase(LIVENESS);
+    await verifier.connect(claimer).settleAndGetAssertionResult(id);
+
+    expect((await settleDueClaims(keeper, state, QUIET)).settled).to.deep.equal([]);
+    expect(state.claims[id].done).to.equal(true);
+  });
+
+  it("persists its progress to the state file", async function () {
+    const { verifier, claimer, keeper } = await loadFixture(deployFixture);
+    const stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "keeper-")), "state.json");
+    const address = await verifier.getAddress();
+    const id = await submitClaim(verifier, claimer, "gm");
+
+    await runOnce(keeper, loadState(stateFile, address), { ...QUIET, stateFile });
+    const saved = loadState(stateFile, address);
+    expect(saved.claims[id].done).to.equal(false);
+
+    await time.increase(LIVENESS);
+    await runOnce(keeper, saved, { ...QUIET, stateFile });
+    expect(loadState(stateFile, address).claims[id].done).to.equal(true);
+
+    expect(() => loadState(stateFile, ethers.ZeroAddress)).to.throw("tracks contract");
+  });
+});
@@ -0,0 +1,51 @@
+const { expect } = require("chai");
+
+const { NETWORKS, hardhatNetworks, networkSettings } = require("../scripts/networks");
+
+describe("Networks", function () {
+  const KEY = "0x" + "11".repeat(32);
+  const VARIABLES = ["PRIVATE_KEY", "SEPOLIA_RPC_URL", "BASE_SEPOLIA_RPC_URL"];
+  let saved;
+
+  beforeEach(function () {
+    saved = Object.fromEntries(VARIABLES.map((name) => [name, process.env[name]]));
+    for (const name of VARIABLES) delete process.env[name];
+  });
+  afterEach(function () {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  it("configures every live network with its public RPC and chain ID", function () {
+    const networks = hardhatNetworks();
+
+    expect(Object.keys(networks)).to.deep.equal(Object.keys(NETWORKS));
+    expect(networks.baseSepolia).to.deep.equal({
+      url: "https://sepolia.base.org",
+      chainId: 84532,
+      accounts: [],
+      gasMultiplier: 1.2,
+    });
+  });
+
+  it("uses PRIVATE_KEY and the <NAME>_RPC_URL overrides", function () {
+    process.env.PRIVATE_KEY = KEY;
+    process.env.BASE_SEPOLIA_RPC_URL = "https://base-sepolia.example/key";
+    const networks = hardhatNetworks();
+
+    expect(networks.baseSepolia).to.include({ url: "https://base-sepolia.example/key" });
+    expect(networks.sepolia).to.include({ url: NETWORKS.sepolia.rpcUrl });
+    for (const network of Object.values(networks)) {
+      expect(network.accounts).to.deep.equal([KEY]);
+    }
+  });
+
+  it("returns the deployment settings of live and local networks", function () {
+    expect(networkSettings("sepolia")).to.include({ chainId: 11155111, oracle: NETWORKS.sepolia.oracle, local: false });
+    expect(networkSettings("hardhat")).to.include({ chainId: 31337, local: true });
+    expect(networkSettings("hardhat").oracle).to.equal(undefined);
+    expect(() => networkSettings("goerli")).to.throw(/No deployment settings for network "goerli"/);
+  });
+});
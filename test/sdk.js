@@ -0,0 +1,398 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const {
+  TwitterVerificationClient,
+  TwitterVerificationError,
+  transactionRecord,
+  withGasMargin,
+  hashEvidence,
+  normalizeEvidenceUri,
+  evidenceLink,
+  normalizeHandle,
+  normalizeTweetText,
+  tweetLength,
+  validateTweet,
+} = require("../sdk");
+
+const { LIVENESS, deployVerifier } = require("./helpers");
+
+const BOND = ethers.parseEther("1");
+
+describe("Client SDK", function () {
+  async function deployFixture() {
+    const [, claimer, disputer] = await ethers.getSigners();
+    const { verifier, oracle, bondToken, address } = await deployVerifier({
+      bond: BOND,
+      funding: ethers.parseEther("1"),
+      bondHolders: [claimer, disputer],
+    });
+
+    return {
+      verifier,
+      oracle,
+      bondToken,
+      claimer,
+      disputer,
+      client: new TwitterVerificationClient(address, claimer),
+      reader: new TwitterVerificationClient(address, ethers.provider),
+    };
+  }
+
+  it("submits a claim, approving the bond, and reads it back", async function () {
+    const { bondToken, claimer, client, reader } = await loadFixture(deployFixture);
+    const stages = [];
+
+    const { assertionId, txHash } = await client.submitClaim(
+      { twitterHandle: "@drextron", tweetText: "gm", statusId: "42" },
+      { onTransaction: (stage) => stages.push(stage) }
+    );
+
+    expect(stages).to.deep.equal(["approve", "submit"]);
+    expect(await bondToken.balanceOf(claimer.address)).to.equal(ethers.parseEther("9"));
+    expect(await reader.findAssertionId(txHash)).to.equal(assertionId);
+
+    const claim = await reader.getClaim(assertionId);
+    expect(claim).to.include({
+      claimer: claimer.address,
+      claimType: "posted",
+      twitterHandle: "drextron",
+      tweetText: "gm",
+      statusId: "42",
+      tweetUrl: "https://x.com/drextron/status/42",
+      resolved: false,
+      bountyId: null,
+    });
+    expect(claim.assertedClaim).to.contain("Handle: @drextron");
+
+    const status = await reader.getFullStatus(assertionId);
+    expect(status.status).to.equal("Pending");
+    expect(status.canBeSettled).to.equal(false);
+    expect(status.assertion).to.include({ asserter: claimer.address, bond: BOND, disputer: null, settled: false });
+    expect(status.assertion.expirationTime - status.assertion.assertionTime).to.equal(LIVENESS);
+
+    expect(await reader.getClaim(ethers.ZeroHash)).to.equal(null);
+    expect(await reader.getFullStatus(ethers.ZeroHash)).to.equal(null);
+  });
+
+  it("submits time-bounded and negative claims", async function () {
+    const { client } = await loadFixture(deployFixture);
+    const now = await time.latest();
+
+    const between = await client.submitClaim({
+      claimType: "posted-between",
+      twitterHandle: "drextron",
+      tweetText: "gm",
+      windowStart: now - 3600,
+      windowEnd: now - 60,
+    });
+    expect(await client.getClaim(between.assertionId)).to.include({
+      claimType: "posted-between",
+      windowStart: now - 3600,
+      windowEnd: now - 60,
+    });
+
+    const negative = await client.submitClaim({ claimType: 2, twitterHandle: "drextron", tweetText: "gn", windowEnd: now - 60 });
+    expect(await client.getClaim(negative.assertionId)).to.include({ claimType: "not-posted-before", windowStart: null });
+  });
+
+  it("submits claims with evidence and normalizes evidence input", async function () {
+    const { client } = await loadFixture(deployFixture);
+    const capture = '{"id_str":"42","full_text":"gm"}';
+    const cid = "bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi";
+
+    expect(hashEvidence(capture)).to.equal(ethers.keccak256(ethers.toUtf8Bytes(capture)));
+    expect(hashEvidence(new Uint8Array([1, 2]))).to.equal(ethers.keccak256("0x0102"));
+    expect(normalizeEvidenceUri(` ${cid} `)).to.equal(`ipfs://${cid}`);
+    expect(normalizeEvidenceUri("https://web.archive.org/web/2024/x.com")).to.equal("https://web.archive.org/web/2024/x.com");
+    expect(normalizeEvidenceUri("")).to.equal("");
+    expect(normalizeEvidenceUri("http://example.com")).to.equal(null);
+    expect(normalizeEvidenceUri("ipfs://")).to.equal(null);
+    expect(evidenceLink(`ipfs://${cid}`)).to.equal(`https://ipfs.io/ipfs/${cid}`);
+
+    const { assertionId } = await client.submitClaim({
+      twitterHandle: "drextron",
+      tweetText: "gm",
+      statusId: "42",
+      contentHash: hashEvidence(capture),
+      evidenceUri: normalizeEvidenceUri(cid),
+    });
+    const claim = await client.getClaim(assertionId);
+    expect(claim).to.include({ statusId: "42", contentHash: hashEvidence(capture), evidenceUri: `ipfs://${cid}` });
+    expect(claim.assertedClaim).to.contain(`Evidence: ipfs://${cid}\n`);
+
+    const plain = await client.getClaim((await client.submitClaim({ twitterHandle: "drextron", tweetText: "gn" })).assertionId);
+    expect(plain).to.include({ contentHash: null, evidenceUri: null });
+
+    await expect(client.submitClaim({ twitterHandle: "drextron", tweetText: "hi", evidenceUri: "ftp://x" }))
+      .to.be.rejected.and.eventually.include({ code: "INVALID_EVIDENCE" });
+  });
+
+  it("normalizes handles and text like the contract, and counts length the same way", async function () {
+    const { client } = await loadFixture(deployFixture);
+    const claimFormat = await (await ethers.getContractFactory("ClaimFormat")).deploy();
+
+    expect(normalizeHandle(" @DrexTron ")).to.equal("drextron");
+    expect(normalizeTweetText(" Cafe\u0301  au\tlait \r\n\r\n bien\u00a0sûr ")).to.equal("Café au lait\n\nbien sûr");
+    for (const text of ["gm", "Café ñ — “quoted”…", "日本語", "👨‍👩‍👧‍👦 👍🏽 🇫🇷🇩🇪🇮 1️⃣", "see https://x.com/a and http://b.c\nok", "ש ب ж 😀"]) {
+      expect(tweetLength(text), text).to.equal(Number(await claimFormat.tweetLength(text)));
+    }
+
+    expect(validateTweet("@DrexTron", " gm ")).to.deep.equal({ twitterHandle: "drextron", tweetText: "gm", length: 2, errors: {} });
+    expect(validateTweet("", "").errors).to.have.keys("twitterHandle", "tweetText");
+    expect(validateTweet("drex-tron", "gm").errors.twitterHandle).to.contain("letters A-Z");
+    expect(validateTweet("a".repeat(16), "gm").errors.twitterHandle).to.contain("at most 15");
+    expect(validateTweet("drextron", "語".repeat(141)).errors.tweetText).to.contain("counts 282");
+
+    const { assertionId } = await client.submitClaim({ twitterHandle: "@DrexTron", tweetText: "  gm\r\nfrens " });
+    expect(await client.getClaim(assertionId)).to.include({ twitterHandle: "drextron", tweetText: "gm\nfrens" });
+    await expect(client.submitClaim({ twitterHandle: "drex-tron", tweetText: "gm" }))
+      .to.be.rejected.and.eventually.include({ code: "INVALID_HANDLE" });
+    await expect(client.submitClaim({ twitterHandle: "drextron", tweetText: "a".repeat(281) }))
+      .to.be.rejected.and.eventually.include({ code: "INVALID_TEXT" });
+  });
+
+  it("settles a claim after its challenge window, without a transaction before", async function () {
+    const { claimer, client } = await loadFixture(deployFixture);
+    const { assertionId } = await client.submitClaim({ twitterHandle: "drextron", tweetText: "gm" });
+    const nonce = await ethers.provider.getTransactionCount(claimer.address);
+
+    await expect(client.settle(assertionId)).to.be.rejected.and.eventually.include({ code: "CHALLENGE_WINDOW_OPEN" });
+    expect(await ethers.provider.getTransactionCount(claimer.address)).to.equal(nonce);
+
+    await time.increase(LIVENESS);
+    const { result, txHash } = await client.settle(assertionId);
+    expect(result).to.equal(true);
+    expect(txHash).to.match(/^0x[0-9a-f]{64}$/);
+
+    const status = await client.getFullStatus(assertionId);
+    expect(status.status).to.equal("Verified");
+    expect(status.claim.rewarded).to.equal(true);
+    expect(status.assertion.settlementResolution).to.equal(true);
+  });
+
+  it("submits claims in chunks that fit the gas limit, approving all bonds once, and settles them together", async function () {
+    const { bondToken, claimer, client, reader } = await loadFixture(deployFixture);
+    const statements = Array.from({ length: 5 }, (_, i) => ({ twitterHandle: "@DrexTron", tweetText: `gm  ${i}` }));
+    const stages = [];
+    const chunks = [];
+
+    // A claim costs over 600k gas, so at most two fit
+    const { assertionIds, transactions } = await client.submitClaims(statements, {
+      chunkSize: 3,
+      maxGas: 1500000,
+      onTransaction: (stage) => stages.push(stage),
+      onChunk: (chunk) => chunks.push(chunk.from),
+    });
+
+    expect(stages).to.deep.equal(["approve", "submit", "submit", "submit"]);
+    expect(chunks).to.deep.equal([0, 2, 4]);
+    expect(transactions.map((tx) => tx.assertionIds.length)).to.deep.equal([2, 2, 1]);
+    expect(await bondToken.balanceOf(claimer.address)).to.equal(ethers.parseEther("5"));
+    expect(assertionIds).to.deep.equal([...(await reader.contract.getClaimsByClaimer(claimer.address, 0, 10))]);
+    expect((await reader.getClaim(assertionIds[3])).tweetText).to.equal("gm 3");
+
+    await expect(client.settleClaims(assertionIds)).to.be.rejected.and.eventually.include({ code: "CHALLENGE_WINDOW_OPEN" });
+    await time.increase(LIVENESS);
+    const { results } = await client.settleClaims(assertionIds);
+    expect(results).to.deep.equal([true, true, true, true, true]);
+    expect((await reader.getFullStatus(assertionIds[4])).status).to.equal("Verified");
+  });
+
+  it("reads the badge of a verified claim and mints those verified before the badge was set", async function () {
+    const { verifier, claimer, client, reader } = await loadFixture(deployFixture);
+    const early = (await client.submitClaim({ twitterHandle: "drextron", tweetText: "gm" })).assertionId;
+    await time.increase(LIVENESS);
+    await client.settle(early);
+    expect(await reader.getBadge(early)).to.equal(null);
+    await expect(client.mintBadge(early)).to.be.rejected.and.eventually.include({ code: "NO_BADGE" });
+
+    const badge = await (await ethers.getContractFactory("VerificationBadge")).deploy(await verifier.getAddress());
+    await verifier.setBadge(await badge.getAddress());
+    const sdk = new TwitterVerificationClient(await verifier.getAddress(), claimer);
+    const { assertionId } = await sdk.submitClaim({ twitterHandle: "drextron", tweetText: "gn" });
+    expect(await sdk.getBadge(assertionId)).to.equal(null);
+    await time.increase(LIVENESS);
+    await sdk.settle(assertionId);
+
+    const minted = await sdk.getBadge(assertionId);
+    expect(minted).to.include({ contract: await badge.getAddress(), tokenId: BigInt(assertionId).toString(), owner: claimer.address });
+    expect(minted.metadata.name).to.equal("Verified tweet by @drextron");
+    expect(minted.image).to.match(/^data:image\/svg\+xml;base64,/);
+
+    const stages = [];
+    const { tokenId } = await sdk.mintBadge(early, { onTransaction: (stage) => stages.push(stage) });
+    expect(stages).to.deep.equal(["mint"]);
+    expect((await sdk.getBadge(early)).tokenId).to.equal(tokenId);
+    await expect(sdk.mintBadge(early)).to.be.rejected.and.eventually.include({ code: "BADGE_MINTED" });
+  });
+
+  it("creates, claims and refunds bounties, and withdraws what they credit", async function () {
+    const { verifier, bondToken, claimer, disputer: requester, client } = await loadFixture(deployFixture);
+    const sponsor = new TwitterVerificationClient(await verifier.getAddress(), requester);
+    const token = await bondToken.getAddress();
+    const deadline = (await time.latest()) + 3600;
+    const stages = [];
+
+    const { bountyId } = await sponsor.createBounty(
+      { twitterHandle: "@DrexTron", tweetText: "gm", token, amount: ethers.parseEther("2"), deadline },
+      { onTransaction: (stage) => stages.push(stage) }
+    );
+    expect(stages).to.deep.equal(["approve", "create"]);
+    expect((await verifier.bounties(bountyId)).twitterHandle).to.equal("drextron");
+    const unclaimed = await sponsor.createBounty({ twitterHandle: "drextron", tweetText: "gn", amount: ethers.parseEther("0.5"), deadline });
+    expect([bountyId, unclaimed.bountyId]).to.deep.equal(["1", "2"]);
+    await expect(sponsor.createBounty({ twitterHandle: "drextron", tweetText: "gm frens", token, amount: ethers.parseEther("100"), deadline }))
+      .to.be.rejected.and.eventually.include({ code: "INSUFFICIENT_BOUNTY_BALANCE" });
+
+    const { assertionId } = await client.claimBounty(bountyId);
+    expect((await client.getClaim(assertionId)).bountyId).to.equal(bountyId);
+    await time.increase(LIVENESS);
+    await client.settle(assertionId);
+
+    await expect(sponsor.refundBounty(bountyId)).to.be.rejected.and.eventually.include({ code: "BOUNTY_CLOSED" });
+    stages.length = 0;
+    await sponsor.refundBounty(unclaimed.bountyId, { onTransaction: (stage) => stages.push(stage) });
+    await sponsor.withdraw(undefined, { onTransaction: (stage) => stages.push(stage) });
+    expect(stages).to.deep.equal(["refund", "withdraw"]);
+    expect(await verifier.pendingWithdrawals(requester.address, ethers.ZeroAddress)).to.equal(0n);
+
+    const balance = await bondToken.balanceOf(claimer.address);
+    await client.withdraw(token);
+    expect(await bondToken.balanceOf(claimer.address)).to.equal(balance + ethers.parseEther("2"));
+    await expect(client.withdraw(token)).to.be.rejected.and.eventually.include({ code: "NOTHING_TO_WITHDRAW" });
+  });
+
+  it("decodes revert reasons, custom errors and client-side failures", async function () {
+    const { verifier, claimer, client, reader } = await loadFixture(deployFixture);
+    const claim = { twitterHandle: "drextron", tweetText: "gm" };
+    await client.submitClaim(claim);
+
+    const pending = await client.submitClaim(claim).catch((error) => error);
+    expect(pending).to.be.instanceOf(TwitterVerificationError);
+    expect(pending).to.include({ code: "CLAIM_PENDING", reason: "Tweet claim already pending" });
+
+    const notOwner = await verifier.connect(claimer).pause().catch((error) => client.decodeError(error));
+    expect(notOwner.code).to.equal("NOT_OWNER");
+    expect(notOwner.revert).to.deep.equal({ name: "OwnableUnauthorizedAccount", args: [claimer.address] });
+
+    await verifier.pause();
+    await expect(client.submitClaim({ ...claim, tweetText: "gn" })).to.be.rejected.and.eventually.include({ code: "PAUSED" });
+
+    await expect(reader.findAssertionId(ethers.ZeroHash)).to.be.rejected.and.eventually.include({ code: "TRANSACTION_NOT_FOUND" });
+    expect(client.decodeError({ code: 4001, message: "User rejected the request." }).code).to.equal("USER_REJECTED");
+  });
+
+  it("estimates gas limits with a margin unless one is given", async function () {
+    const { client } = await loadFixture(deployFixture);
+    const estimated = await client.submitClaim({ twitterHandle: "drextron", tweetText: "gm" });
+    const tx = await ethers.provider.getTransaction(estimated.txHash);
+    expect(tx.gasLimit >= withGasMargin(estimated.receipt.gasUsed)).to.equal(true);
+    expect(tx.gasLimit < BigInt(estimated.receipt.gasUsed) * 2n).to.equal(true);
+
+    const { txHash } = await client.submitClaim({ twitterHandle: "drextron", tweetText: "gn" }, { overrides: { gasLimit: 2000000 } });
+    expect((await ethers.provider.getTransaction(txHash)).gasLimit).to.equal(2000000n);
+  });
+
+  describe("pending transactions", function () {
+    // Send while blocks are not mined, so the transaction can be replaced before it is, then mine one block
+    async function sendPending(send) {
+      const startBlock = await ethers.provider.getBlockNumber();
+      await ethers.provider.send("evm_setAutomine", [false]);
+      try {
+        const tx = await send();
+        return { tx, record: transactionRecord(tx, startBlock) };
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+    }
+
+    // Send another transaction with the same nonce at a higher fee, as wallets do to speed up or cancel one
+    async function replace(signer, tx, request) {
+      await ethers.provider.send("evm_setAutomine", [false]);
+      try {
+        return await signer.sendTransaction({
+          nonce: tx.nonce,
+          maxFeePerGas: tx.maxFeePerGas * 2n,
+          maxPriorityFeePerGas: tx.maxPriorityFeePerGas * 2n,
+          ...request,
+        });
+      } finally {
+        await ethers.provider.send("evm_mine", []);
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+    }
+
+    async function submitPending({ verifier, bondToken, claimer }) {
+      await bondToken.connect(claimer).approve(await verifier.getAddress(), BOND);
+      return sendPending(() => verifier.connect(claimer).submitClaim("drextron", "gm"));
+    }
+
+    it("follows a transaction sped up in the wallet to its replacement", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { tx, record } = await submitPending(fixture);
+      const replacement = await replace(fixture.claimer, tx, { to: tx.to, data: tx.data, gasLimit: tx.gasLimit });
+
+      const receipt = await fixture.reader.waitForTransaction(JSON.parse(JSON.stringify(record)));
+      expect(receipt.hash).to.equal(replacement.hash);
+      expect(await fixture.reader.findAssertionId(receipt)).to.match(/^0x[0-9a-f]{64}$/);
+    });
+
+    it("reports cancelled transactions", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { tx, record } = await submitPending(fixture);
+      await replace(fixture.claimer, tx, { to: tx.from, data: "0x", value: 0 });
+
+      await expect(fixture.reader.waitForTransaction(record)).to.be.rejected.and.eventually.include({ code: "TRANSACTION_CANCELLED" });
+    });
+
+    it("decodes the reason of a transaction that reverted once mined", async function () {
+      const { verifier, claimer, client, reader } = await loadFixture(deployFixture);
+      const { assertionId } = await client.submitClaim({ twitterHandle: "drextron", tweetText: "gm" });
+      const { record } = await sendPending(() => verifier.connect(claimer).settleAndGetAssertionResult(assertionId, { gasLimit: 500000 }));
+      await ethers.provider.send("evm_mine", []);
+
+      await expect(reader.waitForTransaction(record)).to.be.rejected.and.eventually.include({ code: "CHALLENGE_WINDOW_OPEN" });
+    });
+  });
+
+  it("refuses a bond the claimer cannot pay", async function () {
+    const { verifier, bondToken } = await loadFixture(deployFixture);
+    const [, , , poor] = await ethers.getSigners();
+    const client = new TwitterVerificationClient(await verifier.getAddress(), poor);
+
+    await expect(client.submitClaim({ twitterHandle: "drextron", tweetText: "gm" }))
+      .to.be.rejected.and.eventually.include({ code: "INSUFFICIENT_BOND_BALANCE" });
+    expect(await bondToken.allowance(poor.address, await verifier.getAddress())).to.equal(0n);
+  });
+
+  it("watches a claim through a dispute and its settlement on the oracle", async function () {
+    const { oracle, bondToken, disputer, client, reader } = await loadFixture(deployFixture);
+    const { assertionId } = await client.submitClaim({ twitterHandle: "drextron", tweetText: "gm" });
+
+    const updates = [];
+    const stop = reader.watchClaim(assertionId, (status, eventName) => updates.push([eventName, status.status]));
+    const waitFor = async (count) => {
+      while (updates.length < count) await new Promise((resolve) => setTimeout(resolve, 100));
+    };
+
+    await bondToken.connect(disputer).approve(await oracle.getAddress(), BOND);
+    await oracle.connect(disputer).disputeAssertion(assertionId, disputer.address);
+    await waitFor(2);
+    expect(updates.map(([eventName]) => eventName)).to.have.members(["ClaimDisputed", "AssertionDisputed"]);
+    expect(updates.every(([, status]) => status === "Disputed")).to.equal(true);
+
+    await oracle.resolveDispute(assertionId, false);
+    await oracle.settleAssertion(assertionId);
+    await waitFor(4);
+    expect(updates.slice(2).map(([eventName]) => eventName)).to.have.members(["ClaimResolved", "AssertionSettled"]);
+    expect(updates[updates.length - 1][1]).to.equal("Rejected");
+
+    await stop();
+    const seen = updates.length;
+    await client.submitClaim({ twitterHandle: "drextron", tweetText: "gn" });
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    expect(updates.length).to.equal(seen);
+  });
+});
@@ -0,0 +1,131 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { LIVENESS, deployVerifier, muteConsoleLog } = require("./helpers");
+
+const { ethers } = hre;
+
+describe("Hardhat tasks", function () {
+  async function deployFixture() {
+    const [owner, other] = await ethers.getSigners();
+    const { verifier, bondToken, address } = await deployVerifier({ bond: ethers.parseEther("1"), bondHolders: [owner] });
+    return { verifier, bondToken, owner, other, address };
+  }
+
+  muteConsoleLog();
+
+  function submit(address, fields = {}) {
+    return hre.run("claim:submit", { handle: "@drextron", text: "gm", address, json: true, ...fields });
+  }
+
+  it("submits a claim, approving the bond, and returns it decoded", async function () {
+    const { verifier, owner, address } = await loadFixture(deployFixture);
+
+    const { txHash, claim } = await submit(address, { statusId: "42" });
+
+    expect(txHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(claim).to.include({
+      claimer: owner.address,
+      claimType: "posted",
+      twitterHandle: "drextron",
+      tweetUrl: "https://x.com/drextron/status/42",
+      status: "Pending",
+      canBeSettled: false,
+    });
+    expect(claim.assertion.bondText).to.equal("1.0 BOND");
+    expect(claim.assertedClaim).to.equal(ethers.toUtf8String(await verifier.getAssertedClaim(claim.assertionId)));
+  });
+
+  it("submits time-bounded and negative claims", async function () {
+    const { address } = await loadFixture(deployFixture);
+
+    const between = await submit(address, {
+      type: "posted-between",
+      windowStart: "2024-01-01T00:00:00Z",
+      windowEnd: "1706745600",
+    });
+    expect(between.claim.windowStart).to.equal("2024-01-01T00:00:00.000Z");
+    expect(between.claim.windowEnd).to.equal("2024-02-01T00:00:00.000Z");
+
+    const negative = await submit(address, { type: "not-posted-before", windowEnd: "2024-02-01T00:00:00Z" });
+    expect(negative.claim.claimType).to.equal("not-posted-before");
+
+    await expect(submit(address, { type: "posted-between" })).to.be.rejectedWith("--window-start and --window-end");
+  });
+
+  it("attaches evidence, hashing a captured file", async function () {
+    const { address } = await loadFixture(deployFixture);
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "evidence-")), "tweet.json");
+    fs.writeFileSync(file, '{"id_str":"42"}');
+
+    const { claim } = await submit(address, { statusId: "42", evidenceFile: file, evidence: "https://web.archive.org/web/2024/x.com" });
+    expect(claim.contentHash).to.equal(ethers.keccak256(ethers.toUtf8Bytes('{"id_str":"42"}')));
+    expect(claim.evidenceUri).to.equal("https://web.archive.org/web/2024/x.com");
+    expect(claim.assertedClaim).to.contain(`Content hash: ${claim.contentHash}\n`);
+
+    await expect(submit(address, { text: "gn", contentHash: "0x12" })).to.be.rejectedWith("32-byte hex hash");
+    await expect(submit(address, { text: "gn", evidence: "ftp://x" })).to.be.rejectedWith("IPFS CID");
+  });
+
+  it("shows and settles a claim", async function () {
+    const { address } = await loadFixture(deployFixture);
+    const { claim } = await submit(address);
+
+    await expect(hre.run("claim:settle", { id: claim.assertionId, address })).to.be.rejectedWith("cannot be settled");
+
+    await time.increase(LIVENESS);
+    expect((await hre.run("claim:status", { id: claim.assertionId, address })).canBeSettled).to.equal(true);
+
+    const settled = await hre.run("claim:settle", { id: claim.assertionId, address, json: true });
+    expect(settled.claim.status).to.equal("Verified");
+    expect(settled.claim.assertion.settlementResolution).to.equal(true);
+  });
+
+  it("lists claims by claimer or handle", async function () {
+    const { owner, other, address } = await loadFixture(deployFixture);
+    await submit(address);
+    await submit(address, { handle: "DrExtron", text: "gn" });
+
+    const byHandle = await hre.run("claim:list", { handle: "drextron", address });
+    expect(byHandle.total).to.equal(2);
+    expect(byHandle.claims.map((claim) => claim.tweetText)).to.deep.equal(["gm", "gn"]);
+
+    const page = await hre.run("claim:list", { claimer: owner.address, offset: 1, limit: 5, address });
+    expect(page.claims.map((claim) => claim.tweetText)).to.deep.equal(["gn"]);
+
+    expect((await hre.run("claim:list", { claimer: other.address, address })).total).to.equal(0);
+    await expect(hre.run("claim:list", { address })).to.be.rejectedWith("either --claimer or --handle");
+  });
+
+  it("funds the contract and reports its balances", async function () {
+    const { bondToken, address } = await loadFixture(deployFixture);
+
+    await hre.run("contract:fund", { amount: "0.5", address });
+    await hre.run("contract:fund", { amount: "2", token: await bondToken.getAddress(), address });
+
+    const balance = await hre.run("contract:balance", { token: await bondToken.getAddress(), address });
+    expect(balance.reward.text).to.equal("0.01 ETH");
+    expect(balance.balances).to.deep.equal([
+      {
+        token: ethers.ZeroAddress,
+        symbol: "ETH",
+        decimals: 18,
+        balance: ethers.parseEther("0.5").toString(),
+        reserved: "0",
+        surplus: ethers.parseEther("0.5").toString(),
+      },
+      {
+        token: await bondToken.getAddress(),
+        symbol: "BOND",
+        decimals: 18,
+        balance: ethers.parseEther("2").toString(),
+        reserved: "0",
+        surplus: ethers.parseEther("2").toString(),
+      },
+    ]);
+  });
+});